@@ -0,0 +1,101 @@
+/**
+ * Serverless Function — управление именными API-ключами сотрудников.
+ *
+ * Endpoint: /api/api-keys
+ *
+ * Заголовки:
+ *   X-API-Key: <API-ключ с ролью admin>
+ *
+ * GET
+ *   Ответ: { "success": true, "roles": ["invoice", "voucher", "admin"], "keys": [
+ *     { "id": "3f9c…", "name": "Иванова", "roles": ["invoice", "voucher"], "prefix": "kh_Ab12C",
+ *       "createdAt": "…", "createdBy": "API_KEY", "revokedAt": null, "revokedBy": null,
+ *       "source": "store" } ] }
+ *   source: "store" — создан здесь; "env" — из API_KEYS / API_KEY (отзывается только там)
+ *
+ * POST { "name": "Иванова", "roles": ["invoice", "voucher"] }
+ *   Ответ: { "success": true, "key": "kh_…", "record": { … } }
+ *   Ключ показывается один раз — сервер хранит только его хеш.
+ *
+ * DELETE ?id=3f9c…
+ *   Отзывает ключ: запросы с ним получают 401, запись остаётся в списке.
+ *   Ответ: { "success": true, "record": { …, "revokedAt": "…" } }
+ *
+ * Создание и отзыв ключей записываются в журнал (lib/audit-log.js).
+ */
+
+var http = require('../lib/http');
+var apiKeys = require('../lib/api-keys');
+var auditLog = require('../lib/audit-log');
+
+async function handler(req, res) {
+  if (http.handleCors(req, res, 'GET, POST, DELETE, OPTIONS')) {
+    return;
+  }
+
+  if (['GET', 'POST', 'DELETE'].indexOf(req.method) === -1) {
+    return res.status(405).json({ success: false, error: 'Method Not Allowed' });
+  }
+
+  try {
+    var adminKey = await http.authenticate(req, res, '[ApiKeys]', 'admin');
+    if (!adminKey) {
+      return;
+    }
+
+    if (req.method === 'GET') {
+      return res.status(200).json({
+        success: true,
+        roles: apiKeys.API_KEY_ROLES,
+        keys: await apiKeys.listApiKeys()
+      });
+    }
+
+    if (req.method === 'POST') {
+      var body = await http.readJsonBody(req);
+      var created = await apiKeys.createApiKey(body, adminKey);
+      await auditLog.appendAuditEntry({
+        action: 'key.create',
+        targetKeyId: created.record.id,
+        targetKeyName: created.record.name,
+        roles: created.record.roles
+      }, adminKey);
+
+      console.log('[ApiKeys] Создан ключ «' + created.record.name + '» (' + created.record.roles.join(', ') +
+        '), администратор: ' + adminKey.name);
+      return res.status(200).json({ success: true, key: created.key, record: created.record });
+    }
+
+    var id = req.query && req.query.id;
+    if (!id) {
+      return res.status(400).json({ success: false, error: 'Укажите id ключа' });
+    }
+
+    var revoked = await apiKeys.revokeApiKey(id, adminKey);
+    await auditLog.appendAuditEntry({
+      action: 'key.revoke',
+      targetKeyId: revoked.id,
+      targetKeyName: revoked.name,
+      roles: revoked.roles
+    }, adminKey);
+
+    console.log('[ApiKeys] Отозван ключ «' + revoked.name + '», администратор: ' + adminKey.name);
+    return res.status(200).json({ success: true, record: revoked });
+
+  } catch (error) {
+    console.error('[ApiKeys] Ошибка:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Неизвестная ошибка'
+    });
+  }
+}
+
+module.exports = handler;
+
+// Тело читаем сами (как в send-invoice.js), чтобы формат запроса не зависел от платформы.
+module.exports.config = {
+  api: {
+    bodyParser: false
+  }
+};
@@ -0,0 +1,67 @@
+/**
+ * Serverless Function — журнал отправок писем и действий с API-ключами.
+ *
+ * Endpoint: GET /api/audit-log
+ *
+ * Заголовки:
+ *   X-API-Key: <API-ключ с ролью admin>
+ *
+ * Параметры (все необязательны):
+ *   from, to      — период: ISO-дата или дата-время (to=2026-10-19 — включая весь день)
+ *   action        — send, key.create, key.revoke
+ *   keyId         — id ключа сотрудника (см. /api/api-keys)
+ *   bookingNumber — номер бронирования
+ *   recipient     — часть адреса получателя
+ *   limit         — сколько записей вернуть (по умолчанию 100, не больше 1000)
+ *
+ * Ответ: { "success": true, "total": 42, "entries": [
+ *   { "time": "…", "action": "send", "keyId": "3f9c…", "keyName": "Иванова",
+ *     "documentType": "invoice", "bookingNumber": "12345", "to": "guest@example.com",
+ *     "cc": "", "bcc": "", "subject": "…", "pdfFilename": "…",
+ *     "status": "sent", "messageId": "<…>", "imapSaved": true } ] }
+ *   Записи — новые первыми; total — сколько всего подошло под фильтр.
+ */
+
+var http = require('../lib/http');
+var auditLog = require('../lib/audit-log');
+
+var AUDIT_FILTERS = ['from', 'to', 'action', 'keyId', 'bookingNumber', 'recipient', 'limit'];
+
+async function handler(req, res) {
+  if (http.handleCors(req, res, 'GET, OPTIONS')) {
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ success: false, error: 'Method Not Allowed' });
+  }
+
+  try {
+    if (!await http.authenticate(req, res, '[AuditLog]', 'admin')) {
+      return;
+    }
+
+    var filter = {};
+    AUDIT_FILTERS.forEach(function (name) {
+      if (req.query && req.query[name]) {
+        filter[name] = String(req.query[name]);
+      }
+    });
+
+    var result = await auditLog.queryAuditLog(filter);
+    return res.status(200).json({
+      success: true,
+      total: result.total,
+      entries: result.entries
+    });
+
+  } catch (error) {
+    console.error('[AuditLog] Ошибка:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Неизвестная ошибка'
+    });
+  }
+}
+
+module.exports = handler;
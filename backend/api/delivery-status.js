@@ -0,0 +1,72 @@
+/**
+ * Serverless Function — статус доставки отправленных писем (lib/delivery-status.js).
+ *
+ * Endpoint: POST /api/delivery-status
+ *
+ * Заголовки:
+ *   X-API-Key: <API-ключ сотрудника>
+ *
+ * Тело: { "messageIds": ["<…@hotel.ru>", …] } — messageId из ответа /api/send-invoice,
+ *   не больше 200 за запрос
+ *
+ * Ответ: { "success": true, "statuses": {
+ *   "<…@hotel.ru>": { "status": "bounced", "reason": "5.1.1 User unknown",
+ *                     "bounces": [ { "recipient": "guest@example.com", "reason": "…" } ],
+ *                     "sentAt": "…", "updatedAt": "…", "assumed": false } } }
+ *   status: sent | delayed | bounced | delivered | unknown (письмо не отправлялось через этот сервер
+ *   или запись уже удалена)
+ */
+
+var http = require('../lib/http');
+var deliveryStatus = require('../lib/delivery-status');
+
+var MAX_MESSAGE_IDS = 200;
+
+async function handler(req, res) {
+  if (http.handleCors(req, res, 'POST, OPTIONS')) {
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method Not Allowed' });
+  }
+
+  try {
+    if (!await http.authenticate(req, res, '[DeliveryStatus]')) {
+      return;
+    }
+
+    var body = await http.readJsonBody(req);
+    var messageIds = Array.isArray(body.messageIds) ? body.messageIds.filter(function (messageId) {
+      return typeof messageId === 'string' && messageId.length > 0;
+    }) : [];
+
+    if (messageIds.length === 0 || messageIds.length > MAX_MESSAGE_IDS) {
+      return res.status(400).json({
+        success: false,
+        error: 'Ожидается массив messageIds (от 1 до ' + MAX_MESSAGE_IDS + ')'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      statuses: await deliveryStatus.getDeliveryStatuses(messageIds)
+    });
+
+  } catch (error) {
+    console.error('[DeliveryStatus] Ошибка:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Неизвестная ошибка'
+    });
+  }
+}
+
+module.exports = handler;
+
+// Тело читаем сами (как в send-invoice.js), чтобы формат запроса не зависел от платформы.
+module.exports.config = {
+  api: {
+    bodyParser: false
+  }
+};
@@ -0,0 +1,214 @@
+/**
+ * Serverless Function — зеркало реестра счетов на предоплату.
+ *
+ * Основной реестр ведётся в расширении (chrome.storage), backend хранит его
+ * копию, чтобы:
+ *  - несколько рабочих мест продолжали общую последовательность номеров
+ *    (номер выдаёт сервер — одним атомарным изменением реестра);
+ *  - бухгалтерия могла получить полный список выданных номеров с историей
+ *    аннулирования и перевыпуска.
+ *
+ * Endpoint: /api/invoice-registry
+ *
+ * Заголовки:
+ *   X-API-Key: <API-ключ с ролью invoice или admin>
+ *
+ * GET  ?year=2026
+ *   Ответ: { "success": true, "year": 2026, "lastSeq": 12, "entries": [...] }
+ *
+ * POST { "allocate": { "year": 2026, "lastSeq": 12, "bookingNumber": "OTL-…", "guestName": "…",
+ *                      "amount": 15000, "totalPrice": 47700, "replaces": null, "reason": "" } }
+ *   Выдаёт следующий номер года — после большего из своего счётчика и lastSeq
+ *   рабочего места (хранилище могло начаться заново: новый DATA_DIR, /tmp на Vercel) —
+ *   и сразу сохраняет запись о нём.
+ *   Ответ: { "success": true, "entry": { "number": "2026-00013", "seq": 13, ... } }
+ *
+ * POST { "entries": [ { "number": "2026-00012", "year": 2026, "seq": 12, ... } ] }
+ *   Записи добавляются или обновляются по номеру счёта.
+ *   Ответ: { "success": true, "saved": 1 }
+ *   Номер уже записан за другим бронированием или суммой (например, выдан
+ *   без связи с сервером) — 409, ничего не сохраняется:
+ *   { "success": false, "error": "...", "conflicts": ["2026-00012"] }
+ */
+
+var http = require('../lib/http');
+var store = require('../lib/json-file-store');
+
+var REGISTRY_DOCUMENT = 'invoice-registry';
+
+function emptyRegistry() {
+  return { years: {} };
+}
+
+function getYearBucket(registry, year) {
+  var key = String(year);
+  if (!registry.years[key]) {
+    registry.years[key] = { lastSeq: 0, entries: {} };
+  }
+  return registry.years[key];
+}
+
+/** Номер счёта: «2026-00012» (как formatInvoiceNumber в расширении). */
+function formatInvoiceNumber(year, seq) {
+  var seqStr = String(seq);
+  while (seqStr.length < 5) {
+    seqStr = '0' + seqStr;
+  }
+  return year + '-' + seqStr;
+}
+
+/** Тот же счёт: номер записан за тем же бронированием и суммой. */
+function isSameInvoice(existing, entry) {
+  return existing.bookingNumber === entry.bookingNumber && existing.amount === entry.amount;
+}
+
+/** Проверяет минимально необходимые поля записи реестра. */
+function isValidEntry(entry) {
+  return entry &&
+    typeof entry.number === 'string' && entry.number.length > 0 &&
+    Number.isInteger(entry.year) &&
+    Number.isInteger(entry.seq) && entry.seq > 0;
+}
+
+async function handler(req, res) {
+  if (http.handleCors(req, res, 'GET, POST, OPTIONS')) {
+    return;
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method Not Allowed' });
+  }
+
+  try {
+    if (!await http.authenticate(req, res, '[InvoiceRegistry]', 'invoice')) {
+      return;
+    }
+
+    if (req.method === 'GET') {
+      var year = parseInt((req.query && req.query.year) || new Date().getFullYear(), 10);
+      if (isNaN(year)) {
+        return res.status(400).json({ success: false, error: 'Некорректный год' });
+      }
+
+      var registry = await store.readDocument(REGISTRY_DOCUMENT, emptyRegistry());
+      var bucket = registry.years[String(year)] || { lastSeq: 0, entries: {} };
+      var entries = Object.keys(bucket.entries).map(function (number) {
+        return bucket.entries[number];
+      }).sort(function (a, b) {
+        return a.seq - b.seq;
+      });
+
+      return res.status(200).json({
+        success: true,
+        year: year,
+        lastSeq: bucket.lastSeq,
+        entries: entries
+      });
+    }
+
+    var body = await http.readJsonBody(req);
+
+    if (body.allocate) {
+      return await allocateEntry(res, body.allocate);
+    }
+
+    var incoming = Array.isArray(body.entries) ? body.entries : [];
+    var invalid = incoming.filter(function (entry) {
+      return !isValidEntry(entry);
+    });
+
+    if (incoming.length === 0 || invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Ожидается непустой массив entries с полями number, year, seq'
+      });
+    }
+
+    var conflicts = [];
+    await store.updateDocument(REGISTRY_DOCUMENT, emptyRegistry(), function (registry) {
+      conflicts = incoming.filter(function (entry) {
+        var existing = getYearBucket(registry, entry.year).entries[entry.number];
+        return existing && !isSameInvoice(existing, entry);
+      }).map(function (entry) {
+        return entry.number;
+      });
+      if (conflicts.length > 0) {
+        return;
+      }
+
+      incoming.forEach(function (entry) {
+        var bucket = getYearBucket(registry, entry.year);
+        bucket.entries[entry.number] = entry;
+        if (entry.seq > bucket.lastSeq) {
+          bucket.lastSeq = entry.seq;
+        }
+      });
+    });
+
+    if (conflicts.length > 0) {
+      console.warn('[InvoiceRegistry] Номера уже выданы другим счетам:', conflicts.join(', '));
+      return res.status(409).json({
+        success: false,
+        error: 'Номера уже выданы другим счетам: ' + conflicts.join(', '),
+        conflicts: conflicts
+      });
+    }
+
+    console.log('[InvoiceRegistry] Сохранено записей:', incoming.length);
+
+    return res.status(200).json({ success: true, saved: incoming.length });
+  } catch (error) {
+    console.error('[InvoiceRegistry] Ошибка:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Неизвестная ошибка'
+    });
+  }
+}
+
+/**
+ * Выдаёт следующий номер года и записывает счёт — внутри одного updateDocument,
+ * поэтому одновременные запросы с разных рабочих мест получают разные номера.
+ */
+async function allocateEntry(res, data) {
+  var year = parseInt(data.year, 10);
+  if (isNaN(year)) {
+    return res.status(400).json({ success: false, error: 'Некорректный год' });
+  }
+
+  var entry;
+  await store.updateDocument(REGISTRY_DOCUMENT, emptyRegistry(), function (registry) {
+    var bucket = getYearBucket(registry, year);
+    var clientSeq = parseInt(data.lastSeq, 10);
+    var seq = Math.max(bucket.lastSeq, clientSeq > 0 ? clientSeq : 0) + 1;
+    var now = new Date().toISOString();
+    entry = {
+      number: formatInvoiceNumber(year, seq),
+      year: year,
+      seq: seq,
+      bookingNumber: String(data.bookingNumber || ''),
+      guestName: String(data.guestName || ''),
+      amount: Number(data.amount) || 0,
+      totalPrice: Number(data.totalPrice) || 0,
+      status: 'issued',
+      issuedAt: now,
+      replaces: data.replaces || null,
+      replacedBy: null,
+      history: [{ action: 'issued', at: now, reason: String(data.reason || '') }]
+    };
+    bucket.entries[entry.number] = entry;
+    bucket.lastSeq = seq;
+  });
+
+  console.log('[InvoiceRegistry] Выдан номер', entry.number, 'для', entry.bookingNumber);
+  return res.status(200).json({ success: true, entry: entry });
+}
+
+module.exports = handler;
+
+// Тело читаем сами (как в send-invoice.js), чтобы формат запроса не зависел от платформы.
+module.exports.config = {
+  api: {
+    bodyParser: false
+  }
+};
@@ -1,71 +1,135 @@
 /**
- * Vercel Serverless Function — отправка счёта на предоплату через Yandex SMTP.
+ * Vercel Serverless Function — отправка счёта на предоплату по SMTP.
  *
- * После отправки письмо сохраняется в папку «Отправленные» через IMAP,
- * чтобы оно было видно в веб-интерфейсе Яндекс Почты.
+ * Почтовый транспорт — lib/mail-transport.js (MAIL_TRANSPORT = yandex | mailru |
+ * gmail | smtp | file, по умолчанию yandex). После отправки письмо сохраняется
+ * в папку «Отправленные» через IMAP, если транспорт это поддерживает
+ * (IMAP_SAVE_SENT), чтобы оно было видно в веб-интерфейсе почты.
+ *
+ * Если передана HTML-версия, письмо уходит как multipart/alternative (текст + HTML),
+ * а логотип — встроенным вложением с Content-ID «hotel-logo» (<img src="cid:hotel-logo">).
+ * Копия в «Отправленных» собирается из тех же параметров и содержит обе версии.
+ *
+ * Идемпотентность: с заголовком Idempotency-Key повторный запрос с тем же ключом
+ * (двойной клик, повтор после таймаута) не отправляет письмо ещё раз, а возвращает
+ * ответ первого запроса с "replayed": true (хранилище — lib/idempotency-store.js,
+ * IDEMPOTENCY_STORE = file | memory, IDEMPOTENCY_TTL_HOURS). Ключи хранятся с
+ * префиксом id API-ключа: клиенты с разными ключами друг другу не мешают.
  *
  * SMTP/IMAP-credentials и API-ключ берутся из переменных окружения Vercel:
- *   SMTP_EMAIL    — логин Яндекс Почты (hotel@yandex.ru)
- *   SMTP_PASSWORD — пароль приложения Яндекс
- *   API_KEY       — секретный ключ для авторизации запросов от расширения
+ *   SMTP_EMAIL     — логин почты (hotel@yandex.ru)
+ *   SMTP_PASSWORD  — пароль приложения (для MAIL_TRANSPORT=file не нужен)
+ *   SMTP_FROM_NAME — имя в поле «От» (необязательно, по умолчанию «ГРК Альбатрос»)
+ *   SMTP_PROFILES  — отправители профилей отелей (необязательно), JSON:
+ *                    { "albatros": { "email": "...", "password": "...", "name": "ГРК Альбатрос" },
+ *                      "sochi": { "email": "...", "password": "...", "transport": "mailru" } }
+ *                    Поле transport и параметры серверов профиля — см. lib/mail-transport.js
+ *   API_KEY        — общий ключ администратора; ключи сотрудников — API_KEYS или /api/api-keys
  *
  * Endpoint: POST /api/send-invoice
  *
  * Заголовки:
- *   X-API-Key: <ваш API-ключ>
+ *   X-API-Key: <API-ключ сотрудника> (lib/api-keys.js; нужна роль invoice или voucher
+ *     по documentType, иначе 403). Каждая отправка записывается в журнал (lib/audit-log.js).
+ *   Idempotency-Key: <ключ отправки> (необязательно; 8–128 символов: латиница, цифры, «-_.:»)
+ *     409 — письмо с этим ключом ещё отправляется; 422 — ключ уже использован для другого письма
+ *
+ * Защита от злоупотреблений (lib/rate-limit.js, lib/http.js):
+ *   429 + Retry-After — превышен лимит писем на ключ, на адрес или суточный лимит сервера;
+ *   403 — домен получателя в SEND_DENY_DOMAINS или запрос с сайта не из CORS_ORIGINS.
  *
  * Тело запроса: multipart/form-data
  *   Поля:
- *     to          — email получателя
+ *     to          — получатели через запятую
+ *     cc          — копия, через запятую (необязательно)
+ *     bcc         — скрытая копия, через запятую (необязательно)
  *     subject     — тема письма
  *     text        — текст письма
+ *     html        — HTML-версия того же текста (необязательно)
  *     pdfFilename — имя файла PDF
- *   Файл:
+ *     senderProfile — ключ отправителя из SMTP_PROFILES (необязательно)
+ *     senderName    — имя в поле «От», если у профиля отправителя оно не задано (необязательно)
+ *     documentType  — 'invoice' (по умолчанию) или 'voucher'
+ *     bookingNumber — номер бронирования, для журнала отправок (необязательно)
+ *   Файлы:
  *     pdf         — PDF-файл (бинарный)
+ *     logo        — логотип PNG/JPEG для HTML-версии (необязательно)
  *
  * Также поддерживается legacy-формат JSON (для обратной совместимости):
  * {
- *   "to":          "guest@example.com",
+ *   "to":          "guest@example.com, accountant@company.ru",   (или массив)
+ *   "cc":          "agent@travel.ru",                           (необязательно)
+ *   "bcc":         ["booking@hotel.ru"],                        (необязательно)
  *   "subject":     "Счёт на предоплату",
  *   "text":        "Тело письма",
+ *   "html":        "<p>Тело письма</p>",   (необязательно)
+ *   "logoBase64":  "iVBORw0KGgo...",        (необязательно, PNG/JPEG)
  *   "pdfBase64":   "JVBERi0xLjQ...",
  *   "pdfFilename": "Счёт.pdf"
  * }
  *
- * Ответ при успехе: { "success": true, "messageId": "..." }
+ * Ответ при успехе: { "success": true, "messageId": "...", "imapSaved": true }
+ *   (доставлено ли письмо — POST /api/delivery-status с этим messageId)
+ *   (повтор по Idempotency-Key — тот же ответ с "replayed": true)
  * Ответ при ошибке: { "success": false, "error": "описание ошибки" }
  */
 
-var nodemailer = require('nodemailer');
-var MailComposer = require('nodemailer/lib/mail-composer');
-var { ImapFlow } = require('imapflow');
 var Busboy = require('busboy');
+var crypto = require('crypto');
+var http = require('../lib/http');
+var idempotencyStore = require('../lib/idempotency-store');
+var apiKeys = require('../lib/api-keys');
+var auditLog = require('../lib/audit-log');
+var mailTransport = require('../lib/mail-transport');
+var rateLimit = require('../lib/rate-limit');
+var deliveryStatus = require('../lib/delivery-status');
+var requestSigning = require('../lib/request-signing');
+
+/** Content-ID логотипа (совпадает с EMAIL_LOGO_CID в src/utils/email-templates.js). */
+var LOGO_CID = 'hotel-logo';
+
+/** Не больше адресов в одном письме (to + cc + bcc). */
+var MAX_RECIPIENTS = 10;
+
+var EMAIL_PATTERN = /^[\w.+-]+@[\w-]+(\.[\w-]+)+$/;
+
+var IDEMPOTENCY_KEY_PATTERN = /^[\w.:-]{8,128}$/;
+
+/** Типы документов; совпадают с ролями API-ключей (lib/api-keys.js). */
+var DOCUMENT_TYPES = ['invoice', 'voucher'];
 
 // ─── Парсинг multipart/form-data ────────────────────────────────
 
 /**
  * Парсит multipart/form-data запрос с помощью busboy.
- * Возвращает { fields: { key: value }, pdfBuffer: Buffer }.
+ * Возвращает { fields: { key: value }, pdfBuffer: Buffer, logoBuffer: Buffer|null }.
  */
 function parseMultipart(req) {
   return new Promise(function (resolve, reject) {
     var fields = {};
-    var pdfBuffer = null;
+    var files = { pdf: null, logo: null };
 
-    var busboy = Busboy({ headers: req.headers });
+    // Тот же предел, что и для тела запроса целиком (lib/request-signing.js)
+    var busboy = Busboy({
+      headers: req.headers,
+      limits: { fileSize: requestSigning.getMaxBodyBytes(), files: 2, fields: 50 }
+    });
 
     busboy.on('field', function (fieldname, val) {
       fields[fieldname] = val;
     });
 
     busboy.on('file', function (fieldname, file) {
-      if (fieldname === 'pdf') {
+      if (fieldname in files) {
         var chunks = [];
         file.on('data', function (chunk) {
           chunks.push(chunk);
         });
+        file.on('limit', function () {
+          reject(requestSigning.createBodyTooLargeError());
+        });
         file.on('end', function () {
-          pdfBuffer = Buffer.concat(chunks);
+          files[fieldname] = Buffer.concat(chunks);
         });
       } else {
         file.resume();
@@ -73,50 +137,62 @@ function parseMultipart(req) {
     });
 
     busboy.on('finish', function () {
-      resolve({ fields: fields, pdfBuffer: pdfBuffer });
+      resolve({ fields: fields, pdfBuffer: files.pdf, logoBuffer: files.logo });
     });
 
     busboy.on('error', function (err) {
       reject(err);
     });
 
-    req.pipe(busboy);
+    // Тело уже прочитано при проверке подписи запроса
+    if (req.rawBody) {
+      busboy.end(req.rawBody);
+    } else {
+      req.pipe(busboy);
+    }
   });
 }
 
-// ─── Парсинг raw JSON (fallback для обратной совместимости) ──────
+/**
+ * Тип изображения логотипа по сигнатуре файла.
+ * @returns {string|null} 'image/png', 'image/jpeg' или null
+ */
+function detectImageType(buffer) {
+  if (buffer.length > 8 && buffer.toString('hex', 0, 8) === '89504e470d0a1a0a') {
+    return 'image/png';
+  }
+  if (buffer.length > 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  return null;
+}
 
 /**
- * Читает raw body из req stream и парсит как JSON.
- * Используется когда bodyParser отключён, но запрос приходит как JSON.
+ * Список адресов из строки через запятую / точку с запятой или из массива.
+ * @returns {string[]}
  */
-function parseRawJson(req) {
-  return new Promise(function (resolve, reject) {
-    var chunks = [];
-    req.on('data', function (chunk) {
-      chunks.push(chunk);
-    });
-    req.on('end', function () {
-      try {
-        var raw = Buffer.concat(chunks).toString('utf-8');
-        resolve(JSON.parse(raw));
-      } catch (err) {
-        reject(new Error('Не удалось разобрать JSON: ' + err.message));
-      }
-    });
-    req.on('error', reject);
-  });
+function parseAddressList(value) {
+  var items = Array.isArray(value) ? value : String(value || '').split(/[,;]/);
+  return items.map(function (item) {
+    return String(item || '').trim();
+  }).filter(Boolean);
+}
+
+/** Запись в журнал отправок; ошибка журнала не должна ломать ответ — письмо уже ушло. */
+async function writeAuditEntry(entry, apiKey) {
+  try {
+    await auditLog.appendAuditEntry(entry, apiKey);
+  } catch (err) {
+    console.error('[SendInvoice] Не удалось записать журнал отправок:', err.message);
+  }
 }
 
 // ─── Основной обработчик ─────────────────────────────────────────
 
 async function handler(req, res) {
-  // CORS preflight
-  if (req.method === 'OPTIONS') {
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-API-Key');
-    return res.status(200).end();
+  // CORS: preflight и проверка источника запроса
+  if (http.handleCors(req, res, 'POST, OPTIONS')) {
+    return;
   }
 
   // Только POST
@@ -124,80 +200,117 @@ async function handler(req, res) {
     return res.status(405).json({ success: false, error: 'Method Not Allowed' });
   }
 
-  // CORS
-  res.setHeader('Access-Control-Allow-Origin', '*');
-
   try {
     // ─── Проверка API-ключа ──────────────────────────────────
 
-    var serverApiKey = process.env.API_KEY;
-
-    if (!serverApiKey) {
-      console.error('[SendInvoice] Переменная окружения API_KEY не задана');
-      return res.status(500).json({
-        success: false,
-        error: 'Сервер не настроен: отсутствует API_KEY'
-      });
-    }
-
-    var clientApiKey = req.headers['x-api-key'] || '';
-
-    if (clientApiKey !== serverApiKey) {
-      return res.status(401).json({
-        success: false,
-        error: 'Неверный API-ключ. Проверьте настройки расширения.'
-      });
-    }
-
-    // ─── Проверка SMTP-настроек ──────────────────────────────
-
-    var smtpEmail = process.env.SMTP_EMAIL;
-    var smtpPassword = process.env.SMTP_PASSWORD;
-
-    if (!smtpEmail || !smtpPassword) {
-      console.error('[SendInvoice] Переменные SMTP_EMAIL / SMTP_PASSWORD не заданы');
-      return res.status(500).json({
-        success: false,
-        error: 'Сервер не настроен: отсутствуют SMTP-данные'
-      });
+    // Роль проверяется после разбора тела: она зависит от типа документа
+    var apiKey = await http.authenticate(req, res, '[SendInvoice]');
+    if (!apiKey) {
+      return;
     }
 
     // ─── Разбор тела запроса (multipart или JSON) ────────────
 
-    var to, subject, text, pdfFilename, pdfBuffer;
+    var to, cc, bcc, subject, text, html, pdfFilename, pdfBuffer, logoBuffer, senderProfile, senderName;
+    var documentType, bookingNumber;
+    var idempotencyKey = req.headers['idempotency-key'] || '';
+    var idempotency = null;
+    var idempotencyStoreKey = null;
+    var auditEntry = null;
+    var limitCheck = null;
+    var mailSent = false;
     var contentType = req.headers['content-type'] || '';
 
     if (contentType.includes('multipart/form-data')) {
       // Новый формат: multipart/form-data с бинарным PDF
       var parsed = await parseMultipart(req);
       to = parsed.fields.to;
+      cc = parsed.fields.cc;
+      bcc = parsed.fields.bcc;
       subject = parsed.fields.subject;
       text = parsed.fields.text;
+      html = parsed.fields.html;
       pdfFilename = parsed.fields.pdfFilename;
+      senderProfile = parsed.fields.senderProfile;
+      senderName = parsed.fields.senderName;
+      documentType = parsed.fields.documentType;
+      bookingNumber = parsed.fields.bookingNumber;
       pdfBuffer = parsed.pdfBuffer;
+      logoBuffer = parsed.logoBuffer;
 
       console.log('[SendInvoice] Получен multipart-запрос, PDF размер:',
         pdfBuffer ? pdfBuffer.length + ' байт' : 'отсутствует');
     } else {
       // Legacy формат: JSON с base64-кодированным PDF
-      var body = req.body || await parseRawJson(req);
+      var body = req.body || await http.parseRawJson(req);
       to = body.to;
+      cc = body.cc;
+      bcc = body.bcc;
       subject = body.subject;
       text = body.text;
+      html = body.html;
       pdfFilename = body.pdfFilename;
+      senderProfile = body.senderProfile;
+      senderName = body.senderName;
+      documentType = body.documentType;
+      bookingNumber = body.bookingNumber;
 
       if (body.pdfBase64) {
         pdfBuffer = Buffer.from(body.pdfBase64, 'base64');
       }
+      if (body.logoBase64) {
+        logoBuffer = Buffer.from(body.logoBase64, 'base64');
+      }
 
       console.log('[SendInvoice] Получен JSON-запрос, PDF размер:',
         pdfBuffer ? pdfBuffer.length + ' байт' : 'отсутствует');
     }
 
+    // ─── Права ключа на тип документа ───────────────────────
+
+    documentType = documentType || 'invoice';
+    if (DOCUMENT_TYPES.indexOf(documentType) === -1) {
+      return res.status(400).json({
+        success: false,
+        error: 'Некорректный documentType: ' + documentType + ' (invoice или voucher)'
+      });
+    }
+    if (!apiKeys.hasRole(apiKey, documentType)) {
+      console.warn('[SendInvoice] У ключа «' + apiKey.name + '» нет роли ' + documentType);
+      return res.status(403).json({
+        success: false,
+        error: 'API-ключ «' + apiKey.name + '» не даёт права отправлять ' +
+          (documentType === 'voucher' ? 'подтверждения бронирования' : 'счета')
+      });
+    }
+
+    // ─── Проверка SMTP-настроек ──────────────────────────────
+
+    var sender = mailTransport.resolveSender(senderProfile, senderName);
+    var transportConfig = sender ? mailTransport.resolveTransportConfig(sender.transport) : null;
+
+    if (!sender || (transportConfig.requiresAuth && !sender.password)) {
+      console.error('[SendInvoice] SMTP-данные не заданы' +
+        (senderProfile ? ' для профиля ' + senderProfile : ' (SMTP_EMAIL / SMTP_PASSWORD)'));
+      return res.status(500).json({
+        success: false,
+        error: 'Сервер не настроен: отсутствуют SMTP-данные'
+      });
+    }
+
+    var smtpEmail = sender.email;
+    var smtpPassword = sender.password;
+
     // ─── Валидация полей ─────────────────────────────────────
 
+    var recipients = {
+      to: parseAddressList(to),
+      cc: parseAddressList(cc),
+      bcc: parseAddressList(bcc)
+    };
+
     var missingFields = [];
-    if (!to) missingFields.push('to');
+    if (recipients.to.length === 0) missingFields.push('to');
     if (!subject) missingFields.push('subject');
     if (!text) missingFields.push('text');
     if (!pdfFilename) missingFields.push('pdfFilename');
@@ -210,11 +323,29 @@ async function handler(req, res) {
       });
     }
 
-    // Валидация email
-    if (!/^[\w.+-]+@[\w-]+\.[\w.]+$/.test(to)) {
+    // Валидация адресов
+    var allRecipients = recipients.to.concat(recipients.cc, recipients.bcc);
+    var invalidRecipients = allRecipients.filter(function (address) {
+      return !EMAIL_PATTERN.test(address);
+    });
+    if (invalidRecipients.length > 0) {
       return res.status(400).json({
         success: false,
-        error: 'Некорректный email получателя: ' + to
+        error: 'Некорректный email получателя: ' + invalidRecipients.join(', ')
+      });
+    }
+    var deniedRecipients = rateLimit.findDeniedRecipients(allRecipients);
+    if (deniedRecipients.length > 0) {
+      console.warn('[SendInvoice] Запрещённый домен получателя:', deniedRecipients.join(', '), '— ключ', apiKey.name);
+      return res.status(403).json({
+        success: false,
+        error: 'Отправка на эти адреса запрещена на сервере: ' + deniedRecipients.join(', ')
+      });
+    }
+    if (allRecipients.length > MAX_RECIPIENTS) {
+      return res.status(400).json({
+        success: false,
+        error: 'Слишком много получателей: ' + allRecipients.length + ' (не больше ' + MAX_RECIPIENTS + ')'
       });
     }
 
@@ -226,27 +357,87 @@ async function handler(req, res) {
       });
     }
 
-    // ─── Отправка через Яндекс SMTP ─────────────────────────
+    if (idempotencyKey && !IDEMPOTENCY_KEY_PATTERN.test(idempotencyKey)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Некорректный Idempotency-Key: 8–128 символов, латиница, цифры и «-_.:»'
+      });
+    }
 
-    var transporter = nodemailer.createTransport({
-      host: 'smtp.yandex.ru',
-      port: 465,
-      secure: true,
-      auth: {
-        user: smtpEmail,
-        pass: smtpPassword
-      },
-      connectionTimeout: 15000,
-      greetingTimeout: 15000,
-      socketTimeout: 15000
+    // Логотип нужен только HTML-версии, которая на него ссылается
+    var logoType = null;
+    if (html && logoBuffer && logoBuffer.length > 0 && html.indexOf('cid:' + LOGO_CID) !== -1) {
+      logoType = detectImageType(logoBuffer);
+      if (!logoType) {
+        return res.status(400).json({
+          success: false,
+          error: 'Логотип должен быть изображением PNG или JPEG'
+        });
+      }
+    }
+
+    // ─── Идемпотентность ────────────────────────────────────
+    // PDF в отпечаток не входит: при повторе он формируется заново и отличается датой создания
+
+    if (idempotencyKey) {
+      idempotency = idempotencyStore.getIdempotencyStore();
+      idempotencyStoreKey = apiKey.id + ':' + idempotencyKey;
+      var fingerprint = crypto.createHash('sha256')
+        .update(JSON.stringify([recipients, subject, text, pdfFilename]))
+        .digest('hex');
+      var reserved = await idempotency.reserve(idempotencyStoreKey, fingerprint);
+
+      if (reserved.status === 'done') {
+        console.log('[SendInvoice] Повтор по Idempotency-Key, письмо не отправляется:', idempotencyKey);
+        res.setHeader('Idempotent-Replayed', 'true');
+        return res.status(200).json(Object.assign({}, reserved.response, { replayed: true }));
+      }
+      if (reserved.status === 'pending') {
+        return res.status(409).json({
+          success: false,
+          error: 'Письмо с этим Idempotency-Key уже отправляется'
+        });
+      }
+      if (reserved.status === 'mismatch') {
+        return res.status(422).json({
+          success: false,
+          error: 'Idempotency-Key уже использован для другого письма'
+        });
+      }
+    }
+
+    // ─── Лимиты отправки ────────────────────────────────────
+    // После идемпотентности: повтор уже отправленного письма лимит не расходует.
+    // Скрытые копии — ящик отеля, он в каждом письме: лимит на адрес только для to/cc
+
+    var limitedRecipients = recipients.to.concat(recipients.cc);
+    limitCheck = await rateLimit.checkSendLimits(apiKey.id, limitedRecipients);
+    if (!limitCheck.allowed) {
+      if (idempotency) {
+        await idempotency.release(idempotencyStoreKey);
+      }
+      console.warn('[SendInvoice] Лимит отправки, ключ ' + apiKey.name + ':', limitCheck.error);
+      res.setHeader('Retry-After', String(limitCheck.retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: limitCheck.error + '. Повторите ' + rateLimit.formatRetryAfter(limitCheck.retryAfter) + '.',
+        retryAfter: limitCheck.retryAfter
+      });
+    }
+
+    // ─── Отправка ───────────────────────────────────────────
+
+    var transport = mailTransport.createMailTransport(transportConfig, {
+      user: smtpEmail,
+      pass: smtpPassword
     });
 
     var mailOptions = {
       from: {
-        name: 'ГРК Альбатрос',
+        name: sender.name,
         address: smtpEmail
       },
-      to: to,
+      to: recipients.to,
       subject: subject,
       text: text,
       attachments: [
@@ -258,74 +449,132 @@ async function handler(req, res) {
       ]
     };
 
-    var info = await transporter.sendMail(mailOptions);
+    if (recipients.cc.length > 0) {
+      mailOptions.cc = recipients.cc;
+    }
+    if (recipients.bcc.length > 0) {
+      mailOptions.bcc = recipients.bcc;
+    }
+    if (html) {
+      mailOptions.html = html;
+    }
+    if (logoType) {
+      mailOptions.attachments.push({
+        filename: logoType === 'image/png' ? 'logo.png' : 'logo.jpg',
+        content: logoBuffer,
+        contentType: logoType,
+        cid: LOGO_CID
+      });
+    }
+
+    auditEntry = {
+      action: 'send',
+      documentType: documentType,
+      bookingNumber: bookingNumber || null,
+      to: recipients.to.join(', '),
+      cc: recipients.cc.join(', '),
+      bcc: recipients.bcc.join(', '),
+      subject: subject,
+      pdfFilename: pdfFilename
+    };
 
-    console.log('[SendInvoice] Email отправлен:', info.messageId, '→', to);
+    var info = await transport.sendMail(mailOptions);
+    mailSent = true;
 
-    // ─── Сохранение в «Отправленные» через IMAP ────────────
-    // Best-effort: если IMAP-сохранение не удалось, письмо уже отправлено
-    var imapSaved = false;
+    console.log('[SendInvoice] Email отправлен через', transport.description + ':', info.messageId,
+      '→', allRecipients.join(', '));
 
-    try {
-      var mail = new MailComposer(mailOptions);
-      var rawMessage = await mail.compile().build();
-
-      var imapClient = new ImapFlow({
-        host: 'imap.yandex.ru',
-        port: 993,
-        secure: true,
-        auth: {
-          user: smtpEmail,
-          pass: smtpPassword
-        },
-        logger: false
-      });
 
-      await imapClient.connect();
+    // ─── Сохранение в «Отправленные» ───────────────────────
+    // Best-effort: если сохранение копии не удалось, письмо уже отправлено
+    var imapSaved = false;
 
-      // Определяем папку «Отправленные» по IMAP special-use атрибуту
-      var sentFolder = 'Sent';
+    if (transport.saveToSent) {
       try {
-        var folders = await imapClient.list();
-        for (var folder of folders) {
-          if (folder.specialUse === '\\Sent') {
-            sentFolder = folder.path;
-            break;
-          }
-        }
-      } catch (listErr) {
-        console.warn('[SendInvoice] Не удалось получить список папок IMAP, используем "Sent":', listErr.message);
+        var sentFolder = await transport.saveToSent(mailOptions);
+        imapSaved = true;
+        console.log('[SendInvoice] Письмо сохранено в папку "' + sentFolder + '"');
+      } catch (imapError) {
+        console.error('[SendInvoice] Не удалось сохранить в "Отправленные":', imapError.message);
       }
+    }
 
-      await imapClient.append(sentFolder, rawMessage, ['\\Seen']);
-      await imapClient.logout();
-
-      imapSaved = true;
-      console.log('[SendInvoice] Письмо сохранено в папку "' + sentFolder + '" через IMAP');
-    } catch (imapError) {
-      console.error('[SendInvoice] Не удалось сохранить в "Отправленные" через IMAP:', imapError.message);
+    // ─── Учёт для статуса доставки ─────────────────────────
+    // Best-effort: возвраты по письму ищет /api/delivery-status
+    try {
+      await deliveryStatus.recordSentMessage({
+        messageId: info.messageId,
+        senderProfile: senderProfile || '',
+        recipients: allRecipients
+      });
+    } catch (deliveryError) {
+      console.error('[SendInvoice] Не удалось запомнить письмо для статуса доставки:', deliveryError.message);
     }
 
-    return res.status(200).json({
+    var result = {
       success: true,
       messageId: info.messageId,
       imapSaved: imapSaved
-    });
+    };
+
+    await writeAuditEntry(Object.assign(auditEntry, {
+      status: 'sent',
+      messageId: info.messageId,
+      imapSaved: imapSaved
+    }), apiKey);
+
+    if (idempotency) {
+      try {
+        await idempotency.complete(idempotencyStoreKey, result);
+      } catch (storeError) {
+        // Ключ остаётся pending: повтор получит 409, а не второе письмо (пока не истёк срок pending)
+        console.error('[SendInvoice] Не удалось сохранить Idempotency-Key:', storeError.message);
+      }
+    }
+
+    return res.status(200).json(result);
 
   } catch (error) {
     console.error('[SendInvoice] Ошибка:', error);
 
+    // Письмо не отправлено — повтор с тем же ключом должен отправить его.
+    // Если письмо уже ушло, ключ не освобождаем: повтор отправил бы его второй раз
+    if (idempotency && !mailSent) {
+      try {
+        await idempotency.release(idempotencyStoreKey);
+      } catch (storeError) {
+        console.error('[SendInvoice] Не удалось освободить Idempotency-Key:', storeError.message);
+      }
+    } else if (idempotency) {
+      console.error('[SendInvoice] Письмо отправлено, Idempotency-Key остаётся занятым:', idempotencyKey);
+    }
+
+    // Место в лимитах занято при проверке — письмо не ушло, возвращаем его
+    if (limitCheck && limitCheck.allowed && !mailSent) {
+      try {
+        await rateLimit.releaseSend(apiKey.id, limitedRecipients, limitCheck.reservedAt);
+      } catch (limitError) {
+        console.error('[SendInvoice] Не удалось освободить место в лимитах:', limitError.message);
+      }
+    }
+
     var errorMessage = error.message || 'Неизвестная ошибка';
+    var statusCode = error.statusCode || 500;
 
     if (error.code === 'EAUTH') {
       errorMessage = 'Ошибка авторизации SMTP. Проверьте настройки SMTP_EMAIL и SMTP_PASSWORD на сервере.';
     } else if (error.code === 'ESOCKET' || error.code === 'ECONNECTION') {
-      errorMessage = 'Не удалось подключиться к Яндекс SMTP серверу.';
+      errorMessage = 'Не удалось подключиться к SMTP-серверу' +
+        (transportConfig && transportConfig.smtp ? ' ' + transportConfig.smtp.host : '') + '.';
     } else if (error.code === 'EENVELOPE') {
       errorMessage = 'Некорректный адрес получателя.';
     }
 
-    return res.status(500).json({
+    if (auditEntry) {
+      await writeAuditEntry(Object.assign(auditEntry, { status: 'failed', error: errorMessage }), apiKey);
+    }
+
+    return res.status(statusCode).json({
       success: false,
       error: errorMessage
     });
@@ -0,0 +1,236 @@
+/**
+ * Именные API-ключи сотрудников с ролями и отзывом.
+ *
+ * Роли:
+ *   invoice — отправка счетов на предоплату (и зеркало реестра счетов);
+ *   voucher — отправка подтверждений бронирования;
+ *   admin   — всё перечисленное, управление ключами и журнал отправок.
+ *
+ * Источники ключей:
+ *   1. Хранилище — документ «api-keys» в json-file-store (DATA_DIR). Ключи создаются
+ *      и отзываются через /api/api-keys; хранится только SHA-256 ключа, сам ключ
+ *      показывается один раз при создании. Отозванный ключ остаётся в списке.
+ *   2. API_KEYS — статические ключи из окружения (для Vercel, где DATA_DIR не
+ *      сохраняется), JSON: [ { "name": "Иванова", "key": "...", "roles": ["invoice"] } ].
+ *      Отзыв — удаление записи из переменной.
+ *   3. API_KEY — общий ключ из прежних версий, роль admin (владелец «API_KEY»).
+ *      Нужен, чтобы создать первые именные ключи; затем его можно убрать.
+ *
+ * Запись ключа: { id, name, roles, hash, prefix, createdAt, createdBy, revokedAt, revokedBy }
+ *   prefix — первые символы ключа, чтобы сотрудник узнал свой ключ в списке
+ *            (у ключей из окружения не показывается — их выбирает администратор).
+ */
+
+var crypto = require('crypto');
+var store = require('./json-file-store');
+var requestSigning = require('./request-signing');
+
+var API_KEYS_DOCUMENT = 'api-keys';
+var API_KEY_ROLES = ['invoice', 'voucher', 'admin'];
+var API_KEY_PREFIX_LENGTH = 8;
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+function emptyKeyStore() {
+  return { keys: [] };
+}
+
+/** Ключ без хеша — для ответов API и журнала. */
+function publicKeyInfo(record) {
+  return {
+    id: record.id,
+    name: record.name,
+    roles: record.roles,
+    prefix: record.prefix || '',
+    createdAt: record.createdAt || null,
+    createdBy: record.createdBy || null,
+    revokedAt: record.revokedAt || null,
+    revokedBy: record.revokedBy || null,
+    source: record.source || 'store'
+  };
+}
+
+/**
+ * Статические ключи из API_KEYS и API_KEY.
+ * @returns {Array} записи с hash
+ * @throws {Error} если API_KEYS не разбирается
+ */
+function getEnvKeys() {
+  var keys = [];
+
+  if (process.env.API_KEYS) {
+    var parsed;
+    try {
+      parsed = JSON.parse(process.env.API_KEYS);
+    } catch (err) {
+      throw new Error('Сервер не настроен: API_KEYS не является корректным JSON');
+    }
+    (Array.isArray(parsed) ? parsed : []).forEach(function (entry, index) {
+      if (!entry || !entry.key) {
+        return;
+      }
+      keys.push({
+        id: 'env-' + (index + 1),
+        name: entry.name || 'API_KEYS #' + (index + 1),
+        roles: normalizeRoles(entry.roles),
+        hash: hashKey(entry.key),
+        prefix: '',
+        source: 'env'
+      });
+    });
+  }
+
+  if (process.env.API_KEY) {
+    keys.push({
+      id: 'env',
+      name: 'API_KEY',
+      roles: ['admin'],
+      hash: hashKey(process.env.API_KEY),
+      prefix: '',
+      source: 'env'
+    });
+  }
+
+  return keys;
+}
+
+/** Оставляет только известные роли; без ролей — пустой список. */
+function normalizeRoles(roles) {
+  var list = Array.isArray(roles) ? roles : String(roles || '').split(/[,\s]+/);
+  var result = [];
+  list.forEach(function (role) {
+    role = String(role || '').trim();
+    if (API_KEY_ROLES.indexOf(role) !== -1 && result.indexOf(role) === -1) {
+      result.push(role);
+    }
+  });
+  return result;
+}
+
+/** Есть ли у ключа роль (admin разрешено всё). */
+function hasRole(keyInfo, role) {
+  return !role || keyInfo.roles.indexOf('admin') !== -1 || keyInfo.roles.indexOf(role) !== -1;
+}
+
+// ─── Проверка ключа ─────────────────────────────────────────────
+
+/**
+ * Находит действующий ключ.
+ * @param {string} key — значение заголовка X-API-Key
+ * @returns {Promise<{ configured: boolean, key: Object|null }>}
+ *   configured = false — на сервере нет ни одного ключа;
+ *   key — publicKeyInfo() найденного неотозванного ключа
+ */
+async function findApiKey(key) {
+  var envKeys = getEnvKeys();
+  var stored = (await store.readDocument(API_KEYS_DOCUMENT, emptyKeyStore())).keys;
+  var configured = envKeys.length > 0 || stored.some(function (record) {
+    return !record.revokedAt;
+  });
+
+  if (!key) {
+    return { configured: configured, key: null };
+  }
+
+  // Сравниваем со всеми ключами за постоянное время, без досрочного выхода
+  var hash = hashKey(key);
+  var found = null;
+  envKeys.concat(stored).forEach(function (record) {
+    if (requestSigning.safeEqual(record.hash, hash) && !record.revokedAt && !found) {
+      found = record;
+    }
+  });
+  return { configured: configured, key: found ? publicKeyInfo(found) : null };
+}
+
+// ─── Управление ключами ─────────────────────────────────────────
+
+/** Все ключи (из окружения и хранилища) без хешей. */
+async function listApiKeys() {
+  var stored = (await store.readDocument(API_KEYS_DOCUMENT, emptyKeyStore())).keys;
+  return getEnvKeys().concat(stored).map(publicKeyInfo);
+}
+
+/**
+ * Создаёт именной ключ.
+ * @param {{ name: string, roles: Array|string }} params
+ * @param {Object} createdBy — ключ администратора (publicKeyInfo)
+ * @returns {Promise<{ key: string, record: Object }>} key — показывается один раз
+ * @throws {Error} statusCode 400 — нет имени или ролей
+ */
+async function createApiKey(params, createdBy) {
+  var name = String((params && params.name) || '').trim();
+  var roles = normalizeRoles(params && params.roles);
+  if (!name) {
+    throw badRequest('Укажите имя владельца ключа (name)');
+  }
+  if (roles.length === 0) {
+    throw badRequest('Укажите роли ключа (roles): ' + API_KEY_ROLES.join(', '));
+  }
+
+  var key = 'kh_' + crypto.randomBytes(24).toString('base64url');
+  var record = {
+    id: crypto.randomBytes(6).toString('hex'),
+    name: name,
+    roles: roles,
+    hash: hashKey(key),
+    prefix: key.slice(0, API_KEY_PREFIX_LENGTH),
+    createdAt: new Date().toISOString(),
+    createdBy: createdBy ? createdBy.name : null,
+    revokedAt: null,
+    revokedBy: null
+  };
+
+  await store.updateDocument(API_KEYS_DOCUMENT, emptyKeyStore(), function (data) {
+    data.keys.push(record);
+  });
+  return { key: key, record: publicKeyInfo(record) };
+}
+
+/**
+ * Отзывает ключ из хранилища.
+ * @returns {Promise<Object>} publicKeyInfo отозванного ключа
+ * @throws {Error} statusCode 404 — ключ не найден; 400 — ключ из окружения
+ */
+async function revokeApiKey(id, revokedBy) {
+  if (getEnvKeys().some(function (record) { return record.id === id; })) {
+    throw badRequest('Ключ задан в переменных окружения — удалите его там');
+  }
+
+  var revoked = null;
+  await store.updateDocument(API_KEYS_DOCUMENT, emptyKeyStore(), function (data) {
+    data.keys.forEach(function (record) {
+      if (record.id === id) {
+        if (!record.revokedAt) {
+          record.revokedAt = new Date().toISOString();
+          record.revokedBy = revokedBy ? revokedBy.name : null;
+        }
+        revoked = record;
+      }
+    });
+  });
+
+  if (!revoked) {
+    var notFound = new Error('Ключ не найден: ' + id);
+    notFound.statusCode = 404;
+    throw notFound;
+  }
+  return publicKeyInfo(revoked);
+}
+
+function badRequest(message) {
+  var error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+module.exports = {
+  API_KEY_ROLES: API_KEY_ROLES,
+  findApiKey: findApiKey,
+  hasRole: hasRole,
+  listApiKeys: listApiKeys,
+  createApiKey: createApiKey,
+  revokeApiKey: revokeApiKey
+};
@@ -0,0 +1,111 @@
+/**
+ * Журнал отправок и действий с ключами (только дописывается).
+ *
+ * Файл DATA_DIR/audit-log.jsonl — одна JSON-запись на строку, записи не
+ * изменяются и не удаляются (ротация — средствами ОС, например logrotate
+ * с copytruncate). Запись:
+ *   { time, action, keyId, keyName, ... }
+ *   action 'send'       — documentType, bookingNumber, to, cc, bcc, subject, pdfFilename,
+ *                         status: 'sent' | 'failed', messageId, imapSaved, error;
+ *   action 'key.create' / 'key.revoke' — targetKeyId, targetKeyName, roles.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var store = require('./json-file-store');
+
+var AUDIT_LOG_FILE = 'audit-log.jsonl';
+var AUDIT_QUERY_DEFAULT_LIMIT = 100;
+var AUDIT_QUERY_MAX_LIMIT = 1000;
+
+// Записи внутри процесса дописываются по очереди, чтобы строки не перемешивались
+var auditQueue = Promise.resolve();
+
+function getAuditLogPath() {
+  return path.join(store.getDataDir(), AUDIT_LOG_FILE);
+}
+
+/**
+ * Дописывает запись в журнал.
+ * @param {Object} entry — поля записи (time и ключ добавляются здесь)
+ * @param {Object} [keyInfo] — ключ, от имени которого выполнено действие
+ * @returns {Promise<void>}
+ */
+function appendAuditEntry(entry, keyInfo) {
+  var record = Object.assign({
+    time: new Date().toISOString(),
+    keyId: keyInfo ? keyInfo.id : null,
+    keyName: keyInfo ? keyInfo.name : null
+  }, entry);
+
+  var result = auditQueue.then(function () {
+    return fs.promises.appendFile(getAuditLogPath(), JSON.stringify(record) + '\n', 'utf-8');
+  });
+  auditQueue = result.catch(function () {});
+  return result;
+}
+
+/**
+ * Записи журнала по фильтру, новые первыми.
+ * @param {Object} [filter]
+ * @param {string} [filter.from] — ISO-дата/время, не раньше
+ * @param {string} [filter.to] — ISO-дата/время, не позже (дата без времени — включая весь день)
+ * @param {string} [filter.action] — 'send', 'key.create', 'key.revoke'
+ * @param {string} [filter.keyId]
+ * @param {string} [filter.bookingNumber]
+ * @param {string} [filter.recipient] — подстрока адреса в to / cc / bcc
+ * @param {number} [filter.limit] — по умолчанию 100, не больше 1000
+ * @returns {Promise<{ total: number, entries: Array }>} total — сколько записей подошло
+ */
+async function queryAuditLog(filter) {
+  filter = filter || {};
+  var raw;
+  try {
+    raw = await fs.promises.readFile(getAuditLogPath(), 'utf-8');
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return { total: 0, entries: [] };
+    }
+    throw err;
+  }
+
+  var to = filter.to && /^\d{4}-\d{2}-\d{2}$/.test(filter.to) ? filter.to + 'T23:59:59.999Z' : filter.to;
+  var recipient = String(filter.recipient || '').toLowerCase();
+
+  var matched = [];
+  raw.split('\n').forEach(function (line) {
+    if (!line.trim()) {
+      return;
+    }
+    var entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (err) {
+      return; // недописанная строка при аварийном завершении
+    }
+    if ((filter.from && entry.time < filter.from) ||
+        (to && entry.time > to) ||
+        (filter.action && entry.action !== filter.action) ||
+        (filter.keyId && entry.keyId !== filter.keyId) ||
+        (filter.bookingNumber && entry.bookingNumber !== filter.bookingNumber)) {
+      return;
+    }
+    if (recipient && [entry.to, entry.cc, entry.bcc].join(',').toLowerCase().indexOf(recipient) === -1) {
+      return;
+    }
+    matched.push(entry);
+  });
+
+  var limit = parseInt(filter.limit, 10) || AUDIT_QUERY_DEFAULT_LIMIT;
+  limit = Math.min(Math.max(limit, 1), AUDIT_QUERY_MAX_LIMIT);
+
+  return {
+    total: matched.length,
+    entries: matched.reverse().slice(0, limit)
+  };
+}
+
+module.exports = {
+  appendAuditEntry: appendAuditEntry,
+  queryAuditLog: queryAuditLog
+};
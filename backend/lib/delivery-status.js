@@ -0,0 +1,278 @@
+/**
+ * Статус доставки отправленных писем: возвраты (bounce) и отчёты о доставке (DSN).
+ *
+ * SMTP-сервер принимает письмо сразу, а о недоставке сообщает позже — письмом
+ * от MAILER-DAEMON во входящие отправителя. Поэтому после отправки messageId
+ * запоминается, а при запросе статусов backend просматривает по IMAP папку
+ * «Входящие» ящиков отправителей и ищет отчёты, в которых упомянут наш messageId.
+ *
+ * Статусы:
+ *   sent      — отправлено, отчётов пока нет (для расширения — «неизвестно»);
+ *   delayed   — сервер получателя временно не принимает письмо, попытки продолжаются;
+ *   bounced   — возврат: письмо не доставлено (reason — код и текст ошибки сервера);
+ *   delivered — отчёт о доставке или за DELIVERY_BOUNCE_WINDOW_HOURS (по умолчанию 48)
+ *               после отправки не пришло возврата (assumed: true).
+ *
+ * Хранение: документ «delivery-status» в json-file-store (DATA_DIR):
+ *   { messages: { <messageId>: { status, senderProfile, recipients, sentAt, updatedAt,
+ *                                reason, bounces: [ { recipient, reason } ], assumed } },
+ *     lastPollAt }
+ * Записи старше 30 дней удаляются.
+ *
+ * Почта просматривается не чаще раза в BOUNCE_POLL_INTERVAL_MINUTES (по умолчанию 5),
+ * только у отправителей, по письмам которых ещё ждём итог. Ящики без IMAP
+ * (MAIL_TRANSPORT=file, smtp без IMAP_HOST) не проверяются. BOUNCE_TRACKING=false
+ * выключает просмотр почты (статусы останутся «sent» до окна возвратов).
+ */
+
+var store = require('./json-file-store');
+var mailTransport = require('./mail-transport');
+
+var DELIVERY_DOCUMENT = 'delivery-status';
+var DELIVERY_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+var DEFAULT_BOUNCE_WINDOW_HOURS = 48;
+var DEFAULT_POLL_INTERVAL_MINUTES = 5;
+
+// Возвраты приходят от служебных адресов почтовых серверов
+var BOUNCE_SENDERS = ['mailer-daemon', 'postmaster'];
+
+// Один просмотр почты за раз: параллельные запросы статусов ждут его
+var pollInProgress = null;
+
+function emptyDeliveryStore() {
+  return { messages: {}, lastPollAt: null };
+}
+
+function readPositiveNumber(envName, defaultValue) {
+  var value = parseFloat(process.env[envName]);
+  return value > 0 ? value : defaultValue;
+}
+
+/**
+ * Запоминает отправленное письмо.
+ * @param {{ messageId: string, senderProfile: string, recipients: string[] }} message
+ * @returns {Promise<void>}
+ */
+function recordSentMessage(message) {
+  var now = new Date().toISOString();
+  return store.updateDocument(DELIVERY_DOCUMENT, emptyDeliveryStore(), function (data) {
+    data.messages[message.messageId] = {
+      status: 'sent',
+      senderProfile: message.senderProfile || '',
+      recipients: message.recipients,
+      sentAt: now,
+      updatedAt: now,
+      reason: '',
+      bounces: [],
+      assumed: false
+    };
+  }).then(function () {});
+}
+
+/**
+ * Статусы писем; при необходимости сначала просматривает почту.
+ * @param {string[]} messageIds
+ * @returns {Promise<Object>} { <messageId>: { status, reason, bounces, sentAt, updatedAt, assumed } };
+ *   письма, о которых backend не знает, — status 'unknown'
+ */
+async function getDeliveryStatuses(messageIds) {
+  await pollBouncesThrottled();
+
+  var data = await store.readDocument(DELIVERY_DOCUMENT, emptyDeliveryStore());
+  var result = {};
+  messageIds.forEach(function (messageId) {
+    var record = data.messages[messageId];
+    result[messageId] = record ? {
+      status: record.status,
+      reason: record.reason,
+      bounces: record.bounces,
+      sentAt: record.sentAt,
+      updatedAt: record.updatedAt,
+      assumed: record.assumed
+    } : { status: 'unknown' };
+  });
+  return result;
+}
+
+// ─── Просмотр почты ─────────────────────────────────────────────
+
+function pollBouncesThrottled() {
+  if (pollInProgress) {
+    return pollInProgress;
+  }
+  pollInProgress = pollBounces()
+    .catch(function (error) {
+      console.error('[DeliveryStatus] Не удалось проверить возвраты:', error.message);
+    })
+    .then(function () {
+      pollInProgress = null;
+    });
+  return pollInProgress;
+}
+
+async function pollBounces() {
+  var data = await store.readDocument(DELIVERY_DOCUMENT, emptyDeliveryStore());
+  var intervalMs = readPositiveNumber('BOUNCE_POLL_INTERVAL_MINUTES', DEFAULT_POLL_INTERVAL_MINUTES) * 60 * 1000;
+  if (data.lastPollAt && Date.now() - new Date(data.lastPollAt).getTime() < intervalMs) {
+    return;
+  }
+
+  // Письма, по которым ждём итог, — по ящикам отправителей
+  var pendingBySender = {};
+  Object.keys(data.messages).forEach(function (messageId) {
+    var record = data.messages[messageId];
+    if (record.status === 'sent' || record.status === 'delayed') {
+      (pendingBySender[record.senderProfile] = pendingBySender[record.senderProfile] || []).push(messageId);
+    }
+  });
+
+  var reports = [];
+  if (process.env.BOUNCE_TRACKING !== 'false') {
+    for (var senderProfile in pendingBySender) {
+      var oldestSentAt = pendingBySender[senderProfile].reduce(function (oldest, messageId) {
+        var sentAt = data.messages[messageId].sentAt;
+        return sentAt < oldest ? sentAt : oldest;
+      }, new Date().toISOString());
+      try {
+        reports = reports.concat(await fetchBounceReports(senderProfile, pendingBySender[senderProfile], oldestSentAt));
+      } catch (error) {
+        console.error('[DeliveryStatus] Ящик ' + (senderProfile || 'SMTP_EMAIL') + ':', error.message);
+      }
+    }
+  }
+
+  await store.updateDocument(DELIVERY_DOCUMENT, emptyDeliveryStore(), function (current) {
+    applyDeliveryReports(current, reports);
+    current.lastPollAt = new Date().toISOString();
+  });
+}
+
+/**
+ * Отчёты о доставке из «Входящих» ящика отправителя.
+ * @returns {Promise<Array>} [{ messageId, status, recipient, reason }]
+ */
+async function fetchBounceReports(senderProfile, messageIds, sinceIso) {
+  var sender = mailTransport.resolveSender(senderProfile);
+  if (!sender) {
+    return [];
+  }
+  var config = mailTransport.resolveTransportConfig(sender.transport);
+  if (!config.imap || !sender.password) {
+    return [];
+  }
+
+  var client = await mailTransport.connectImap(config.imap, { user: sender.email, pass: sender.password });
+  var reports = [];
+  try {
+    var lock = await client.getMailboxLock('INBOX');
+    try {
+      // IMAP SINCE — с точностью до дня; берём с запасом на разницу часовых поясов
+      var since = new Date(new Date(sinceIso).getTime() - 24 * 60 * 60 * 1000);
+      var uids = await client.search({
+        since: since,
+        or: BOUNCE_SENDERS.map(function (from) {
+          return { from: from };
+        })
+      }, { uid: true });
+
+      if (uids && uids.length > 0) {
+        for await (var message of client.fetch(uids, { source: true }, { uid: true })) {
+          reports = reports.concat(parseDeliveryReport(message.source.toString('latin1'), messageIds));
+        }
+      }
+    } finally {
+      lock.release();
+    }
+  } finally {
+    await client.logout();
+  }
+  return reports;
+}
+
+/**
+ * Разбирает письмо-отчёт: какие из наших писем в нём упомянуты и что с ними.
+ * В отчёте (multipart/report) есть часть message/delivery-status с полями
+ * Action / Status / Diagnostic-Code и заголовки исходного письма с Message-ID.
+ * @param {string} source — исходный текст письма
+ * @param {string[]} messageIds — письма, по которым ждём итог
+ * @returns {Array} [{ messageId, status, recipient, reason }]
+ */
+function parseDeliveryReport(source, messageIds) {
+  var mentioned = messageIds.filter(function (messageId) {
+    return source.indexOf(messageId) !== -1;
+  });
+  if (mentioned.length === 0) {
+    return [];
+  }
+
+  var action = (source.match(/^Action:\s*(\w+)/im) || [])[1] || '';
+  var statusCode = (source.match(/^Status:\s*(\d\.\d{1,3}\.\d{1,3})/im) || [])[1] || '';
+  var diagnostic = (source.match(/^Diagnostic-Code:\s*(?:[\w-]+;\s*)?([^\r\n]*(?:\r?\n[ \t][^\r\n]*)*)/im) || [])[1] || '';
+  var recipient = (source.match(/^(?:Final|Original)-Recipient:\s*(?:rfc822;\s*)?([^\s\r\n]+)/im) || [])[1] || '';
+
+  var status = 'bounced';
+  action = action.toLowerCase();
+  if (action === 'delayed' || statusCode.charAt(0) === '4') {
+    status = 'delayed';
+  } else if (action === 'delivered' || action === 'relayed' || action === 'expanded') {
+    status = 'delivered';
+  }
+
+  var reason = [statusCode, diagnostic.replace(/\s+/g, ' ').trim()].filter(Boolean).join(' ') ||
+    'Письмо не доставлено';
+
+  return mentioned.map(function (messageId) {
+    return {
+      messageId: messageId,
+      status: status,
+      recipient: recipient,
+      reason: status === 'delivered' ? '' : reason.slice(0, 300)
+    };
+  });
+}
+
+/**
+ * Обновляет записи по отчётам и окну возвратов, удаляет старые записи.
+ * Возврат важнее отчёта о доставке: письмо многим получателям могло дойти не до всех.
+ */
+function applyDeliveryReports(data, reports) {
+  var now = Date.now();
+  var nowIso = new Date(now).toISOString();
+
+  reports.forEach(function (report) {
+    var record = data.messages[report.messageId];
+    if (!record || record.status === 'bounced') {
+      return;
+    }
+    if (report.status === 'bounced') {
+      record.bounces.push({ recipient: report.recipient, reason: report.reason });
+      record.reason = report.reason;
+    } else if (report.status === 'delayed') {
+      record.reason = report.reason;
+    }
+    if (report.status === 'bounced' || record.status !== 'delivered') {
+      record.status = report.status;
+      record.assumed = false;
+      record.updatedAt = nowIso;
+    }
+  });
+
+  var windowMs = readPositiveNumber('DELIVERY_BOUNCE_WINDOW_HOURS', DEFAULT_BOUNCE_WINDOW_HOURS) * 60 * 60 * 1000;
+  Object.keys(data.messages).forEach(function (messageId) {
+    var record = data.messages[messageId];
+    var age = now - new Date(record.sentAt).getTime();
+    if (age > DELIVERY_RETENTION_MS) {
+      delete data.messages[messageId];
+    } else if ((record.status === 'sent' || record.status === 'delayed') && age > windowMs) {
+      record.status = 'delivered';
+      record.assumed = true;
+      record.updatedAt = nowIso;
+    }
+  });
+}
+
+module.exports = {
+  recordSentMessage: recordSentMessage,
+  getDeliveryStatuses: getDeliveryStatuses,
+  parseDeliveryReport: parseDeliveryReport
+};
@@ -0,0 +1,166 @@
+/**
+ * Общие HTTP-утилиты для serverless-функций backend:
+ * CORS, проверка API-ключа и чтение JSON-тела запроса.
+ */
+
+var apiKeys = require('./api-keys');
+var requestSigning = require('./request-signing');
+
+// ─── CORS ───────────────────────────────────────────────────────
+
+/**
+ * Разрешённые источники (Origin) браузерных запросов — CORS_ORIGINS через запятую:
+ *   chrome-extension://<id расширения> — только это расширение;
+ *   chrome-extension://*               — любое расширение Chrome (по умолчанию);
+ *   *                                  — любой сайт (как в прежних версиях).
+ * Запросы без Origin (curl, сервер-сервер) CORS не касается — их защищает API-ключ.
+ */
+function getAllowedOrigins() {
+  return String(process.env.CORS_ORIGINS || 'chrome-extension://*').split(',').map(function (origin) {
+    return origin.trim().replace(/\/+$/, '');
+  }).filter(Boolean);
+}
+
+function isOriginAllowed(origin) {
+  return getAllowedOrigins().some(function (allowed) {
+    if (allowed === '*') {
+      return true;
+    }
+    if (allowed.slice(-2) === '/*') {
+      return origin.indexOf(allowed.slice(0, -1)) === 0;
+    }
+    return origin === allowed;
+  });
+}
+
+/**
+ * CORS для обработчика: выставляет заголовки, отвечает на preflight (OPTIONS)
+ * и отклоняет запросы с чужих сайтов (403).
+ *
+ * @param {Object} req
+ * @param {Object} res
+ * @param {string} methods — разрешённые методы, например 'POST, OPTIONS'
+ * @returns {boolean} true — ответ уже отправлен, обработчику делать ничего не нужно
+ */
+function handleCors(req, res, methods) {
+  var origin = req.headers.origin;
+
+  if (origin) {
+    res.setHeader('Vary', 'Origin');
+    if (!isOriginAllowed(origin)) {
+      console.warn('[CORS] Запрос с неразрешённого источника отклонён:', origin);
+      res.status(403).json({ success: false, error: 'Источник запроса не разрешён: ' + origin });
+      return true;
+    }
+    res.setHeader('Access-Control-Allow-Origin', origin);
+  }
+
+  if (req.method === 'OPTIONS') {
+    res.setHeader('Access-Control-Allow-Methods', methods);
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-API-Key, Idempotency-Key, X-Signature, X-Signature-Timestamp');
+    res.setHeader('Access-Control-Expose-Headers', 'Retry-After, Idempotent-Replayed');
+    res.status(200).end();
+    return true;
+  }
+
+  res.setHeader('Access-Control-Expose-Headers', 'Retry-After, Idempotent-Replayed');
+  return false;
+}
+
+// ─── API-ключ ───────────────────────────────────────────────────
+
+/**
+ * Проверяет API-ключ из заголовка X-API-Key и его роль (lib/api-keys.js), затем
+ * подпись запроса (lib/request-signing.js). При ошибке сам отправляет ответ и возвращает null.
+ * Тело запроса без верного ключа не читается; для проверки подписи оно читается
+ * целиком (не больше MAX_BODY_BYTES, иначе 413) в req.rawBody — обработчики берут его оттуда.
+ *
+ * @param {Object} req
+ * @param {Object} res
+ * @param {string} logTag — префикс для логов, например '[SendInvoice]'
+ * @param {string} [role] — нужная роль: 'invoice', 'voucher' или 'admin'
+ * @returns {Promise<Object|null>} ключ { id, name, roles, ... } или null
+ */
+async function authenticate(req, res, logTag, role) {
+  var result = await apiKeys.findApiKey(req.headers['x-api-key'] || '');
+
+  if (!result.configured) {
+    console.error(logTag + ' Не задан ни один API-ключ (API_KEY, API_KEYS или /api/api-keys)');
+    res.status(500).json({
+      success: false,
+      error: 'Сервер не настроен: отсутствует API_KEY'
+    });
+    return null;
+  }
+
+  if (!result.key) {
+    res.status(401).json({
+      success: false,
+      error: 'Неверный API-ключ. Проверьте настройки расширения.'
+    });
+    return null;
+  }
+
+  if (!apiKeys.hasRole(result.key, role)) {
+    console.warn(logTag + ' У ключа «' + result.key.name + '» нет роли ' + role);
+    res.status(403).json({
+      success: false,
+      error: 'API-ключ «' + result.key.name + '» не даёт права на это действие (нужна роль ' + role + ')'
+    });
+    return null;
+  }
+
+  var signature;
+  try {
+    signature = await requestSigning.verifyRequestSignature(req);
+  } catch (error) {
+    if (error.statusCode !== 413) {
+      throw error;
+    }
+    console.warn(logTag + ' ' + error.message);
+    res.status(413).json({ success: false, error: error.message });
+    return null;
+  }
+  if (!signature.ok) {
+    console.warn(logTag + ' Подпись запроса не принята:', signature.error);
+    res.status(401).json({ success: false, error: signature.error });
+    return null;
+  }
+
+  return result.key;
+}
+
+/**
+ * Читает raw body из req stream (или req.rawBody, если тело уже прочитано
+ * при проверке подписи) и парсит как JSON. Тело больше MAX_BODY_BYTES —
+ * ошибка со statusCode 413.
+ * Используется когда bodyParser отключён, но запрос приходит как JSON.
+ */
+function parseRawJson(req) {
+  return requestSigning.readRawBody(req).then(function (body) {
+    try {
+      var raw = body.toString('utf-8');
+      return raw ? JSON.parse(raw) : {};
+    } catch (err) {
+      throw new Error('Не удалось разобрать JSON: ' + err.message);
+    }
+  });
+}
+
+/**
+ * Возвращает JSON-тело запроса: готовое (если bodyParser Vercel уже разобрал его)
+ * или прочитанное из потока.
+ */
+function readJsonBody(req) {
+  if (req.body && typeof req.body === 'object') {
+    return Promise.resolve(req.body);
+  }
+  return parseRawJson(req);
+}
+
+module.exports = {
+  handleCors: handleCors,
+  authenticate: authenticate,
+  parseRawJson: parseRawJson,
+  readJsonBody: readJsonBody
+};
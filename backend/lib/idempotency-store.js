@@ -0,0 +1,142 @@
+/**
+ * Хранилище ключей идемпотентности для отправки писем.
+ *
+ * Расширение передаёт заголовок Idempotency-Key — один и тот же для повторов
+ * одной отправки (двойной клик, повтор после таймаута, очередь отправки).
+ * Первый запрос с ключом резервирует его и отправляет письмо; повторный
+ * получает сохранённый ответ первого, письмо второй раз не уходит.
+ *
+ * Запись ключа: { fingerprint, status: 'pending' | 'done', response, createdAt }
+ *   fingerprint — хеш получателей и письма: тот же ключ с другим письмом — ошибка клиента;
+ *   pending     — письмо отправляется сейчас (или процесс упал во время отправки:
+ *                 через IDEMPOTENCY_PENDING_TIMEOUT_MS ключ можно занять снова).
+ * Неудачная отправка освобождает ключ (release), чтобы повтор мог отправить письмо;
+ * после ушедшего письма ключ не освобождается, даже если дальше что-то сломалось.
+ * Вызывающий код сам задаёт область ключа (send-invoice — префикс id API-ключа).
+ *
+ * Реализации (переменная окружения IDEMPOTENCY_STORE):
+ *   file   — по умолчанию: документ «idempotency-keys» в json-file-store (DATA_DIR),
+ *            переживает перезапуск процесса на self-hosted сервере;
+ *   memory — в памяти процесса, для локального запуска и тестов.
+ * На Vercel без постоянного DATA_DIR ключи живут, пока жив инстанс функции.
+ * Для другого хранилища (Redis, БД) достаточно реализовать те же три метода.
+ *
+ * Ключи хранятся IDEMPOTENCY_TTL_HOURS часов (по умолчанию 72).
+ */
+
+var store = require('./json-file-store');
+
+var IDEMPOTENCY_DOCUMENT = 'idempotency-keys';
+var IDEMPOTENCY_PENDING_TIMEOUT_MS = 10 * 60 * 1000;
+var DEFAULT_TTL_HOURS = 72;
+
+function getTtlMs() {
+  var hours = parseFloat(process.env.IDEMPOTENCY_TTL_HOURS);
+  return (hours > 0 ? hours : DEFAULT_TTL_HOURS) * 60 * 60 * 1000;
+}
+
+/**
+ * Резервирует ключ в наборе записей (общая логика реализаций).
+ * @returns {{ status: 'new' | 'pending' | 'done' | 'mismatch', response?: Object }}
+ */
+function reserveInRecords(records, key, fingerprint, now) {
+  var ttl = getTtlMs();
+  Object.keys(records).forEach(function (existingKey) {
+    if (now - records[existingKey].createdAt > ttl) {
+      delete records[existingKey];
+    }
+  });
+
+  var record = records[key];
+  if (record && record.fingerprint !== fingerprint) {
+    return { status: 'mismatch' };
+  }
+  if (record && record.status === 'done') {
+    return { status: 'done', response: record.response };
+  }
+  if (record && now - record.createdAt < IDEMPOTENCY_PENDING_TIMEOUT_MS) {
+    return { status: 'pending' };
+  }
+
+  records[key] = { fingerprint: fingerprint, status: 'pending', response: null, createdAt: now };
+  return { status: 'new' };
+}
+
+// ─── Реализации ─────────────────────────────────────────────────
+
+/** Ключи в памяти процесса. */
+function createMemoryStore() {
+  var records = {};
+  return {
+    reserve: function (key, fingerprint) {
+      return Promise.resolve(reserveInRecords(records, key, fingerprint, Date.now()));
+    },
+    complete: function (key, response) {
+      if (records[key]) {
+        records[key].status = 'done';
+        records[key].response = response;
+      }
+      return Promise.resolve();
+    },
+    release: function (key) {
+      delete records[key];
+      return Promise.resolve();
+    }
+  };
+}
+
+/** Ключи в файле DATA_DIR/idempotency-keys.json (json-file-store). */
+function createFileStore() {
+  return {
+    reserve: function (key, fingerprint) {
+      var result;
+      return store.updateDocument(IDEMPOTENCY_DOCUMENT, {}, function (records) {
+        result = reserveInRecords(records, key, fingerprint, Date.now());
+      }).then(function () {
+        return result;
+      });
+    },
+    complete: function (key, response) {
+      return store.updateDocument(IDEMPOTENCY_DOCUMENT, {}, function (records) {
+        if (records[key]) {
+          records[key].status = 'done';
+          records[key].response = response;
+        }
+      });
+    },
+    release: function (key) {
+      return store.updateDocument(IDEMPOTENCY_DOCUMENT, {}, function (records) {
+        delete records[key];
+      });
+    }
+  };
+}
+
+var IDEMPOTENCY_STORES = {
+  file: createFileStore,
+  memory: createMemoryStore
+};
+
+var instance = null;
+
+/**
+ * Хранилище по IDEMPOTENCY_STORE (одно на процесс).
+ * @returns {{ reserve: Function, complete: Function, release: Function }}
+ * @throws {Error} неизвестный тип хранилища
+ */
+function getIdempotencyStore() {
+  if (!instance) {
+    var kind = process.env.IDEMPOTENCY_STORE || 'file';
+    if (!IDEMPOTENCY_STORES[kind]) {
+      throw new Error('Сервер не настроен: неизвестный IDEMPOTENCY_STORE «' + kind + '» (file или memory)');
+    }
+    instance = IDEMPOTENCY_STORES[kind]();
+  }
+  return instance;
+}
+
+module.exports = {
+  getIdempotencyStore: getIdempotencyStore,
+  createMemoryStore: createMemoryStore,
+  createFileStore: createFileStore
+};
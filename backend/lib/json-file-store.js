@@ -0,0 +1,99 @@
+/**
+ * Простое файловое хранилище JSON-документов для backend.
+ *
+ * Каждый документ — отдельный файл <name>.json в каталоге DATA_DIR
+ * (по умолчанию — временный каталог ОС). Запись атомарная: сначала во
+ * временный файл, затем rename. Изменения одного документа внутри процесса
+ * выполняются последовательно, чтобы параллельные запросы не затирали друг друга.
+ *
+ * На Vercel файловая система доступна только в /tmp и не переживает
+ * перезапуск инстанса, поэтому для долговременного хранения задайте DATA_DIR
+ * на постоянном диске (self-hosted сервер).
+ */
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var queues = {};
+
+/** Возвращает каталог для хранения данных (создаёт при необходимости). */
+function getDataDir() {
+  var dir = process.env.DATA_DIR || path.join(os.tmpdir(), 'kontur-invoice-data');
+  fs.mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+function getFilePath(name) {
+  return path.join(getDataDir(), name + '.json');
+}
+
+/**
+ * Читает документ. Если файла нет — возвращает defaultValue.
+ * @param {string} name — имя документа (без расширения)
+ * @param {*} defaultValue
+ * @returns {Promise<*>}
+ */
+function readDocument(name, defaultValue) {
+  return new Promise(function (resolve, reject) {
+    fs.readFile(getFilePath(name), 'utf-8', function (err, raw) {
+      if (err) {
+        if (err.code === 'ENOENT') {
+          return resolve(defaultValue);
+        }
+        return reject(err);
+      }
+      try {
+        resolve(JSON.parse(raw));
+      } catch (parseErr) {
+        reject(new Error('Повреждён файл данных ' + name + ': ' + parseErr.message));
+      }
+    });
+  });
+}
+
+function writeDocument(name, value) {
+  var filePath = getFilePath(name);
+  var tmpPath = filePath + '.' + process.pid + '.tmp';
+  return fs.promises.writeFile(tmpPath, JSON.stringify(value, null, 2), 'utf-8')
+    .then(function () {
+      return fs.promises.rename(tmpPath, filePath);
+    });
+}
+
+/**
+ * Атомарно изменяет документ: читает, передаёт в mutator, сохраняет результат.
+ * mutator может вернуть новое значение или изменить переданный объект на месте.
+ * Возвращает итоговое значение документа.
+ *
+ * @param {string} name
+ * @param {*} defaultValue
+ * @param {Function} mutator — (value) => value | undefined | Promise
+ * @returns {Promise<*>}
+ */
+function updateDocument(name, defaultValue, mutator) {
+  var previous = queues[name] || Promise.resolve();
+
+  var next = previous
+    .catch(function () {})
+    .then(function () {
+      return readDocument(name, defaultValue);
+    })
+    .then(function (value) {
+      return Promise.resolve(mutator(value)).then(function (result) {
+        var updated = result === undefined ? value : result;
+        return writeDocument(name, updated).then(function () {
+          return updated;
+        });
+      });
+    });
+
+  queues[name] = next;
+  return next;
+}
+
+module.exports = {
+  getDataDir: getDataDir,
+  readDocument: readDocument,
+  updateDocument: updateDocument
+};
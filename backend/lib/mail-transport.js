@@ -0,0 +1,311 @@
+/**
+ * Почтовый транспорт backend: отправитель (SMTP_EMAIL или профиль SMTP_PROFILES),
+ * отправка письма и сохранение копии в «Отправленные».
+ *
+ * Транспорт выбирается переменной окружения MAIL_TRANSPORT (или полем «transport»
+ * профиля в SMTP_PROFILES):
+ *   yandex — smtp.yandex.ru:465 + IMAP imap.yandex.ru:993 (по умолчанию);
+ *   mailru — smtp.mail.ru:465 + IMAP imap.mail.ru:993;
+ *   gmail  — smtp.gmail.com:465 с паролем приложения; Gmail сам кладёт письмо
+ *            в «Отправленные», поэтому IMAP-копия по умолчанию выключена;
+ *   smtp   — любой SMTP-сервер: SMTP_HOST, SMTP_PORT (587), SMTP_SECURE
+ *            (по умолчанию TLS только на 465); IMAP-копия — если задан IMAP_HOST;
+ *   file   — без сети: письма пишутся в maildir MAIL_FILE_DIR (new/), копия
+ *            «Отправленных» — в MAIL_FILE_DIR/.Sent/cur. Для разработки и тестов.
+ *
+ * Для пресетов SMTP_HOST / SMTP_PORT / SMTP_SECURE и IMAP_HOST / IMAP_PORT /
+ * IMAP_SECURE переопределяют адреса серверов; IMAP_SAVE_SENT=true|false включает
+ * или выключает сохранение копии. Профиль SMTP_PROFILES со своим транспортом
+ * задаёт те же параметры полями smtpHost, smtpPort, smtpSecure, imapHost,
+ * imapPort, imapSecure, saveSent, fileDir (переменные окружения к нему не применяются).
+ */
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var nodemailer = require('nodemailer');
+var MailComposer = require('nodemailer/lib/mail-composer');
+var { ImapFlow } = require('imapflow');
+var store = require('./json-file-store');
+
+var MAIL_PRESETS = {
+  yandex: {
+    smtp: { host: 'smtp.yandex.ru', port: 465 },
+    imap: { host: 'imap.yandex.ru', port: 993 },
+    saveSent: true
+  },
+  mailru: {
+    smtp: { host: 'smtp.mail.ru', port: 465 },
+    imap: { host: 'imap.mail.ru', port: 993 },
+    saveSent: true
+  },
+  gmail: {
+    smtp: { host: 'smtp.gmail.com', port: 465 },
+    imap: { host: 'imap.gmail.com', port: 993 },
+    saveSent: false
+  }
+};
+
+var MAIL_TIMEOUT_MS = 15000;
+
+// Счётчик для уникальных имён файлов maildir внутри процесса
+var maildirCounter = 0;
+
+// ─── Настройки транспорта ───────────────────────────────────────
+
+/**
+ * Параметры транспорта из окружения или из профиля отправителя.
+ * @param {Object} [overrides] — поля профиля SMTP_PROFILES (transport, smtpHost, …)
+ * @returns {{ kind: string, smtp: Object|null, imap: Object|null, dir: string|null, saveSent: boolean,
+ *   requiresAuth: boolean }} imap — IMAP-сервер ящика (копия в «Отправленные», поиск возвратов)
+ * @throws {Error} неизвестный транспорт или не задан SMTP_HOST
+ */
+function resolveTransportConfig(overrides) {
+  overrides = overrides || {};
+  // Переменные окружения — только для транспорта из окружения, не для профиля со своим
+  var fromEnv = !overrides.transport;
+  var option = function (field, envName) {
+    if (overrides[field] !== undefined && overrides[field] !== null && overrides[field] !== '') {
+      return overrides[field];
+    }
+    return fromEnv ? process.env[envName] : undefined;
+  };
+
+  var kind = overrides.transport || process.env.MAIL_TRANSPORT || 'yandex';
+
+  if (kind === 'file') {
+    var dir = option('fileDir', 'MAIL_FILE_DIR') || path.join(store.getDataDir(), 'maildir');
+    return {
+      kind: kind,
+      smtp: null,
+      imap: null,
+      dir: dir,
+      saveSent: parseBoolean(option('saveSent', 'IMAP_SAVE_SENT'), true),
+      requiresAuth: false
+    };
+  }
+
+  var preset = MAIL_PRESETS[kind];
+  if (!preset && kind !== 'smtp') {
+    throw configError('неизвестный MAIL_TRANSPORT «' + kind + '» (yandex, mailru, gmail, smtp, file)');
+  }
+
+  var smtpHost = option('smtpHost', 'SMTP_HOST') || (preset && preset.smtp.host);
+  if (!smtpHost) {
+    throw configError('для транспорта smtp укажите SMTP_HOST');
+  }
+  var smtpPort = parseInt(option('smtpPort', 'SMTP_PORT'), 10) || (preset ? preset.smtp.port : 587);
+
+  var imapHost = option('imapHost', 'IMAP_HOST') || (preset && preset.imap.host);
+  var imapPort = parseInt(option('imapPort', 'IMAP_PORT'), 10) || (preset ? preset.imap.port : 993);
+  var saveSent = parseBoolean(option('saveSent', 'IMAP_SAVE_SENT'), preset ? preset.saveSent : !!imapHost);
+
+  return {
+    kind: kind,
+    smtp: {
+      host: smtpHost,
+      port: smtpPort,
+      secure: parseBoolean(option('smtpSecure', 'SMTP_SECURE'), smtpPort === 465)
+    },
+    imap: imapHost ? {
+      host: imapHost,
+      port: imapPort,
+      secure: parseBoolean(option('imapSecure', 'IMAP_SECURE'), imapPort === 993)
+    } : null,
+    dir: null,
+    saveSent: saveSent && !!imapHost,
+    requiresAuth: true
+  };
+}
+
+function parseBoolean(value, defaultValue) {
+  if (value === undefined || value === null || value === '') {
+    return defaultValue;
+  }
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  return /^(1|true|yes|on)$/i.test(String(value).trim());
+}
+
+function configError(message) {
+  var error = new Error('Сервер не настроен: ' + message);
+  error.statusCode = 500;
+  return error;
+}
+
+// ─── Отправитель ────────────────────────────────────────────────
+
+/**
+ * Определяет SMTP-отправителя: профиль из SMTP_PROFILES или SMTP_EMAIL / SMTP_PASSWORD.
+ * @param {string} [senderProfile] — ключ профиля
+ * @param {string} [senderName] — имя отправителя из расширения
+ * @returns {{ email: string, password: string, name: string, transport: Object }|null}
+ *   transport — поля профиля для resolveTransportConfig(); null — отправитель не настроен
+ * @throws {Error} если SMTP_PROFILES не разбирается или профиль не найден
+ */
+function resolveSender(senderProfile, senderName) {
+  var defaultName = senderName || process.env.SMTP_FROM_NAME || 'ГРК Альбатрос';
+
+  if (senderProfile) {
+    var profiles;
+    try {
+      profiles = JSON.parse(process.env.SMTP_PROFILES || '{}');
+    } catch (err) {
+      throw new Error('Сервер не настроен: SMTP_PROFILES не является корректным JSON');
+    }
+    var profile = profiles[senderProfile];
+    if (!profile) {
+      var notFound = new Error('Неизвестный профиль отправителя: ' + senderProfile);
+      notFound.statusCode = 400;
+      throw notFound;
+    }
+    if (!profile.email) {
+      return null;
+    }
+    return {
+      email: profile.email,
+      password: profile.password || '',
+      name: profile.name || defaultName,
+      transport: profile
+    };
+  }
+
+  if (!process.env.SMTP_EMAIL) {
+    return null;
+  }
+  return {
+    email: process.env.SMTP_EMAIL,
+    password: process.env.SMTP_PASSWORD || '',
+    name: defaultName,
+    transport: {}
+  };
+}
+
+// ─── Транспорты ─────────────────────────────────────────────────
+
+/**
+ * Создаёт транспорт по настройкам.
+ * @param {Object} config — resolveTransportConfig()
+ * @param {{ user: string, pass: string }} auth
+ * @returns {{ description: string, sendMail: Function, saveToSent: Function|null }}
+ *   sendMail(mailOptions) → Promise<{ messageId }>;
+ *   saveToSent(mailOptions) → Promise<string> — папка, куда сохранена копия
+ */
+function createMailTransport(config, auth) {
+  if (config.kind === 'file') {
+    return createFileTransport(config);
+  }
+
+  var transporter = nodemailer.createTransport({
+    host: config.smtp.host,
+    port: config.smtp.port,
+    secure: config.smtp.secure,
+    auth: auth,
+    connectionTimeout: MAIL_TIMEOUT_MS,
+    greetingTimeout: MAIL_TIMEOUT_MS,
+    socketTimeout: MAIL_TIMEOUT_MS
+  });
+
+  return {
+    description: config.kind + ' (' + config.smtp.host + ':' + config.smtp.port + ')',
+    sendMail: function (mailOptions) {
+      return transporter.sendMail(mailOptions);
+    },
+    saveToSent: config.saveSent ? function (mailOptions) {
+      return appendToImapSent(config.imap, auth, mailOptions);
+    } : null
+  };
+}
+
+/**
+ * Копия письма в «Отправленные» через IMAP.
+ * Папка — по special-use атрибуту \Sent, иначе «Sent».
+ */
+async function appendToImapSent(imap, auth, mailOptions) {
+  var rawMessage = await buildRawMessage(mailOptions);
+  var imapClient = await connectImap(imap, auth);
+
+  var sentFolder = 'Sent';
+  try {
+    var folders = await imapClient.list();
+    for (var folder of folders) {
+      if (folder.specialUse === '\\Sent') {
+        sentFolder = folder.path;
+        break;
+      }
+    }
+  } catch (listErr) {
+    console.warn('[MailTransport] Не удалось получить список папок IMAP, используем "Sent":', listErr.message);
+  }
+
+  await imapClient.append(sentFolder, rawMessage, ['\\Seen']);
+  await imapClient.logout();
+  return sentFolder;
+}
+
+/**
+ * Подключение к IMAP-серверу ящика.
+ * @param {{ host: string, port: number, secure: boolean }} imap — config.imap
+ * @param {{ user: string, pass: string }} auth
+ * @returns {Promise<ImapFlow>} после работы — logout()
+ */
+async function connectImap(imap, auth) {
+  var imapClient = new ImapFlow({
+    host: imap.host,
+    port: imap.port,
+    secure: imap.secure,
+    auth: auth,
+    logger: false
+  });
+  await imapClient.connect();
+  return imapClient;
+}
+
+/** Письма в maildir вместо отправки (tmp → new, копия — .Sent/cur). */
+function createFileTransport(config) {
+  var transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+  return {
+    description: 'file (' + config.dir + ')',
+    sendMail: async function (mailOptions) {
+      var info = await transporter.sendMail(mailOptions);
+      var file = await writeMaildirMessage(config.dir, 'new', info.message, '');
+      console.log('[MailTransport] Письмо записано в', file);
+      return { messageId: info.messageId, envelope: info.envelope };
+    },
+    saveToSent: config.saveSent ? async function (mailOptions) {
+      var sentDir = path.join(config.dir, '.Sent');
+      await writeMaildirMessage(sentDir, 'cur', await buildRawMessage(mailOptions), ':2,S');
+      return sentDir;
+    } : null
+  };
+}
+
+/** Атомарная запись письма в maildir: сначала tmp/, затем rename в new/ или cur/. */
+async function writeMaildirMessage(dir, folder, raw, suffix) {
+  var name = Date.now() + '.' + process.pid + '_' + (++maildirCounter) + '.' + os.hostname();
+  var tmpPath = path.join(dir, 'tmp', name);
+  var targetPath = path.join(dir, folder, name + suffix);
+
+  await fs.promises.mkdir(path.join(dir, 'tmp'), { recursive: true });
+  await fs.promises.mkdir(path.join(dir, folder), { recursive: true });
+  await fs.promises.writeFile(tmpPath, raw);
+  await fs.promises.rename(tmpPath, targetPath);
+  return targetPath;
+}
+
+/** Письмо целиком (RFC 822) для копии в «Отправленных»; скрытая копия остаётся в заголовке Bcc. */
+function buildRawMessage(mailOptions) {
+  var message = new MailComposer(mailOptions).compile();
+  message.keepBcc = true;
+  return message.build();
+}
+
+module.exports = {
+  MAIL_PRESETS: MAIL_PRESETS,
+  resolveSender: resolveSender,
+  resolveTransportConfig: resolveTransportConfig,
+  createMailTransport: createMailTransport,
+  connectImap: connectImap
+};
@@ -0,0 +1,223 @@
+/**
+ * Защита /api/send-invoice от злоупотреблений: если API-ключ утёк, через
+ * backend нельзя рассылать письма от имени отеля без ограничений.
+ *
+ * Лимиты (скользящие окна; 0 — лимит выключен):
+ *   SEND_LIMIT_PER_KEY_HOUR       — писем с одного API-ключа за час (по умолчанию 60);
+ *   SEND_LIMIT_PER_RECIPIENT_HOUR — писем на один адрес to/cc за час (по умолчанию 5);
+ *   SEND_LIMIT_PER_DAY            — писем со всего сервера за 24 часа (по умолчанию 500).
+ * Скрытые копии (bcc) в лимит на адрес не входят: это ящик самого отеля, он получает
+ * копию каждого письма. Место в лимитах занимается при проверке (checkSendLimits —
+ * тем же изменением счётчиков, поэтому одновременные запросы не проходят сверх
+ * лимита) и освобождается, если письмо не отправлено (releaseSend): ошибка SMTP
+ * лимит не расходует.
+ *
+ * Запрещённые домены получателей — SEND_DENY_DOMAINS через запятую
+ * («mailinator.com, example.org»): запрещены сам домен и его поддомены.
+ *
+ * Счётчики — документ «rate-limits» в json-file-store (DATA_DIR):
+ *   { keys: { <keyId>: [время, …] }, recipients: { <адрес>: [время, …] }, all: [время, …] }
+ */
+
+var store = require('./json-file-store');
+
+var RATE_LIMIT_DOCUMENT = 'rate-limits';
+var HOUR_MS = 60 * 60 * 1000;
+var DAY_MS = 24 * HOUR_MS;
+
+var DEFAULT_LIMITS = {
+  perKeyHour: 60,
+  perRecipientHour: 5,
+  perDay: 500
+};
+
+function readLimit(envName, defaultValue) {
+  var value = parseInt(process.env[envName], 10);
+  return isNaN(value) || value < 0 ? defaultValue : value;
+}
+
+function getLimits() {
+  return {
+    perKeyHour: readLimit('SEND_LIMIT_PER_KEY_HOUR', DEFAULT_LIMITS.perKeyHour),
+    perRecipientHour: readLimit('SEND_LIMIT_PER_RECIPIENT_HOUR', DEFAULT_LIMITS.perRecipientHour),
+    perDay: readLimit('SEND_LIMIT_PER_DAY', DEFAULT_LIMITS.perDay)
+  };
+}
+
+// ─── Запрещённые домены ─────────────────────────────────────────
+
+function getDeniedDomains() {
+  return String(process.env.SEND_DENY_DOMAINS || '').split(/[,;\s]+/).map(function (domain) {
+    return domain.trim().toLowerCase().replace(/^[@.]+/, '');
+  }).filter(Boolean);
+}
+
+/**
+ * Адреса из запрещённых доменов.
+ * @param {string[]} addresses
+ * @returns {string[]}
+ */
+function findDeniedRecipients(addresses) {
+  var denied = getDeniedDomains();
+  if (denied.length === 0) {
+    return [];
+  }
+  return addresses.filter(function (address) {
+    var domain = String(address).toLowerCase().split('@').pop();
+    return denied.some(function (deniedDomain) {
+      return domain === deniedDomain || domain.slice(-deniedDomain.length - 1) === '.' + deniedDomain;
+    });
+  });
+}
+
+// ─── Лимиты ─────────────────────────────────────────────────────
+
+/** Оставляет в окне только отметки новее windowMs; пустые окна удаляет. */
+function pruneBucket(buckets, name, now, windowMs) {
+  var times = (buckets[name] || []).filter(function (time) {
+    return now - time < windowMs;
+  });
+  if (times.length > 0) {
+    buckets[name] = times;
+  } else {
+    delete buckets[name];
+  }
+  return times;
+}
+
+/** Через сколько секунд в окне освободится место. */
+function secondsUntilFree(times, limit, now, windowMs) {
+  var oldestCounted = times[times.length - limit];
+  return Math.max(1, Math.ceil((oldestCounted + windowMs - now) / 1000));
+}
+
+/** Убирает из счётчиков отметки за пределами окон. */
+function pruneCounters(data, now) {
+  data.keys = data.keys || {};
+  data.recipients = data.recipients || {};
+
+  Object.keys(data.keys).forEach(function (name) {
+    pruneBucket(data.keys, name, now, HOUR_MS);
+  });
+  Object.keys(data.recipients).forEach(function (name) {
+    pruneBucket(data.recipients, name, now, HOUR_MS);
+  });
+  data.all = (data.all || []).filter(function (time) {
+    return now - time < DAY_MS;
+  });
+}
+
+function normalizeAddresses(recipients) {
+  return recipients.map(function (address) {
+    return String(address).toLowerCase();
+  });
+}
+
+/**
+ * Проверяет лимиты и, если отправка разрешена, сразу занимает под неё место.
+ * @param {string} keyId — id API-ключа
+ * @param {string[]} recipients — адреса to + cc (без скрытых копий)
+ * @returns {Promise<{ allowed: boolean, error?: string, retryAfter?: number, reservedAt?: number }>}
+ *   retryAfter — секунд до момента, когда отправка станет возможной;
+ *   reservedAt — отметка занятого места (для releaseSend)
+ */
+function checkSendLimits(keyId, recipients) {
+  var limits = getLimits();
+  var result;
+
+  return store.updateDocument(RATE_LIMIT_DOCUMENT, {}, function (data) {
+    var now = Date.now();
+    pruneCounters(data, now);
+
+    if (limits.perDay > 0 && data.all.length >= limits.perDay) {
+      result = {
+        allowed: false,
+        error: 'Достигнут суточный лимит сервера: ' + limits.perDay + ' писем за 24 часа',
+        retryAfter: secondsUntilFree(data.all, limits.perDay, now, DAY_MS)
+      };
+      return;
+    }
+
+    var keyTimes = data.keys[keyId] || [];
+    if (limits.perKeyHour > 0 && keyTimes.length >= limits.perKeyHour) {
+      result = {
+        allowed: false,
+        error: 'Превышен лимит для вашего API-ключа: ' + limits.perKeyHour + ' писем в час',
+        retryAfter: secondsUntilFree(keyTimes, limits.perKeyHour, now, HOUR_MS)
+      };
+      return;
+    }
+
+    var addresses = normalizeAddresses(recipients);
+    for (var i = 0; i < addresses.length; i++) {
+      var recipientTimes = data.recipients[addresses[i]] || [];
+      if (limits.perRecipientHour > 0 && recipientTimes.length >= limits.perRecipientHour) {
+        result = {
+          allowed: false,
+          error: 'Превышен лимит писем на адрес ' + recipients[i] + ': ' + limits.perRecipientHour + ' в час',
+          retryAfter: secondsUntilFree(recipientTimes, limits.perRecipientHour, now, HOUR_MS)
+        };
+        return;
+      }
+    }
+
+    data.all.push(now);
+    data.keys[keyId] = keyTimes.concat(now);
+    addresses.forEach(function (address) {
+      data.recipients[address] = (data.recipients[address] || []).concat(now);
+    });
+    result = { allowed: true, reservedAt: now };
+  }).then(function () {
+    return result;
+  });
+}
+
+/**
+ * Освобождает место, занятое checkSendLimits, — письмо не отправлено.
+ * @param {string} keyId — id API-ключа
+ * @param {string[]} recipients — адреса to + cc (как в checkSendLimits)
+ * @param {number} reservedAt — отметка из результата checkSendLimits
+ * @returns {Promise}
+ */
+function releaseSend(keyId, recipients, reservedAt) {
+  return store.updateDocument(RATE_LIMIT_DOCUMENT, {}, function (data) {
+    pruneCounters(data, Date.now());
+
+    removeTime(data, 'all', reservedAt);
+    removeTime(data.keys, keyId, reservedAt);
+    normalizeAddresses(recipients).forEach(function (address) {
+      removeTime(data.recipients, address, reservedAt);
+    });
+  });
+}
+
+/** Убирает одну отметку time из окна buckets[name]; пустое окно удаляет (кроме all). */
+function removeTime(buckets, name, time) {
+  var times = buckets[name] || [];
+  var index = times.indexOf(time);
+  if (index === -1) {
+    return;
+  }
+  times.splice(index, 1);
+  if (times.length === 0 && name !== 'all') {
+    delete buckets[name];
+  }
+}
+
+/** «через 5 мин», «через 2 ч 10 мин» — для текста ошибки. */
+function formatRetryAfter(seconds) {
+  var minutes = Math.ceil(seconds / 60);
+  if (minutes < 60) {
+    return 'через ' + minutes + ' мин';
+  }
+  var hours = Math.floor(minutes / 60);
+  var rest = minutes % 60;
+  return 'через ' + hours + ' ч' + (rest ? ' ' + rest + ' мин' : '');
+}
+
+module.exports = {
+  findDeniedRecipients: findDeniedRecipients,
+  checkSendLimits: checkSendLimits,
+  releaseSend: releaseSend,
+  formatRetryAfter: formatRetryAfter
+};
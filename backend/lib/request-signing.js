@@ -0,0 +1,209 @@
+/**
+ * Подпись запросов расширения (HMAC-SHA256): перехваченный запрос нельзя ни
+ * изменить, ни отправить повторно.
+ *
+ * Расширение добавляет заголовки:
+ *   X-Signature-Timestamp: <Unix-время в секундах>
+ *   X-Signature: v1=<hex HMAC-SHA256>
+ * Подписывается строка (через перевод строки):
+ *   v1
+ *   <метод>                   — POST
+ *   <путь от /api/ с query>   — /api/invoice-registry?year=2026
+ *   <timestamp>
+ *   <hex SHA-256 тела>        — для запроса без тела — хеш пустой строки
+ * Путь берётся от «/api/», чтобы подпись не зависела от префикса обратного прокси.
+ *
+ * Настройки:
+ *   SIGNING_SECRET          — текущий секрет (его вводят в расширении);
+ *   SIGNING_SECRET_PREVIOUS — прежний секрет, действует вместе с текущим на время
+ *                             смены: сначала новый секрет вводят во всех расширениях,
+ *                             затем прежний удаляют с сервера;
+ *   SIGNATURE_MODE          — required (по умолчанию) или optional: неподписанные
+ *                             запросы принимаются, подписанные проверяются — на время
+ *                             перехода, пока не во всех расширениях введён секрет;
+ *   SIGNATURE_MAX_AGE_SECONDS — допустимое расхождение времени (по умолчанию 300).
+ * Без SIGNING_SECRET подпись не проверяется.
+ *
+ * Тело запроса читается в память не больше MAX_BODY_BYTES (по умолчанию 10 МБ —
+ * PDF счёта с логотипом с запасом); больше — ошибка со statusCode 413.
+ *
+ * Повтор: подпись запоминается в памяти процесса на время окна и второй раз не
+ * принимается. Несколько инстансов (Vercel) память не делят — там от повтора
+ * письма дополнительно защищает Idempotency-Key.
+ */
+
+var crypto = require('crypto');
+
+var DEFAULT_MAX_AGE_SECONDS = 300;
+var DEFAULT_MAX_BODY_BYTES = 10 * 1024 * 1024;
+
+// Подписи принятых запросов: { <подпись>: время истечения, мс }
+var seenSignatures = {};
+
+function getSigningSecrets() {
+  return [process.env.SIGNING_SECRET, process.env.SIGNING_SECRET_PREVIOUS].filter(Boolean);
+}
+
+function getMaxAgeSeconds() {
+  var value = parseInt(process.env.SIGNATURE_MAX_AGE_SECONDS, 10);
+  return value > 0 ? value : DEFAULT_MAX_AGE_SECONDS;
+}
+
+/** Наибольший размер тела запроса в байтах (MAX_BODY_BYTES). */
+function getMaxBodyBytes() {
+  var value = parseInt(process.env.MAX_BODY_BYTES, 10);
+  return value > 0 ? value : DEFAULT_MAX_BODY_BYTES;
+}
+
+/** Ошибка «тело запроса слишком большое» — обработчики отвечают по statusCode. */
+function createBodyTooLargeError() {
+  var maxBytes = getMaxBodyBytes();
+  var error = new Error('Слишком большой запрос: больше ' + (maxBytes >= 1024 * 1024 ?
+    Math.round(maxBytes / 1024 / 1024 * 10) / 10 + ' МБ' : Math.ceil(maxBytes / 1024) + ' КБ'));
+  error.statusCode = 413;
+  return error;
+}
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/** Путь запроса от «/api/» вместе с query-строкой. */
+function getSignedPath(url) {
+  var index = String(url || '').indexOf('/api/');
+  return index === -1 ? String(url || '') : url.slice(index);
+}
+
+function buildCanonicalString(method, path, timestamp, bodyHash) {
+  return ['v1', String(method).toUpperCase(), path, timestamp, bodyHash].join('\n');
+}
+
+/** Сравнение за постоянное время (строки разной длины — не равны). */
+function safeEqual(a, b) {
+  var bufferA = Buffer.from(String(a));
+  var bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Читает тело запроса целиком в req.rawBody (обработчики потом берут его оттуда).
+ * Тело больше MAX_BODY_BYTES не накапливается: ошибка 413, остаток потока
+ * дочитывается вхолостую.
+ */
+function readRawBody(req) {
+  if (req.rawBody) {
+    return Promise.resolve(req.rawBody);
+  }
+  var maxBytes = getMaxBodyBytes();
+  if (parseInt(req.headers['content-length'], 10) > maxBytes) {
+    req.resume();
+    return Promise.reject(createBodyTooLargeError());
+  }
+  return new Promise(function (resolve, reject) {
+    var chunks = [];
+    var size = 0;
+    var tooLarge = false;
+    req.on('data', function (chunk) {
+      if (tooLarge) {
+        return;
+      }
+      size += chunk.length;
+      if (size > maxBytes) {
+        tooLarge = true;
+        chunks = [];
+        reject(createBodyTooLargeError());
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', function () {
+      if (!tooLarge) {
+        req.rawBody = Buffer.concat(chunks);
+        resolve(req.rawBody);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function rememberSignature(signature, now, maxAgeMs) {
+  Object.keys(seenSignatures).forEach(function (key) {
+    if (seenSignatures[key] < now) {
+      delete seenSignatures[key];
+    }
+  });
+  if (seenSignatures[signature]) {
+    return false;
+  }
+  // Запрос с timestamp на краю окна может прийти ещё maxAge в обе стороны
+  seenSignatures[signature] = now + 2 * maxAgeMs;
+  return true;
+}
+
+/**
+ * Проверяет подпись запроса.
+ * @param {Object} req
+ * @returns {Promise<{ ok: boolean, error?: string }>}
+ */
+async function verifyRequestSignature(req) {
+  var secrets = getSigningSecrets();
+  if (secrets.length === 0) {
+    return { ok: true };
+  }
+
+  var header = req.headers['x-signature'] || '';
+  var timestamp = req.headers['x-signature-timestamp'] || '';
+
+  if (!header) {
+    if (process.env.SIGNATURE_MODE === 'optional') {
+      return { ok: true };
+    }
+    return { ok: false, error: 'Запрос не подписан. Укажите секрет подписи в настройках расширения.' };
+  }
+
+  var match = String(header).match(/^v1=([0-9a-f]{64})$/);
+  if (!match || !/^\d{1,12}$/.test(timestamp)) {
+    return { ok: false, error: 'Некорректный формат подписи запроса' };
+  }
+
+  var now = Date.now();
+  var maxAgeMs = getMaxAgeSeconds() * 1000;
+  if (Math.abs(now - parseInt(timestamp, 10) * 1000) > maxAgeMs) {
+    return {
+      ok: false,
+      error: 'Подпись запроса устарела: проверьте дату и время на компьютере (время сервера ' +
+        new Date(now).toISOString() + ')'
+    };
+  }
+
+  var body = await readRawBody(req);
+  var canonical = buildCanonicalString(req.method, getSignedPath(req.url), timestamp, sha256Hex(body));
+
+  // Все секреты проверяются всегда — время ответа не зависит от того, какой подошёл
+  var valid = false;
+  secrets.forEach(function (secret) {
+    var expected = crypto.createHmac('sha256', secret).update(canonical).digest('hex');
+    if (safeEqual(expected, match[1])) {
+      valid = true;
+    }
+  });
+  if (!valid) {
+    return { ok: false, error: 'Неверная подпись запроса. Проверьте секрет подписи в настройках расширения.' };
+  }
+
+  if (!rememberSignature(match[1], now, maxAgeMs)) {
+    return { ok: false, error: 'Повтор уже выполненного подписанного запроса' };
+  }
+
+  return { ok: true };
+}
+
+module.exports = {
+  verifyRequestSignature: verifyRequestSignature,
+  readRawBody: readRawBody,
+  getMaxBodyBytes: getMaxBodyBytes,
+  createBodyTooLargeError: createBodyTooLargeError,
+  safeEqual: safeEqual,
+  buildCanonicalString: buildCanonicalString,
+  getSignedPath: getSignedPath
+};
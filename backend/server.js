@@ -0,0 +1,218 @@
+/**
+ * Самостоятельный HTTP(S)-сервер backend — для отелей без Vercel.
+ *
+ * Подключает те же обработчики, что и Vercel: каждый файл api/<имя>.js
+ * доступен по адресу /api/<имя>. Обработчикам передаются req/res с теми же
+ * помощниками, что у Vercel (res.status(), res.json(), req.query); тело запроса
+ * не разбирается — обработчики читают его сами (bodyParser: false).
+ *
+ * Запуск: node server.js (или npm start) из папки backend/.
+ *
+ * Настройки — переменные окружения или файл .env рядом с server.js
+ * (путь можно задать в ENV_FILE; уже заданные переменные окружения важнее .env):
+ *   PORT          — порт (по умолчанию 3000; с HTTPS — 443 обычно за systemd/Docker)
+ *   HOST          — адрес интерфейса (по умолчанию 0.0.0.0 — все интерфейсы)
+ *   TLS_CERT_FILE — сертификат PEM (с цепочкой); вместе с TLS_KEY_FILE включает HTTPS
+ *   TLS_KEY_FILE  — закрытый ключ PEM
+ *   TLS_CA_FILE   — промежуточные сертификаты, если их нет в TLS_CERT_FILE (необязательно)
+ *   остальные — как на Vercel: API_KEY, SMTP_EMAIL, SMTP_PASSWORD, DATA_DIR и т.д.
+ *
+ * GET /health — проверка живости для Docker и мониторинга (без API-ключа).
+ * Примеры развёртывания: Dockerfile, deploy/kontur-invoice-backend.service (systemd).
+ */
+
+var fs = require('fs');
+var path = require('path');
+var http = require('http');
+var https = require('https');
+var apiKeys = require('./lib/api-keys');
+
+var API_DIR = path.join(__dirname, 'api');
+
+// ─── Файл .env ──────────────────────────────────────────────────
+
+/**
+ * Загружает переменные из .env (KEY=value, строки с # — комментарии,
+ * значение можно взять в одинарные или двойные кавычки).
+ * Уже заданные переменные окружения не перезаписываются.
+ * @param {string} filePath
+ * @returns {boolean} false — файла нет
+ */
+function loadEnvFile(filePath) {
+  var raw;
+  try {
+    raw = fs.readFileSync(filePath, 'utf-8');
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return false;
+    }
+    throw err;
+  }
+
+  raw.split(/\r?\n/).forEach(function (line) {
+    var match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/);
+    if (!match || process.env[match[1]] !== undefined) {
+      return;
+    }
+    var value = match[2].trim();
+    var quoted = value.match(/^(['"])([\s\S]*)\1$/);
+    if (quoted) {
+      value = quoted[1] === '"' ? quoted[2].replace(/\\n/g, '\n') : quoted[2];
+    } else {
+      value = value.replace(/\s+#.*$/, '');
+    }
+    process.env[match[1]] = value;
+  });
+  return true;
+}
+
+// ─── Обработчики ────────────────────────────────────────────────
+
+/** Обработчики из api/: { 'send-invoice': handler, … } */
+function loadHandlers() {
+  var handlers = {};
+  fs.readdirSync(API_DIR).forEach(function (file) {
+    if (path.extname(file) === '.js') {
+      handlers[path.basename(file, '.js')] = require(path.join(API_DIR, file));
+    }
+  });
+  return handlers;
+}
+
+/** Добавляет к req/res помощники Vercel, которыми пользуются обработчики. */
+function decorate(req, res, url) {
+  req.query = {};
+  url.searchParams.forEach(function (value, key) {
+    req.query[key] = value;
+  });
+
+  res.status = function (code) {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = function (body) {
+    if (!res.getHeader('Content-Type')) {
+      res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    }
+    res.end(JSON.stringify(body));
+    return res;
+  };
+  res.send = function (body) {
+    if (body !== null && typeof body === 'object' && !Buffer.isBuffer(body)) {
+      return res.json(body);
+    }
+    res.end(body);
+    return res;
+  };
+}
+
+function createRequestListener(handlers) {
+  return function (req, res) {
+    var url = new URL(req.url, 'http://localhost');
+    decorate(req, res, url);
+
+    var started = Date.now();
+    res.on('finish', function () {
+      console.log('[Server]', req.method, url.pathname, res.statusCode, (Date.now() - started) + ' мс');
+    });
+
+    if (url.pathname === '/health' && req.method === 'GET') {
+      return res.status(200).json({ success: true });
+    }
+
+    var match = url.pathname.match(/^\/api\/([\w-]+)\/?$/);
+    var handler = match && handlers[match[1]];
+    if (!handler) {
+      return res.status(404).json({ success: false, error: 'Not Found' });
+    }
+
+    Promise.resolve()
+      .then(function () {
+        return handler(req, res);
+      })
+      .catch(function (error) {
+        console.error('[Server] Необработанная ошибка в /api/' + match[1] + ':', error);
+        if (!res.headersSent) {
+          res.status(500).json({ success: false, error: 'Внутренняя ошибка сервера' });
+        } else {
+          res.end();
+        }
+      });
+  };
+}
+
+// ─── Запуск ─────────────────────────────────────────────────────
+
+function createServer(listener) {
+  var certFile = process.env.TLS_CERT_FILE;
+  var keyFile = process.env.TLS_KEY_FILE;
+
+  if (!certFile && !keyFile) {
+    return http.createServer(listener);
+  }
+  if (!certFile || !keyFile) {
+    throw new Error('Для HTTPS укажите и TLS_CERT_FILE, и TLS_KEY_FILE');
+  }
+
+  var options = {
+    cert: fs.readFileSync(certFile),
+    key: fs.readFileSync(keyFile)
+  };
+  if (process.env.TLS_CA_FILE) {
+    options.ca = fs.readFileSync(process.env.TLS_CA_FILE);
+  }
+  return https.createServer(options, listener);
+}
+
+function start() {
+  var envFile = process.env.ENV_FILE || path.join(__dirname, '.env');
+  if (loadEnvFile(envFile)) {
+    console.log('[Server] Настройки загружены из', envFile);
+  }
+
+  var handlers = loadHandlers();
+  var server = createServer(createRequestListener(handlers));
+  var port = parseInt(process.env.PORT, 10) || 3000;
+  var host = process.env.HOST || '0.0.0.0';
+  var protocol = server instanceof https.Server ? 'https' : 'http';
+
+  // Ключи — в API_KEY, API_KEYS или в хранилище ключей сотрудников (/api/api-keys)
+  apiKeys.findApiKey('').then(function (result) {
+    if (!result.configured) {
+      console.warn('[Server] Не задан ни один API-ключ (API_KEY, API_KEYS или /api/api-keys) — ' +
+        'запросы к /api/* будут отклоняться');
+    }
+  }, function (error) {
+    console.warn('[Server] Не удалось проверить API-ключи:', error.message);
+  });
+
+  server.listen(port, host, function () {
+    console.log('[Server] Backend запущен: ' + protocol + '://' + host + ':' + port +
+      ' (' + Object.keys(handlers).map(function (name) { return '/api/' + name; }).join(', ') + ')');
+  });
+
+  // systemctl stop / docker stop — дожидаемся текущих отправок
+  ['SIGTERM', 'SIGINT'].forEach(function (signal) {
+    process.on(signal, function () {
+      console.log('[Server] Получен ' + signal + ', останавливаемся');
+      server.close(function () {
+        process.exit(0);
+      });
+      setTimeout(function () {
+        process.exit(0);
+      }, 30000).unref();
+    });
+  });
+
+  return server;
+}
+
+if (require.main === module) {
+  start();
+}
+
+module.exports = {
+  loadEnvFile: loadEnvFile,
+  createRequestListener: createRequestListener,
+  start: start
+};
@@ -0,0 +1,311 @@
+/**
+ * История выданных документов (выполняется в service worker).
+ *
+ * Каждый сформированный счёт и ваучер сохраняется вместе со «снимком»
+ * данных бронирования (bookingData + параметры генерации), по которому PDF
+ * можно сформировать повторно без открытия бронирования. Сами PDF-байты не
+ * храним — с встроенным шрифтом они весят ~800 КБ и быстро исчерпали бы
+ * квоту chrome.storage.
+ *
+ * Хранение: chrome.storage.local, ключ «documentHistory» — массив записей
+ * (новые в конце), не более HISTORY_MAX_RECORDS:
+ *   {
+ *     id, type: 'invoice' | 'voucher', createdAt,
+ *     bookingNumber, guestName, guestEmail, amount, totalPrice,
+ *     invoiceNumber, filename,
+ *     snapshot: { bookingData, options },
+ *     email: { to, cc, bcc, subject, body } | null, — последнее отправленное письмо
+ *     sends: [ { at, to, status: 'sent' | 'failed', messageId, imapSaved, error,
+ *                delivery: { status, reason, assumed, checkedAt } } ]
+ *   }
+ *
+ * Автоотправка ваучера после предоплаты (content.js) отмечается в ключе
+ * «autoVoucherClaims»: { '<bookingNumber>|<paidAmount>': ISO-время }, чтобы по одной
+ * оплате ваучер не ушёл дважды — из двух вкладок или после перезагрузки страницы.
+ *
+ * delivery — статус доставки письма по данным backend (/api/delivery-status):
+ * delivered | bounced | delayed | sent (итога пока нет) | unknown. Обновляется
+ * refreshDeliveryStatuses() при открытии истории, пока не станет окончательным.
+ */
+
+var DOCUMENT_HISTORY_KEY = 'documentHistory';
+var HISTORY_MAX_RECORDS = 300;
+
+// Статусы доставки, которые уже не меняются
+var DELIVERY_FINAL_STATUSES = ['delivered', 'bounced'];
+// Письма старше — не проверяем (backend хранит статусы 30 дней, итог обычно ясен за 2 суток)
+var DELIVERY_CHECK_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+// Не чаще раза в минуту: история открывается и в popup, и на странице бронирования
+var DELIVERY_REFRESH_INTERVAL_MS = 60 * 1000;
+var DELIVERY_REQUEST_TIMEOUT_MS = 15000;
+var DELIVERY_MAX_MESSAGE_IDS = 200;
+
+var lastDeliveryRefreshAt = 0;
+
+var AUTO_VOUCHER_CLAIMS_KEY = 'autoVoucherClaims';
+var AUTO_VOUCHER_CLAIM_TTL_MS = 180 * 24 * 60 * 60 * 1000;
+
+var historyQueue = Promise.resolve();
+
+function runHistoryTask(task) {
+  var result = historyQueue.then(task);
+  historyQueue = result.catch(function () {});
+  return result;
+}
+
+function loadHistory() {
+  return new Promise(function (resolve) {
+    chrome.storage.local.get([DOCUMENT_HISTORY_KEY], function (data) {
+      resolve(data[DOCUMENT_HISTORY_KEY] || []);
+    });
+  });
+}
+
+function saveHistory(records) {
+  return new Promise(function (resolve, reject) {
+    var payload = {};
+    payload[DOCUMENT_HISTORY_KEY] = records;
+    chrome.storage.local.set(payload, function () {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+function generateHistoryId() {
+  return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 8);
+}
+
+/**
+ * Добавляет запись о сформированном документе.
+ * @param {Object} record — поля записи без id / createdAt / sends
+ * @returns {Promise<Object>} сохранённая запись
+ */
+function addHistoryRecord(record) {
+  return runHistoryTask(async function () {
+    var records = await loadHistory();
+    var saved = Object.assign({}, record, {
+      id: generateHistoryId(),
+      createdAt: new Date().toISOString(),
+      email: record.email || null,
+      sends: []
+    });
+    records.push(saved);
+    if (records.length > HISTORY_MAX_RECORDS) {
+      records = records.slice(records.length - HISTORY_MAX_RECORDS);
+    }
+    await saveHistory(records);
+    return saved;
+  });
+}
+
+/**
+ * Добавляет к записи результат отправки.
+ * @param {string} id
+ * @param {Object} result — { to, status, messageId, imapSaved, error }
+ * @param {Object} [email] — { to, cc, bcc, subject, body } отправленного письма
+ * @returns {Promise<Object>} обновлённая запись
+ */
+function addHistorySendResult(id, result, email) {
+  return runHistoryTask(async function () {
+    var records = await loadHistory();
+    var record = null;
+    for (var i = 0; i < records.length; i++) {
+      if (records[i].id === id) {
+        record = records[i];
+        break;
+      }
+    }
+    if (!record) {
+      throw new Error('Запись истории не найдена: ' + id);
+    }
+
+    record.sends.push(Object.assign({ at: new Date().toISOString() }, result));
+    if (email) {
+      record.email = email;
+    }
+    await saveHistory(records);
+    return record;
+  });
+}
+
+/**
+ * Возвращает записи истории (новые первыми).
+ * @param {Object} [filter]
+ * @param {string} [filter.bookingNumber] — только по этому бронированию
+ * @param {string} [filter.type] — 'invoice' | 'voucher'
+ */
+async function listHistory(filter) {
+  filter = filter || {};
+  var records = await loadHistory();
+  return records
+    .filter(function (record) {
+      if (filter.bookingNumber && record.bookingNumber !== filter.bookingNumber) {
+        return false;
+      }
+      if (filter.type && record.type !== filter.type) {
+        return false;
+      }
+      return true;
+    })
+    .reverse();
+}
+
+// ─── Автоотправка ваучера ───────────────────────────────────────
+
+/**
+ * Резервирует автоотправку ваучера по оплате бронирования.
+ * Отказ — если по этой оплате уже была автоотправка или ваучер с той же
+ * внесённой суммой уже отправлялся (в том числе вручную).
+ * @param {string} bookingNumber
+ * @param {number} paidAmount — внесённая сумма из раздела «Оплата»
+ * @returns {Promise<boolean>} true — можно отправлять
+ */
+function claimAutoVoucher(bookingNumber, paidAmount) {
+  return runHistoryTask(async function () {
+    var records = await loadHistory();
+    var alreadySent = records.some(function (record) {
+      var bookingData = (record.snapshot || {}).bookingData || {};
+      return record.type === 'voucher' && record.bookingNumber === bookingNumber &&
+        bookingData.paidAmount === paidAmount &&
+        (record.sends || []).some(function (send) {
+          return send.status === 'sent' || send.status === 'queued';
+        });
+    });
+    if (alreadySent) {
+      return false;
+    }
+
+    var data = await new Promise(function (resolve) {
+      chrome.storage.local.get([AUTO_VOUCHER_CLAIMS_KEY], resolve);
+    });
+    var claims = data[AUTO_VOUCHER_CLAIMS_KEY] || {};
+    var key = bookingNumber + '|' + paidAmount;
+    if (claims[key]) {
+      return false;
+    }
+
+    var now = Date.now();
+    Object.keys(claims).forEach(function (claimKey) {
+      if (now - new Date(claims[claimKey]).getTime() > AUTO_VOUCHER_CLAIM_TTL_MS) {
+        delete claims[claimKey];
+      }
+    });
+    claims[key] = new Date(now).toISOString();
+
+    await new Promise(function (resolve, reject) {
+      var payload = {};
+      payload[AUTO_VOUCHER_CLAIMS_KEY] = claims;
+      chrome.storage.local.set(payload, function () {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else {
+          resolve();
+        }
+      });
+    });
+    return true;
+  });
+}
+
+// ─── Статус доставки ────────────────────────────────────────────
+
+/** Отправки, по которым ещё ждём итог доставки. */
+function collectPendingDeliveries(records) {
+  var now = Date.now();
+  var messageIds = [];
+  records.forEach(function (record) {
+    (record.sends || []).forEach(function (send) {
+      if (send.status !== 'sent' || !send.messageId ||
+          (send.delivery && DELIVERY_FINAL_STATUSES.indexOf(send.delivery.status) !== -1) ||
+          now - new Date(send.at).getTime() > DELIVERY_CHECK_MAX_AGE_MS) {
+        return;
+      }
+      if (messageIds.indexOf(send.messageId) === -1) {
+        messageIds.push(send.messageId);
+      }
+    });
+  });
+  // Новые отправки в конце — их и проверяем, если отправок слишком много
+  return messageIds.slice(-DELIVERY_MAX_MESSAGE_IDS);
+}
+
+/**
+ * Запрашивает у backend статусы доставки отправленных писем и сохраняет их
+ * в отправках (send.delivery).
+ * @param {boolean} [force] — не учитывать интервал между проверками
+ * @returns {Promise<{ updated: number }>} updated — сколько отправок изменило статус
+ */
+async function refreshDeliveryStatuses(force) {
+  if (!force && Date.now() - lastDeliveryRefreshAt < DELIVERY_REFRESH_INTERVAL_MS) {
+    return { updated: 0 };
+  }
+
+  var settings = await getSettings();
+  if (!settings.backendUrl || !settings.apiKey) {
+    return { updated: 0 };
+  }
+
+  var messageIds = collectPendingDeliveries(await loadHistory());
+  if (messageIds.length === 0) {
+    return { updated: 0 };
+  }
+  lastDeliveryRefreshAt = Date.now();
+
+  // Запрос — вне очереди истории: пока ждём сервер, запись документов не блокируется
+  var controller = new AbortController();
+  var timer = setTimeout(function () {
+    controller.abort();
+  }, DELIVERY_REQUEST_TIMEOUT_MS);
+  var result;
+  try {
+    var response = await fetchBackend(settings, '/api/delivery-status', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ messageIds: messageIds }),
+      signal: controller.signal
+    });
+    result = await response.json().catch(function () {
+      return null;
+    });
+    if (!response.ok || !result || !result.success) {
+      throw new Error('Сервер вернул ошибку ' + response.status +
+        (result && result.error ? ': ' + result.error : ''));
+    }
+  } catch (error) {
+    console.warn('[KonturHistory] Не удалось получить статусы доставки:', error.message);
+    return { updated: 0 };
+  } finally {
+    clearTimeout(timer);
+  }
+
+  var statuses = result.statuses || {};
+  var checkedAt = new Date().toISOString();
+  return runHistoryTask(async function () {
+    var records = await loadHistory();
+    var updated = 0;
+    records.forEach(function (record) {
+      (record.sends || []).forEach(function (send) {
+        var status = send.status === 'sent' && statuses[send.messageId];
+        if (!status) {
+          return;
+        }
+        var previous = send.delivery || {};
+        if (previous.status !== status.status || previous.reason !== (status.reason || '')) {
+          updated++;
+        }
+        send.delivery = {
+          status: status.status,
+          reason: status.reason || '',
+          assumed: !!status.assumed,
+          checkedAt: checkedAt
+        };
+      });
+    });
+    await saveHistory(records);
+    return { updated: updated };
+  });
+}
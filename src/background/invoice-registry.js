@@ -0,0 +1,383 @@
+/**
+ * Реестр счетов на предоплату (выполняется в service worker).
+ *
+ * Выдаёт строго последовательные номера счетов в пределах финансового года
+ * (календарный год), хранит для каждого номера бронирование и сумму,
+ * поддерживает аннулирование и перевыпуск с журналом действий.
+ *
+ * Хранение: chrome.storage.local, ключ «invoiceRegistry»:
+ *   {
+ *     counters: { '2026': 12 },          — последний выданный порядковый номер года
+ *     entries:  [ { number, year, seq, bookingNumber, guestName, amount,
+ *                   totalPrice, status, issuedAt, history, replaces,
+ *                   replacedBy, synced, conflict } ]
+ *   }
+ *
+ * Зеркало: backend /api/invoice-registry. Номер выдаёт сервер (атомарно, поэтому
+ * несколько рабочих мест не получат одинаковые номера), после изменения
+ * отправляем несинхронизированные записи. Если сервер недоступен, номер выдаётся
+ * по локальному счётчику, а запись досылается при следующей операции с реестром.
+ * Если такой номер на сервере уже выдан другому счёту, сервер отвечает 409:
+ * только что выданный номер заменяется новым, а у записи, которая уже ушла гостю,
+ * ставится conflict — её нужно перевыпустить вручную.
+ */
+
+var INVOICE_REGISTRY_KEY = 'invoiceRegistry';
+var REGISTRY_REMOTE_TIMEOUT_MS = 5000;
+// Сколько раз выдать номер заново, если сервер отверг его как занятый
+var REGISTRY_ALLOCATE_ATTEMPTS = 3;
+
+// Все изменения реестра выполняются последовательно
+var registryQueue = Promise.resolve();
+
+function runRegistryTask(task) {
+  var result = registryQueue.then(task);
+  registryQueue = result.catch(function () {});
+  return result;
+}
+
+function loadRegistry() {
+  return new Promise(function (resolve) {
+    chrome.storage.local.get([INVOICE_REGISTRY_KEY], function (data) {
+      var registry = data[INVOICE_REGISTRY_KEY] || {};
+      resolve({
+        counters: registry.counters || {},
+        entries: registry.entries || []
+      });
+    });
+  });
+}
+
+function saveRegistry(registry) {
+  return new Promise(function (resolve, reject) {
+    var payload = {};
+    payload[INVOICE_REGISTRY_KEY] = registry;
+    chrome.storage.local.set(payload, function () {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+/** Формирует номер счёта: «2026-00012». */
+function formatInvoiceNumber(year, seq) {
+  var seqStr = String(seq);
+  while (seqStr.length < 5) {
+    seqStr = '0' + seqStr;
+  }
+  return year + '-' + seqStr;
+}
+
+function findRegistryEntry(registry, number) {
+  for (var i = 0; i < registry.entries.length; i++) {
+    if (registry.entries[i].number === number) {
+      return registry.entries[i];
+    }
+  }
+  return null;
+}
+
+/**
+ * fetch к зеркалу реестра с таймаутом. Возвращает JSON (и при 409 — со списком
+ * conflicts) или null, если backend не настроен / недоступен.
+ */
+async function fetchRegistryMirror(path, init) {
+  var settings = await getSettings();
+  if (!settings.backendUrl || !settings.apiKey) {
+    return null;
+  }
+
+  var controller = new AbortController();
+  var timer = setTimeout(function () {
+    controller.abort();
+  }, REGISTRY_REMOTE_TIMEOUT_MS);
+
+  try {
+    var response = await fetchBackend(settings, path, Object.assign({}, init, {
+      signal: controller.signal
+    }));
+    if (response.status === 409) {
+      return await response.json();
+    }
+    if (!response.ok) {
+      console.warn('[KonturRegistry] Зеркало реестра ответило:', response.status);
+      return null;
+    }
+    return await response.json();
+  } catch (error) {
+    console.warn('[KonturRegistry] Зеркало реестра недоступно:', error.message);
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/** Последний порядковый номер года на сервере (0, если сервер недоступен). */
+async function fetchRemoteLastSeq(year) {
+  var result = await fetchRegistryMirror('/api/invoice-registry?year=' + year, { method: 'GET' });
+  return result && result.success ? (result.lastSeq || 0) : 0;
+}
+
+/**
+ * Запрашивает у сервера следующий номер года (сервер сразу записывает счёт за собой).
+ * @returns {Promise<number|null>} порядковый номер или null — сервер недоступен
+ */
+async function allocateRemoteSeq(year, lastSeq, data) {
+  var result = await fetchRegistryMirror('/api/invoice-registry', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      allocate: {
+        year: year,
+        lastSeq: lastSeq,
+        bookingNumber: data.bookingNumber || '',
+        guestName: data.guestName || '',
+        amount: data.amount || 0,
+        totalPrice: data.totalPrice || 0,
+        replaces: data.replaces || null,
+        reason: data.reason || ''
+      }
+    })
+  });
+  return result && result.success && result.entry ? result.entry.seq : null;
+}
+
+/**
+ * Отправляет на сервер записи с synced = false (кроме записей с conflict).
+ * Номера, которые сервер отверг как занятые другими счетами, помечаются conflict,
+ * остальные записи отправляются повторно.
+ * Вызывается внутри runRegistryTask, реестр сохраняет вызывающий код.
+ */
+async function pushUnsyncedEntries(registry) {
+  var unsynced = registry.entries.filter(function (entry) {
+    return !entry.synced && !entry.conflict;
+  });
+  if (unsynced.length === 0) {
+    return;
+  }
+
+  var payload = unsynced.map(function (entry) {
+    var copy = Object.assign({}, entry);
+    delete copy.synced;
+    return copy;
+  });
+
+  var result = await fetchRegistryMirror('/api/invoice-registry', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ entries: payload })
+  });
+
+  if (result && result.success) {
+    unsynced.forEach(function (entry) {
+      entry.synced = true;
+    });
+  } else if (result && Array.isArray(result.conflicts) && result.conflicts.length > 0) {
+    unsynced.forEach(function (entry) {
+      if (result.conflicts.indexOf(entry.number) !== -1) {
+        console.error('[KonturRegistry] Номер', entry.number, 'на сервере уже выдан другому счёту');
+        entry.conflict = true;
+      }
+    });
+    await pushUnsyncedEntries(registry);
+  }
+}
+
+function createRegistryEntry(registry, year, seq, data) {
+  var now = new Date().toISOString();
+  var entry = {
+    number: formatInvoiceNumber(year, seq),
+    year: year,
+    seq: seq,
+    bookingNumber: data.bookingNumber || '',
+    guestName: data.guestName || '',
+    amount: data.amount || 0,
+    totalPrice: data.totalPrice || 0,
+    status: 'issued',
+    issuedAt: now,
+    replaces: data.replaces || null,
+    replacedBy: null,
+    history: [{ action: 'issued', at: now, reason: data.reason || '' }],
+    synced: false
+  };
+  registry.entries.push(entry);
+  registry.counters[String(year)] = Math.max(registry.counters[String(year)] || 0, seq);
+  return entry;
+}
+
+/**
+ * Порядковый номер для нового счёта: от сервера, а без него (сервер недоступен
+ * или старой версии) — следующий после локального и серверного счётчиков.
+ * Номер сервера не больше локального счётчика (хранилище сервера началось заново
+ * и сервер не учёл lastSeq) не принимается: такой номер уже выдан здесь.
+ * Досылаем записи и просим снова; не вышло — номер по счётчикам.
+ */
+async function allocateNextSeq(registry, year, data) {
+  var localSeq = registry.counters[String(year)] || 0;
+  for (var attempt = 1; attempt <= REGISTRY_ALLOCATE_ATTEMPTS; attempt++) {
+    var remoteSeq = await allocateRemoteSeq(year, localSeq, data);
+    if (remoteSeq === null) {
+      break;
+    }
+    if (remoteSeq > localSeq) {
+      return remoteSeq;
+    }
+    console.warn('[KonturRegistry] Сервер выдал уже использованный номер', remoteSeq,
+      '(локальный счётчик', localSeq + ') — досылаем записи и запрашиваем снова');
+    await pushUnsyncedEntries(registry);
+  }
+  return Math.max(localSeq, await fetchRemoteLastSeq(year)) + 1;
+}
+
+/**
+ * Выдаёт номер, записывает его в реестр и отправляет на сервер.
+ * Если сервер отверг номер как занятый (выдан локально, пока сервер был недоступен,
+ * а другое рабочее место уже выдало такой же), номер выдаётся заново — счёт
+ * с ним ещё никому не отправлен.
+ */
+async function issueRegistryEntry(registry, year, data) {
+  // Сначала досылаем выданные без сервера номера, иначе сервер выдаст их повторно
+  await pushUnsyncedEntries(registry);
+  for (var attempt = 1; ; attempt++) {
+    var seq = await allocateNextSeq(registry, year, data);
+    var entry = createRegistryEntry(registry, year, seq, data);
+    await pushUnsyncedEntries(registry);
+    if (!entry.conflict || attempt >= REGISTRY_ALLOCATE_ATTEMPTS) {
+      return entry;
+    }
+    registry.entries.splice(registry.entries.indexOf(entry), 1);
+  }
+}
+
+/**
+ * Выдаёт номер счёта для бронирования.
+ *
+ * Если для бронирования в текущем году уже есть действующий номер с той же
+ * суммой — возвращается он (повторное скачивание не создаёт разрывов в нумерации).
+ *
+ * @param {Object} data
+ * @param {string} data.bookingNumber
+ * @param {string} data.guestName
+ * @param {number} data.amount — сумма счёта (предоплата)
+ * @param {number} data.totalPrice — полная стоимость бронирования
+ * @returns {Promise<Object>} запись реестра
+ */
+function issueInvoiceNumber(data) {
+  return runRegistryTask(async function () {
+    var registry = await loadRegistry();
+    var year = new Date().getFullYear();
+
+    for (var i = registry.entries.length - 1; i >= 0; i--) {
+      var existing = registry.entries[i];
+      if (existing.year === year &&
+          existing.status === 'issued' &&
+          existing.bookingNumber === data.bookingNumber &&
+          existing.amount === data.amount) {
+        return existing;
+      }
+    }
+
+    var entry = await issueRegistryEntry(registry, year, data);
+    console.log('[KonturRegistry] Выдан номер счёта', entry.number, 'для', entry.bookingNumber);
+
+    await saveRegistry(registry);
+    return entry;
+  });
+}
+
+/**
+ * Аннулирует номер счёта. Номер остаётся в реестре (без разрыва нумерации).
+ * @returns {Promise<Object>} обновлённая запись
+ */
+function voidInvoiceNumber(number, reason) {
+  return runRegistryTask(async function () {
+    var registry = await loadRegistry();
+    var entry = findRegistryEntry(registry, number);
+    if (!entry) {
+      throw new Error('Счёт ' + number + ' не найден в реестре');
+    }
+    if (entry.status === 'voided') {
+      throw new Error('Счёт ' + number + ' уже аннулирован');
+    }
+
+    var now = new Date().toISOString();
+    entry.status = 'voided';
+    entry.voidedAt = now;
+    entry.voidReason = reason || '';
+    entry.history.push({ action: 'voided', at: now, reason: reason || '' });
+    entry.synced = false;
+
+    await pushUnsyncedEntries(registry);
+    await saveRegistry(registry);
+    return entry;
+  });
+}
+
+/**
+ * Перевыпускает счёт: аннулирует старый номер и выдаёт новый
+ * для того же бронирования и суммы. Записи связываются через replaces / replacedBy.
+ * @returns {Promise<Object>} новая запись
+ */
+function reissueInvoiceNumber(number, reason) {
+  return runRegistryTask(async function () {
+    var registry = await loadRegistry();
+    var oldEntry = findRegistryEntry(registry, number);
+    if (!oldEntry) {
+      throw new Error('Счёт ' + number + ' не найден в реестре');
+    }
+
+    var now = new Date().toISOString();
+    var year = new Date().getFullYear();
+    var newEntry = await issueRegistryEntry(registry, year, {
+      bookingNumber: oldEntry.bookingNumber,
+      guestName: oldEntry.guestName,
+      amount: oldEntry.amount,
+      totalPrice: oldEntry.totalPrice,
+      replaces: oldEntry.number,
+      reason: reason
+    });
+
+    if (oldEntry.status !== 'voided') {
+      oldEntry.status = 'voided';
+      oldEntry.voidedAt = now;
+      oldEntry.voidReason = reason || '';
+    }
+    oldEntry.replacedBy = newEntry.number;
+    oldEntry.history.push({ action: 'reissued', at: now, reason: reason || '', newNumber: newEntry.number });
+    oldEntry.synced = false;
+
+    await pushUnsyncedEntries(registry);
+    await saveRegistry(registry);
+    return newEntry;
+  });
+}
+
+/** Возвращает записи реестра за год (по возрастанию номера). */
+async function listInvoiceRegistry(year) {
+  var registry = await loadRegistry();
+  return registry.entries
+    .filter(function (entry) {
+      return !year || entry.year === year;
+    })
+    .sort(function (a, b) {
+      return a.year - b.year || a.seq - b.seq;
+    });
+}
+
+/**
+ * Досылает на сервер несинхронизированные записи.
+ * @returns {Promise<number>} сколько записей не отправлено (без записей с conflict)
+ */
+function syncInvoiceRegistry() {
+  return runRegistryTask(async function () {
+    var registry = await loadRegistry();
+    await pushUnsyncedEntries(registry);
+    await saveRegistry(registry);
+    return registry.entries.filter(function (entry) {
+      return !entry.synced && !entry.conflict;
+    }).length;
+  });
+}
@@ -0,0 +1,271 @@
+/**
+ * Очередь неотправленных писем (выполняется в service worker).
+ *
+ * Если backend недоступен (нет сети, сервер упал, не ответил за минуту —
+ * SEND_REQUEST_TIMEOUT_MS в service-worker.js — или ответил 5xx / 408 / 409),
+ * письмо не теряется: оно сохраняется в очередь и отправляется повторно
+ * с нарастающей задержкой (1, 2, 4 … 60 минут) по chrome.alarms — даже
+ * если вкладка Контура уже закрыта. Успешная отправка любого письма досылает
+ * всю очередь сразу: связь появилась.
+ *
+ * Хранение: chrome.storage.local, ключ «outbox» (PDF внутри — base64, поэтому
+ * в манифесте разрешение unlimitedStorage):
+ *   [ { id, createdAt,
+ *       data,                           — данные SEND_INVOICE_EMAIL (с PDF)
+ *       historyId,                      — запись истории документов (туда дописывается результат)
+ *       status: 'pending' | 'failed',   — failed: попытки кончились или сервер отклонил письмо
+ *       attempts, nextAttemptAt, lastError } ]
+ *
+ * Число писем в очереди показывается на значке расширения
+ * (красным — если есть неотправленные окончательно).
+ *
+ * Зависимости (service-worker.js, document-history.js): handleSendInvoice, trackSentInvoice,
+ * addHistorySendResult.
+ */
+
+var OUTBOX_KEY = 'outbox';
+var OUTBOX_ALARM = 'outbox-retry';
+var OUTBOX_BASE_DELAY_MS = 60 * 1000;
+var OUTBOX_MAX_DELAY_MS = 60 * 60 * 1000;
+var OUTBOX_MAX_ATTEMPTS = 12;
+
+// Все изменения очереди выполняются последовательно
+var outboxQueue = Promise.resolve();
+
+function runOutboxTask(task) {
+  var result = outboxQueue.then(task);
+  outboxQueue = result.catch(function () {});
+  return result;
+}
+
+function loadOutbox() {
+  return new Promise(function (resolve) {
+    chrome.storage.local.get([OUTBOX_KEY], function (data) {
+      resolve(data[OUTBOX_KEY] || []);
+    });
+  });
+}
+
+/** Сохраняет очередь и обновляет значок и будильник повторной отправки. */
+function saveOutbox(items) {
+  return new Promise(function (resolve, reject) {
+    var payload = {};
+    payload[OUTBOX_KEY] = items;
+    chrome.storage.local.set(payload, function () {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      updateOutboxBadge(items);
+      scheduleOutboxAlarm(items);
+      resolve();
+    });
+  });
+}
+
+function generateOutboxId() {
+  return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 8);
+}
+
+/** Задержка перед следующей попыткой: 1, 2, 4 … минут, не больше часа. */
+function outboxRetryDelay(attempts) {
+  return Math.min(OUTBOX_BASE_DELAY_MS * Math.pow(2, Math.max(0, attempts - 1)), OUTBOX_MAX_DELAY_MS);
+}
+
+/**
+ * Ставит письмо в очередь после неудачной первой попытки.
+ * @param {Object} data — данные SEND_INVOICE_EMAIL
+ * @param {Error} error — ошибка первой попытки
+ * @returns {Promise<Object>} элемент очереди
+ */
+function enqueueOutboxItem(data, error) {
+  return runOutboxTask(async function () {
+    var items = await loadOutbox();
+    var item = {
+      id: generateOutboxId(),
+      createdAt: new Date().toISOString(),
+      data: data,
+      historyId: data.historyId || null,
+      status: 'pending',
+      attempts: 1,
+      nextAttemptAt: Date.now() + outboxRetryDelay(1),
+      lastError: error.message
+    };
+    items.push(item);
+    await saveOutbox(items);
+    console.log('[KonturPrepay] Письмо поставлено в очередь:', item.id, error.message);
+    return item;
+  });
+}
+
+/**
+ * Отправляет письма, у которых подошло время повторной попытки.
+ * @param {boolean} [all] — все ожидающие, не дожидаясь времени (связь появилась)
+ * @returns {Promise<number>} сколько писем осталось в очереди
+ */
+function processOutbox(all) {
+  return runOutboxTask(async function () {
+    var items = await loadOutbox();
+    var now = Date.now();
+    var due = items.filter(function (item) {
+      return item.status === 'pending' && (all || item.nextAttemptAt <= now);
+    });
+    if (due.length === 0) {
+      return items.length;
+    }
+
+    var sentIds = [];
+    for (var i = 0; i < due.length; i++) {
+      var item = due[i];
+      try {
+        var result = await handleSendInvoice(item.data);
+        sentIds.push(item.id);
+        trackSentInvoice(item.data);
+        await recordOutboxResult(item, {
+          status: 'sent',
+          messageId: result && result.messageId,
+          imapSaved: result && result.imapSaved
+        });
+        console.log('[KonturPrepay] Письмо из очереди отправлено:', item.id);
+      } catch (error) {
+        item.attempts++;
+        item.lastError = error.message;
+        if (!error.retryable || item.attempts >= OUTBOX_MAX_ATTEMPTS) {
+          item.status = 'failed';
+          await recordOutboxResult(item, { status: 'failed', error: error.message });
+        } else {
+          item.nextAttemptAt = Date.now() + outboxRetryDelay(item.attempts);
+        }
+        console.warn('[KonturPrepay] Письмо из очереди не отправлено (попытка ' + item.attempts + '):',
+          error.message);
+      }
+    }
+
+    var remaining = items.filter(function (item) {
+      return sentIds.indexOf(item.id) === -1;
+    });
+    await saveOutbox(remaining);
+    return remaining.length;
+  });
+}
+
+/** Дописывает результат отправки из очереди в историю документов. */
+async function recordOutboxResult(item, result) {
+  if (!item.historyId) {
+    return;
+  }
+  try {
+    await addHistorySendResult(item.historyId, Object.assign({ to: item.data.to, fromOutbox: true }, result));
+  } catch (error) {
+    console.warn('[KonturPrepay] Не удалось записать результат отправки в историю:', error.message);
+  }
+}
+
+/**
+ * Отправляет письмо из очереди сейчас (кнопка в попапе), в том числе
+ * неотправленное окончательно — с новым отсчётом попыток.
+ * @returns {Promise<{ sent: boolean, error: string }>}
+ */
+async function retryOutboxItem(id) {
+  await runOutboxTask(async function () {
+    var items = await loadOutbox();
+    var item = findOutboxItem(items, id);
+    item.status = 'pending';
+    item.attempts = 0;
+    item.nextAttemptAt = Date.now();
+    await saveOutbox(items);
+  });
+  await processOutbox();
+
+  var left = findOutboxItemOrNull(await loadOutbox(), id);
+  return { sent: !left, error: left ? left.lastError : '' };
+}
+
+/** Удаляет письмо из очереди без отправки. */
+function deleteOutboxItem(id) {
+  return runOutboxTask(async function () {
+    var items = await loadOutbox();
+    var item = findOutboxItem(items, id);
+    await saveOutbox(items.filter(function (other) {
+      return other !== item;
+    }));
+  });
+}
+
+/**
+ * Очередь для попапа — без PDF и текста письма.
+ * @returns {Promise<Array>} [{ id, createdAt, status, attempts, nextAttemptAt, lastError,
+ *   to, bookingNumber, guestName, pdfFilename }]
+ */
+async function listOutbox() {
+  var items = await loadOutbox();
+  return items.map(function (item) {
+    return {
+      id: item.id,
+      createdAt: item.createdAt,
+      status: item.status,
+      attempts: item.attempts,
+      nextAttemptAt: item.nextAttemptAt,
+      lastError: item.lastError,
+      to: item.data.to,
+      bookingNumber: item.data.bookingNumber,
+      guestName: item.data.guestName,
+      pdfFilename: item.data.pdfFilename
+    };
+  });
+}
+
+function findOutboxItemOrNull(items, id) {
+  for (var i = 0; i < items.length; i++) {
+    if (items[i].id === id) {
+      return items[i];
+    }
+  }
+  return null;
+}
+
+function findOutboxItem(items, id) {
+  var item = findOutboxItemOrNull(items, id);
+  if (!item) {
+    throw new Error('Письмо не найдено в очереди: ' + id);
+  }
+  return item;
+}
+
+// ─── Значок и будильник ───────────────────────────────────────
+
+/** Число писем в очереди на значке расширения. */
+function updateOutboxBadge(items) {
+  var failed = items.some(function (item) {
+    return item.status === 'failed';
+  });
+  chrome.action.setBadgeText({ text: items.length > 0 ? String(items.length) : '' });
+  chrome.action.setBadgeBackgroundColor({ color: failed ? '#d93025' : '#f29900' });
+}
+
+/** Будильник на ближайшую повторную попытку (или снимает его, если ждать нечего). */
+function scheduleOutboxAlarm(items) {
+  var next = null;
+  items.forEach(function (item) {
+    if (item.status === 'pending' && (next === null || item.nextAttemptAt < next)) {
+      next = item.nextAttemptAt;
+    }
+  });
+  if (next === null) {
+    chrome.alarms.clear(OUTBOX_ALARM);
+    return;
+  }
+  chrome.alarms.create(OUTBOX_ALARM, { when: Math.max(next, Date.now() + 1000) });
+}
+
+chrome.alarms.onAlarm.addListener(function (alarm) {
+  if (alarm.name === OUTBOX_ALARM) {
+    processOutbox();
+  }
+});
+
+// При запуске service worker — значок и будильник по сохранённой очереди
+loadOutbox().then(function (items) {
+  updateOutboxBadge(items);
+  scheduleOutboxAlarm(items);
+});
@@ -0,0 +1,401 @@
+/**
+ * Сроки предоплаты по отправленным счетам (выполняется в service worker).
+ *
+ * В письме со счётом гостю обещано: без оплаты в течение 3 суток бронь аннулируется.
+ * Отправленный счёт (SEND_INVOICE_EMAIL сразу или из очереди outbox.js) запускает
+ * отсчёт срока PAYMENT_DEADLINE_DAYS. Повторная отправка того же счёта срок не
+ * продлевает, новый счёт по бронированию (перевыпуск) начинает отсчёт заново.
+ *
+ * Внесённую сумму сообщает content script, когда сотрудник открывает бронирование
+ * в Контуре (раздел «Оплата»). Как только внесено не меньше выставленной предоплаты,
+ * бронирование снимается с контроля.
+ *
+ * Напоминание — письмо по шаблону «Напоминание об оплате» (email-templates.js)
+ * с тем же счётом во вложении: кнопкой во вкладке «Оплата» попапа или автоматически
+ * за PAYMENT_REMINDER_LEAD_HOURS до срока (настройка «paymentReminderMode»: 'manual' |
+ * 'auto'), один раз на счёт. Вкладка Контура к этому времени может быть закрыта,
+ * поэтому при отправке счёта сохраняются PDF, отправитель и тексты отеля для шаблона
+ * (templateTexts), а письмо собирается здесь.
+ *
+ * Хранение: chrome.storage.local, ключ «paymentDeadlines»:
+ *   { <bookingNumber>: { bookingNumber, guestName, historyId, invoiceNumber,
+ *       prepayAmount, totalPrice, bookingData, templateTexts,
+ *       email: { to, cc, bcc, senderProfile, senderName, logoDataUrl, pdfBase64, pdfFilename },
+ *       sentAt, deadlineAt, autoReminderAt, paidAmount, paidCheckedAt,
+ *       status: 'open' | 'paid' | 'dismissed', closedAt,
+ *       reminders: [ { at, to, status: 'sent' | 'failed', auto, messageId, error } ] } }
+ * У закрытых записей email (с PDF) удаляется; записи со сроком старше
+ * PAYMENT_DEADLINE_RETENTION_DAYS удаляются совсем.
+ *
+ * Зависимости (service-worker.js, document-history.js, email-templates.js): handleSendInvoice,
+ * getSettings, loadHistory, selectEmailTemplate, renderEmailTemplate, buildTemplateVariables,
+ * renderEmailHtml.
+ */
+
+var PAYMENT_DEADLINES_KEY = 'paymentDeadlines';
+var PAYMENT_DEADLINE_ALARM = 'payment-reminders';
+// Срок из письма со счётом (шаблон «Счёт — стандартный»)
+var PAYMENT_DEADLINE_DAYS = 3;
+var PAYMENT_REMINDER_LEAD_HOURS = 24;
+// Автонапоминание, не ушедшее из-за недоступности сервера, — повтор через полчаса
+var PAYMENT_REMINDER_RETRY_MS = 30 * 60 * 1000;
+var PAYMENT_DEADLINE_RETENTION_DAYS = 30;
+
+var DAY_MS = 24 * 60 * 60 * 1000;
+
+var deadlinesQueue = Promise.resolve();
+
+function runDeadlinesTask(task) {
+  var result = deadlinesQueue.then(task);
+  deadlinesQueue = result.catch(function () {});
+  return result;
+}
+
+function loadPaymentDeadlines() {
+  return new Promise(function (resolve) {
+    chrome.storage.local.get([PAYMENT_DEADLINES_KEY], function (data) {
+      resolve(data[PAYMENT_DEADLINES_KEY] || {});
+    });
+  });
+}
+
+/** Сохраняет записи (без устаревших) и переставляет будильник автонапоминаний. */
+function savePaymentDeadlines(deadlines) {
+  var expireBefore = Date.now() - PAYMENT_DEADLINE_RETENTION_DAYS * DAY_MS;
+  Object.keys(deadlines).forEach(function (bookingNumber) {
+    if (deadlines[bookingNumber].deadlineAt < expireBefore) {
+      delete deadlines[bookingNumber];
+    }
+  });
+
+  return new Promise(function (resolve, reject) {
+    var payload = {};
+    payload[PAYMENT_DEADLINES_KEY] = deadlines;
+    chrome.storage.local.set(payload, function () {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      schedulePaymentReminderAlarm(deadlines);
+      resolve();
+    });
+  });
+}
+
+function findPaymentDeadline(deadlines, bookingNumber) {
+  var entry = deadlines[bookingNumber];
+  if (!entry) {
+    throw new Error('Бронирование не найдено среди ожидающих оплаты: ' + bookingNumber);
+  }
+  return entry;
+}
+
+/** Закрывает запись: напоминаний больше не будет, PDF не нужен. */
+function closePaymentDeadline(entry, status) {
+  entry.status = status;
+  entry.closedAt = new Date().toISOString();
+  entry.autoReminderAt = null;
+  entry.email = null;
+  entry.templateTexts = null;
+}
+
+// ─── Отсчёт срока ───────────────────────────────────────────────
+
+/**
+ * Начинает отсчёт срока оплаты по отправленному счёту.
+ * Ошибки только в консоль: отправка счёта уже состоялась.
+ * @param {Object} data — данные SEND_INVOICE_EMAIL (documentType 'invoice', historyId, PDF)
+ * @returns {Promise<void>}
+ */
+function startPaymentDeadline(data) {
+  return runDeadlinesTask(async function () {
+    // Сумма и данные бронирования — из записи истории счёта
+    var record = null;
+    if (data.historyId) {
+      record = (await loadHistory()).filter(function (item) {
+        return item.id === data.historyId;
+      })[0] || null;
+    }
+    if (!record || !record.bookingNumber) {
+      console.warn('[KonturDeadlines] Срок оплаты не отслеживается: нет записи истории счёта',
+        data.historyId || data.pdfFilename);
+      return;
+    }
+
+    var deadlines = await loadPaymentDeadlines();
+    var existing = deadlines[record.bookingNumber];
+    var now = Date.now();
+    var bookingData = (record.snapshot && record.snapshot.bookingData) || {};
+    var email = {
+      to: data.to,
+      cc: data.cc || '',
+      bcc: data.bcc || '',
+      senderProfile: data.senderProfile || '',
+      senderName: data.senderName || '',
+      logoDataUrl: data.logoDataUrl || '',
+      pdfBase64: data.pdfBase64,
+      pdfFilename: data.pdfFilename
+    };
+
+    // Тот же счёт отправлен повторно — срок прежний, обновляем только письмо
+    if (existing && existing.status === 'open' && existing.invoiceNumber === record.invoiceNumber) {
+      existing.email = email;
+      existing.templateTexts = data.templateTexts || existing.templateTexts;
+      await savePaymentDeadlines(deadlines);
+      return;
+    }
+
+    var deadlineAt = now + PAYMENT_DEADLINE_DAYS * DAY_MS;
+    var entry = {
+      bookingNumber: record.bookingNumber,
+      guestName: record.guestName || '',
+      historyId: record.id,
+      invoiceNumber: record.invoiceNumber || '',
+      prepayAmount: record.amount || 0,
+      totalPrice: record.totalPrice || 0,
+      bookingData: bookingData,
+      templateTexts: data.templateTexts || {},
+      email: email,
+      sentAt: new Date(now).toISOString(),
+      deadlineAt: deadlineAt,
+      autoReminderAt: deadlineAt - PAYMENT_REMINDER_LEAD_HOURS * 60 * 60 * 1000,
+      paidAmount: bookingData.paidAmount || 0,
+      paidCheckedAt: record.createdAt,
+      status: 'open',
+      closedAt: null,
+      reminders: []
+    };
+    if (entry.prepayAmount > 0 && entry.paidAmount >= entry.prepayAmount) {
+      closePaymentDeadline(entry, 'paid');
+    }
+    deadlines[entry.bookingNumber] = entry;
+    await savePaymentDeadlines(deadlines);
+    console.log('[KonturDeadlines] Срок оплаты по бронированию', entry.bookingNumber, '—',
+      new Date(deadlineAt).toISOString());
+  });
+}
+
+/**
+ * Внесённая сумма по бронированию (из раздела «Оплата» в Контуре).
+ * Бронирования без отправленного счёта не отслеживаются — запрос игнорируется.
+ * @returns {Promise<{ tracked: boolean, status?: string }>}
+ */
+function updateDeadlinePayment(bookingNumber, paidAmount) {
+  return runDeadlinesTask(async function () {
+    var deadlines = await loadPaymentDeadlines();
+    var entry = deadlines[bookingNumber];
+    if (!entry || entry.status !== 'open') {
+      return { tracked: false };
+    }
+    entry.paidAmount = paidAmount || 0;
+    entry.paidCheckedAt = new Date().toISOString();
+    if (entry.paidAmount > 0 && entry.paidAmount >= entry.prepayAmount) {
+      closePaymentDeadline(entry, 'paid');
+      console.log('[KonturDeadlines] Предоплата по бронированию', bookingNumber, 'получена');
+    }
+    await savePaymentDeadlines(deadlines);
+    return { tracked: true, status: entry.status };
+  });
+}
+
+/** Снимает бронирование с контроля (бронь отменена, оплата договорена иначе). */
+function dismissPaymentDeadline(bookingNumber) {
+  return runDeadlinesTask(async function () {
+    var deadlines = await loadPaymentDeadlines();
+    closePaymentDeadline(findPaymentDeadline(deadlines, bookingNumber), 'dismissed');
+    await savePaymentDeadlines(deadlines);
+  });
+}
+
+/**
+ * Бронирования, ожидающие оплаты, — для вкладки «Оплата» попапа (без PDF и текстов).
+ * @returns {Promise<Array>} по возрастанию срока:
+ *   [{ bookingNumber, guestName, invoiceNumber, to, prepayAmount, totalPrice, paidAmount,
+ *      paidCheckedAt, sentAt, deadlineAt, autoReminderAt, reminders }]
+ */
+async function listPaymentDeadlines() {
+  var deadlines = await loadPaymentDeadlines();
+  return Object.keys(deadlines)
+    .map(function (bookingNumber) {
+      return deadlines[bookingNumber];
+    })
+    .filter(function (entry) {
+      return entry.status === 'open';
+    })
+    .sort(function (a, b) {
+      return a.deadlineAt - b.deadlineAt;
+    })
+    .map(function (entry) {
+      return {
+        bookingNumber: entry.bookingNumber,
+        guestName: entry.guestName,
+        invoiceNumber: entry.invoiceNumber,
+        to: entry.email ? entry.email.to : '',
+        prepayAmount: entry.prepayAmount,
+        totalPrice: entry.totalPrice,
+        paidAmount: entry.paidAmount,
+        paidCheckedAt: entry.paidCheckedAt,
+        sentAt: entry.sentAt,
+        deadlineAt: entry.deadlineAt,
+        autoReminderAt: entry.autoReminderAt,
+        reminders: entry.reminders
+      };
+    });
+}
+
+// ─── Напоминания ────────────────────────────────────────────────
+
+/**
+ * Отправляет напоминание об оплате сейчас (кнопка в попапе).
+ * @returns {Promise<{ to: string }>}
+ * @throws {Error} если письмо не отправлено (в очередь напоминания не ставятся)
+ */
+function sendPaymentReminder(bookingNumber) {
+  return runDeadlinesTask(async function () {
+    var deadlines = await loadPaymentDeadlines();
+    var entry = findPaymentDeadline(deadlines, bookingNumber);
+    if (entry.status !== 'open') {
+      throw new Error('Бронирование ' + bookingNumber + ' уже снято с контроля оплаты');
+    }
+    var settings = await getSettings();
+    try {
+      await deliverPaymentReminder(entry, settings, false);
+    } finally {
+      await savePaymentDeadlines(deadlines);
+    }
+    return { to: entry.email.to };
+  });
+}
+
+/** Автонапоминания, у которых подошло время (будильник). */
+function processPaymentReminders() {
+  return runDeadlinesTask(async function () {
+    var deadlines = await loadPaymentDeadlines();
+    var settings = await getSettings();
+    var now = Date.now();
+    var changed = false;
+
+    var bookingNumbers = Object.keys(deadlines);
+    for (var i = 0; i < bookingNumbers.length; i++) {
+      var entry = deadlines[bookingNumbers[i]];
+      if (entry.status !== 'open' || !entry.autoReminderAt || entry.autoReminderAt > now) {
+        continue;
+      }
+      changed = true;
+      var alreadyReminded = entry.reminders.some(function (reminder) {
+        return reminder.status === 'sent';
+      });
+      // Срок прошёл (браузер был закрыт) или напоминали вручную — «оплатите до …» уже не к месту
+      if (settings.paymentReminderMode !== 'auto' || alreadyReminded || now >= entry.deadlineAt) {
+        entry.autoReminderAt = null;
+        continue;
+      }
+      try {
+        await deliverPaymentReminder(entry, settings, true);
+        entry.autoReminderAt = null;
+      } catch (error) {
+        entry.autoReminderAt = error.retryable ? now + PAYMENT_REMINDER_RETRY_MS : null;
+        console.warn('[KonturDeadlines] Напоминание по бронированию', entry.bookingNumber,
+          'не отправлено:', error.message);
+      }
+    }
+
+    if (changed) {
+      await savePaymentDeadlines(deadlines);
+    }
+  });
+}
+
+/**
+ * Собирает письмо по шаблону напоминания и отправляет через backend.
+ * Результат (и ошибка) дописывается в entry.reminders.
+ */
+async function deliverPaymentReminder(entry, settings, auto) {
+  var email = entry.email;
+  if (!email || !email.pdfBase64) {
+    throw new Error('Нет сохранённого счёта для напоминания — отправьте счёт заново');
+  }
+
+  var texts = Object.assign({}, entry.templateTexts, { senderName: email.senderName });
+  var vars = buildTemplateVariables(Object.assign({}, entry.bookingData, {
+    paidAmount: entry.paidAmount,
+    debtAmount: Math.max((entry.totalPrice || 0) - (entry.paidAmount || 0), 0),
+    prepayDue: Math.max((entry.prepayAmount || 0) - (entry.paidAmount || 0), 0),
+    paymentDeadline: formatDeadlineDate(entry.deadlineAt)
+  }), texts);
+  var rendered = renderEmailTemplate(selectEmailTemplate('reminder', settings.emailTemplates), vars);
+  var sentCount = entry.reminders.filter(function (reminder) {
+    return reminder.status === 'sent';
+  }).length;
+
+  var reminder = { at: new Date().toISOString(), to: email.to, auto: auto };
+  try {
+    var result = await handleSendInvoice({
+      to: email.to,
+      cc: email.cc,
+      bcc: email.bcc,
+      documentType: 'invoice',
+      guestName: entry.guestName,
+      bookingNumber: entry.bookingNumber,
+      pdfBase64: email.pdfBase64,
+      pdfFilename: email.pdfFilename,
+      emailSubject: rendered.subject,
+      emailBody: rendered.body,
+      emailHtml: renderEmailHtml(rendered.body, {
+        // Размеры логотипа не сохраняются — renderEmailHtml ограничит ширину сам
+        logo: email.logoDataUrl ? {} : null,
+        hotelName: texts.hotelName || ''
+      }),
+      logoDataUrl: email.logoDataUrl,
+      senderProfile: email.senderProfile,
+      senderName: email.senderName,
+      // Повтор после таймаута — тот же ключ идемпотентности, следующее напоминание — новый
+      sendAttempt: 'reminder-' + (sentCount + 1)
+    });
+    reminder.status = 'sent';
+    reminder.messageId = result && result.messageId;
+    entry.reminders.push(reminder);
+  } catch (error) {
+    reminder.status = 'failed';
+    reminder.error = error.message;
+    entry.reminders.push(reminder);
+    throw error;
+  }
+}
+
+/** «18.07.2026 14:30» — срок оплаты в тексте письма. */
+function formatDeadlineDate(timestamp) {
+  var d = new Date(timestamp);
+  var pad = function (n) {
+    return n < 10 ? '0' + n : String(n);
+  };
+  return pad(d.getDate()) + '.' + pad(d.getMonth() + 1) + '.' + d.getFullYear() +
+    ' ' + pad(d.getHours()) + ':' + pad(d.getMinutes());
+}
+
+// ─── Будильник ──────────────────────────────────────────────────
+
+/** Будильник на ближайшее автонапоминание (или снимает его). */
+function schedulePaymentReminderAlarm(deadlines) {
+  var next = null;
+  Object.keys(deadlines).forEach(function (bookingNumber) {
+    var entry = deadlines[bookingNumber];
+    if (entry.status === 'open' && entry.autoReminderAt && (next === null || entry.autoReminderAt < next)) {
+      next = entry.autoReminderAt;
+    }
+  });
+  if (next === null) {
+    chrome.alarms.clear(PAYMENT_DEADLINE_ALARM);
+    return;
+  }
+  chrome.alarms.create(PAYMENT_DEADLINE_ALARM, { when: Math.max(next, Date.now() + 1000) });
+}
+
+chrome.alarms.onAlarm.addListener(function (alarm) {
+  if (alarm.name === PAYMENT_DEADLINE_ALARM) {
+    processPaymentReminders();
+  }
+});
+
+// При запуске service worker — будильник по сохранённым срокам
+loadPaymentDeadlines().then(schedulePaymentReminderAlarm);
@@ -0,0 +1,80 @@
+/**
+ * Подпись запросов к backend (выполняется в service worker).
+ *
+ * Если в настройках указан секрет подписи (signingSecret — SIGNING_SECRET на сервере),
+ * каждый запрос подписывается HMAC-SHA256 от метода, пути, времени и хеша тела
+ * (формат — backend/lib/request-signing.js). Перехваченный запрос нельзя изменить,
+ * а повторить его сервер не даст. Без секрета запросы уходят только с X-API-Key.
+ *
+ * Тело FormData сначала сериализуется (через Request), чтобы хешировать ровно
+ * те байты, которые уйдут на сервер, вместе с границей multipart.
+ */
+
+var SIGNATURE_VERSION = 'v1';
+
+/**
+ * fetch к backend с API-ключом и подписью.
+ * @param {{ backendUrl: string, apiKey: string, signingSecret?: string }} settings
+ * @param {string} path — путь с query-строкой: '/api/send-invoice'
+ * @param {Object} [init] — параметры fetch (method, headers, body, signal)
+ * @returns {Promise<Response>}
+ */
+async function fetchBackend(settings, path, init) {
+  init = init || {};
+  var url = settings.backendUrl + path;
+  var headers = Object.assign({ 'X-API-Key': settings.apiKey }, init.headers || {});
+
+  if (!settings.signingSecret) {
+    return fetch(url, Object.assign({}, init, { headers: headers }));
+  }
+
+  var method = (init.method || 'GET').toUpperCase();
+  var body = null;
+  if (init.body) {
+    var serialized = new Request(url, { method: method, body: init.body });
+    body = new Uint8Array(await serialized.arrayBuffer());
+    var contentType = serialized.headers.get('Content-Type');
+    if (contentType && !headers['Content-Type']) {
+      headers['Content-Type'] = contentType;
+    }
+  }
+
+  var timestamp = String(Math.floor(Date.now() / 1000));
+  var parsedUrl = new URL(url);
+  var signedPath = parsedUrl.pathname + parsedUrl.search;
+  var apiIndex = signedPath.indexOf('/api/');
+  if (apiIndex !== -1) {
+    signedPath = signedPath.slice(apiIndex);
+  }
+
+  var canonical = [
+    SIGNATURE_VERSION,
+    method,
+    signedPath,
+    timestamp,
+    await sha256Hex(body || new Uint8Array(0))
+  ].join('\n');
+
+  headers['X-Signature-Timestamp'] = timestamp;
+  headers['X-Signature'] = SIGNATURE_VERSION + '=' + await hmacSha256Hex(settings.signingSecret, canonical);
+
+  return fetch(url, Object.assign({}, init, { method: method, headers: headers, body: body }));
+}
+
+async function sha256Hex(bytes) {
+  return bytesToHex(await crypto.subtle.digest('SHA-256', bytes));
+}
+
+async function hmacSha256Hex(secret, text) {
+  var encoder = new TextEncoder();
+  var key = await crypto.subtle.importKey(
+    'raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+  );
+  return bytesToHex(await crypto.subtle.sign('HMAC', key, encoder.encode(text)));
+}
+
+function bytesToHex(buffer) {
+  return Array.from(new Uint8Array(buffer)).map(function (byte) {
+    return byte.toString(16).padStart(2, '0');
+  }).join('');
+}
@@ -4,15 +4,26 @@
  * Задачи:
  *  - Принимает сообщения от content script
  *  - Отправляет email с PDF через backend API (с API-ключом)
- *  - Управляет настройками (backendUrl, apiKey)
+ *  - Досылает письма, не отправленные из-за недоступности сервера (outbox.js)
+ *  - Управляет настройками (backendUrl, apiKey, signingSecret)
  *
  * PDF отправляется как бинарный файл через FormData (multipart/form-data),
  * что на ~33% меньше по размеру, чем base64 в JSON.
  *
  * SMTP-данные хранятся на сервере (Vercel env vars), не в расширении.
+ *
+ * Модули, подключаемые через importScripts (общая глобальная область):
+ *  - request-signing.js  — запросы к backend с API-ключом и подписью HMAC
+ *  - invoice-registry.js — реестр номеров счетов
+ *  - document-history.js — история выданных документов
+ *  - outbox.js           — очередь писем, не отправленных из-за недоступности сервера
+ *  - payment-deadlines.js — сроки предоплаты по отправленным счетам и напоминания
+ *  - email-templates.js  — шаблон письма, если вызывающая сторона не передала текст,
+ *                          и письмо-напоминание об оплате
  */
 
-// ─── Обработчик сообщений от content script ────────────────────
+importScripts('request-signing.js', 'invoice-registry.js', 'document-history.js', 'outbox.js',
+  'payment-deadlines.js', '../utils/email-templates.js');
 
 // ─── Проверка обновлений ───────────────────────────────────────
 
@@ -209,9 +220,24 @@ chrome.runtime.onMessage.addListener(function (message, sender, sendResponse) {
     handleSendInvoice(message.data)
       .then(function (result) {
         sendResponse({ success: true, data: result });
+        trackSentInvoice(message.data);
+        // Сервер доступен — досылаем письма из очереди, не дожидаясь будильника
+        processOutbox(true);
       })
       .catch(function (error) {
-        sendResponse({ success: false, error: error.message });
+        if (!error.retryable) {
+          sendResponse({ success: false, error: error.message });
+          return;
+        }
+        // Сервер недоступен — письмо уйдёт из очереди (outbox.js)
+        enqueueOutboxItem(message.data, error)
+          .then(function (item) {
+            sendResponse({ success: true, data: { queued: true, outboxId: item.id, error: error.message } });
+          })
+          .catch(function (queueError) {
+            console.error('[KonturPrepay] Не удалось поставить письмо в очередь:', queueError);
+            sendResponse({ success: false, error: error.message });
+          });
       });
 
     // Возвращаем true чтобы sendResponse работал асинхронно
@@ -225,6 +251,91 @@ chrome.runtime.onMessage.addListener(function (message, sender, sendResponse) {
     return true;
   }
   
+  if (message.action === 'ISSUE_INVOICE_NUMBER') {
+    respondAsync(issueInvoiceNumber(message.data), sendResponse);
+    return true;
+  }
+
+  if (message.action === 'VOID_INVOICE_NUMBER') {
+    respondAsync(voidInvoiceNumber(message.data.number, message.data.reason), sendResponse);
+    return true;
+  }
+
+  if (message.action === 'REISSUE_INVOICE_NUMBER') {
+    respondAsync(reissueInvoiceNumber(message.data.number, message.data.reason), sendResponse);
+    return true;
+  }
+
+  if (message.action === 'GET_INVOICE_REGISTRY') {
+    respondAsync(listInvoiceRegistry(message.data && message.data.year), sendResponse);
+    return true;
+  }
+
+  if (message.action === 'SYNC_INVOICE_REGISTRY') {
+    respondAsync(syncInvoiceRegistry(), sendResponse);
+    return true;
+  }
+
+  if (message.action === 'ADD_HISTORY_RECORD') {
+    respondAsync(addHistoryRecord(message.data), sendResponse);
+    return true;
+  }
+
+  if (message.action === 'ADD_HISTORY_SEND_RESULT') {
+    respondAsync(addHistorySendResult(message.data.id, message.data.result, message.data.email), sendResponse);
+    return true;
+  }
+
+  if (message.action === 'GET_HISTORY') {
+    respondAsync(listHistory(message.data), sendResponse);
+    return true;
+  }
+
+  if (message.action === 'CLAIM_AUTO_VOUCHER') {
+    respondAsync(claimAutoVoucher(message.data.bookingNumber, message.data.paidAmount), sendResponse);
+    return true;
+  }
+
+  if (message.action === 'REFRESH_DELIVERY_STATUS') {
+    respondAsync(refreshDeliveryStatuses(message.data && message.data.force), sendResponse);
+    return true;
+  }
+
+  if (message.action === 'GET_PAYMENT_DEADLINES') {
+    respondAsync(listPaymentDeadlines(), sendResponse);
+    return true;
+  }
+
+  if (message.action === 'UPDATE_DEADLINE_PAYMENT') {
+    respondAsync(updateDeadlinePayment(message.data.bookingNumber, message.data.paidAmount), sendResponse);
+    return true;
+  }
+
+  if (message.action === 'SEND_PAYMENT_REMINDER') {
+    respondAsync(sendPaymentReminder(message.data.bookingNumber), sendResponse);
+    return true;
+  }
+
+  if (message.action === 'DISMISS_PAYMENT_DEADLINE') {
+    respondAsync(dismissPaymentDeadline(message.data.bookingNumber), sendResponse);
+    return true;
+  }
+
+  if (message.action === 'GET_OUTBOX') {
+    respondAsync(listOutbox(), sendResponse);
+    return true;
+  }
+
+  if (message.action === 'RETRY_OUTBOX_ITEM') {
+    respondAsync(retryOutboxItem(message.data.id), sendResponse);
+    return true;
+  }
+
+  if (message.action === 'DELETE_OUTBOX_ITEM') {
+    respondAsync(deleteOutboxItem(message.data.id), sendResponse);
+    return true;
+  }
+
   if (message.action === 'CHECK_UPDATES') {
     checkForUpdates()
       .then(function (result) {
@@ -239,6 +350,32 @@ chrome.runtime.onMessage.addListener(function (message, sender, sendResponse) {
 
 // ─── Вспомогательные функции ───────────────────────────────────
 
+/**
+ * Отвечает на сообщение результатом промиса в формате { success, data | error }.
+ */
+function respondAsync(promise, sendResponse) {
+  promise
+    .then(function (result) {
+      sendResponse({ success: true, data: result });
+    })
+    .catch(function (error) {
+      sendResponse({ success: false, error: error.message });
+    });
+}
+
+/**
+ * Отправленный счёт запускает отсчёт срока оплаты (payment-deadlines.js).
+ * Ошибка только в консоль: письмо уже ушло.
+ */
+function trackSentInvoice(data) {
+  if (data.documentType !== 'invoice') {
+    return;
+  }
+  startPaymentDeadline(data).catch(function (error) {
+    console.error('[KonturDeadlines] Не удалось начать отсчёт срока оплаты:', error);
+  });
+}
+
 /**
  * Декодирует base64-строку в бинарный Uint8Array.
  * Используется для конвертации PDF из base64 в бинарный Blob перед отправкой.
@@ -252,11 +389,34 @@ function base64ToUint8Array(base64) {
   return bytes;
 }
 
+/** Ошибка отправки; retryable — письмо можно поставить в очередь. */
+function createSendError(message, retryable) {
+  var error = new Error(message);
+  error.retryable = retryable;
+  return error;
+}
+
+/**
+ * Ключ идемпотентности для backend (заголовок Idempotency-Key): один на версию
+ * документа — файл (в имени номер счёта), получатели, тема, текст и номер отправки.
+ * Двойной клик и повтор после таймаута дают тот же ключ, и backend не отправит
+ * письмо второй раз; повторная отправка из истории — новый sendAttempt, новый ключ.
+ * @returns {Promise<string>}
+ */
+async function buildIdempotencyKey(data) {
+  var source = JSON.stringify([
+    data.pdfFilename, data.to, data.cc || '', data.bcc || '',
+    data.emailSubject || '', data.emailBody || '', data.sendAttempt || 0
+  ]);
+  var hex = await sha256Hex(new TextEncoder().encode(source));
+  return 'doc-' + hex.slice(0, 40);
+}
+
 /** Читает настройки из chrome.storage.local. */
 function getSettings() {
   return new Promise(function (resolve) {
     chrome.storage.local.get(
-      ['backendUrl', 'apiKey'],
+      ['backendUrl', 'apiKey', 'signingSecret', 'emailTemplates', 'paymentReminderMode'],
       function (data) {
         resolve(data);
       }
@@ -266,6 +426,11 @@ function getSettings() {
 
 // ─── Отправка счёта на email через backend API ─────────────────
 
+// Сколько ждать ответа backend на отправку письма (SMTP и сохранение в «Отправленные»).
+// Дольше — запрос прерывается, письмо уходит в очередь: повтор с тем же Idempotency-Key
+// не отправит его второй раз, если сервер всё же успел
+var SEND_REQUEST_TIMEOUT_MS = 60 * 1000;
+
 /**
  * Отправляет PDF-счёт на email гостя через серверный API.
  *
@@ -281,7 +446,15 @@ function getSettings() {
  * @param {string} data.pdfFilename — имя файла PDF
  * @param {string} [data.emailSubject] — тема письма (опционально)
  * @param {string} [data.emailBody] — тело письма (опционально)
+ * @param {string} [data.senderProfile] — SMTP-отправитель профиля отеля на backend
+ * @param {string} [data.senderName] — имя отправителя в поле «От»
+ * @param {string} [data.documentType] — 'invoice' | 'voucher' (по нему backend проверяет роль API-ключа)
+ * @param {number|string} [data.sendAttempt] — порядковый номер отправки документа (повторная из истории — 1, 2…;
+ *   напоминание об оплате — 'reminder-1', 'reminder-2'…)
+ * @param {string} [data.idempotencyKey] — задаётся при первом вызове (buildIdempotencyKey)
  * @returns {Promise<Object>}
+ * @throws {Error} error.retryable = true — сервер недоступен или не ответил за
+ *   SEND_REQUEST_TIMEOUT_MS, письмо можно отправить позже
  */
 async function handleSendInvoice(data) {
   var settings = await getSettings();
@@ -294,18 +467,30 @@ async function handleSendInvoice(data) {
     throw new Error('Не указан API-ключ. Откройте настройки расширения.');
   }
 
-  var emailSubject = data.emailSubject ||
-    ('Счёт на предоплату — бронирование №' + data.bookingNumber);
-  var emailBody = data.emailBody ||
-    ('Здравствуйте!\n\n' +
-    'К письму прилагается документ по бронированию №' + data.bookingNumber + '.\n\n' +
-    'Спасибо, что выбрали нас, «Альбатрос» ждёт Вас!\n' +
-    '__\n' +
-    'С уважением, отдел бронирования ГРК «Альбатрос»\n' +
-    'Официальный сайт: https://albatrosmore.ru/\n' +
-    ' 8 (800) 101-47-17\n' +
-    ' 8 (861) 213-21-17\n\n' +
-    'Альбатрос — место, куда возвращаются за счастьем');
+  // Ключ сохраняется в data: повтор из очереди отправки идёт с тем же ключом
+  if (!data.idempotencyKey) {
+    data.idempotencyKey = await buildIdempotencyKey(data);
+  }
+
+  // Текст с подписью отеля формирует вызывающая сторона (профиль отеля известен только ей);
+  // без него — шаблон «Прочие документы»
+  var emailSubject = data.emailSubject;
+  var emailBody = data.emailBody;
+  var emailHtml = data.emailHtml;
+  var logoDataUrl = data.logoDataUrl;
+  if (!emailSubject || !emailBody) {
+    var fallback = renderEmailTemplate(
+      selectEmailTemplate('document', settings.emailTemplates),
+      buildTemplateVariables(data, { senderName: data.senderName })
+    );
+    emailSubject = emailSubject || fallback.subject;
+    if (!emailBody) {
+      // HTML-версия должна совпадать с текстом — строим её из шаблонного текста, без логотипа
+      emailBody = fallback.body;
+      emailHtml = renderEmailHtml(emailBody);
+      logoDataUrl = '';
+    }
+  }
 
   // Декодируем PDF из base64 в бинарный Blob
   var pdfBytes = base64ToUint8Array(data.pdfBase64);
@@ -316,23 +501,89 @@ async function handleSendInvoice(data) {
   // Формируем FormData с метаданными и бинарным PDF
   var formData = new FormData();
   formData.append('to', data.to);
+  if (data.cc) {
+    formData.append('cc', data.cc);
+  }
+  if (data.bcc) {
+    formData.append('bcc', data.bcc);
+  }
   formData.append('subject', emailSubject);
   formData.append('text', emailBody);
+  if (emailHtml) {
+    formData.append('html', emailHtml);
+  }
   formData.append('pdfFilename', data.pdfFilename);
+  if (data.senderProfile) {
+    formData.append('senderProfile', data.senderProfile);
+  }
+  if (data.senderName) {
+    formData.append('senderName', data.senderName);
+  }
+  if (data.documentType) {
+    formData.append('documentType', data.documentType);
+  }
+  if (data.bookingNumber) {
+    formData.append('bookingNumber', data.bookingNumber);
+  }
   formData.append('pdf', pdfBlob, data.pdfFilename);
+  if (logoDataUrl) {
+    // Логотип — вложение с Content-ID для <img src="cid:…"> в HTML-версии
+    var logoMatch = logoDataUrl.match(/^data:(image\/(?:png|jpeg));base64,(.+)$/);
+    if (logoMatch) {
+      var logoBlob = new Blob([base64ToUint8Array(logoMatch[2])], { type: logoMatch[1] });
+      formData.append('logo', logoBlob, logoMatch[1] === 'image/png' ? 'logo.png' : 'logo.jpg');
+    }
+  }
 
-  // Отправляем multipart/form-data запрос (без Content-Type — браузер установит сам с boundary)
-  var response = await fetch(settings.backendUrl + '/api/send-invoice', {
-    method: 'POST',
-    headers: {
-      'X-API-Key': settings.apiKey
-    },
-    body: formData
-  });
+  // Отправляем multipart/form-data запрос (Content-Type с boundary выставит браузер
+  // или fetchBackend при подписи запроса)
+  var controller = new AbortController();
+  var timer = setTimeout(function () {
+    controller.abort();
+  }, SEND_REQUEST_TIMEOUT_MS);
+
+  try {
+    return await readSendResponse(await fetchBackend(settings, '/api/send-invoice', {
+      method: 'POST',
+      headers: {
+        'Idempotency-Key': data.idempotencyKey
+      },
+      body: formData,
+      signal: controller.signal
+    }));
+  } catch (error) {
+    if (error.retryable !== undefined) {
+      throw error;
+    }
+    if (error.name === 'AbortError') {
+      throw createSendError('Сервер не ответил за ' + SEND_REQUEST_TIMEOUT_MS / 1000 + ' с', true);
+    }
+    throw createSendError('Нет связи с сервером: ' + error.message, true);
+  } finally {
+    clearTimeout(timer);
+  }
+}
 
+/** Результат ответа backend на отправку; ошибка — createSendError. */
+async function readSendResponse(response) {
   if (!response.ok) {
     var errorText = await response.text();
-    throw new Error('Сервер вернул ошибку: ' + response.status + ' — ' + errorText);
+    var serverError = '';
+    try {
+      serverError = JSON.parse(errorText).error || '';
+    } catch (parseError) {
+      // Не JSON (прокси, HTML-страница ошибки) — показываем как есть
+    }
+
+    // Лимит отправки (429) — в очередь не ставим: лимиты защищают от рассылки
+    // с утёкшего ключа, сотрудник видит причину и время, когда можно повторить
+    if (response.status === 429) {
+      throw createSendError(serverError || 'Превышен лимит отправки писем на сервере', false);
+    }
+
+    // 5xx, таймаут и «ещё отправляется» (409) — временные; остальные 4xx повторять бессмысленно
+    var retryable = response.status >= 500 || [408, 409].indexOf(response.status) !== -1;
+    throw createSendError('Сервер вернул ошибку ' + response.status + ': ' + (serverError || errorText), retryable);
   }
 
   return await response.json();
@@ -1,9 +1,9 @@
 /**
  * Реквизиты отеля для формирования счёта на предоплату.
  *
- * TODO: Заполните реальными данными вашего отеля.
- * После заполнения расширение будет использовать эти данные
- * при генерации каждого PDF-счёта.
+ * Значения по умолчанию: реквизиты, подписант, печать и подпись редактируются
+ * на странице настроек расширения (hotel-requisites.js, getHotelDetails) —
+ * заполненные там поля заменяют значения отсюда.
  */
 var HOTEL_DETAILS = {
   // Название организации (как в учредительных документах)
@@ -39,4 +39,11 @@ var HOTEL_DETAILS = {
 
   // Телефон отеля (необязательно, отображается в шапке счёта)
   phone: "8 (800) 101-47-17 ",
+
+  // Номер объекта в едином реестре объектов классификации (необязательно, шапка документов)
+  classificationNumber: "С232025009727",
+
+  // Подписант счёта и ваучера
+  directorTitle: "Директор",
+  directorName: "Иванчей Е.А.",
 };
@@ -0,0 +1,48 @@
+/**
+ * Тексты отеля по умолчанию: подписи писем и условия в ваучере.
+ *
+ * Переопределяются на странице настроек — общие или для профиля отеля
+ * (hotel-requisites.js, getHotelTexts).
+ */
+var HOTEL_TEXTS = {
+  // Имя отправителя в поле «От» (если на backend не задан профиль отправителя)
+  senderName: 'ГРК Альбатрос',
+
+  // Заключительная строка письма со счётом
+  invoiceEmailClosing: 'Спасибо, что выбрали нас, «Альбатрос» ждёт Вас!',
+
+  // Благодарность в письме с ваучером
+  voucherEmailThanks: 'Спасибо, что выбрали ГРК «Альбатрос»!',
+
+  // Подпись всех писем
+  emailSignature:
+    'С уважением, отдел бронирования ГРК «Альбатрос»\n' +
+    'Официальный сайт: https://albatrosmore.ru/\n' +
+    ' 8 (800) 101-47-17\n' +
+    ' 8 (861) 213-21-17\n\n' +
+    'Альбатрос — место, куда возвращаются за счастьем',
+
+  // Ваучер: «Условия проживания»
+  voucherPolicies: [
+    'Заезд с 15:00, выезд до 12:00.',
+    'При заезде необходимо предъявить паспорта граждан РФ на всех проживающих, свидетельства о рождении на детей, ваучер и квитанцию об оплате.',
+    'Оплата оставшейся суммы производится при заселении.',
+    'Дети до 4-х лет включительно размещаются и питаются бесплатно (без предоставления доп. места).'
+  ],
+
+  // Ваучер: «В стоимость номера включено»
+  voucherInclusions: [
+    'Проживание в номере выбранного типа',
+    'Трехразовое питание по системе «шведский стол»',
+    'Комплекс бассейнов (при благоприятных погодных условиях)',
+    'Детские центры «Альби» и «Островок»',
+    'Развлекательные программы',
+    'Охраняемая парковка',
+    'Спа-комплекс'
+  ],
+
+  // Ваучер: «Условия отмены бронирования»
+  voucherCancelPolicy:
+    'При отмене бронирования за 15 (пятнадцать) и более календарных дней до даты заезда возвращается полная сумма оплаты. ' +
+    'В случае отмены бронирования менее, чем за 15 (пятнадцать) календарных дней до заявленной даты заезда, с Заказчика удерживается плата в размере полной стоимости (без учета скидок, если таковые применялись при оплате) 1 (одних) суток проживания за каждый забронированный номер.'
+};
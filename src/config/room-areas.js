@@ -2,7 +2,9 @@
  * Площадь номеров по названию.
  * Используется для отображения в счёте и ваучере.
  *
- * Ключи должны точно совпадать с названиями номеров из Контур Отель.
+ * Значения по умолчанию: из них строится каталог номеров, пока он не сохранён
+ * на странице настроек (room-catalog.js). Названия сопоставляются с Контуром
+ * по сходству слов, точное совпадение не обязательно.
  */
 var ROOM_AREAS = {
   // Главный корпус
@@ -37,7 +39,7 @@ var ROOM_AREAS = {
 };
 
 /**
- * Получает площадь номера по названию.
+ * Получает площадь номера по названию из каталога номеров (room-catalog.js).
  * @param {string} roomType - Название номера из бронирования
  * @returns {number|null} - Площадь в м² или null если не найдено
  */
@@ -47,38 +49,15 @@ function getRoomArea(roomType) {
     return null;
   }
 
-  console.log('[KonturPrepay] getRoomArea: ищем площадь для:', roomType);
-
-  // Нормализуем текст: убираем лишние пробелы после точек в сокращениях
-  // "доп. местом" → "доп.местом", "кв. м" → "кв.м" и т.д.
-  var normalizedRoomType = roomType.replace(/(\w)\.\s+(\w)/g, '$1.$2');
-
-  // Точное совпадение с нормализованным названием
-  if (ROOM_AREAS.hasOwnProperty(normalizedRoomType)) {
-    console.log('[KonturPrepay] getRoomArea: найдено точное совпадение:', ROOM_AREAS[normalizedRoomType]);
-    return ROOM_AREAS[normalizedRoomType];
-  }
-
-  // Точное совпадение с оригинальным названием
-  if (ROOM_AREAS.hasOwnProperty(roomType)) {
-    console.log('[KonturPrepay] getRoomArea: найдено точное совпадение (оригинал):', ROOM_AREAS[roomType]);
-    return ROOM_AREAS[roomType];
-  }
-
-  // Частичное совпадение (если название немного отличается)
-  for (var key in ROOM_AREAS) {
-    if (ROOM_AREAS.hasOwnProperty(key)) {
-      // Нормализуем ключ для сравнения
-      var normalizedKey = key.replace(/(\w)\.\s+(\w)/g, '$1.$2');
-      
-      // Проверяем содержит ли roomType ключ или ключ содержит roomType
-      if (normalizedRoomType.indexOf(normalizedKey) !== -1 || normalizedKey.indexOf(normalizedRoomType) !== -1) {
-        console.log('[KonturPrepay] getRoomArea: найдено частичное совпадение с "', key, '":', ROOM_AREAS[key]);
-        return ROOM_AREAS[key];
-      }
-    }
+  var match = matchRoomCategory(roomType);
+  if (!match) {
+    // Категории нет в каталоге — попадёт в отчёт на странице настроек
+    console.log('[KonturPrepay] getRoomArea: категория не найдена в каталоге:', roomType);
+    recordUnmatchedRoom(roomType);
+    return null;
   }
 
-  console.log('[KonturPrepay] getRoomArea: не найдено совпадений. Доступные ключи:', Object.keys(ROOM_AREAS));
-  return null;
+  console.log('[KonturPrepay] getRoomArea: «' + roomType + '» → «' + match.entry.name + '»',
+    '(сходство ' + Math.round(match.score * 100) + '%):', match.entry.area);
+  return match.entry.area;
 }
@@ -0,0 +1,540 @@
+/**
+ * Пакетная выдача документов из списка бронирований.
+ *
+ * На странице списка (/bookings без /id/) в каждую строку добавляется галочка,
+ * внизу — панель выбора: тип документа (счета или ваучеры) и способ выдачи
+ * (ZIP-архив или письма гостям). Выбор запоминается по ссылке на бронирование —
+ * Контур перерисовывает строки при прокрутке и фильтрах, галочки восстанавливаются.
+ *
+ * Бронирования обрабатываются по очереди: страница бронирования открывается
+ * в скрытом iframe (тот же домен, та же сессия), для счёта наводится курсор
+ * на иконку «i», чтобы Контур показал тултип с посуточными ценами. Разбор
+ * страницы, выдача номера счёта, формирование PDF и отправка — в content.js
+ * (params.processBooking), здесь — только очередь, iframe и панель прогресса.
+ *
+ * Зависимости (загружены ранее): data-parser.js (isBookingsListPage, findBookingListRows,
+ * parseBookingNumber, findSectionByLabel, findPriceInfoIcon, parseDailyRatesFromTooltip),
+ * zip-writer.js (createZipArchive, uniqueZipName), invoice-generator.js (padZero).
+ */
+
+var BULK_TOOLBAR_ID = 'kontur-bulk-toolbar';
+var BULK_PANEL_ID = 'kontur-bulk-panel';
+var BULK_FRAME_CLASS = 'kontur-bulk-frame';
+var BULK_SELECT_CLASS = 'kontur-bulk-select';
+var BULK_POLL_INTERVAL_MS = 300;
+// Страница бронирования в iframe грузится как обычная вкладка — с запасом на медленный Контур
+var BULK_FRAME_TIMEOUT_MS = 20000;
+var BULK_RATES_TIMEOUT_MS = 5000;
+
+var BULK_TYPE_LABELS = {
+  invoice: 'Счета',
+  voucher: 'Ваучеры'
+};
+
+var BULK_DELIVERY_LABELS = {
+  zip: 'ZIP-архив',
+  email: 'Письма гостям'
+};
+
+// Выбранные бронирования: url → номер бронирования
+var bulkSelection = {};
+var bulkRunning = false;
+var bulkStopRequested = false;
+
+/**
+ * Обновляет галочки в строках и панель выбора. Вызывается из content.js
+ * после каждого изменения DOM (с задержкой), поэтому ничего не делает повторно.
+ *
+ * @param {Object} params
+ * @param {Function} params.processBooking — (doc, job, callback) — выдаёт документ
+ *   по странице бронирования в iframe; job: { type, delivery, bookingNumber };
+ *   callback(errorMessage | null, result) — result: { bookingNumber, pdfResult, message }
+ */
+function updateBulkSelection(params) {
+  var toolbar = document.getElementById(BULK_TOOLBAR_ID);
+
+  if (!isBookingsListPage()) {
+    if (toolbar) {
+      toolbar.remove();
+    }
+    bulkSelection = {};
+    return;
+  }
+
+  var rows = findBookingListRows();
+  rows.forEach(function (item) {
+    if (item.row.querySelector('.' + BULK_SELECT_CLASS)) {
+      syncBulkCheckbox(item);
+      return;
+    }
+    addBulkCheckbox(item, params);
+  });
+
+  if (!toolbar) {
+    toolbar = createBulkToolbar(params);
+    document.body.appendChild(toolbar);
+  }
+  renderBulkToolbar(toolbar, rows);
+}
+
+// ─── Выбор строк ──────────────────────────────────────────
+
+function addBulkCheckbox(item, params) {
+  var label = document.createElement('label');
+  label.className = BULK_SELECT_CLASS;
+  label.title = 'Выбрать для пакетной выдачи';
+
+  var checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.checked = !!bulkSelection[item.url];
+  label.appendChild(checkbox);
+
+  // Строка списка — ссылка на бронирование: клик по галочке не должен её открывать
+  label.addEventListener('click', function (event) {
+    event.stopPropagation();
+  });
+  checkbox.addEventListener('change', function () {
+    if (checkbox.checked) {
+      bulkSelection[item.url] = item.bookingNumber;
+    } else {
+      delete bulkSelection[item.url];
+    }
+    updateBulkSelection(params);
+  });
+
+  var cell = item.row.tagName === 'TR' ? (item.row.querySelector('td, th') || item.row) : item.row;
+  cell.insertBefore(label, cell.firstChild);
+}
+
+function syncBulkCheckbox(item) {
+  var checkbox = item.row.querySelector('.' + BULK_SELECT_CLASS + ' input');
+  var selected = !!bulkSelection[item.url];
+  if (checkbox && checkbox.checked !== selected) {
+    checkbox.checked = selected;
+  }
+}
+
+function createBulkToolbar(params) {
+  var toolbar = document.createElement('div');
+  toolbar.id = BULK_TOOLBAR_ID;
+  toolbar.className = 'kontur-bulk-toolbar';
+
+  var selectAll = document.createElement('label');
+  selectAll.className = 'kontur-bulk-toolbar__all';
+  var selectAllBox = document.createElement('input');
+  selectAllBox.type = 'checkbox';
+  selectAll.appendChild(selectAllBox);
+  selectAll.appendChild(document.createTextNode(' Все на странице'));
+  selectAllBox.addEventListener('change', function () {
+    findBookingListRows().forEach(function (item) {
+      if (selectAllBox.checked) {
+        bulkSelection[item.url] = item.bookingNumber;
+      } else {
+        delete bulkSelection[item.url];
+      }
+    });
+    updateBulkSelection(params);
+  });
+
+  var count = document.createElement('span');
+  count.className = 'kontur-bulk-toolbar__count';
+
+  var typeSelect = createBulkSelect(BULK_TYPE_LABELS);
+  typeSelect.dataset.role = 'type';
+  var deliverySelect = createBulkSelect(BULK_DELIVERY_LABELS);
+  deliverySelect.dataset.role = 'delivery';
+
+  var startBtn = document.createElement('button');
+  startBtn.type = 'button';
+  startBtn.className = 'kontur-update-notification__btn kontur-update-notification__btn--primary';
+  startBtn.dataset.role = 'start';
+  startBtn.textContent = 'Сформировать';
+  startBtn.addEventListener('click', function () {
+    var jobs = Object.keys(bulkSelection).map(function (url) {
+      return { url: url, bookingNumber: bulkSelection[url] };
+    });
+    if (jobs.length === 0 || bulkRunning) {
+      return;
+    }
+    if (deliverySelect.value === 'email' &&
+        !confirm('Отправить ' + BULK_TYPE_LABELS[typeSelect.value].toLowerCase() + ' гостям по ' +
+          jobs.length + ' бронированиям?')) {
+      return;
+    }
+    runBulkJobs(jobs, typeSelect.value, deliverySelect.value, params.processBooking);
+  });
+
+  var clearBtn = document.createElement('button');
+  clearBtn.type = 'button';
+  clearBtn.className = 'kontur-update-notification__btn kontur-update-notification__btn--secondary';
+  clearBtn.textContent = 'Снять выбор';
+  clearBtn.addEventListener('click', function () {
+    bulkSelection = {};
+    updateBulkSelection(params);
+  });
+
+  toolbar.appendChild(selectAll);
+  toolbar.appendChild(count);
+  toolbar.appendChild(typeSelect);
+  toolbar.appendChild(deliverySelect);
+  toolbar.appendChild(startBtn);
+  toolbar.appendChild(clearBtn);
+  return toolbar;
+}
+
+function createBulkSelect(labels) {
+  var select = document.createElement('select');
+  select.className = 'kontur-bulk-toolbar__select';
+  Object.keys(labels).forEach(function (value) {
+    var option = document.createElement('option');
+    option.value = value;
+    option.textContent = labels[value];
+    select.appendChild(option);
+  });
+  return select;
+}
+
+function renderBulkToolbar(toolbar, rows) {
+  var selectedCount = Object.keys(bulkSelection).length;
+  var countText = 'Выбрано: ' + selectedCount;
+  var count = toolbar.querySelector('.kontur-bulk-toolbar__count');
+  if (count.textContent !== countText) {
+    count.textContent = countText;
+  }
+
+  var selectAllBox = toolbar.querySelector('.kontur-bulk-toolbar__all input');
+  var allSelected = rows.length > 0 && rows.every(function (item) {
+    return bulkSelection[item.url];
+  });
+  if (selectAllBox.checked !== allSelected) {
+    selectAllBox.checked = allSelected;
+  }
+
+  var startBtn = toolbar.querySelector('[data-role="start"]');
+  var disabled = selectedCount === 0 || bulkRunning;
+  if (startBtn.disabled !== disabled) {
+    startBtn.disabled = disabled;
+  }
+}
+
+// ─── Обработка ────────────────────────────────────────────
+
+/**
+ * Обрабатывает бронирования по одному и показывает прогресс.
+ * Для ZIP документы копятся в памяти и в конце скачиваются одним архивом.
+ */
+function runBulkJobs(jobs, type, delivery, processBooking) {
+  bulkRunning = true;
+  bulkStopRequested = false;
+
+  var panel = showBulkPanel(jobs, type, delivery);
+  var files = [];
+  var succeeded = 0;
+  var index = 0;
+
+  function next() {
+    if (bulkStopRequested) {
+      jobs.slice(index).forEach(function (job) {
+        setBulkRowStatus(panel, job, 'Пропущено — обработка остановлена', 'muted');
+      });
+      finish();
+      return;
+    }
+    if (index >= jobs.length) {
+      finish();
+      return;
+    }
+
+    var job = jobs[index];
+    setBulkProgress(panel, 'Обработка ' + (index + 1) + ' из ' + jobs.length + '...');
+    setBulkRowStatus(panel, job, '⏳ Загрузка бронирования...', '');
+
+    loadBookingFrame(job.url, type === 'invoice', function (error, doc, release) {
+      if (error) {
+        done(error);
+        return;
+      }
+      setBulkRowStatus(panel, job, '⏳ Формирование...', '');
+      try {
+        processBooking(doc, { type: type, delivery: delivery, bookingNumber: job.bookingNumber },
+          function (processError, result) {
+            release();
+            done(processError, result);
+          });
+      } catch (processError) {
+        console.error('[KonturPrepay] Ошибка пакетной выдачи:', processError);
+        release();
+        done(processError.message);
+      }
+    });
+
+    function done(errorMessage, result) {
+      if (errorMessage) {
+        setBulkRowStatus(panel, job, '❌ ' + errorMessage, 'error');
+      } else {
+        succeeded++;
+        if (result.bookingNumber) {
+          job.bookingNumber = result.bookingNumber;
+        }
+        if (delivery === 'zip') {
+          files.push({ name: result.pdfResult.filename, base64: result.pdfResult.base64 });
+        }
+        setBulkRowStatus(panel, job, '✅ ' + result.message, '');
+      }
+      index++;
+      next();
+    }
+  }
+
+  function finish() {
+    bulkRunning = false;
+    var summary = 'Готово: ' + succeeded + ' из ' + jobs.length;
+    if (delivery === 'zip' && files.length > 0) {
+      var archive = buildBulkArchive(files, type);
+      downloadBulkArchive(archive);
+      addBulkPanelAction(panel, 'Скачать архив ещё раз', function () {
+        downloadBulkArchive(archive);
+      });
+    }
+    setBulkProgress(panel, summary);
+    setBulkPanelRunning(panel, false);
+  }
+
+  next();
+}
+
+/**
+ * Открывает страницу бронирования в скрытом iframe и ждёт, пока Контур её отрисует.
+ * С needRates — ещё и тултип с посуточными ценами (наведение на иконку «i», не дольше
+ * BULK_RATES_TIMEOUT_MS).
+ * callback(errorMessage | null, doc, release) — release() удаляет iframe.
+ */
+function loadBookingFrame(url, needRates, callback) {
+  var frame = document.createElement('iframe');
+  frame.className = BULK_FRAME_CLASS;
+  frame.setAttribute('aria-hidden', 'true');
+  frame.tabIndex = -1;
+  frame.src = url;
+  document.body.appendChild(frame);
+
+  var release = function () {
+    frame.remove();
+  };
+  var fail = function (errorMessage) {
+    release();
+    callback(errorMessage);
+  };
+
+  waitFor(BULK_FRAME_TIMEOUT_MS, function () {
+    var doc = getFrameDocument(frame);
+    var container = doc && doc.getElementById('MainPageTopBar');
+    return container && parseBookingNumber(container.textContent || '') &&
+      findSectionByLabel(container, 'Оплата') ? doc : null;
+  }, function (doc) {
+    if (!doc) {
+      fail('Страница бронирования не загрузилась');
+      return;
+    }
+    if (!needRates) {
+      callback(null, doc, release);
+      return;
+    }
+
+    // Без тултипа страница всё равно передаётся в processBooking: групповому бронированию
+    // цены по дням не нужны, а для обычного он сам сообщит «Нет цен по дням»
+    var icon = findPriceInfoIcon(doc);
+    if (!icon) {
+      callback(null, doc, release);
+      return;
+    }
+    hoverElement(frame.contentWindow, icon);
+    waitFor(BULK_RATES_TIMEOUT_MS, function () {
+      return parseDailyRatesFromTooltip(doc).rates.length > 0;
+    }, function () {
+      callback(null, doc, release);
+    });
+  });
+}
+
+/** Документ iframe; null — ещё не загружен или не тот домен (редирект на вход). */
+function getFrameDocument(frame) {
+  try {
+    return frame.contentDocument;
+  } catch (error) {
+    return null;
+  }
+}
+
+/** События наведения: тултип Контура открывается по mouseover/mouseenter. */
+function hoverElement(win, element) {
+  ['pointerover', 'pointerenter', 'mouseover', 'mouseenter'].forEach(function (type) {
+    var EventClass = type.indexOf('pointer') === 0 && win.PointerEvent ? win.PointerEvent : win.MouseEvent;
+    element.dispatchEvent(new EventClass(type, {
+      bubbles: type.indexOf('enter') === -1,
+      cancelable: true,
+      view: win
+    }));
+  });
+}
+
+/** Опрашивает check() до непустого результата или таймаута; callback(result | null). */
+function waitFor(timeoutMs, check, callback) {
+  var startedAt = Date.now();
+  (function poll() {
+    var result = null;
+    try {
+      result = check();
+    } catch (error) {
+      // Страница в iframe ещё перестраивается — пробуем снова
+    }
+    if (result) {
+      callback(result);
+    } else if (Date.now() - startedAt >= timeoutMs) {
+      callback(null);
+    } else {
+      setTimeout(poll, BULK_POLL_INTERVAL_MS);
+    }
+  })();
+}
+
+// ─── ZIP ──────────────────────────────────────────────────
+
+function buildBulkArchive(files, type) {
+  var usedNames = {};
+  var blob = createZipArchive(files.map(function (file) {
+    return { name: uniqueZipName(file.name, usedNames), data: base64ToBytes(file.base64) };
+  }));
+  var now = new Date();
+  var stamp = now.getFullYear() + '-' + padZero(now.getMonth() + 1) + '-' + padZero(now.getDate());
+  return {
+    blob: blob,
+    filename: (type === 'invoice' ? 'Счета_' : 'Ваучеры_') + stamp + '.zip'
+  };
+}
+
+function downloadBulkArchive(archive) {
+  var url = URL.createObjectURL(archive.blob);
+  var link = document.createElement('a');
+  link.href = url;
+  link.download = archive.filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(function () {
+    URL.revokeObjectURL(url);
+  }, 1000);
+}
+
+function base64ToBytes(base64) {
+  var binary = atob(base64);
+  var bytes = new Uint8Array(binary.length);
+  for (var i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+// ─── Панель прогресса ─────────────────────────────────────
+
+/**
+ * Панель с общим прогрессом и результатом по каждому бронированию.
+ * Список строится через DOM/textContent — данные гостя не попадают в innerHTML.
+ */
+function showBulkPanel(jobs, type, delivery) {
+  var old = document.getElementById(BULK_PANEL_ID);
+  if (old) {
+    old.remove();
+  }
+
+  var panel = document.createElement('div');
+  panel.id = BULK_PANEL_ID;
+  panel.className = 'kontur-history-panel kontur-history-panel--bulk';
+
+  var header = document.createElement('div');
+  header.className = 'kontur-history-panel__header';
+  header.textContent = BULK_TYPE_LABELS[type] + ' · ' + BULK_DELIVERY_LABELS[delivery] +
+    ' · бронирований: ' + jobs.length;
+
+  var closeBtn = document.createElement('button');
+  closeBtn.type = 'button';
+  closeBtn.className = 'kontur-update-notification__close';
+  closeBtn.title = 'Закрыть';
+  closeBtn.textContent = '✕';
+  closeBtn.hidden = true;
+  closeBtn.addEventListener('click', function () {
+    panel.remove();
+  });
+
+  var progress = document.createElement('div');
+  progress.className = 'kontur-history-panel__meta kontur-bulk-panel__progress';
+
+  var list = document.createElement('div');
+  list.className = 'kontur-history-panel__list';
+  jobs.forEach(function (job) {
+    var item = document.createElement('div');
+    item.className = 'kontur-history-panel__item';
+    var title = document.createElement('div');
+    title.className = 'kontur-history-panel__title';
+    title.textContent = job.bookingNumber || job.url;
+    var status = document.createElement('div');
+    status.className = 'kontur-history-panel__meta';
+    status.textContent = 'В очереди';
+    item.appendChild(title);
+    item.appendChild(status);
+    list.appendChild(item);
+    job.item = item;
+  });
+
+  var actions = document.createElement('div');
+  actions.className = 'kontur-history-panel__actions';
+  var stopBtn = document.createElement('button');
+  stopBtn.type = 'button';
+  stopBtn.className = 'kontur-update-notification__btn kontur-update-notification__btn--secondary';
+  stopBtn.dataset.role = 'stop';
+  stopBtn.textContent = 'Остановить';
+  stopBtn.addEventListener('click', function () {
+    bulkStopRequested = true;
+    stopBtn.disabled = true;
+    stopBtn.textContent = 'Останавливается...';
+  });
+  actions.appendChild(stopBtn);
+
+  panel.appendChild(closeBtn);
+  panel.appendChild(header);
+  panel.appendChild(progress);
+  panel.appendChild(list);
+  panel.appendChild(actions);
+  document.body.appendChild(panel);
+  return panel;
+}
+
+/** @param {string} tone — '' | 'error' | 'muted' */
+function setBulkRowStatus(panel, job, text, tone) {
+  var title = job.item.querySelector('.kontur-history-panel__title');
+  title.textContent = job.bookingNumber || job.url;
+  var status = job.item.querySelector('.kontur-history-panel__meta');
+  status.textContent = text;
+  status.className = 'kontur-history-panel__meta' +
+    (tone ? ' kontur-history-panel__meta--' + tone : '');
+}
+
+function setBulkProgress(panel, text) {
+  panel.querySelector('.kontur-bulk-panel__progress').textContent = text;
+}
+
+function setBulkPanelRunning(panel, running) {
+  panel.querySelector('.kontur-update-notification__close').hidden = running;
+  var stopBtn = panel.querySelector('[data-role="stop"]');
+  if (stopBtn && !running) {
+    stopBtn.remove();
+  }
+}
+
+function addBulkPanelAction(panel, text, onClick) {
+  var button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'kontur-update-notification__btn kontur-update-notification__btn--primary';
+  button.textContent = text;
+  button.addEventListener('click', onClick);
+  panel.querySelector('.kontur-history-panel__actions').appendChild(button);
+}
@@ -8,21 +8,43 @@
  *     - «Отправить счёт» — генерирует PDF-счёт и отправляет на email гостя
  *     - «Скачать подтверждение» — генерирует PDF подтверждения и скачивает
  *     - «Отправить подтверждение» — генерирует PDF подтверждения и отправляет на email
- *  3. В тултипе «Стоимость проживания» показывает сумму предоплаты (первые 3 суток)
+ *  3. В тултипе «Стоимость проживания» показывает сумму предоплаты (по правилам из настроек)
+ *     и расшифровку скидки при полной оплате (ступени скидок из настроек)
  *  4. Кеширует посуточные цены из тултипа для расчёта предоплаты в счёте
  *  5. Показывает анимированную стрелку-подсказку на иконку «i» если цены не загружены
  *  6. Скрывает встроенный блок отправки подтверждения
  *  7. Удаляет пункт «Отправить подтверждение» из контекстного меню
+ *  8. Сохраняет выданные документы в историю; кнопка «История» показывает
+ *     документы текущего бронирования с повторным скачиванием и отправкой
+ *  9. Следит за разделом «Оплата»: когда неоплаченное бронирование становится
+ *     оплаченным, предлагает отправить ваучер или отправляет его сам (autoVoucherMode)
+ * 10. Сообщает внесённую сумму для контроля сроков оплаты отправленных счетов
+ *     (background/payment-deadlines.js)
+ * 11. В списке бронирований — пакетная выдача счетов и ваучеров (bulk-mode.js)
+ *
+ * Данные бронирования parseBookingData берёт из JSON-ответов Контура
+ * (page-hook.js → network-booking.js), при неудаче — из DOM.
  *
  * Зависимости (загружаются раньше через manifest.json content_scripts):
  *  - jspdf.umd.min.js         (глобальная jspdf)
  *  - qrcode.js                 (qrcode)
  *  - roboto-regular.js         (ROBOTO_FONT_BASE64)
- *  - hotel-details.js          (HOTEL_DETAILS)
- *  - data-parser.js            (parseBookingData, findBookingContainer, findButtonInsertionPoint, isBookingPage, parseDailyRatesFromElement, parseDailyRatesFromTooltip)
+ *  - settings-store.js         (initSettingsStore, getSetting)
+ *  - prepay-rules.js           (calculatePrepay, calculateGroupPrepay)
+ *  - discount-tiers.js         (calculateStayDiscount, combineDiscounts)
+ *  - hotel-requisites.js       (getHotelDetails)
+ *  - data-parser.js            (parseBookingData, findBookingContainer, findButtonInsertionPoint, isBookingPage, parseDailyRatesFromElement, parseDailyRatesFromTooltip,
+ *                               parseBookingNumber, parsePaidAmount, findSectionByLabel, findPriceInfoIcon, isBookingsListPage)
  *  - invoice-generator.js      (generateInvoicePDF)
  *  - confirmation-generator.js (generateConfirmationPDF)
+ *  - email-templates.js        (buildTemplateEmail, listEmailTemplates)
  *  - email-sender.js           (sendInvoiceEmail, sendConfirmationEmail)
+ *  - invoice-number.js         (requestInvoiceNumber)
+ *  - send-dialog.js            (openInvoiceSendDialog, closeInvoiceSendDialog)
+ *  - bulk-mode.js              (updateBulkSelection)
+ *  - document-history.js       (recordDocument, recordSendResult, buildSendResult, loadDocumentHistory,
+ *                               regenerateDocument, resendHistoryDocument, requestAutoVoucherClaim,
+ *                               reportDeadlinePayment)
  */
 
 (function () {
@@ -32,6 +54,9 @@
   var WRAPPER_ID = 'kontur-prepay-wrapper';
   var BTN_DOWNLOAD_ID = 'kontur-prepay-download-btn';
   var BTN_SEND_ID = 'kontur-prepay-send-btn';
+  var BTN_HISTORY_ID = 'kontur-prepay-history-btn';
+  var HISTORY_PANEL_ID = 'kontur-history-panel';
+  var AUTO_VOUCHER_PANEL_ID = 'kontur-auto-voucher-panel';
 
   var CONFIRM_WRAPPER_ID = 'kontur-confirm-wrapper';
   var BTN_CONFIRM_DOWNLOAD_ID = 'kontur-confirm-download-btn';
@@ -42,6 +67,9 @@
   var DISCOUNT_QR_TOGGLE_ID = 'kontur-discount-qr-toggle';
 
   var OBSERVER_DEBOUNCE_MS = 500;
+  var TOAST_DURATION_MS = 4000;
+  // Ошибки (например, лимит отправки с временем повтора) показываются дольше — их нужно успеть прочитать
+  var TOAST_ERROR_DURATION_MS = 8000;
   var lastUrl = window.location.href;
 
   // Кеш посуточных цен (из тултипа «Стоимость проживания»)
@@ -59,6 +87,11 @@
   // Флаг: пользователь вручную включил галочку после авто-выключения
   var userOverrodeDiscount = false;
 
+  // Оплата открытого бронирования при прошлой проверке: { bookingNumber, paidAmount }
+  var observedPayment = null;
+  // Последняя сообщённая для сроков оплаты сумма: { bookingNumber, paidAmount }
+  var reportedPayment = null;
+
   // ─── SVG-иконки ─────────────────────────────────────────────
 
   var DOWNLOAD_ICON =
@@ -123,7 +156,7 @@
           toast.remove();
         }
       }, 300);
-    }, 4000);
+    }, type === 'error' ? TOAST_ERROR_DURATION_MS : TOAST_DURATION_MS);
   }
 
   function setButtonState(button, state, text) {
@@ -174,26 +207,31 @@
   // ─── Общий парсинг + генерация PDF ──────────────────────────
 
   /**
-   * Парсит данные и генерирует PDF.
-   * Возвращает { bookingData, pdfResult } или null при ошибке.
+   * Парсит данные, получает номер счёта из реестра и генерирует PDF.
+   * При успехе вызывает onReady({ bookingData, pdfResult, invoice, options }),
+   * при ошибке сам показывает её на кнопке и в тосте.
    */
-  function prepareInvoice(button, icon, label) {
-    // Пробуем получить посуточные цены из кеша или видимого тултипа
-    if (!cachedDailyRates || cachedDailyRates.length === 0) {
-      tryCaptureDailyRates();
+  function prepareInvoice(button, icon, label, onReady) {
+    var bookingData = collectInvoiceData(button, icon, label);
+    if (bookingData) {
+      issueInvoice(bookingData, button, icon, label, onReady);
     }
+  }
 
-    if (!cachedDailyRates || cachedDailyRates.length === 0) {
-      setButtonState(button, 'error', '❌ Нет цен по дням');
-      showToast(
-        'Наведите курсор на иконку ⓘ рядом со стоимостью, чтобы загрузить цены по дням, затем нажмите кнопку снова.',
-        'error'
-      );
-      showArrowHint();
-      resetButtonAfterDelay(button, icon, label);
-      return null;
-    }
+  /** Параметры генерации счёта из текущего состояния страницы. */
+  function getInvoiceOptions() {
+    return {
+      discountedQREnabled: discountedQREnabled,
+      tooltipDiscountPercent: tooltipDiscountPercent
+    };
+  }
 
+  /**
+   * Парсит и проверяет данные для счёта (предоплата — по кешу посуточных цен
+   * или по ценам из ответа Контура).
+   * Возвращает bookingData или null (ошибка уже показана на кнопке и в тосте).
+   */
+  function collectInvoiceData(button, icon, label) {
     var bookingData = parseBookingData();
 
     if (!bookingData) {
@@ -203,17 +241,35 @@
       return null;
     }
 
-    // Переопределяем предоплату на основе кешированных посуточных цен БЕЗ скидки
-    var prepay = 0;
-    var daysForPrepay = Math.min(3, cachedDailyRates.length);
-    for (var d = 0; d < daysForPrepay; d++) {
-      prepay += cachedDailyRates[d];
+    // Групповому бронированию тултип не нужен: предоплата считается по строкам номеров
+    var isGroup = bookingData.rooms.length > 1;
+
+    // Пробуем получить посуточные цены из кеша или видимого тултипа
+    if (!isGroup && (!cachedDailyRates || cachedDailyRates.length === 0)) {
+      tryCaptureDailyRates();
     }
-    if (prepay > bookingData.totalPrice) {
-      prepay = bookingData.totalPrice;
+
+    // Без тултипа — посуточные цены из ответа Контура, если они там были
+    var dailyRates = cachedDailyRates && cachedDailyRates.length > 0 ? cachedDailyRates :
+      (bookingData.dataSource === 'network' ? bookingData.dailyRates : []);
+
+    if (!isGroup && dailyRates.length === 0) {
+      setButtonState(button, 'error', '❌ Нет цен по дням');
+      showToast(
+        'Наведите курсор на иконку ⓘ рядом со стоимостью, чтобы загрузить цены по дням, затем нажмите кнопку снова.',
+        'error'
+      );
+      showArrowHint();
+      resetButtonAfterDelay(button, icon, label);
+      return null;
     }
-    bookingData.prepayAmount = prepay;
-    bookingData.dailyRates = cachedDailyRates;
+
+    // Пересчитываем предоплату по правилам на основе посуточных цен БЕЗ скидки
+    var prepay = calculateBookingPrepay(bookingData, dailyRates);
+    bookingData.prepayAmount = prepay.amount;
+    bookingData.prepayNights = prepay.nights;
+    bookingData.prepayDescription = prepay.description;
+    bookingData.dailyRates = isGroup ? [] : dailyRates;
 
     // Передаём данные о скидке из тултипа и полной сумме до скидки
     bookingData.tooltipDiscountPercent = tooltipDiscountPercent;
@@ -229,13 +285,75 @@
       return null;
     }
 
-    // Передаём параметры для расчёта QR-кодов
-    var pdfResult = generateInvoicePDF(bookingData, HOTEL_DETAILS, {
-      discountedQREnabled: discountedQREnabled,
-      tooltipDiscountPercent: tooltipDiscountPercent
+    return bookingData;
+  }
+
+  /**
+   * Получает номер счёта из реестра и генерирует PDF.
+   * При успехе вызывает onReady({ bookingData, pdfResult, invoice, options }).
+   */
+  function issueInvoice(bookingData, button, icon, label, onReady) {
+    issueInvoiceDocument(bookingData, getInvoiceOptions(), onReady, function (errorMessage) {
+      setButtonState(button, 'error', '❌ Ошибка');
+      showToast(errorMessage, 'error');
+      resetButtonAfterDelay(button, icon, label);
     });
+  }
 
-    return { bookingData: bookingData, pdfResult: pdfResult };
+  /**
+   * Номер счёта из реестра + PDF, без привязки к кнопке (и для пакетной выдачи).
+   * @param {Object} options — параметры генерации (getInvoiceOptions)
+   * @param {Function} onReady — ({ bookingData, pdfResult, invoice, options })
+   * @param {Function} onError — (errorMessage) — текст для показа пользователю
+   */
+  function issueInvoiceDocument(bookingData, options, onReady, onError) {
+    requestInvoiceNumber(
+      {
+        bookingNumber: bookingData.bookingNumber,
+        guestName: bookingData.guestName,
+        amount: bookingData.prepayAmount,
+        totalPrice: bookingData.totalPrice
+      },
+      function onNumber(invoice) {
+        var result;
+        try {
+          // Передаём параметры для расчёта QR-кодов и номер из реестра
+          var invoiceOptions = Object.assign({}, options, {
+            invoiceNumber: invoice.number,
+            invoiceDate: invoice.issuedAt
+          });
+          var pdfResult = generateInvoicePDF(bookingData, getHotelDetails(), invoiceOptions);
+          result = { bookingData: bookingData, pdfResult: pdfResult, invoice: invoice, options: invoiceOptions };
+        } catch (error) {
+          console.error('[KonturPrepay] Ошибка:', error);
+          onError('Ошибка: ' + error.message);
+          return;
+        }
+        onReady(result);
+      },
+      function onNumberError(errorMessage) {
+        onError('Не удалось получить номер счёта: ' + errorMessage);
+      }
+    );
+  }
+
+  /**
+   * Предоплата по правилам (prepay-rules.js) для бронирования.
+   * dailyRates — посуточные цены без скидки (из тултипа); в групповом
+   * бронировании не используются — предоплата складывается по номерам.
+   */
+  function calculateBookingPrepay(bookingData, dailyRates) {
+    if (bookingData.rooms && bookingData.rooms.length > 1) {
+      return calculateGroupPrepay(bookingData.rooms, { ratePlan: bookingData.ratePlan });
+    }
+    return calculatePrepay({
+      totalPrice: bookingData.totalPrice,
+      nightsCount: bookingData.nightsCount || dailyRates.length,
+      dailyRates: dailyRates,
+      checkIn: bookingData.checkIn,
+      roomType: bookingData.roomType,
+      ratePlan: bookingData.ratePlan
+    });
   }
 
   function validateBookingData(data) {
@@ -263,16 +381,14 @@
     setButtonState(button, 'loading', '⏳ Генерация...');
 
     try {
-      var result = prepareInvoice(button, DOWNLOAD_ICON, 'Скачать счёт');
-      if (!result) {
-        return;
-      }
-
-      downloadPDF(result.pdfResult.blob, result.pdfResult.filename);
-
-      setButtonState(button, 'success', '✅ Скачано');
-      showToast('Счёт скачан: ' + result.pdfResult.filename, 'success');
-      resetButtonAfterDelay(button, DOWNLOAD_ICON, 'Скачать счёт');
+      prepareInvoice(button, DOWNLOAD_ICON, 'Скачать счёт', function (result) {
+        downloadPDF(result.pdfResult.blob, result.pdfResult.filename);
+        recordDocument('invoice', result.bookingData, result.pdfResult, result.options);
+
+        setButtonState(button, 'success', '✅ Скачано');
+        showToast('Счёт № ' + result.invoice.number + ' скачан: ' + result.pdfResult.filename, 'success');
+        resetButtonAfterDelay(button, DOWNLOAD_ICON, 'Скачать счёт');
+      });
     } catch (error) {
       console.error('[KonturPrepay] Ошибка:', error);
       setButtonState(button, 'error', '❌ Ошибка');
@@ -283,63 +399,50 @@
 
   // ─── Обработчик: Отправить на email ─────────────────────────
 
+  /**
+   * Тема и текст письма со счётом по шаблону (email-templates.js).
+   * @returns {{ subject: string, body: string, templateId: string }}
+   */
+  function buildInvoiceEmail(bookingData, templateId) {
+    return buildTemplateEmail('invoice', bookingData, templateId);
+  }
+
+  /**
+   * Перед отправкой открывает окно проверки (send-dialog.js): администратор
+   * видит PDF и может исправить данные. Номер счёта выдаётся только после
+   * подтверждения.
+   */
   function handleSendClick(event) {
     var button = event.currentTarget;
-    setButtonState(button, 'loading', '⏳ Отправка...');
+    setButtonState(button, 'loading', '⏳ Проверка...');
 
     try {
-      var result = prepareInvoice(button, SEND_ICON, 'Отправить на email');
-      if (!result) {
+      var parsedData = collectInvoiceData(button, SEND_ICON, 'Отправить на email');
+      if (!parsedData) {
         return;
       }
 
-      var bookingData = result.bookingData;
-      var pdfResult = result.pdfResult;
-
-      var surchargeAtHotel = bookingData.totalPrice - bookingData.prepayAmount;
-      if (surchargeAtHotel < 0) surchargeAtHotel = 0;
-
-      var invoiceSubject = 'Счёт на предоплату — бронирование №' + bookingData.bookingNumber;
-      var invoiceBody =
-        'Здравствуйте!\n\n' +
-        'Для вас забронирован номер: ' + (bookingData.roomType || '') + '\n\n' +
-        'Всего к оплате: ' + formatMoney(bookingData.totalPrice) + ' руб.\n' +
-        'Предоплата по бронированию: ' + formatMoney(bookingData.prepayAmount) + ' руб.\n' +
-        'К оплате в отеле: ' + formatMoney(surchargeAtHotel) + ' руб.\n\n' +
-        'Вы можете произвести предоплату следующими способами:\n' +
-        '\u2022 используя счет на предоплату (во вложении);\n' +
-        '\u2022 просканировав QR-код счета через банковское приложение с телефона.\n' +
-        'Оплатить необходимо в течение 3 (трех) суток с момента бронирования*.\n' +
-        'После того, как денежные средства поступят на наш расчетный счет, ' +
-        'бронирование будет подтверждено, и мы направим вам ваучер.\n' +
-        '* Если оплата по счету не будет произведена в течение 3 суток, бронь аннулируется.\n\n' +
-        'Спасибо, что выбрали нас, «Альбатрос» ждёт Вас!\n' +
-        '__\n' +
-        'С уважением, отдел бронирования ГРК «Альбатрос»\n' +
-        'Официальный сайт: https://albatrosmore.ru/\n' +
-        ' 8 (800) 101-47-17\n' +
-        ' 8 (861) 213-21-17\n\n' +
-        'Альбатрос — место, куда возвращаются за счастьем';
-
-      sendInvoiceEmail(
+      openInvoiceSendDialog(
         {
-          to: bookingData.guestEmail,
-          guestName: bookingData.guestName,
-          bookingNumber: bookingData.bookingNumber,
-          pdfBase64: pdfResult.base64,
-          pdfFilename: pdfResult.filename,
-          emailSubject: invoiceSubject,
-          emailBody: invoiceBody
+          bookingData: parsedData,
+          options: getInvoiceOptions(),
+          buildEmail: buildInvoiceEmail,
+          templates: listEmailTemplates('invoice', getSetting('emailTemplates')),
+          recipients: {
+            to: parsedData.contactEmails || [parsedData.guestEmail],
+            cc: [],
+            bcc: getSetting('emailBcc') || []
+          }
         },
-        function onSuccess() {
-          setButtonState(button, 'success', '✅ Отправлено');
-          showToast('Счёт отправлен на ' + bookingData.guestEmail, 'success');
-          resetButtonAfterDelay(button, SEND_ICON, 'Отправить на email');
+        function onConfirm(edited) {
+          setButtonState(button, 'loading', '⏳ Отправка...');
+          issueInvoice(edited.bookingData, button, SEND_ICON, 'Отправить на email', function (result) {
+            sendPreparedInvoice(button, result, edited.email);
+          });
         },
-        function onError(errorMessage) {
-          setButtonState(button, 'error', '❌ Ошибка');
-          showToast('Ошибка отправки: ' + errorMessage, 'error');
-          resetButtonAfterDelay(button, SEND_ICON, 'Отправить на email');
+        function onCancel() {
+          setButtonState(button, 'idle');
+          button.innerHTML = SEND_ICON + ' Отправить на email';
         }
       );
     } catch (error) {
@@ -350,6 +453,65 @@
     }
   }
 
+  /** Сохраняет счёт в историю и отправляет письмо. */
+  function sendPreparedInvoice(button, result, email) {
+    deliverInvoice(
+      result,
+      email,
+      function onSuccess(data) {
+        if (data && data.queued) {
+          setButtonState(button, 'success', '🕓 В очереди');
+          showToast('Сервер недоступен — счёт № ' + result.invoice.number +
+            ' отправится автоматически, как только появится связь', 'info');
+        } else {
+          setButtonState(button, 'success', '✅ Отправлено');
+          showToast('Счёт № ' + result.invoice.number + ' отправлен на ' + email.to, 'success');
+        }
+        resetButtonAfterDelay(button, SEND_ICON, 'Отправить на email');
+      },
+      function onError(errorMessage) {
+        setButtonState(button, 'error', '❌ Ошибка');
+        showToast('Ошибка отправки: ' + errorMessage, 'error');
+        resetButtonAfterDelay(button, SEND_ICON, 'Отправить на email');
+      }
+    );
+  }
+
+  /**
+   * Сохраняет счёт в историю, отправляет письмо и записывает результат отправки.
+   * @param {Function} onSuccess — (data) — ответ service worker; data.queued — письмо в очереди
+   * @param {Function} onError — (errorMessage)
+   */
+  function deliverInvoice(result, email, onSuccess, onError) {
+    var bookingData = result.bookingData;
+    var pdfResult = result.pdfResult;
+
+    recordDocument('invoice', bookingData, pdfResult, result.options, function (record) {
+      sendInvoiceEmail(
+        {
+          to: email.to,
+          cc: email.cc,
+          bcc: email.bcc,
+          guestName: bookingData.guestName,
+          bookingNumber: bookingData.bookingNumber,
+          pdfBase64: pdfResult.base64,
+          pdfFilename: pdfResult.filename,
+          emailSubject: email.subject,
+          emailBody: email.body,
+          historyId: record && record.id
+        },
+        function (data) {
+          recordSendResult(record, buildSendResult(email.to, data), email);
+          onSuccess(data);
+        },
+        function (errorMessage) {
+          recordSendResult(record, { to: email.to, status: 'failed', error: errorMessage }, email);
+          onError(errorMessage);
+        }
+      );
+    });
+  }
+
   // ─── Подготовка подтверждения бронирования ──────────────────
 
   /**
@@ -366,13 +528,7 @@
       return null;
     }
 
-    // Для подтверждения нужен минимальный набор полей
-    var missing = [];
-    if (!bookingData.guestName) missing.push('ФИО гостя');
-    if (!bookingData.checkIn) missing.push('Дата заезда');
-    if (!bookingData.checkOut) missing.push('Дата выезда');
-    if (!bookingData.totalPrice) missing.push('Стоимость');
-
+    var missing = findMissingConfirmationFields(bookingData);
     if (missing.length > 0) {
       setButtonState(button, 'error', '❌ Не хватает данных');
       showToast('Не найдены поля: ' + missing.join(', '), 'error');
@@ -380,11 +536,50 @@
       return null;
     }
 
-    var pdfResult = generateConfirmationPDF(bookingData, HOTEL_DETAILS);
+    var pdfResult = generateConfirmationPDF(bookingData, getHotelDetails());
 
     return { bookingData: bookingData, pdfResult: pdfResult };
   }
 
+  /** Для подтверждения нужен минимальный набор полей. */
+  function findMissingConfirmationFields(bookingData) {
+    var missing = [];
+    if (!bookingData.guestName) missing.push('ФИО гостя');
+    if (!bookingData.checkIn) missing.push('Дата заезда');
+    if (!bookingData.checkOut) missing.push('Дата выезда');
+    if (!bookingData.totalPrice) missing.push('Стоимость');
+    return missing;
+  }
+
+  /**
+   * Сохраняет ваучер в историю и отправляет его гостю.
+   * @param {Function} onSuccess — (data) — ответ service worker; data.queued — письмо в очереди
+   * @param {Function} onError — (errorMessage)
+   */
+  function sendVoucher(bookingData, pdfResult, onSuccess, onError) {
+    recordDocument('voucher', bookingData, pdfResult, null, function (record) {
+      sendConfirmationEmail(
+        {
+          to: bookingData.guestEmail,
+          guestName: bookingData.guestName,
+          bookingNumber: bookingData.bookingNumber,
+          pdfBase64: pdfResult.base64,
+          pdfFilename: pdfResult.filename,
+          bookingData: bookingData,
+          historyId: record && record.id
+        },
+        function (data) {
+          recordSendResult(record, buildSendResult(bookingData.guestEmail, data));
+          onSuccess(data);
+        },
+        function (errorMessage) {
+          recordSendResult(record, { to: bookingData.guestEmail, status: 'failed', error: errorMessage });
+          onError(errorMessage);
+        }
+      );
+    });
+  }
+
   // ─── Обработчик: Скачать подтверждение ─────────────────────
 
   function handleConfirmDownloadClick(event) {
@@ -398,6 +593,7 @@
       }
 
       downloadPDF(result.pdfResult.blob, result.pdfResult.filename);
+      recordDocument('voucher', result.bookingData, result.pdfResult, null);
 
       setButtonState(button, 'success', '✅ Скачано');
       showToast('Подтверждение скачано: ' + result.pdfResult.filename, 'success');
@@ -432,19 +628,18 @@
         resetButtonAfterDelay(button, CONFIRM_SEND_ICON, 'Отправить подтверждение');
         return;
       }
-      var pdfResult = result.pdfResult;
 
-      sendConfirmationEmail(
-        {
-          to: bookingData.guestEmail,
-          guestName: bookingData.guestName,
-          bookingNumber: bookingData.bookingNumber,
-          pdfBase64: pdfResult.base64,
-          pdfFilename: pdfResult.filename
-        },
-        function onSuccess() {
-          setButtonState(button, 'success', '✅ Отправлено');
-          showToast('Подтверждение отправлено на ' + bookingData.guestEmail, 'success');
+      sendVoucher(
+        bookingData,
+        result.pdfResult,
+        function onSuccess(data) {
+          if (data && data.queued) {
+            setButtonState(button, 'success', '🕓 В очереди');
+            showToast('Сервер недоступен — подтверждение отправится автоматически, как только появится связь', 'info');
+          } else {
+            setButtonState(button, 'success', '✅ Отправлено');
+            showToast('Подтверждение отправлено на ' + bookingData.guestEmail, 'success');
+          }
           resetButtonAfterDelay(button, CONFIRM_SEND_ICON, 'Отправить подтверждение');
         },
         function onError(errorMessage) {
@@ -461,6 +656,319 @@
     }
   }
 
+  // ─── Ваучер при поступлении предоплаты ─────────────────────
+
+  /**
+   * Сравнивает внесённую сумму с прошлой проверкой. Срабатывает только на переходе
+   * «не оплачено → оплачено» на открытой странице: бронирование, открытое уже
+   * оплаченным, ваучер не получает (его отправляют кнопкой).
+   */
+  function checkPrepaymentChange() {
+    var mode = getSetting('autoVoucherMode');
+    var container = document.getElementById('MainPageTopBar');
+    if ((mode !== 'prompt' && mode !== 'auto') || !isBookingPage() || !container) {
+      observedPayment = null;
+      return;
+    }
+
+    var pageText = container.textContent || '';
+    var bookingNumber = parseBookingNumber(pageText);
+    // Пока раздел «Оплата» не отрисован, сумма 0 — это не «не оплачено»
+    if (!bookingNumber || !findSectionByLabel(container, 'Оплата')) {
+      return;
+    }
+
+    var paidAmount = parsePaidAmount(container, pageText);
+    var previous = observedPayment && observedPayment.bookingNumber === bookingNumber ? observedPayment : null;
+    observedPayment = { bookingNumber: bookingNumber, paidAmount: paidAmount };
+
+    if (previous && previous.paidAmount <= 0 && paidAmount > 0) {
+      console.log('[KonturPrepay] Поступила предоплата', paidAmount, 'по бронированию', bookingNumber);
+      if (mode === 'auto') {
+        sendAutoVoucher();
+      } else {
+        showAutoVoucherPrompt(bookingNumber, paidAmount);
+      }
+    }
+  }
+
+  /**
+   * Сообщает внесённую сумму service worker: бронирование с отправленным счётом
+   * снимается с контроля срока оплаты, в напоминании — актуальный остаток.
+   * Одна и та же сумма по бронированию сообщается один раз.
+   */
+  function reportPaymentForDeadline() {
+    var container = document.getElementById('MainPageTopBar');
+    if (!isBookingPage() || !container) {
+      return;
+    }
+    var pageText = container.textContent || '';
+    var bookingNumber = parseBookingNumber(pageText);
+    if (!bookingNumber || !findSectionByLabel(container, 'Оплата')) {
+      return;
+    }
+    var paidAmount = parsePaidAmount(container, pageText);
+    if (reportedPayment && reportedPayment.bookingNumber === bookingNumber &&
+        reportedPayment.paidAmount === paidAmount) {
+      return;
+    }
+    reportedPayment = { bookingNumber: bookingNumber, paidAmount: paidAmount };
+    reportDeadlinePayment(bookingNumber, paidAmount);
+  }
+
+  /** Формирует и отправляет ваучер, если по этой оплате он ещё не отправлялся. */
+  function sendAutoVoucher() {
+    var bookingData = parseBookingData();
+    if (!bookingData || !(bookingData.paidAmount > 0)) {
+      return;
+    }
+
+    requestAutoVoucherClaim(bookingData.bookingNumber, bookingData.paidAmount, function (claimed) {
+      if (!claimed) {
+        console.log('[KonturPrepay] Ваучер по этой оплате уже отправлялся:', bookingData.bookingNumber);
+        return;
+      }
+
+      var missing = findMissingConfirmationFields(bookingData);
+      if (!bookingData.guestEmail) {
+        missing.push('Email гостя');
+      }
+      if (missing.length > 0) {
+        showToast('Предоплата поступила, но ваучер не отправлен — не найдены поля: ' + missing.join(', '), 'error');
+        return;
+      }
+
+      try {
+        var pdfResult = generateConfirmationPDF(bookingData, getHotelDetails());
+        sendVoucher(
+          bookingData,
+          pdfResult,
+          function (data) {
+            showToast(data && data.queued ?
+              'Предоплата поступила — ваучер в очереди, отправится, как только появится связь' :
+              'Предоплата поступила — ваучер отправлен на ' + bookingData.guestEmail,
+              data && data.queued ? 'info' : 'success');
+          },
+          function (errorMessage) {
+            showToast('Предоплата поступила, но ваучер не отправлен: ' + errorMessage +
+              '. Отправьте его кнопкой «Отправить подтверждение».', 'error');
+          }
+        );
+      } catch (error) {
+        console.error('[KonturPrepay] Ошибка автоотправки ваучера:', error);
+        showToast('Ошибка формирования ваучера: ' + error.message, 'error');
+      }
+    });
+  }
+
+  function hideAutoVoucherPrompt() {
+    var panel = document.getElementById(AUTO_VOUCHER_PANEL_ID);
+    if (panel) {
+      panel.remove();
+    }
+  }
+
+  /** Предлагает отправить ваучер. Список строится через DOM/textContent. */
+  function showAutoVoucherPrompt(bookingNumber, paidAmount) {
+    hideAutoVoucherPrompt();
+
+    var panel = document.createElement('div');
+    panel.id = AUTO_VOUCHER_PANEL_ID;
+    panel.className = 'kontur-history-panel kontur-history-panel--prompt';
+
+    var header = document.createElement('div');
+    header.className = 'kontur-history-panel__header';
+    header.textContent = 'Поступила предоплата';
+
+    var text = document.createElement('div');
+    text.className = 'kontur-history-panel__meta';
+    text.textContent = 'По бронированию №' + bookingNumber + ' внесено ' + formatMoney(paidAmount) +
+      ' ₽. Отправить гостю ваучер?';
+
+    var closeBtn = document.createElement('button');
+    closeBtn.type = 'button';
+    closeBtn.className = 'kontur-update-notification__close';
+    closeBtn.title = 'Закрыть';
+    closeBtn.textContent = '✕';
+    closeBtn.addEventListener('click', hideAutoVoucherPrompt);
+
+    var actions = document.createElement('div');
+    actions.className = 'kontur-history-panel__actions';
+
+    var sendBtn = document.createElement('button');
+    sendBtn.type = 'button';
+    sendBtn.className = 'kontur-update-notification__btn kontur-update-notification__btn--primary';
+    sendBtn.textContent = 'Отправить ваучер';
+    sendBtn.addEventListener('click', function () {
+      hideAutoVoucherPrompt();
+      sendAutoVoucher();
+    });
+
+    var laterBtn = document.createElement('button');
+    laterBtn.type = 'button';
+    laterBtn.className = 'kontur-update-notification__btn kontur-update-notification__btn--secondary';
+    laterBtn.textContent = 'Не сейчас';
+    laterBtn.addEventListener('click', hideAutoVoucherPrompt);
+
+    actions.appendChild(sendBtn);
+    actions.appendChild(laterBtn);
+    panel.appendChild(closeBtn);
+    panel.appendChild(header);
+    panel.appendChild(text);
+    panel.appendChild(actions);
+    document.body.appendChild(panel);
+  }
+
+  // ─── История документов ───────────────────────────────────
+
+  function handleHistoryClick() {
+    if (document.getElementById(HISTORY_PANEL_ID)) {
+      hideHistoryPanel();
+      return;
+    }
+
+    var bookingData = parseBookingData();
+    var bookingNumber = bookingData && bookingData.bookingNumber;
+    if (!bookingNumber) {
+      showToast('Не удалось определить номер бронирования.', 'error');
+      return;
+    }
+
+    showHistoryPanel(bookingNumber);
+  }
+
+  function hideHistoryPanel() {
+    var panel = document.getElementById(HISTORY_PANEL_ID);
+    if (panel) {
+      panel.remove();
+    }
+  }
+
+  /**
+   * Показывает панель с документами бронирования.
+   * Список строится через DOM/textContent — данные гостя не попадают в innerHTML.
+   */
+  function showHistoryPanel(bookingNumber) {
+    hideHistoryPanel();
+
+    var panel = document.createElement('div');
+    panel.id = HISTORY_PANEL_ID;
+    panel.className = 'kontur-history-panel';
+
+    var header = document.createElement('div');
+    header.className = 'kontur-history-panel__header';
+    header.textContent = 'Документы по бронированию №' + bookingNumber;
+
+    var closeBtn = document.createElement('button');
+    closeBtn.type = 'button';
+    closeBtn.className = 'kontur-update-notification__close';
+    closeBtn.title = 'Закрыть';
+    closeBtn.textContent = '✕';
+    closeBtn.addEventListener('click', hideHistoryPanel);
+
+    var list = document.createElement('div');
+    list.className = 'kontur-history-panel__list';
+    list.textContent = 'Загрузка...';
+
+    panel.appendChild(closeBtn);
+    panel.appendChild(header);
+    panel.appendChild(list);
+    document.body.appendChild(panel);
+
+    loadDocumentHistory(
+      { bookingNumber: bookingNumber },
+      function (records) {
+        renderHistoryList(list, records, bookingNumber);
+        refreshDeliveryStatus(function (updated) {
+          // Панель могли закрыть или открыть заново, пока ждали сервер
+          if (updated > 0 && list.isConnected) {
+            loadDocumentHistory({ bookingNumber: bookingNumber }, function (updatedRecords) {
+              renderHistoryList(list, updatedRecords, bookingNumber);
+            }, function () {});
+          }
+        });
+      },
+      function (errorMessage) {
+        list.textContent = 'Ошибка загрузки истории: ' + errorMessage;
+      }
+    );
+  }
+
+  function renderHistoryList(list, records, bookingNumber) {
+    list.textContent = '';
+
+    if (records.length === 0) {
+      list.textContent = 'Документы по этому бронированию ещё не выдавались.';
+      return;
+    }
+
+    records.forEach(function (record) {
+      var info = describeHistoryRecord(record);
+
+      var item = document.createElement('div');
+      item.className = 'kontur-history-panel__item';
+
+      var title = document.createElement('div');
+      title.className = 'kontur-history-panel__title';
+      title.textContent = info.title;
+
+      var meta = document.createElement('div');
+      meta.className = 'kontur-history-panel__meta';
+      meta.textContent = info.meta;
+
+      var status = document.createElement('div');
+      status.className = 'kontur-history-panel__meta' +
+        (info.bounced ? ' kontur-history-panel__meta--error' : '');
+      status.textContent = info.sendStatus;
+
+      var actions = document.createElement('div');
+      actions.className = 'kontur-history-panel__actions';
+
+      var downloadBtn = document.createElement('button');
+      downloadBtn.type = 'button';
+      downloadBtn.className = 'kontur-update-notification__btn kontur-update-notification__btn--secondary';
+      downloadBtn.textContent = 'Скачать';
+      downloadBtn.addEventListener('click', function () {
+        try {
+          var pdfResult = regenerateDocument(record);
+          downloadPDF(pdfResult.blob, pdfResult.filename);
+        } catch (error) {
+          console.error('[KonturPrepay] Ошибка повторного формирования:', error);
+          showToast('Ошибка: ' + error.message, 'error');
+        }
+      });
+
+      var resendBtn = document.createElement('button');
+      resendBtn.type = 'button';
+      resendBtn.className = 'kontur-update-notification__btn kontur-update-notification__btn--primary';
+      resendBtn.textContent = 'Отправить повторно';
+      resendBtn.addEventListener('click', function () {
+        resendBtn.disabled = true;
+        resendBtn.textContent = '⏳ Отправка...';
+        resendHistoryDocument(
+          record,
+          function (to, queued) {
+            showToast(queued ? 'Сервер недоступен — документ отправится автоматически'
+              : 'Документ повторно отправлен на ' + to, queued ? 'info' : 'success');
+            showHistoryPanel(bookingNumber);
+          },
+          function (errorMessage) {
+            showToast('Ошибка отправки: ' + errorMessage, 'error');
+            showHistoryPanel(bookingNumber);
+          }
+        );
+      });
+
+      actions.appendChild(downloadBtn);
+      actions.appendChild(resendBtn);
+      item.appendChild(title);
+      item.appendChild(meta);
+      item.appendChild(status);
+      item.appendChild(actions);
+      list.appendChild(item);
+    });
+  }
+
   // ─── Создание кнопок ──────────────────────────────────────
 
   function createButtons() {
@@ -486,8 +994,18 @@
     sendBtn.innerHTML = SEND_ICON + ' Отправить на email';
     sendBtn.addEventListener('click', handleSendClick);
 
+    // Кнопка «История» (secondary — outline)
+    var historyBtn = document.createElement('button');
+    historyBtn.id = BTN_HISTORY_ID;
+    historyBtn.className = 'kontur-prepay-btn kontur-prepay-btn--secondary';
+    historyBtn.type = 'button';
+    historyBtn.setAttribute('data-variant', 'secondary');
+    historyBtn.textContent = 'История';
+    historyBtn.addEventListener('click', handleHistoryClick);
+
     wrapper.appendChild(downloadBtn);
     wrapper.appendChild(sendBtn);
+    wrapper.appendChild(historyBtn);
 
     return wrapper;
   }
@@ -576,29 +1094,6 @@
 
   // ─── Стрелка-подсказка на иконку «i» (цены по дням) ─────────
 
-  /**
-   * Находит иконку «i» (info) рядом со стоимостью проживания.
-   * При наведении на неё появляется тултип с посуточными ценами.
-   */
-  function findPriceInfoIcon() {
-    var container = document.getElementById('MainPageTopBar');
-    if (!container) return null;
-
-    var svgs = container.querySelectorAll('svg[data-tid="Icon__root"]');
-    for (var i = 0; i < svgs.length; i++) {
-      var paths = svgs[i].querySelectorAll('path');
-      for (var j = 0; j < paths.length; j++) {
-        var d = paths[j].getAttribute('d') || '';
-        // Характерный path точки буквы «i» в круге
-        if (d.indexOf('M7.25 5.5') !== -1) {
-          var trigger = svgs[i].closest('[tabindex]');
-          return trigger || svgs[i].parentElement;
-        }
-      }
-    }
-    return null;
-  }
-
   /**
    * Показывает анимированную стрелку-подсказку рядом с иконкой «i».
    * Стрелка исчезает через 8 секунд или при захвате посуточных цен.
@@ -696,7 +1191,8 @@
 
   /**
    * Добавляет строку «Предоплата» в тултип «Стоимость проживания».
-   * Показывает сумму первых 3 суток от цены БЕЗ скидки.
+   * Показывает сумму предоплаты по правилам из настроек (calculateBookingPrepay)
+   * от посуточных цен БЕЗ скидки.
    * Добавляет переключатель «Скидочный QR на полную оплату».
    */
   function tryInjectPrepayIntoTooltip() {
@@ -722,12 +1218,21 @@
         console.log('[KonturPrepay] Обнаружена скидка в тултипе — галочка выключена (можно включить вручную)');
       }
 
-      // Считаем предоплату от цен БЕЗ скидки (первые 3 суток)
-      var prepay = 0;
-      var daysForPrepay = Math.min(3, ratesData.rates.length);
-      for (var d = 0; d < daysForPrepay; d++) {
-        prepay += ratesData.rates[d];
-      }
+      // Считаем предоплату по правилам от цен БЕЗ скидки
+      // (вне страницы бронирования — только по данным тултипа)
+      var bookingData = (isBookingPage() && parseBookingData()) || {
+        totalPrice: ratesData.totalPriceWithDiscount || ratesData.totalPrice
+      };
+      var prepay = calculateBookingPrepay(bookingData, ratesData.rates);
+
+      // Скидка за длительность по ступеням из настроек + скидка Контура из тултипа
+      var stayDiscount = calculateStayDiscount({
+        nightsCount: bookingData.nightsCount || ratesData.rates.length,
+        checkIn: bookingData.checkIn,
+        roomType: bookingData.roomType
+      });
+      var discount = combineDiscounts(stayDiscount.percent, stayDiscount.tierName,
+        tooltipDiscountPercent, stayDiscount.mode);
 
       // Ищем блок «Итого за проживание» для вставки после него
       var allSpans = tooltip.querySelectorAll('span');
@@ -754,16 +1259,12 @@
       prepayBlock.id = TOOLTIP_PREPAY_ID;
       prepayBlock.className = 'kontur-tooltip-prepay';
 
-      var daysLabel = daysForPrepay < 3
-        ? daysForPrepay + ' ' + pluralize(daysForPrepay, 'сутки', 'суток', 'суток')
-        : '3 сут.';
-
       // Добавляем переключатель «Скидочный QR на полную оплату» (без указания %)
       var toggleChecked = discountedQREnabled ? 'checked' : '';
 
       prepayBlock.innerHTML =
-        '<span>Предоплата (первые ' + daysLabel + '): ' +
-        '<strong>' + formatMoney(prepay) + ' ₽</strong></span>' +
+        '<span>Предоплата (' + prepay.description + '): ' +
+        '<strong>' + formatMoney(prepay.amount) + ' ₽</strong></span>' +
         '<div class="kontur-discount-qr-toggle" style="margin-top: 8px; display: flex; align-items: center; gap: 8px;">' +
           '<label style="display: flex; align-items: center; gap: 6px; cursor: pointer; font-size: 11px;">' +
             '<input type="checkbox" id="' + DISCOUNT_QR_TOGGLE_ID + '" ' + toggleChecked + ' style="cursor: pointer;">' +
@@ -771,6 +1272,14 @@
           '</label>' +
         '</div>';
 
+      // Расшифровка скидки — через textContent: в ней названия ступеней из настроек
+      if (discount.text) {
+        var discountLine = document.createElement('div');
+        discountLine.className = 'kontur-tooltip-prepay__discount';
+        discountLine.textContent = 'Скидка при полной оплате: ' + discount.text;
+        prepayBlock.appendChild(discountLine);
+      }
+
       if (insertAfter && insertAfter.parentElement) {
         insertAfter.parentElement.insertBefore(prepayBlock, insertAfter.nextSibling);
       } else {
@@ -864,6 +1373,8 @@
         wrapper.remove();
         console.log('[KonturPrepay] Кнопки счёта удалены (не страница бронирования)');
       }
+      hideHistoryPanel();
+      closeInvoiceSendDialog();
       var confirmWrapper = document.getElementById(CONFIRM_WRAPPER_ID);
       if (confirmWrapper) {
         confirmWrapper.remove();
@@ -872,6 +1383,118 @@
     }
   }
 
+  // ─── Пакетная выдача из списка бронирований ────────────────
+
+  /**
+   * Выдаёт документ по странице бронирования, открытой bulk-mode.js в iframe.
+   * Проверки — те же, что у кнопок на странице бронирования, но без кнопок и тостов:
+   * ошибка возвращается текстом для строки в панели прогресса.
+   *
+   * @param {Document} doc — документ страницы бронирования
+   * @param {Object} job — { type: 'invoice' | 'voucher', delivery: 'zip' | 'email' }
+   * @param {Function} callback — (errorMessage | null, { bookingNumber, pdfResult, message })
+   */
+  function processBulkBooking(doc, job, callback) {
+    var bookingData = parseBookingData(doc);
+    if (!bookingData) {
+      callback('Не удалось прочитать данные бронирования');
+      return;
+    }
+    var bookingNumber = bookingData.bookingNumber;
+    var fail = function (errorMessage) {
+      callback(errorMessage, { bookingNumber: bookingNumber });
+    };
+
+    if (job.type === 'voucher') {
+      var missing = findMissingConfirmationFields(bookingData);
+      if (missing.length > 0) {
+        fail('Не найдены поля: ' + missing.join(', '));
+        return;
+      }
+      var voucherPdf = generateConfirmationPDF(bookingData, getHotelDetails());
+      if (job.delivery === 'zip') {
+        recordDocument('voucher', bookingData, voucherPdf, null);
+        callback(null, { bookingNumber: bookingNumber, pdfResult: voucherPdf, message: voucherPdf.filename });
+        return;
+      }
+      // Как и кнопка «Отправить подтверждение»: ваучер — только после предоплаты
+      if (!(bookingData.paidAmount > 0)) {
+        fail('Предоплата не внесена — ваучер не отправлен');
+        return;
+      }
+      sendVoucher(bookingData, voucherPdf, function (data) {
+        callback(null, {
+          bookingNumber: bookingNumber,
+          message: data && data.queued ? 'В очереди на отправку на ' + bookingData.guestEmail
+            : 'Отправлен на ' + bookingData.guestEmail
+        });
+      }, fail);
+      return;
+    }
+
+    // Счёт: тултип с посуточными ценами bulk-mode.js уже открыл в iframe
+    // (групповому бронированию он не нужен — предоплата по номерам)
+    var isGroup = bookingData.rooms.length > 1;
+    var ratesData = parseDailyRatesFromTooltip(doc);
+    if (!isGroup && ratesData.rates.length === 0) {
+      fail('Нет цен по дням');
+      return;
+    }
+    var prepay = calculateBookingPrepay(bookingData, ratesData.rates);
+    bookingData.prepayAmount = prepay.amount;
+    bookingData.prepayNights = prepay.nights;
+    bookingData.prepayDescription = prepay.description;
+    bookingData.dailyRates = isGroup ? [] : ratesData.rates;
+    bookingData.tooltipDiscountPercent = ratesData.discountPercent || 0;
+    if (ratesData.totalPrice > 0) {
+      bookingData.totalPriceBeforeTooltipDiscount = ratesData.totalPrice;
+    }
+
+    var missingFields = validateBookingData(bookingData);
+    if (missingFields.length > 0) {
+      fail('Не найдены поля: ' + missingFields.join(', '));
+      return;
+    }
+
+    var options = {
+      discountedQREnabled: true,
+      tooltipDiscountPercent: bookingData.tooltipDiscountPercent
+    };
+    issueInvoiceDocument(bookingData, options, function (result) {
+      if (job.delivery === 'zip') {
+        recordDocument('invoice', bookingData, result.pdfResult, result.options);
+        callback(null, {
+          bookingNumber: bookingNumber,
+          pdfResult: result.pdfResult,
+          message: 'Счёт № ' + result.invoice.number
+        });
+        return;
+      }
+
+      var built;
+      try {
+        built = buildInvoiceEmail(bookingData);
+      } catch (error) {
+        fail('Ошибка в шаблоне письма: ' + error.message);
+        return;
+      }
+      var email = {
+        to: (bookingData.contactEmails || [bookingData.guestEmail]).join(', '),
+        cc: '',
+        bcc: (getSetting('emailBcc') || []).join(', '),
+        subject: built.subject,
+        body: built.body
+      };
+      deliverInvoice(result, email, function (data) {
+        callback(null, {
+          bookingNumber: bookingNumber,
+          message: 'Счёт № ' + result.invoice.number +
+            (data && data.queued ? ' в очереди на отправку на ' : ' отправлен на ') + email.to
+        });
+      }, fail);
+    }, fail);
+  }
+
   // ─── MutationObserver + SPA-навигация ───────────────────────
 
   var debounceTimer = null;
@@ -899,6 +1522,7 @@
       if (oldConfirmWrapper) {
         oldConfirmWrapper.remove();
       }
+      hideAutoVoucherPrompt();
     }
 
     // Немедленно (без debounce) пытаемся захватить цены из тултипа
@@ -910,8 +1534,13 @@
       clearTimeout(debounceTimer);
     }
     debounceTimer = setTimeout(function () {
+      // Профиль отеля — по открытому в Контуре объекту (шапка могла перерисоваться)
+      setHotelProfileContext(parseKonturHotelContext());
       tryInjectButton();
       removeButtonIfOrphaned();
+      checkPrepaymentChange();
+      reportPaymentForDeadline();
+      updateBulkSelection({ processBooking: processBulkBooking });
 
       // Повторно проверяем скрытие встроенных элементов
       // (меню может быть создано динамически)
@@ -931,6 +1560,7 @@
     });
 
     console.log('[KonturPrepay] MutationObserver запущен на', window.location.href);
+    setHotelProfileContext(parseKonturHotelContext());
     tryInjectButton();
   }
 
@@ -1186,9 +1816,12 @@
   var GITHUB_REPO_OWNER = 'MakarenD';  // GitHub username
   var GITHUB_REPO_NAME = 'KonturExpansionChrome';
 
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', startObserver);
-  } else {
-    startObserver();
-  }
+  // Кнопки и тултип зависят от настроек (правила предоплаты) — запускаемся после их загрузки
+  initSettingsStore(function () {
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', startObserver);
+    } else {
+      startObserver();
+    }
+  });
 })();
@@ -0,0 +1,104 @@
+/**
+ * Перехват JSON-ответов Контура — выполняется в мире страницы (manifest: "world": "MAIN").
+ *
+ * Оборачивает window.fetch и XMLHttpRequest: ответы с JSON от *.kontur.ru
+ * пересылаются content script через window.postMessage, где их разбирает
+ * network-booking.js. Сами запросы и ответы страницы не меняются: читается
+ * клон ответа, любые ошибки перехвата глотаются.
+ *
+ * Здесь нет доступа к chrome.* и к функциям расширения — только window.
+ */
+
+(function () {
+  'use strict';
+
+  var MESSAGE_SOURCE = 'kontur-prepay-page-hook';
+  // Большие ответы (справочники, шахматка) бронированием не бывают — не пересылаем
+  var MAX_BODY_LENGTH = 2 * 1024 * 1024;
+
+  if (window.__konturPrepayPageHook) {
+    return;
+  }
+  window.__konturPrepayPageHook = true;
+
+  function isKonturUrl(url) {
+    try {
+      var hostname = new URL(url, window.location.href).hostname;
+      return hostname === window.location.hostname || /(^|\.)kontur\.ru$/.test(hostname);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  function isJson(contentType) {
+    return (contentType || '').indexOf('json') !== -1;
+  }
+
+  function relay(url, text) {
+    if (!text || text.length > MAX_BODY_LENGTH) {
+      return;
+    }
+    var body;
+    try {
+      body = JSON.parse(text);
+    } catch (error) {
+      return;
+    }
+    if (body && typeof body === 'object') {
+      window.postMessage({ source: MESSAGE_SOURCE, url: url, body: body }, window.location.origin);
+    }
+  }
+
+  // ─── fetch ────────────────────────────────────────────────
+
+  var originalFetch = window.fetch;
+  if (typeof originalFetch === 'function') {
+    window.fetch = function (input) {
+      var promise = originalFetch.apply(window, arguments);
+      var url = typeof input === 'string' ? input : (input && input.url) || String(input);
+      if (isKonturUrl(url)) {
+        promise.then(function (response) {
+          if (response.ok && isJson(response.headers.get('content-type'))) {
+            response.clone().text().then(function (text) {
+              relay(response.url || url, text);
+            }, function () {});
+          }
+        }, function () {});
+      }
+      return promise;
+    };
+  }
+
+  // ─── XMLHttpRequest ───────────────────────────────────────
+
+  var requestUrls = new WeakMap();
+  var originalOpen = XMLHttpRequest.prototype.open;
+  var originalSend = XMLHttpRequest.prototype.send;
+
+  XMLHttpRequest.prototype.open = function (method, url) {
+    requestUrls.set(this, String(url));
+    return originalOpen.apply(this, arguments);
+  };
+
+  XMLHttpRequest.prototype.send = function () {
+    var xhr = this;
+    var url = requestUrls.get(xhr);
+    if (url && isKonturUrl(url)) {
+      xhr.addEventListener('load', function () {
+        try {
+          if (xhr.status < 200 || xhr.status >= 300 || !isJson(xhr.getResponseHeader('content-type'))) {
+            return;
+          }
+          if (xhr.responseType === '' || xhr.responseType === 'text') {
+            relay(xhr.responseURL || url, xhr.responseText);
+          } else if (xhr.responseType === 'json' && xhr.response) {
+            relay(xhr.responseURL || url, JSON.stringify(xhr.response));
+          }
+        } catch (error) {
+          // Перехват не должен ломать страницу
+        }
+      });
+    }
+    return originalSend.apply(this, arguments);
+  };
+})();
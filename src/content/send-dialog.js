@@ -0,0 +1,491 @@
+/**
+ * Окно проверки счёта перед отправкой гостю.
+ *
+ * Показывает предпросмотр PDF и поля, которые администратор может
+ * исправить, если парсер ошибся: реквизиты заказчика, сумму предоплаты,
+ * число оплачиваемых суток, назначение платежа, получателей (кому, копия, скрытая копия),
+ * шаблон, тему и текст письма.
+ * Предпросмотр пересобирается после каждого изменения (с задержкой), текст письма
+ * пересобирается по шаблону, пока его не исправили вручную.
+ *
+ * Номер счёта в предпросмотре не выдаётся — он берётся из реестра только
+ * после подтверждения отправки, чтобы отменённые черновики не оставляли
+ * разрывов в нумерации.
+ *
+ * Зависимости (загружены ранее): invoice-generator.js (generateInvoicePDF,
+ * buildPaymentPurpose, formatMoney), hotel-requisites.js (getHotelDetails),
+ * email-sender.js (parseEmailList, isValidEmailAddress, validateEmailRecipients).
+ */
+
+var SEND_DIALOG_ID = 'kontur-send-dialog';
+var SEND_DIALOG_PREVIEW_DELAY_MS = 600;
+var PREVIEW_INVOICE_NUMBER = 'присваивается при отправке';
+
+/**
+ * Открывает окно проверки счёта.
+ *
+ * @param {Object} params
+ * @param {Object} params.bookingData — данные бронирования (копия будет изменена)
+ * @param {Object} params.options — параметры generateInvoicePDF (без номера счёта)
+ * @param {Function} params.buildEmail — (bookingData, templateId) → { subject, body, templateId },
+ *   письмо по шаблону (email-templates.js)
+ * @param {Array} params.templates — шаблоны писем для выбора: [{ id, name }]
+ * @param {Object} params.recipients — получатели по умолчанию: { to: [], cc: [], bcc: [] }
+ * @param {Function} onConfirm — ({ bookingData, email: { to, cc, bcc, subject, body } }),
+ *   адреса — строкой через запятую
+ * @param {Function} onCancel — вызывается при закрытии без отправки
+ */
+function openInvoiceSendDialog(params, onConfirm, onCancel) {
+  closeInvoiceSendDialog();
+
+  var bookingData = Object.assign({}, params.bookingData);
+  var dailyRates = bookingData.dailyRates || [];
+  var initialEmail = params.buildEmail(bookingData);
+  var templateId = initialEmail.templateId;
+  var recipients = params.recipients || {};
+  var bodyEdited = false;
+  var purposeEdited = !!bookingData.paymentPurpose;
+  var previewTimer = null;
+  var previewUrl = null;
+
+  if (bookingData.prepayNights === undefined) {
+    bookingData.prepayNights = Math.min(3, dailyRates.length || bookingData.nightsCount);
+  }
+
+  // ─── Разметка ─────────────────────────────────────────────
+
+  var overlay = document.createElement('div');
+  overlay.id = SEND_DIALOG_ID;
+  overlay.className = 'kontur-send-dialog';
+
+  var dialog = document.createElement('div');
+  dialog.className = 'kontur-send-dialog__window';
+  overlay.appendChild(dialog);
+
+  var header = document.createElement('div');
+  header.className = 'kontur-send-dialog__header';
+  header.textContent = 'Проверка счёта — бронирование №' + bookingData.bookingNumber;
+  dialog.appendChild(header);
+
+  var closeBtn = document.createElement('button');
+  closeBtn.type = 'button';
+  closeBtn.className = 'kontur-update-notification__close';
+  closeBtn.title = 'Закрыть';
+  closeBtn.textContent = '✕';
+  dialog.appendChild(closeBtn);
+
+  var body = document.createElement('div');
+  body.className = 'kontur-send-dialog__body';
+  dialog.appendChild(body);
+
+  var form = document.createElement('form');
+  form.className = 'kontur-send-dialog__form';
+  form.noValidate = true;
+  body.appendChild(form);
+
+  var previewBox = document.createElement('div');
+  previewBox.className = 'kontur-send-dialog__preview';
+  var previewFrame = document.createElement('iframe');
+  previewFrame.className = 'kontur-send-dialog__frame';
+  previewFrame.title = 'Предпросмотр счёта';
+  var previewStatus = document.createElement('div');
+  previewStatus.className = 'kontur-send-dialog__preview-status';
+  var previewLink = document.createElement('a');
+  previewLink.target = '_blank';
+  previewLink.rel = 'noopener';
+  previewLink.textContent = 'Открыть в новой вкладке';
+  previewBox.appendChild(previewFrame);
+  previewBox.appendChild(previewStatus);
+  previewBox.appendChild(previewLink);
+  body.appendChild(previewBox);
+
+  var fields = {
+    guestName: addDialogField(form, 'Заказчик', 'text', bookingData.guestName),
+    customerInn: addDialogField(form, 'ИНН заказчика', 'text', bookingData.customerInn, 'Необязательно'),
+    customerAddress: addDialogField(form, 'Адрес заказчика', 'text', bookingData.customerAddress, 'Необязательно'),
+    prepayNights: addDialogField(form, 'Оплачиваемых суток', 'number', bookingData.prepayNights || ''),
+    prepayAmount: addDialogField(form, 'Предоплата, руб.', 'number', bookingData.prepayAmount),
+    paymentPurpose: addDialogField(form, 'Назначение платежа', 'textarea', buildPaymentPurpose(bookingData)),
+    to: addDialogChipsField(form, 'Кому', recipients.to || [bookingData.guestEmail]),
+    cc: addDialogChipsField(form, 'Копия', recipients.cc || []),
+    bcc: addDialogChipsField(form, 'Скрытая копия', recipients.bcc || []),
+    template: addDialogSelect(form, 'Шаблон письма', params.templates || [], templateId),
+    subject: addDialogField(form, 'Тема письма', 'text', initialEmail.subject),
+    body: addDialogField(form, 'Текст письма', 'textarea', initialEmail.body)
+  };
+  fields.prepayNights.min = 1;
+  fields.prepayNights.max = bookingData.nightsCount;
+  fields.prepayAmount.min = 1;
+  fields.prepayAmount.max = bookingData.totalPrice;
+  fields.body.rows = 8;
+
+  var totalHint = document.createElement('p');
+  totalHint.className = 'kontur-send-dialog__hint';
+  totalHint.textContent = 'Общая стоимость: ' + formatMoney(bookingData.totalPrice) + ' руб., ночей: ' +
+    bookingData.nightsCount + ((bookingData.rooms || []).length > 1 ? ', номеров: ' + bookingData.rooms.length : '');
+  fields.prepayAmount.parentNode.appendChild(totalHint);
+
+  var errorEl = document.createElement('div');
+  errorEl.className = 'kontur-send-dialog__error';
+  form.appendChild(errorEl);
+
+  var actions = document.createElement('div');
+  actions.className = 'kontur-send-dialog__actions';
+  var cancelBtn = document.createElement('button');
+  cancelBtn.type = 'button';
+  cancelBtn.className = 'kontur-update-notification__btn kontur-update-notification__btn--secondary';
+  cancelBtn.textContent = 'Отмена';
+  var submitBtn = document.createElement('button');
+  submitBtn.type = 'submit';
+  submitBtn.className = 'kontur-update-notification__btn kontur-update-notification__btn--primary';
+  submitBtn.textContent = 'Отправить';
+  actions.appendChild(cancelBtn);
+  actions.appendChild(submitBtn);
+  form.appendChild(actions);
+
+  document.body.appendChild(overlay);
+  renderPreview();
+
+  // ─── Поведение полей ──────────────────────────────────────
+
+  // Число суток пересчитывает сумму по посуточным ценам
+  // (в групповом бронировании — по средней цене суток каждого номера)
+  fields.prepayNights.addEventListener('input', function () {
+    var nights = parseInt(fields.prepayNights.value, 10);
+    var rooms = bookingData.rooms || [];
+    if (!nights || nights < 1 || (dailyRates.length === 0 && rooms.length < 2)) {
+      return;
+    }
+    var amount = 0;
+    if (rooms.length > 1) {
+      rooms.forEach(function (room) {
+        amount += Math.round(room.totalPrice / (room.nightsCount || 1) * Math.min(nights, room.nightsCount));
+      });
+    } else {
+      for (var i = 0; i < Math.min(nights, dailyRates.length); i++) {
+        amount += dailyRates[i];
+      }
+    }
+    fields.prepayAmount.value = Math.min(amount, bookingData.totalPrice);
+  });
+
+  fields.body.addEventListener('input', function () {
+    bodyEdited = true;
+  });
+
+  // Другой шаблон заменяет тему и текст, в том числе исправленные вручную
+  fields.template.addEventListener('change', function () {
+    templateId = fields.template.value;
+    var email = params.buildEmail(bookingData, templateId);
+    fields.subject.value = email.subject;
+    fields.body.value = email.body;
+    bodyEdited = false;
+  });
+
+  fields.paymentPurpose.addEventListener('input', function () {
+    purposeEdited = true;
+  });
+
+  form.addEventListener('input', function (event) {
+    // Сумма введена вручную — она больше не «первые N суток»
+    if (event.target === fields.prepayAmount) {
+      fields.prepayNights.value = '';
+    }
+    // Описание от правила предоплаты больше не соответствует сумме
+    if (event.target === fields.prepayAmount || event.target === fields.prepayNights) {
+      bookingData.prepayDescription = '';
+    }
+    applyFields();
+    if (!bodyEdited && event.target !== fields.body && event.target !== fields.subject &&
+        event.target !== fields.template) {
+      fields.body.value = params.buildEmail(bookingData, templateId).body;
+    }
+    clearTimeout(previewTimer);
+    previewTimer = setTimeout(renderPreview, SEND_DIALOG_PREVIEW_DELAY_MS);
+  });
+
+  form.addEventListener('submit', function (event) {
+    event.preventDefault();
+    applyFields();
+
+    var error = validateDialogData();
+    if (error) {
+      errorEl.textContent = error;
+      return;
+    }
+
+    var email = {
+      to: fields.to.getEmails().join(', '),
+      cc: fields.cc.getEmails().join(', '),
+      bcc: fields.bcc.getEmails().join(', '),
+      subject: fields.subject.value.trim(),
+      body: fields.body.value
+    };
+    close();
+    onConfirm({ bookingData: bookingData, email: email });
+  });
+
+  cancelBtn.addEventListener('click', cancel);
+  closeBtn.addEventListener('click', cancel);
+  overlay.addEventListener('keydown', function (event) {
+    if (event.key === 'Escape') {
+      cancel();
+    }
+  });
+  fields.guestName.focus();
+
+  // ─── Внутренние функции ───────────────────────────────────
+
+  /** Переносит значения полей в bookingData. */
+  function applyFields() {
+    bookingData.guestName = fields.guestName.value.trim();
+    bookingData.customerInn = fields.customerInn.value.trim();
+    bookingData.customerAddress = fields.customerAddress.value.trim();
+    bookingData.prepayNights = parseInt(fields.prepayNights.value, 10) || 0;
+    bookingData.prepayAmount = Math.round(parseFloat(fields.prepayAmount.value) || 0);
+    bookingData.guestEmail = fields.to.getEmails()[0] || '';
+
+    // Пока назначение не меняли вручную, оно следует за ФИО заказчика
+    if (purposeEdited) {
+      bookingData.paymentPurpose = fields.paymentPurpose.value.trim();
+    } else {
+      fields.paymentPurpose.value = buildPaymentPurpose(bookingData);
+    }
+  }
+
+  function validateDialogData() {
+    if (!bookingData.guestName) {
+      return 'Укажите заказчика';
+    }
+    if (bookingData.customerInn && !/^(\d{10}|\d{12})$/.test(bookingData.customerInn)) {
+      return 'ИНН заказчика должен содержать 10 или 12 цифр';
+    }
+    if (bookingData.prepayAmount <= 0) {
+      return 'Сумма предоплаты должна быть больше нуля';
+    }
+    if (bookingData.prepayAmount > bookingData.totalPrice) {
+      return 'Предоплата не может превышать общую стоимость (' + formatMoney(bookingData.totalPrice) + ' руб.)';
+    }
+    if (bookingData.prepayNights > bookingData.nightsCount) {
+      return 'Оплачиваемых суток больше, чем ночей в бронировании';
+    }
+    if (purposeEdited && !bookingData.paymentPurpose) {
+      return 'Укажите назначение платежа';
+    }
+    var recipientsError = validateEmailRecipients({
+      to: fields.to.getEmails(),
+      cc: fields.cc.getEmails(),
+      bcc: fields.bcc.getEmails()
+    });
+    if (recipientsError) {
+      return recipientsError;
+    }
+    if (!fields.subject.value.trim()) {
+      return 'Укажите тему письма';
+    }
+    return '';
+  }
+
+  function renderPreview() {
+    errorEl.textContent = '';
+    previewStatus.textContent = 'Формирование предпросмотра...';
+    try {
+      var pdfResult = generateInvoicePDF(bookingData, getHotelDetails(), Object.assign({}, params.options, {
+        invoiceNumber: PREVIEW_INVOICE_NUMBER
+      }));
+      revokePreview();
+      previewUrl = URL.createObjectURL(pdfResult.blob);
+      previewFrame.src = previewUrl + '#toolbar=0&view=FitH';
+      previewLink.href = previewUrl;
+      previewStatus.textContent = '';
+    } catch (error) {
+      console.error('[KonturPrepay] Ошибка предпросмотра:', error);
+      previewStatus.textContent = 'Не удалось сформировать предпросмотр: ' + error.message;
+    }
+  }
+
+  function revokePreview() {
+    if (previewUrl) {
+      URL.revokeObjectURL(previewUrl);
+      previewUrl = null;
+    }
+  }
+
+  function close() {
+    clearTimeout(previewTimer);
+    revokePreview();
+    overlay.remove();
+  }
+
+  function cancel() {
+    close();
+    onCancel();
+  }
+}
+
+/** Закрывает окно проверки, если оно открыто (без вызова колбэков). */
+function closeInvoiceSendDialog() {
+  var existing = document.getElementById(SEND_DIALOG_ID);
+  if (existing) {
+    existing.remove();
+  }
+}
+
+/**
+ * Добавляет в форму поле с подписью.
+ * @returns {HTMLInputElement|HTMLTextAreaElement}
+ */
+function addDialogField(form, labelText, type, value, placeholder) {
+  var field = document.createElement('label');
+  field.className = 'kontur-send-dialog__field';
+
+  var label = document.createElement('span');
+  label.className = 'kontur-send-dialog__label';
+  label.textContent = labelText;
+  field.appendChild(label);
+
+  var input;
+  if (type === 'textarea') {
+    input = document.createElement('textarea');
+    input.rows = 2;
+  } else {
+    input = document.createElement('input');
+    input.type = type;
+  }
+  input.className = 'kontur-send-dialog__input';
+  input.value = value === undefined || value === null ? '' : value;
+  if (placeholder) {
+    input.placeholder = placeholder;
+  }
+  field.appendChild(input);
+
+  form.appendChild(field);
+  return input;
+}
+
+/**
+ * Добавляет в форму поле адресов: каждый адрес — «чип» с кнопкой удаления.
+ * Адрес добавляется по Enter, запятой, пробелу или при уходе из поля;
+ * Backspace в пустом поле удаляет последний. Некорректные адреса подсвечиваются.
+ * @param {string[]} emails — адреса по умолчанию
+ * @returns {{ input: HTMLInputElement, getEmails: Function }} getEmails() → string[]
+ */
+function addDialogChipsField(form, labelText, emails) {
+  var field = document.createElement('div');
+  field.className = 'kontur-send-dialog__field';
+
+  var label = document.createElement('span');
+  label.className = 'kontur-send-dialog__label';
+  label.textContent = labelText;
+  field.appendChild(label);
+
+  var box = document.createElement('div');
+  box.className = 'kontur-send-dialog__input kontur-send-dialog__chips';
+  field.appendChild(box);
+
+  var input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'kontur-send-dialog__chips-input';
+  input.setAttribute('aria-label', labelText);
+  box.appendChild(input);
+
+  var list = parseEmailList(emails);
+  render();
+
+  input.addEventListener('keydown', function (event) {
+    if ((event.key === 'Enter' || event.key === ',' || event.key === ';') && input.value.trim()) {
+      event.preventDefault();
+      commitInput();
+    } else if (event.key === 'Backspace' && !input.value && list.length > 0) {
+      list.pop();
+      render();
+    }
+  });
+  // Вставка списка адресов или ввод пробела
+  input.addEventListener('input', function () {
+    if (/[,;\s]/.test(input.value)) {
+      commitInput();
+    }
+  });
+  input.addEventListener('blur', commitInput);
+  box.addEventListener('click', function (event) {
+    if (event.target === box) {
+      input.focus();
+    }
+  });
+
+  form.appendChild(field);
+  return {
+    input: input,
+    // Вместе с недописанным адресом в поле ввода (без превращения его в чип)
+    getEmails: function () {
+      return parseEmailList(list.concat(parseEmailList(input.value)));
+    }
+  };
+
+  function commitInput() {
+    if (!input.value.trim()) {
+      input.value = '';
+      return;
+    }
+    list = parseEmailList(list.concat(parseEmailList(input.value)));
+    input.value = '';
+    render();
+  }
+
+  function render() {
+    var chips = box.querySelectorAll('.kontur-send-dialog__chip');
+    for (var i = 0; i < chips.length; i++) {
+      chips[i].remove();
+    }
+    list.forEach(function (email, index) {
+      var chip = document.createElement('span');
+      chip.className = 'kontur-send-dialog__chip' +
+        (isValidEmailAddress(email) ? '' : ' kontur-send-dialog__chip--invalid');
+      chip.textContent = email;
+
+      var remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'kontur-send-dialog__chip-remove';
+      remove.title = 'Убрать';
+      remove.textContent = '×';
+      remove.addEventListener('click', function () {
+        list.splice(index, 1);
+        render();
+        input.focus();
+      });
+      chip.appendChild(remove);
+      box.insertBefore(chip, input);
+    });
+  }
+}
+
+/**
+ * Добавляет в форму выпадающий список с подписью.
+ * @param {Array} options — [{ id, name }]
+ * @returns {HTMLSelectElement}
+ */
+function addDialogSelect(form, labelText, options, value) {
+  var field = document.createElement('label');
+  field.className = 'kontur-send-dialog__field';
+
+  var label = document.createElement('span');
+  label.className = 'kontur-send-dialog__label';
+  label.textContent = labelText;
+  field.appendChild(label);
+
+  var select = document.createElement('select');
+  select.className = 'kontur-send-dialog__input';
+  options.forEach(function (item) {
+    var option = document.createElement('option');
+    option.value = item.id;
+    option.textContent = item.name;
+    select.appendChild(option);
+  });
+  select.value = value;
+  select.disabled = options.length < 2;
+  field.appendChild(select);
+
+  form.appendChild(field);
+  return select;
+}
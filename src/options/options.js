@@ -0,0 +1,1223 @@
+/**
+ * Страница настроек расширения (options_ui).
+ *
+ * Раздел «Реквизиты отеля» — реквизиты, подписант, печать и подпись для PDF
+ * (hotel-requisites.js): «hotelRequisites» и «hotelImages» в chrome.storage.local.
+ * До первого сохранения форма заполнена значениями из hotel-details.js.
+ *
+ * Раздел «Правила предоплаты» — редактор правил prepay-rules.js:
+ * тип предоплаты (суток / процент / сумма / полная оплата) и условия
+ * (сезоны, категории номеров, тарифы, срок до заезда). Правила сохраняются
+ * в chrome.storage.local («prepayRules»); вкладки hotel.kontur.ru подхватывают
+ * изменения через settings-store.js без перезагрузки.
+ *
+ * Раздел «Скидки за длительность» — ступени discount-tiers.js (порог ночей,
+ * процент, сезоны, исключённые категории) и режим сочетания со скидкой Контура
+ * («discountSettings»).
+ *
+ * Раздел «Тексты писем и ваучера» — подписи писем и условия ваучера
+ * («hotelTexts», ключи как в hotel-texts.js).
+ *
+ * Раздел «Каталог номеров» — категории с площадью, вместимостью, корпусом,
+ * описанием и ссылкой на фото (room-catalog.js, «roomCatalog»), импорт и экспорт
+ * JSON/CSV, проверка сопоставления названия и отчёт о категориях из бронирований,
+ * не найденных в каталоге («unmatchedRoomTypes»).
+ *
+ * Раздел «Профили отелей» — профили для нескольких объектов (settings-store.js).
+ * Переключатель «Редактировать настройки» выбирает область: общие настройки
+ * или профиль; остальные разделы читают и сохраняют значения выбранной области
+ * (loadScoped / saveScoped). Профиль без сохранённого раздела показывает общие значения.
+ *
+ * Блок «Проверка» считает предоплату и скидку по данным из формы (ещё до сохранения).
+ */
+
+(function () {
+  'use strict';
+
+  // ─── DOM-элементы ───────────────────────────────────────────
+
+  var messageEl = document.getElementById('message');
+  var profileScopeSelect = document.getElementById('profileScope');
+  var profileCardEl = document.getElementById('profileCard');
+  var profileNameInput = document.getElementById('profileName');
+  var profileMatchInput = document.getElementById('profileMatch');
+  var profileSenderInput = document.getElementById('profileSender');
+  var profileOverridesEl = document.getElementById('profileOverrides');
+  var addProfileBtn = document.getElementById('addProfileBtn');
+  var saveProfileBtn = document.getElementById('saveProfileBtn');
+  var deleteProfileBtn = document.getElementById('deleteProfileBtn');
+  var requisitesFieldsEl = document.getElementById('requisitesFields');
+  var saveRequisitesBtn = document.getElementById('saveRequisitesBtn');
+  var imageBlocks = document.querySelectorAll('.options__image');
+  var rulesListEl = document.getElementById('prepayRulesList');
+  var addRuleBtn = document.getElementById('addPrepayRuleBtn');
+  var saveRulesBtn = document.getElementById('savePrepayRulesBtn');
+  var testResultEl = document.getElementById('prepayTestResult');
+  var discountModeSelect = document.getElementById('discountMode');
+  var tiersListEl = document.getElementById('discountTiersList');
+  var addTierBtn = document.getElementById('addDiscountTierBtn');
+  var saveTiersBtn = document.getElementById('saveDiscountTiersBtn');
+  var discountTestResultEl = document.getElementById('discountTestResult');
+  var textsFieldsEl = document.getElementById('textsFields');
+  var saveTextsBtn = document.getElementById('saveTextsBtn');
+  var emailBccInput = document.getElementById('emailBcc');
+  var catalogListEl = document.getElementById('roomCatalogList');
+  var roomCatalogFileInput = document.getElementById('roomCatalogFile');
+  var importRoomCatalogBtn = document.getElementById('importRoomCatalogBtn');
+  var exportRoomCatalogJsonBtn = document.getElementById('exportRoomCatalogJsonBtn');
+  var exportRoomCatalogCsvBtn = document.getElementById('exportRoomCatalogCsvBtn');
+  var addRoomCategoryBtn = document.getElementById('addRoomCategoryBtn');
+  var saveRoomCatalogBtn = document.getElementById('saveRoomCatalogBtn');
+  var roomMatchInput = document.getElementById('roomMatchInput');
+  var roomMatchResultEl = document.getElementById('roomMatchResult');
+  var unmatchedRoomsListEl = document.getElementById('unmatchedRoomsList');
+  var clearUnmatchedRoomsBtn = document.getElementById('clearUnmatchedRoomsBtn');
+  var testInputs = {
+    totalPrice: document.getElementById('testTotalPrice'),
+    nights: document.getElementById('testNights'),
+    checkIn: document.getElementById('testCheckIn'),
+    roomType: document.getElementById('testRoomType'),
+    ratePlan: document.getElementById('testRatePlan')
+  };
+
+  /** Поля реквизитов: ключ HOTEL_DETAILS → подпись. */
+  var REQUISITES_FIELDS = [
+    ['name', 'Название организации'],
+    ['inn', 'ИНН'],
+    ['kpp', 'КПП'],
+    ['ogrn', 'ОГРН / ОГРНИП'],
+    ['address', 'Адрес отеля'],
+    ['phone', 'Телефон'],
+    ['email', 'Email'],
+    ['bankName', 'Банк'],
+    ['bik', 'БИК'],
+    ['bankAccount', 'Расчётный счёт'],
+    ['corrAccount', 'Корреспондентский счёт'],
+    ['classificationNumber', 'Номер в реестре классификации'],
+    ['directorTitle', 'Должность подписанта'],
+    ['directorName', 'ФИО подписанта (Фамилия И.О.)']
+  ];
+
+  /** Тексты: ключ HOTEL_TEXTS → подпись, вид поля (line — строка, text — абзац, list — пункты по строкам). */
+  var TEXT_FIELDS = [
+    ['senderName', 'Имя отправителя письма', 'line'],
+    ['invoiceEmailClosing', 'Последняя строка письма со счётом', 'line'],
+    ['voucherEmailThanks', 'Благодарность в письме с ваучером', 'line'],
+    ['emailSignature', 'Подпись писем', 'text'],
+    ['voucherPolicies', 'Ваучер: условия проживания', 'list'],
+    ['voucherInclusions', 'Ваучер: в стоимость номера включено', 'list'],
+    ['voucherCancelPolicy', 'Ваучер: условия отмены бронирования', 'text']
+  ];
+
+  /** Настройки, которые профиль может переопределить (PROFILE_SETTING_KEYS) → название раздела. */
+  var PROFILE_SECTION_NAMES = {
+    hotelRequisites: 'реквизиты',
+    hotelImages: 'печать, подпись и логотип',
+    hotelTexts: 'тексты',
+    emailBcc: 'скрытая копия писем',
+    roomCatalog: 'каталог номеров',
+    roomAreas: 'площади номеров',
+    prepayRules: 'правила предоплаты',
+    discountSettings: 'скидки'
+  };
+
+  var IMAGE_MAX_SIZE = 800;
+
+  var VALUE_UNITS = {
+    nights: 'суток',
+    percent: '%',
+    fixed: 'руб.',
+    full: ''
+  };
+
+  // ─── Профили отелей ─────────────────────────────────────────
+
+  // Профили из storage и редактируемая область ('' — общие настройки)
+  var profiles = [];
+  var scopeId = '';
+
+  chrome.storage.local.get(['hotelProfiles'], function (data) {
+    profiles = data.hotelProfiles || [];
+    renderProfileScope();
+    loadAllSections();
+  });
+
+  profileScopeSelect.addEventListener('change', function () {
+    scopeId = profileScopeSelect.value;
+    renderProfileScope();
+    loadAllSections();
+  });
+
+  addProfileBtn.addEventListener('click', function () {
+    var profile = {
+      id: generateRuleId(),
+      name: 'Профиль ' + (profiles.length + 1),
+      match: [],
+      senderProfile: '',
+      settings: {}
+    };
+    profiles.push(profile);
+    saveProfiles('Профиль создан — укажите название и признаки объекта', function () {
+      scopeId = profile.id;
+      renderProfileScope();
+      loadAllSections();
+      profileNameInput.focus();
+    });
+  });
+
+  saveProfileBtn.addEventListener('click', function () {
+    var profile = currentProfile();
+    var name = profileNameInput.value.trim();
+    var sender = profileSenderInput.value.trim();
+    if (!name) {
+      showMessage('Укажите название профиля', 'error');
+      return;
+    }
+    if (!/^[\w-]*$/.test(sender)) {
+      showMessage('Отправитель на сервере: только латиница, цифры, «_» и «-»', 'error');
+      return;
+    }
+    profile.name = name;
+    profile.match = parseList(profileMatchInput.value);
+    profile.senderProfile = sender;
+    saveProfiles('Профиль сохранён', renderProfileScope);
+  });
+
+  deleteProfileBtn.addEventListener('click', function () {
+    var profile = currentProfile();
+    if (!confirm('Удалить профиль «' + profile.name + '» вместе с его настройками?')) {
+      return;
+    }
+    profiles.splice(profiles.indexOf(profile), 1);
+    saveProfiles('Профиль удалён', function () {
+      scopeId = '';
+      renderProfileScope();
+      loadAllSections();
+    });
+  });
+
+  /** Переключатель области и карточка выбранного профиля. */
+  function renderProfileScope() {
+    profileScopeSelect.innerHTML = '';
+    var general = document.createElement('option');
+    general.value = '';
+    general.textContent = 'Общие настройки (все объекты)';
+    profileScopeSelect.appendChild(general);
+    profiles.forEach(function (item) {
+      var option = document.createElement('option');
+      option.value = item.id;
+      option.textContent = 'Профиль «' + item.name + '»';
+      profileScopeSelect.appendChild(option);
+    });
+
+    var profile = currentProfile();
+    if (!profile) {
+      scopeId = '';
+    }
+    profileScopeSelect.value = scopeId;
+    profileCardEl.hidden = !profile;
+    saveProfileBtn.hidden = !profile;
+    deleteProfileBtn.hidden = !profile;
+    if (profile) {
+      profileNameInput.value = profile.name || '';
+      profileMatchInput.value = (profile.match || []).join(', ');
+      profileSenderInput.value = profile.senderProfile || '';
+    }
+    renderProfileOverrides();
+  }
+
+  /** Подпись: какие разделы у профиля свои. */
+  function renderProfileOverrides() {
+    var profile = currentProfile();
+    if (!profile) {
+      return;
+    }
+    var settings = profile.settings || {};
+    var own = Object.keys(PROFILE_SECTION_NAMES).filter(function (key) {
+      return settings[key] !== undefined && settings[key] !== null;
+    }).map(function (key) {
+      return PROFILE_SECTION_NAMES[key];
+    });
+    profileOverridesEl.textContent = own.length > 0
+      ? 'Свои настройки профиля: ' + own.join(', ') + '. Остальное — из общих настроек.'
+      : 'Профиль пока использует общие настройки. Разделы ниже, сохранённые в этом профиле, заменят общие.';
+  }
+
+  function currentProfile() {
+    return scopeId ? findHotelProfile(profiles, scopeId) : null;
+  }
+
+  function loadAllSections() {
+    loadRequisites();
+    loadPrepayRules();
+    loadDiscountSettings();
+    loadTexts();
+    loadRoomCatalog();
+  }
+
+  /**
+   * Читает настройки редактируемой области: значения профиля, а если раздел
+   * в профиле не сохранён — общие (так же их выбирает getSetting).
+   */
+  function loadScoped(keys, callback) {
+    chrome.storage.local.get(keys, function (data) {
+      var profile = currentProfile();
+      var settings = (profile && profile.settings) || {};
+      keys.forEach(function (key) {
+        if (settings[key] !== undefined && settings[key] !== null) {
+          data[key] = settings[key];
+        }
+      });
+      callback(data);
+    });
+  }
+
+  /** Сохраняет настройки в редактируемую область: общие ключи storage или settings профиля. */
+  function saveScoped(values, successText) {
+    var profile = currentProfile();
+    if (profile) {
+      profile.settings = Object.assign({}, profile.settings, values);
+      saveProfiles(successText, renderProfileOverrides);
+      return;
+    }
+    chrome.storage.local.set(values, function () {
+      if (chrome.runtime.lastError) {
+        showMessage('Ошибка сохранения: ' + chrome.runtime.lastError.message, 'error');
+      } else {
+        showMessage(successText, 'success');
+      }
+    });
+  }
+
+  function saveProfiles(successText, callback) {
+    chrome.storage.local.set({ hotelProfiles: profiles }, function () {
+      if (chrome.runtime.lastError) {
+        showMessage('Ошибка сохранения: ' + chrome.runtime.lastError.message, 'error');
+        return;
+      }
+      showMessage(successText, 'success');
+      if (callback) {
+        callback();
+      }
+    });
+  }
+
+  // ─── Реквизиты отеля ────────────────────────────────────────
+
+  // Изображения, выбранные в форме: { stamp, signature, logo } (null — встроенное или без логотипа)
+  var pendingImages = {};
+
+  REQUISITES_FIELDS.forEach(function (field) {
+    requisitesFieldsEl.appendChild(wrapField(field[1], createInput('text', field[0], '')));
+  });
+
+  function loadRequisites() {
+    loadScoped(['hotelRequisites', 'hotelImages'], function (data) {
+      var requisites = Object.assign({}, HOTEL_DETAILS, data.hotelRequisites || {});
+      REQUISITES_FIELDS.forEach(function (field) {
+        var input = requisitesField(field[0]);
+        input.classList.remove('options__input--invalid');
+        input.value = requisites[field[0]] || '';
+      });
+      pendingImages = Object.assign({ stamp: null, signature: null, logo: null }, data.hotelImages || {});
+      renderImages();
+    });
+  }
+
+  for (var b = 0; b < imageBlocks.length; b++) {
+    bindImageBlock(imageBlocks[b]);
+  }
+
+  saveRequisitesBtn.addEventListener('click', function () {
+    var requisites = {};
+    REQUISITES_FIELDS.forEach(function (field) {
+      var input = requisitesField(field[0]);
+      input.classList.remove('options__input--invalid');
+      requisites[field[0]] = input.value.trim();
+    });
+
+    var error = validateHotelRequisites(requisites);
+    if (error) {
+      var invalid = requisitesField(error.field);
+      invalid.classList.add('options__input--invalid');
+      invalid.focus();
+      showMessage(error.message, 'error');
+      return;
+    }
+
+    saveScoped({ hotelRequisites: requisites, hotelImages: pendingImages }, 'Реквизиты сохранены');
+  });
+
+  function requisitesField(name) {
+    return requisitesFieldsEl.querySelector('[name="' + name + '"]');
+  }
+
+  function bindImageBlock(block) {
+    var key = block.getAttribute('data-image');
+    var fileInput = block.querySelector('.options__image-file');
+
+    fileInput.addEventListener('change', function () {
+      var file = fileInput.files[0];
+      if (!file) {
+        return;
+      }
+      readImageAsPng(file, function (error, image) {
+        fileInput.value = '';
+        if (error) {
+          showMessage(error, 'error');
+          return;
+        }
+        pendingImages[key] = image;
+        renderImages();
+      });
+    });
+
+    block.querySelector('.options__image-reset').addEventListener('click', function () {
+      pendingImages[key] = null;
+      renderImages();
+    });
+  }
+
+  /** Показывает выбранные (или встроенные) печать, подпись и логотип. */
+  function renderImages() {
+    var builtIn = {
+      stamp: typeof STAMP_IMAGE_BASE64 !== 'undefined' ? STAMP_IMAGE_BASE64 : '',
+      signature: typeof SIGNATURE_IMAGE_BASE64 !== 'undefined' ? SIGNATURE_IMAGE_BASE64 : ''
+    };
+    for (var i = 0; i < imageBlocks.length; i++) {
+      var key = imageBlocks[i].getAttribute('data-image');
+      var preview = imageBlocks[i].querySelector('.options__image-preview');
+      var image = pendingImages[key];
+      preview.src = image ? image.dataUrl : (builtIn[key] ? 'data:image/png;base64,' + builtIn[key] : '');
+      imageBlocks[i].querySelector('.options__image-reset').disabled = !image;
+    }
+  }
+
+  /**
+   * Читает PNG/JPEG и приводит к PNG не больше IMAGE_MAX_SIZE по большей стороне
+   * (генераторы PDF добавляют изображения как PNG, а storage не резиновый).
+   * callback(error, { dataUrl, width, height })
+   */
+  function readImageAsPng(file, callback) {
+    if (!/^image\/(png|jpeg)$/.test(file.type)) {
+      callback('Поддерживаются только PNG и JPEG');
+      return;
+    }
+    var reader = new FileReader();
+    reader.onload = function () {
+      var img = new Image();
+      img.onload = function () {
+        var scale = Math.min(1, IMAGE_MAX_SIZE / Math.max(img.width, img.height));
+        var canvas = document.createElement('canvas');
+        canvas.width = Math.round(img.width * scale);
+        canvas.height = Math.round(img.height * scale);
+        canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+        callback(null, {
+          dataUrl: canvas.toDataURL('image/png'),
+          width: canvas.width,
+          height: canvas.height
+        });
+      };
+      img.onerror = function () {
+        callback('Не удалось прочитать изображение');
+      };
+      img.src = reader.result;
+    };
+    reader.onerror = function () {
+      callback('Не удалось прочитать файл');
+    };
+    reader.readAsDataURL(file);
+  }
+
+  // ─── Правила предоплаты ─────────────────────────────────────
+
+  function loadPrepayRules() {
+    loadScoped(['prepayRules'], function (data) {
+      renderRules(data.prepayRules || []);
+    });
+  }
+
+  addRuleBtn.addEventListener('click', function () {
+    var rules = collectRules();
+    rules.push({
+      id: generateRuleId(),
+      name: 'Новое правило',
+      enabled: true,
+      type: 'nights',
+      value: 3,
+      conditions: {}
+    });
+    renderRules(rules);
+  });
+
+  saveRulesBtn.addEventListener('click', function () {
+    var rules = collectRules();
+
+    for (var i = 0; i < rules.length; i++) {
+      var error = validatePrepayRule(rules[i]);
+      if (error) {
+        showMessage('Правило «' + (rules[i].name || i + 1) + '»: ' + error, 'error');
+        return;
+      }
+    }
+
+    saveScoped({ prepayRules: rules }, 'Правила предоплаты сохранены');
+  });
+
+  rulesListEl.addEventListener('input', runPrepayTest);
+  rulesListEl.addEventListener('change', runPrepayTest);
+  Object.keys(testInputs).forEach(function (key) {
+    testInputs[key].addEventListener('input', runPrepayTest);
+    testInputs[key].addEventListener('input', runDiscountTest);
+  });
+
+  function renderRules(rules) {
+    rulesListEl.innerHTML = '';
+
+    if (rules.length === 0) {
+      var empty = document.createElement('p');
+      empty.className = 'options__hint';
+      empty.textContent = 'Правил нет — предоплата считается как стоимость первых 3 суток.';
+      rulesListEl.appendChild(empty);
+    }
+
+    rules.forEach(function (rule, index) {
+      rulesListEl.appendChild(createRuleCard(rule, index, rules.length));
+    });
+
+    runPrepayTest();
+  }
+
+  /** Карточка правила. Значения читаются обратно в collectRules(). */
+  function createRuleCard(rule, index, total) {
+    var conditions = rule.conditions || {};
+
+    var card = document.createElement('div');
+    card.className = 'options__card options__rule';
+    card.setAttribute('data-rule-id', rule.id || generateRuleId());
+
+    var head = document.createElement('div');
+    head.className = 'options__card-head';
+
+    var enabledLabel = document.createElement('label');
+    enabledLabel.className = 'options__checkbox';
+    var enabled = document.createElement('input');
+    enabled.type = 'checkbox';
+    enabled.name = 'enabled';
+    enabled.checked = rule.enabled !== false;
+    enabledLabel.appendChild(enabled);
+    enabledLabel.appendChild(document.createTextNode(' ' + (index + 1) + '.'));
+    head.appendChild(enabledLabel);
+
+    var name = createInput('text', 'name', rule.name);
+    name.classList.add('options__input--title');
+    head.appendChild(name);
+
+    head.appendChild(createIconButton('↑', 'Выше', index === 0, function () {
+      moveRule(index, -1);
+    }));
+    head.appendChild(createIconButton('↓', 'Ниже', index === total - 1, function () {
+      moveRule(index, 1);
+    }));
+    head.appendChild(createIconButton('✕', 'Удалить', false, function () {
+      var rules = collectRules();
+      rules.splice(index, 1);
+      renderRules(rules);
+    }));
+    card.appendChild(head);
+
+    var grid = document.createElement('div');
+    grid.className = 'options__grid';
+
+    var typeSelect = document.createElement('select');
+    typeSelect.className = 'options__input';
+    typeSelect.name = 'type';
+    Object.keys(PREPAY_RULE_TYPES).forEach(function (type) {
+      var option = document.createElement('option');
+      option.value = type;
+      option.textContent = PREPAY_RULE_TYPES[type];
+      typeSelect.appendChild(option);
+    });
+    typeSelect.value = rule.type || 'nights';
+    grid.appendChild(wrapField('Предоплата', typeSelect));
+
+    var value = createInput('number', 'value', rule.value);
+    value.min = 0;
+    var valueField = wrapField('Значение, ' + VALUE_UNITS[typeSelect.value], value);
+    grid.appendChild(valueField);
+
+    var updateValueField = function () {
+      var unit = VALUE_UNITS[typeSelect.value];
+      valueField.querySelector('.options__label').textContent = unit ? 'Значение, ' + unit : 'Значение';
+      value.disabled = typeSelect.value === 'full';
+    };
+    typeSelect.addEventListener('change', updateValueField);
+    updateValueField();
+
+    grid.appendChild(wrapField('Сезоны (по дате заезда)',
+      createInput('text', 'seasons', formatSeasons(conditions.seasons), '01.06–31.08, 15.12–15.01')));
+    grid.appendChild(wrapField('Категории номеров (через запятую)',
+      createInput('text', 'roomCategories', (conditions.roomCategories || []).join(', '), 'Люкс, Коттедж')));
+    grid.appendChild(wrapField('Тарифы (через запятую)',
+      createInput('text', 'ratePlans', (conditions.ratePlans || []).join(', '), 'Невозвратный')));
+
+    var leadTime = document.createElement('div');
+    leadTime.className = 'options__range';
+    leadTime.appendChild(createInput('number', 'leadTimeMin', conditions.leadTimeMin, 'от'));
+    leadTime.appendChild(createInput('number', 'leadTimeMax', conditions.leadTimeMax, 'до'));
+    grid.appendChild(wrapField('Дней до заезда', leadTime));
+
+    card.appendChild(grid);
+    return card;
+  }
+
+  function moveRule(index, delta) {
+    var rules = collectRules();
+    var target = index + delta;
+    if (target < 0 || target >= rules.length) {
+      return;
+    }
+    var moved = rules.splice(index, 1)[0];
+    rules.splice(target, 0, moved);
+    renderRules(rules);
+  }
+
+  /** Читает правила из карточек формы. */
+  function collectRules() {
+    var cards = rulesListEl.querySelectorAll('.options__rule');
+    var rules = [];
+    for (var i = 0; i < cards.length; i++) {
+      var card = cards[i];
+      var field = function (name) {
+        return card.querySelector('[name="' + name + '"]');
+      };
+      var type = field('type').value;
+      rules.push({
+        id: card.getAttribute('data-rule-id'),
+        name: field('name').value.trim(),
+        enabled: field('enabled').checked,
+        type: type,
+        value: type === 'full' ? 0 : parseOptionalNumber(field('value').value),
+        conditions: {
+          seasons: parseSeasons(field('seasons').value),
+          roomCategories: parseList(field('roomCategories').value),
+          ratePlans: parseList(field('ratePlans').value),
+          leadTimeMin: parseOptionalNumber(field('leadTimeMin').value),
+          leadTimeMax: parseOptionalNumber(field('leadTimeMax').value)
+        }
+      });
+    }
+    return rules;
+  }
+
+  /** Считает предоплату для данных из блока «Проверка». */
+  function runPrepayTest() {
+    var rules = collectRules().filter(function (rule) {
+      return rule.enabled && !validatePrepayRule(rule);
+    });
+    var checkIn = testInputs.checkIn.value; // ГГГГ-ММ-ДД
+    var result = calculatePrepay({
+      totalPrice: parseFloat(testInputs.totalPrice.value) || 0,
+      nightsCount: parseInt(testInputs.nights.value, 10) || 0,
+      checkIn: checkIn ? checkIn.split('-').reverse().join('.') : '',
+      roomType: testInputs.roomType.value,
+      ratePlan: testInputs.ratePlan.value
+    }, rules);
+
+    testResultEl.textContent = 'Правило «' + result.rule.name + '»: предоплата ' +
+      formatMoney(result.amount) + ' руб. (' + result.description + ')';
+  }
+
+  // ─── Скидки за длительность ─────────────────────────────────
+
+  Object.keys(DISCOUNT_MODES).forEach(function (mode) {
+    var option = document.createElement('option');
+    option.value = mode;
+    option.textContent = DISCOUNT_MODES[mode];
+    discountModeSelect.appendChild(option);
+  });
+
+  function loadDiscountSettings() {
+    loadScoped(['discountSettings'], function (data) {
+      var settings = data.discountSettings || DEFAULT_DISCOUNT_SETTINGS;
+      discountModeSelect.value = settings.mode === 'max' ? 'max' : 'stack';
+      renderTiers(settings.tiers || []);
+    });
+  }
+
+  addTierBtn.addEventListener('click', function () {
+    var tiers = collectTiers();
+    tiers.push({
+      id: generateRuleId(),
+      name: 'Новая ступень',
+      enabled: true,
+      minNights: 7,
+      percent: 10,
+      seasons: [],
+      excludedRoomCategories: []
+    });
+    renderTiers(tiers);
+  });
+
+  saveTiersBtn.addEventListener('click', function () {
+    var tiers = collectTiers();
+
+    for (var i = 0; i < tiers.length; i++) {
+      var error = validateDiscountTier(tiers[i]);
+      if (error) {
+        showMessage('Ступень «' + (tiers[i].name || i + 1) + '»: ' + error, 'error');
+        return;
+      }
+    }
+
+    saveScoped({ discountSettings: { mode: discountModeSelect.value, tiers: tiers } }, 'Скидки сохранены');
+  });
+
+  tiersListEl.addEventListener('input', runDiscountTest);
+  tiersListEl.addEventListener('change', runDiscountTest);
+  discountModeSelect.addEventListener('change', runDiscountTest);
+
+  function renderTiers(tiers) {
+    tiersListEl.innerHTML = '';
+
+    if (tiers.length === 0) {
+      var empty = document.createElement('p');
+      empty.className = 'options__hint';
+      empty.textContent = 'Ступеней нет — скидка за длительность не применяется.';
+      tiersListEl.appendChild(empty);
+    }
+
+    tiers.forEach(function (tier, index) {
+      tiersListEl.appendChild(createTierCard(tier, index));
+    });
+
+    runDiscountTest();
+  }
+
+  /** Карточка ступени скидки. Значения читаются обратно в collectTiers(). */
+  function createTierCard(tier, index) {
+    var card = document.createElement('div');
+    card.className = 'options__card options__tier';
+    card.setAttribute('data-tier-id', tier.id || generateRuleId());
+
+    var head = document.createElement('div');
+    head.className = 'options__card-head';
+
+    var enabledLabel = document.createElement('label');
+    enabledLabel.className = 'options__checkbox';
+    var enabled = document.createElement('input');
+    enabled.type = 'checkbox';
+    enabled.name = 'enabled';
+    enabled.checked = tier.enabled !== false;
+    enabledLabel.appendChild(enabled);
+    head.appendChild(enabledLabel);
+
+    var name = createInput('text', 'name', tier.name);
+    name.classList.add('options__input--title');
+    head.appendChild(name);
+
+    head.appendChild(createIconButton('✕', 'Удалить', false, function () {
+      var tiers = collectTiers();
+      tiers.splice(index, 1);
+      renderTiers(tiers);
+    }));
+    card.appendChild(head);
+
+    var grid = document.createElement('div');
+    grid.className = 'options__grid';
+
+    var minNights = createInput('number', 'minNights', tier.minNights);
+    minNights.min = 1;
+    grid.appendChild(wrapField('От ночей', minNights));
+
+    var percent = createInput('number', 'percent', tier.percent);
+    percent.min = 0;
+    percent.max = 99;
+    grid.appendChild(wrapField('Скидка, %', percent));
+
+    grid.appendChild(wrapField('Сезоны (по дате заезда)',
+      createInput('text', 'seasons', formatSeasons(tier.seasons), 'Пусто — круглый год')));
+    grid.appendChild(wrapField('Кроме категорий (через запятую)',
+      createInput('text', 'excludedRoomCategories', (tier.excludedRoomCategories || []).join(', '), 'Коттедж')));
+
+    card.appendChild(grid);
+    return card;
+  }
+
+  /** Читает ступени скидок из карточек формы. */
+  function collectTiers() {
+    var cards = tiersListEl.querySelectorAll('.options__tier');
+    var tiers = [];
+    for (var i = 0; i < cards.length; i++) {
+      var card = cards[i];
+      var field = function (name) {
+        return card.querySelector('[name="' + name + '"]');
+      };
+      tiers.push({
+        id: card.getAttribute('data-tier-id'),
+        name: field('name').value.trim(),
+        enabled: field('enabled').checked,
+        minNights: parseOptionalNumber(field('minNights').value),
+        percent: parseOptionalNumber(field('percent').value),
+        seasons: parseSeasons(field('seasons').value),
+        excludedRoomCategories: parseList(field('excludedRoomCategories').value)
+      });
+    }
+    return tiers;
+  }
+
+  /** Считает скидку за длительность для данных из блока «Проверка». */
+  function runDiscountTest() {
+    var tiers = collectTiers().filter(function (tier) {
+      return !validateDiscountTier(tier);
+    });
+    var checkIn = testInputs.checkIn.value; // ГГГГ-ММ-ДД
+    var result = calculateStayDiscount({
+      nightsCount: parseInt(testInputs.nights.value, 10) || 0,
+      checkIn: checkIn ? checkIn.split('-').reverse().join('.') : '',
+      roomType: testInputs.roomType.value
+    }, { mode: discountModeSelect.value, tiers: tiers });
+
+    discountTestResultEl.textContent = result.percent > 0
+      ? 'Ступень «' + result.tierName + '»: скидка ' + result.percent + '% при полной оплате'
+      : 'Скидка за длительность не применяется';
+  }
+
+  // ─── Тексты писем и ваучера ────────────────────────────────
+
+  TEXT_FIELDS.forEach(function (field) {
+    var control = field[2] === 'line'
+      ? createInput('text', field[0], '')
+      : createTextarea(field[0], field[2] === 'list' ? 6 : 4);
+    var wrapped = wrapField(field[1], control);
+    if (field[2] !== 'line') {
+      wrapped.classList.add('options__field--wide');
+    }
+    textsFieldsEl.appendChild(wrapped);
+  });
+
+  function loadTexts() {
+    loadScoped(['hotelTexts', 'emailBcc'], function (data) {
+      emailBccInput.classList.remove('options__input--invalid');
+      emailBccInput.value = (data.emailBcc || []).join(', ');
+      var texts = Object.assign({}, HOTEL_TEXTS, data.hotelTexts || {});
+      TEXT_FIELDS.forEach(function (field) {
+        var value = texts[field[0]];
+        textsField(field[0]).value = field[2] === 'list' ? (value || []).join('\n') : value || '';
+      });
+    });
+  }
+
+  saveTextsBtn.addEventListener('click', function () {
+    var texts = {};
+    TEXT_FIELDS.forEach(function (field) {
+      var value = textsField(field[0]).value;
+      texts[field[0]] = field[2] === 'list' ? parseLines(value) : value.trim();
+    });
+
+    var bcc = parseEmailList(emailBccInput.value);
+    var invalidBcc = bcc.filter(function (email) {
+      return !isValidEmailAddress(email);
+    });
+    emailBccInput.classList.toggle('options__input--invalid', invalidBcc.length > 0);
+    if (invalidBcc.length > 0) {
+      emailBccInput.focus();
+      showMessage('Некорректный email скрытой копии: ' + invalidBcc.join(', '), 'error');
+      return;
+    }
+    saveScoped({ hotelTexts: texts, emailBcc: bcc }, 'Тексты сохранены');
+  });
+
+  function textsField(name) {
+    return textsFieldsEl.querySelector('[name="' + name + '"]');
+  }
+
+  // ─── Каталог номеров ────────────────────────────────────────
+
+  // Отчёт о ненайденных категориях из storage (фильтруется по каталогу в форме)
+  var unmatchedRooms = [];
+
+  function loadRoomCatalog() {
+    loadScoped(['roomCatalog', 'roomAreas'], function (data) {
+      renderCatalog(data.roomCatalog && data.roomCatalog.length > 0
+        ? data.roomCatalog
+        : roomCatalogFromAreas(data.roomAreas || ROOM_AREAS));
+    });
+  }
+
+  chrome.storage.local.get(['unmatchedRoomTypes'], function (data) {
+    unmatchedRooms = data.unmatchedRoomTypes || [];
+    renderUnmatchedRooms();
+  });
+
+  chrome.storage.onChanged.addListener(function (changes, areaName) {
+    if (areaName === 'local' && changes.unmatchedRoomTypes) {
+      unmatchedRooms = changes.unmatchedRoomTypes.newValue || [];
+      renderUnmatchedRooms();
+    }
+  });
+
+  addRoomCategoryBtn.addEventListener('click', function () {
+    addCatalogEntry('');
+  });
+
+  saveRoomCatalogBtn.addEventListener('click', function () {
+    var catalog = collectCatalog();
+    var names = {};
+
+    for (var i = 0; i < catalog.length; i++) {
+      var error = validateRoomCatalogEntry(catalog[i]);
+      if (!error && names[catalog[i].name]) {
+        error = 'категория уже есть в каталоге';
+      }
+      if (error) {
+        showMessage('Категория «' + (catalog[i].name || i + 1) + '»: ' + error, 'error');
+        return;
+      }
+      names[catalog[i].name] = true;
+    }
+
+    saveScoped({ roomCatalog: catalog }, 'Каталог номеров сохранён');
+  });
+
+  importRoomCatalogBtn.addEventListener('click', function () {
+    roomCatalogFileInput.click();
+  });
+
+  roomCatalogFileInput.addEventListener('change', function () {
+    var file = roomCatalogFileInput.files[0];
+    if (!file) {
+      return;
+    }
+    var reader = new FileReader();
+    reader.onload = function () {
+      roomCatalogFileInput.value = '';
+      var result = parseRoomCatalogFile(reader.result, file.name);
+      if (result.error) {
+        showMessage(result.error, 'error');
+        return;
+      }
+      renderCatalog(result.catalog);
+      showMessage('Загружено категорий: ' + result.catalog.length + '. Проверьте и сохраните каталог', 'success');
+    };
+    reader.onerror = function () {
+      roomCatalogFileInput.value = '';
+      showMessage('Не удалось прочитать файл', 'error');
+    };
+    reader.readAsText(file, 'utf-8');
+  });
+
+  exportRoomCatalogJsonBtn.addEventListener('click', function () {
+    downloadText('room-catalog.json', JSON.stringify(collectCatalog(), null, 2), 'application/json');
+  });
+
+  exportRoomCatalogCsvBtn.addEventListener('click', function () {
+    // BOM — чтобы Excel открыл кириллицу в UTF-8
+    downloadText('room-catalog.csv', '\uFEFF' + roomCatalogToCsv(collectCatalog()), 'text/csv;charset=utf-8');
+  });
+
+  clearUnmatchedRoomsBtn.addEventListener('click', function () {
+    chrome.storage.local.remove('unmatchedRoomTypes');
+  });
+
+  catalogListEl.addEventListener('input', onCatalogChanged);
+  roomMatchInput.addEventListener('input', runRoomMatchTest);
+
+  function onCatalogChanged() {
+    runRoomMatchTest();
+    renderUnmatchedRooms();
+  }
+
+  function renderCatalog(catalog) {
+    catalogListEl.innerHTML = '';
+
+    if (catalog.length === 0) {
+      var empty = document.createElement('p');
+      empty.className = 'options__hint';
+      empty.textContent = 'Каталог пуст — площадь номера в документах не указывается.';
+      catalogListEl.appendChild(empty);
+    }
+
+    catalog.forEach(function (entry, index) {
+      catalogListEl.appendChild(createCatalogCard(entry, index));
+    });
+
+    onCatalogChanged();
+  }
+
+  /** Карточка категории. Значения читаются обратно в collectCatalog(). */
+  function createCatalogCard(entry, index) {
+    var card = document.createElement('div');
+    card.className = 'options__card options__room';
+    card.setAttribute('data-room-id', entry.id || generateRuleId());
+
+    var head = document.createElement('div');
+    head.className = 'options__card-head';
+
+    var name = createInput('text', 'name', entry.name, 'Название категории как в Контуре');
+    name.classList.add('options__input--title');
+    head.appendChild(name);
+
+    head.appendChild(createIconButton('✕', 'Удалить', false, function () {
+      var catalog = collectCatalog();
+      catalog.splice(index, 1);
+      renderCatalog(catalog);
+    }));
+    card.appendChild(head);
+
+    var grid = document.createElement('div');
+    grid.className = 'options__grid';
+
+    var area = createInput('number', 'area', entry.area);
+    area.min = 0;
+    area.step = 'any';
+    grid.appendChild(wrapField('Площадь, м²', area));
+
+    var maxGuests = createInput('number', 'maxGuests', entry.maxGuests);
+    maxGuests.min = 0;
+    grid.appendChild(wrapField('Мест (основных)', maxGuests));
+
+    var extraBeds = createInput('number', 'extraBeds', entry.extraBeds);
+    extraBeds.min = 0;
+    grid.appendChild(wrapField('Доп. мест', extraBeds));
+
+    grid.appendChild(wrapField('Корпус', createInput('text', 'building', entry.building, 'Остров-1')));
+    grid.appendChild(wrapField('Фотографии (ссылка)',
+      createInput('text', 'photosUrl', entry.photosUrl, 'https://...')));
+
+    var description = createTextarea('description', 2);
+    description.value = entry.description || '';
+    var descriptionField = wrapField('Описание', description);
+    descriptionField.classList.add('options__field--wide');
+    grid.appendChild(descriptionField);
+
+    card.appendChild(grid);
+    return card;
+  }
+
+  /** Добавляет категорию в конец формы и ставит курсор в первое пустое поле. */
+  function addCatalogEntry(name) {
+    var catalog = collectCatalog();
+    var building = name.match(/\(([^)]+)\)\s*$/);
+    catalog.push({
+      id: generateRuleId(),
+      name: name,
+      area: null,
+      maxGuests: null,
+      extraBeds: null,
+      building: building ? building[1] : '',
+      description: '',
+      photosUrl: ''
+    });
+    renderCatalog(catalog);
+
+    var cards = catalogListEl.querySelectorAll('.options__room');
+    var last = cards[cards.length - 1];
+    last.scrollIntoView({ block: 'center' });
+    last.querySelector(name ? '[name="area"]' : '[name="name"]').focus();
+  }
+
+  /** Читает каталог из карточек формы. */
+  function collectCatalog() {
+    var cards = catalogListEl.querySelectorAll('.options__room');
+    var catalog = [];
+    for (var i = 0; i < cards.length; i++) {
+      var card = cards[i];
+      var field = function (name) {
+        return card.querySelector('[name="' + name + '"]');
+      };
+      catalog.push({
+        id: card.getAttribute('data-room-id'),
+        name: field('name').value.trim(),
+        area: parseOptionalNumber(field('area').value),
+        maxGuests: parseOptionalNumber(field('maxGuests').value),
+        extraBeds: parseOptionalNumber(field('extraBeds').value),
+        building: field('building').value.trim(),
+        description: field('description').value.trim(),
+        photosUrl: field('photosUrl').value.trim()
+      });
+    }
+    return catalog;
+  }
+
+  /** Показывает, с какой категорией каталога сопоставится название. */
+  function runRoomMatchTest() {
+    var roomType = roomMatchInput.value.trim();
+    if (!roomType) {
+      roomMatchResultEl.textContent = '';
+      return;
+    }
+    var closest = findClosestRoomCategory(roomType, namedCatalogEntries());
+    if (!closest) {
+      roomMatchResultEl.textContent = 'Каталог пуст';
+      return;
+    }
+    var percent = Math.round(closest.score * 100) + '%';
+    roomMatchResultEl.textContent = closest.score >= ROOM_MATCH_THRESHOLD
+      ? '«' + closest.entry.name + '» — сходство ' + percent + ', площадь ' +
+        (closest.entry.area === null ? 'не указана' : closest.entry.area + ' м²')
+      : 'Не найдено. Ближе всего «' + closest.entry.name + '» — ' + percent;
+  }
+
+  /** Отчёт: категории из бронирований, которые не сопоставляются с каталогом в форме. */
+  function renderUnmatchedRooms() {
+    var catalog = namedCatalogEntries();
+    var rows = unmatchedRooms.filter(function (item) {
+      return !matchRoomCategory(item.name, catalog);
+    });
+
+    unmatchedRoomsListEl.innerHTML = '';
+    clearUnmatchedRoomsBtn.disabled = unmatchedRooms.length === 0;
+
+    if (rows.length === 0) {
+      var empty = document.createElement('p');
+      empty.className = 'options__hint';
+      empty.textContent = 'Все категории из недавних бронирований есть в каталоге.';
+      unmatchedRoomsListEl.appendChild(empty);
+      return;
+    }
+
+    rows.forEach(function (item) {
+      var row = document.createElement('div');
+      row.className = 'options__report-row';
+
+      var name = document.createElement('span');
+      name.className = 'options__report-name';
+      name.textContent = item.name;
+      row.appendChild(name);
+
+      var meta = document.createElement('span');
+      meta.className = 'options__report-meta';
+      meta.textContent = 'встречалась ' + item.count + ' р., последний раз ' +
+        new Date(item.lastSeen).toLocaleDateString('ru-RU');
+      row.appendChild(meta);
+
+      var addBtn = document.createElement('button');
+      addBtn.type = 'button';
+      addBtn.className = 'options__btn options__btn--secondary';
+      addBtn.textContent = 'В каталог';
+      addBtn.addEventListener('click', function () {
+        addCatalogEntry(item.name);
+      });
+      row.appendChild(addBtn);
+
+      unmatchedRoomsListEl.appendChild(row);
+    });
+  }
+
+  function namedCatalogEntries() {
+    return collectCatalog().filter(function (entry) {
+      return entry.name;
+    });
+  }
+
+  // ─── Вспомогательные функции ────────────────────────────────
+
+  function createInput(type, name, value, placeholder) {
+    var input = document.createElement('input');
+    input.type = type;
+    input.name = name;
+    input.className = 'options__input';
+    input.value = value === undefined || value === null ? '' : value;
+    if (placeholder) {
+      input.placeholder = placeholder;
+    }
+    return input;
+  }
+
+  function downloadText(fileName, text, type) {
+    var url = URL.createObjectURL(new Blob([text], { type: type }));
+    var link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    setTimeout(function () {
+      URL.revokeObjectURL(url);
+    }, 1000);
+  }
+
+  function createTextarea(name, rows) {
+    var textarea = document.createElement('textarea');
+    textarea.name = name;
+    textarea.rows = rows;
+    textarea.className = 'options__input options__input--textarea';
+    return textarea;
+  }
+
+  function wrapField(labelText, control) {
+    var field = document.createElement('label');
+    field.className = 'options__field';
+    var label = document.createElement('span');
+    label.className = 'options__label';
+    label.textContent = labelText;
+    field.appendChild(label);
+    field.appendChild(control);
+    return field;
+  }
+
+  function createIconButton(text, title, disabled, onClick) {
+    var btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'options__icon-btn';
+    btn.textContent = text;
+    btn.title = title;
+    btn.disabled = disabled;
+    btn.addEventListener('click', onClick);
+    return btn;
+  }
+
+  /** «Люкс, Коттедж» → ['Люкс', 'Коттедж'] */
+  function parseList(text) {
+    return text.split(',').map(function (item) {
+      return item.trim();
+    }).filter(Boolean);
+  }
+
+  /** Непустые строки текста. */
+  function parseLines(text) {
+    return text.split('\n').map(function (line) {
+      return line.trim();
+    }).filter(Boolean);
+  }
+
+  /**
+   * «01.06–31.08, 15.12-15.01» → [{ from: '01.06', to: '31.08' }, …].
+   * Нераспознанный сезон сохраняется как есть — validatePrepayRule / validateDiscountTier покажет ошибку.
+   */
+  function parseSeasons(text) {
+    return parseList(text).map(function (item) {
+      var m = item.match(/^(\d{1,2}\.\d{1,2})\s*[-–—]\s*(\d{1,2}\.\d{1,2})$/);
+      return m ? { from: m[1], to: m[2] } : { from: item, to: '' };
+    });
+  }
+
+  function formatSeasons(seasons) {
+    return (seasons || []).map(function (season) {
+      return season.from + '–' + season.to;
+    }).join(', ');
+  }
+
+  /** '' → null, иначе число (NaN для мусора — его отловит валидация). */
+  function parseOptionalNumber(value) {
+    return String(value).trim() === '' ? null : Number(value);
+  }
+
+  function generateRuleId() {
+    return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 6);
+  }
+
+  function formatMoney(amount) {
+    return String(Math.round(amount || 0)).replace(/\B(?=(\d{3})+(?!\d))/g, ' ');
+  }
+
+  function showMessage(text, type) {
+    messageEl.style.display = 'block';
+    messageEl.className = 'options__message options__message--' + type;
+    messageEl.textContent = text;
+
+    // Скрываем через 4 секунды
+    setTimeout(function () {
+      messageEl.style.display = 'none';
+    }, 4000);
+  }
+})();
@@ -4,6 +4,31 @@
  * Сохраняет и загружает URL backend-сервера и API-ключ
  * из chrome.storage.local.
  *
+ * Вкладка «Реестр счетов» показывает выданные номера счетов за год
+ * и позволяет аннулировать или перевыпустить номер (через service worker).
+ *
+ * Вкладка «Сверка» — загрузка банковской выписки (bank-statement.js) и сверка
+ * поступлений с выданными счетами из реестра (payment-reconciliation.js).
+ *
+ * Вкладка «Оплата» — бронирования, по которым отправлен счёт и ждём предоплату
+ * (service worker, payment-deadlines.js): срок, внесённая сумма, напоминание гостю
+ * и снятие с контроля. Число просроченных и истекающих за сутки — на вкладке.
+ *
+ * Вкладка «История» показывает все выданные счета и ваучеры с повторным
+ * скачиванием и отправкой (PDF формируется заново по сохранённому снимку,
+ * генераторы подключены в popup.html).
+ *
+ * Вкладка «Очередь» — письма, не отправленные из-за недоступности сервера
+ * (service worker, outbox.js): статус, повторная отправка сейчас и удаление.
+ *
+ * Вкладка «Шаблоны» — редактор шаблонов писем (email-templates.js, «emailTemplates»)
+ * с вставкой переменных и предпросмотром на примере бронирования.
+ *
+ * Выбор профиля отеля (settings-store.js) сохраняется сразу в «hotelProfileOverride»
+ * и действует во всех открытых вкладках Контура. Так же сразу сохраняются режим
+ * отправки ваучера после предоплаты («autoVoucherMode», content.js) и напоминаний
+ * об оплате («paymentReminderMode», payment-deadlines.js).
+ *
  * SMTP-данные (email, пароль Яндекс) хранятся только на сервере Vercel
  * в переменных окружения — сотрудники их не видят.
  */
@@ -16,16 +41,85 @@
   var form = document.getElementById('settingsForm');
   var backendUrlInput = document.getElementById('backendUrl');
   var apiKeyInput = document.getElementById('apiKey');
+  var signingSecretInput = document.getElementById('signingSecret');
   var saveBtn = document.getElementById('saveBtn');
   var testBtn = document.getElementById('testBtn');
   var statusEl = document.getElementById('status');
   var statusTextEl = document.getElementById('statusText');
   var messageEl = document.getElementById('message');
+  var registryYearSelect = document.getElementById('registryYear');
+  var registrySyncBtn = document.getElementById('registrySyncBtn');
+  var registryListEl = document.getElementById('registryList');
+  var statementFileInput = document.getElementById('statementFile');
+  var reconciliationSummaryEl = document.getElementById('reconciliationSummary');
+  var reconciliationListEl = document.getElementById('reconciliationList');
+  var deadlineListEl = document.getElementById('deadlineList');
+  var deadlineCountEl = document.getElementById('deadlineCount');
+  var historySearchInput = document.getElementById('historySearch');
+  var historyTypeSelect = document.getElementById('historyType');
+  var historyListEl = document.getElementById('historyList');
+  var outboxListEl = document.getElementById('outboxList');
+  var outboxCountEl = document.getElementById('outboxCount');
+  var hotelProfileSelect = document.getElementById('hotelProfile');
+  var autoVoucherModeSelect = document.getElementById('autoVoucherMode');
+  var paymentReminderModeSelect = document.getElementById('paymentReminderMode');
+  var templateSelect = document.getElementById('templateSelect');
+  var templateAddBtn = document.getElementById('templateAddBtn');
+  var templateForm = document.getElementById('templateForm');
+  var templateNameInput = document.getElementById('templateName');
+  var templateTypeSelect = document.getElementById('templateType');
+  var templateDefaultInput = document.getElementById('templateDefault');
+  var templateSubjectInput = document.getElementById('templateSubject');
+  var templateBodyInput = document.getElementById('templateBody');
+  var templateVariablesEl = document.getElementById('templateVariables');
+  var templatePreviewSubjectEl = document.getElementById('templatePreviewSubject');
+  var templatePreviewBodyEl = document.getElementById('templatePreviewBody');
+  var templateDeleteBtn = document.getElementById('templateDeleteBtn');
+
+  // Реквизиты отеля из настроек — для повторного формирования PDF из истории
+  initSettingsStore();
+
+  // ─── Вкладки ────────────────────────────────────────────────
+
+  var tabButtons = document.querySelectorAll('.popup__tab');
+  var tabLoaders = {
+    registry: loadRegistry,
+    deadlines: loadDeadlinesTab,
+    history: loadHistoryTab,
+    outbox: loadOutboxTab,
+    templates: loadTemplatesTab
+  };
+
+  for (var t = 0; t < tabButtons.length; t++) {
+    tabButtons[t].addEventListener('click', function (event) {
+      openTab(event.currentTarget.getAttribute('data-tab'));
+    });
+  }
+
+  /** Переключает видимую вкладку и подгружает её данные. */
+  function openTab(name) {
+    for (var i = 0; i < tabButtons.length; i++) {
+      var isActive = tabButtons[i].getAttribute('data-tab') === name;
+      tabButtons[i].classList.toggle('popup__tab--active', isActive);
+    }
+    var panels = document.querySelectorAll('.popup__panel');
+    for (var j = 0; j < panels.length; j++) {
+      panels[j].hidden = panels[j].getAttribute('data-panel') !== name;
+    }
+    if (tabLoaders[name]) {
+      tabLoaders[name]();
+    }
+  }
+
+  document.getElementById('openOptionsLink').addEventListener('click', function (event) {
+    event.preventDefault();
+    chrome.runtime.openOptionsPage();
+  });
 
   // ─── Загрузка сохранённых настроек ──────────────────────────
 
   chrome.storage.local.get(
-    ['backendUrl', 'apiKey'],
+    ['backendUrl', 'apiKey', 'signingSecret'],
     function (data) {
       if (data.backendUrl) {
         backendUrlInput.value = data.backendUrl;
@@ -33,11 +127,71 @@
       if (data.apiKey) {
         apiKeyInput.value = data.apiKey;
       }
+      if (data.signingSecret) {
+        signingSecretInput.value = data.signingSecret;
+      }
 
       updateStatus(data);
     }
   );
 
+  // ─── Профиль отеля ──────────────────────────────────────────
+
+  chrome.storage.local.get(['hotelProfiles', 'hotelProfileOverride'], function (data) {
+    var profiles = data.hotelProfiles || [];
+    profiles.forEach(function (profile) {
+      var option = document.createElement('option');
+      option.value = profile.id;
+      option.textContent = profile.name || profile.id;
+      hotelProfileSelect.appendChild(option);
+    });
+    // Выбранный профиль могли удалить на странице настроек
+    hotelProfileSelect.value = findHotelProfile(profiles, data.hotelProfileOverride) ? data.hotelProfileOverride : '';
+    hotelProfileSelect.disabled = profiles.length === 0;
+  });
+
+  hotelProfileSelect.addEventListener('change', function () {
+    chrome.storage.local.set({ hotelProfileOverride: hotelProfileSelect.value }, function () {
+      if (chrome.runtime.lastError) {
+        showMessage('Ошибка сохранения: ' + chrome.runtime.lastError.message, 'error');
+      } else {
+        showMessage('Профиль отеля сохранён', 'success');
+      }
+    });
+  });
+
+  // ─── Ваучер после предоплаты ────────────────────────────────
+
+  chrome.storage.local.get(['autoVoucherMode'], function (data) {
+    autoVoucherModeSelect.value = data.autoVoucherMode || 'off';
+  });
+
+  autoVoucherModeSelect.addEventListener('change', function () {
+    chrome.storage.local.set({ autoVoucherMode: autoVoucherModeSelect.value }, function () {
+      if (chrome.runtime.lastError) {
+        showMessage('Ошибка сохранения: ' + chrome.runtime.lastError.message, 'error');
+      } else {
+        showMessage('Режим отправки ваучера сохранён', 'success');
+      }
+    });
+  });
+
+  // ─── Напоминание об оплате ──────────────────────────────────
+
+  chrome.storage.local.get(['paymentReminderMode'], function (data) {
+    paymentReminderModeSelect.value = data.paymentReminderMode || 'manual';
+  });
+
+  paymentReminderModeSelect.addEventListener('change', function () {
+    chrome.storage.local.set({ paymentReminderMode: paymentReminderModeSelect.value }, function () {
+      if (chrome.runtime.lastError) {
+        showMessage('Ошибка сохранения: ' + chrome.runtime.lastError.message, 'error');
+      } else {
+        showMessage('Режим напоминаний об оплате сохранён', 'success');
+      }
+    });
+  });
+
   // ─── Сохранение настроек ────────────────────────────────────
 
   form.addEventListener('submit', function (event) {
@@ -45,7 +199,8 @@
 
     var settings = {
       backendUrl: backendUrlInput.value.trim().replace(/\/+$/, ''),
-      apiKey: apiKeyInput.value.trim()
+      apiKey: apiKeyInput.value.trim(),
+      signingSecret: signingSecretInput.value.trim()
     };
 
     // Валидация
@@ -117,8 +272,843 @@
       });
   });
 
+  // ─── Реестр счетов ──────────────────────────────────────────
+
+  var STATUS_LABELS = {
+    issued: 'выдан',
+    voided: 'аннулирован'
+  };
+
+  (function fillRegistryYears() {
+    var currentYear = new Date().getFullYear();
+    for (var year = currentYear; year >= currentYear - 4; year--) {
+      var option = document.createElement('option');
+      option.value = String(year);
+      option.textContent = year + ' г.';
+      registryYearSelect.appendChild(option);
+    }
+  })();
+
+  registryYearSelect.addEventListener('change', loadRegistry);
+
+  registrySyncBtn.addEventListener('click', function () {
+    registrySyncBtn.disabled = true;
+    sendToWorker('SYNC_INVOICE_REGISTRY', null, function (error, unsyncedCount) {
+      registrySyncBtn.disabled = false;
+      if (error) {
+        showMessage('Ошибка синхронизации: ' + error, 'error');
+      } else if (unsyncedCount > 0) {
+        showMessage('Сервер недоступен, не отправлено записей: ' + unsyncedCount, 'error');
+      } else {
+        showMessage('Реестр синхронизирован с сервером', 'success');
+      }
+      loadRegistry();
+    });
+  });
+
+  /** Загружает и отрисовывает реестр за выбранный год. */
+  function loadRegistry() {
+    var year = parseInt(registryYearSelect.value, 10);
+    sendToWorker('GET_INVOICE_REGISTRY', { year: year }, function (error, entries) {
+      if (error) {
+        renderListMessage(registryListEl, 'Ошибка загрузки реестра: ' + error);
+        return;
+      }
+      renderRegistry(entries || []);
+    });
+  }
+
+  function renderRegistry(entries) {
+    registryListEl.innerHTML = '';
+
+    if (entries.length === 0) {
+      renderListMessage(registryListEl, 'За выбранный год счета не выдавались');
+      return;
+    }
+
+    // Новые номера сверху
+    entries.slice().reverse().forEach(function (entry) {
+      var item = document.createElement('div');
+      item.className = 'popup__item' + (entry.status === 'voided' ? ' popup__item--muted' : '');
+
+      var head = document.createElement('div');
+      head.className = 'popup__item-head';
+      var numberEl = document.createElement('span');
+      if (entry.conflict) {
+        numberEl.textContent = '№ ' + entry.number + ' ⚠';
+        numberEl.title = 'Номер на сервере уже выдан другому счёту — перевыпустите счёт';
+      } else {
+        numberEl.textContent = '№ ' + entry.number + (entry.synced ? '' : ' ⟳');
+        numberEl.title = entry.synced ? '' : 'Не отправлено на сервер';
+      }
+      var amountEl = document.createElement('span');
+      amountEl.textContent = formatMoney(entry.amount) + ' ₽';
+      head.appendChild(numberEl);
+      head.appendChild(amountEl);
+      item.appendChild(head);
+
+      var meta = document.createElement('div');
+      meta.className = 'popup__item-meta';
+      var metaText = (entry.bookingNumber || '—') + ' · ' + (entry.guestName || '—') +
+        ' · ' + formatDateTime(entry.issuedAt) + ' · ' + (STATUS_LABELS[entry.status] || entry.status);
+      if (entry.replaces) {
+        metaText += ' · взамен № ' + entry.replaces;
+      }
+      if (entry.replacedBy) {
+        metaText += ' · заменён № ' + entry.replacedBy;
+      }
+      if (entry.voidReason) {
+        metaText += ' · причина: ' + entry.voidReason;
+      }
+      meta.textContent = metaText;
+      item.appendChild(meta);
+
+      if (entry.status === 'issued') {
+        var actions = document.createElement('div');
+        actions.className = 'popup__item-actions';
+        actions.appendChild(createLinkButton('Перевыпустить', false, function () {
+          changeRegistryEntry('REISSUE_INVOICE_NUMBER', entry.number, 'Причина перевыпуска счёта № ' + entry.number + ':');
+        }));
+        actions.appendChild(createLinkButton('Аннулировать', true, function () {
+          changeRegistryEntry('VOID_INVOICE_NUMBER', entry.number, 'Причина аннулирования счёта № ' + entry.number + ':');
+        }));
+        item.appendChild(actions);
+      }
+
+      registryListEl.appendChild(item);
+    });
+  }
+
+  /** Аннулирует / перевыпускает номер после запроса причины. */
+  function changeRegistryEntry(action, number, promptText) {
+    var reason = window.prompt(promptText, '');
+    if (reason === null) {
+      return;
+    }
+    sendToWorker(action, { number: number, reason: reason.trim() }, function (error, entry) {
+      if (error) {
+        showMessage(error, 'error');
+      } else if (action === 'REISSUE_INVOICE_NUMBER') {
+        showMessage('Выдан новый номер: ' + entry.number, 'success');
+      } else {
+        showMessage('Счёт № ' + number + ' аннулирован', 'success');
+      }
+      loadRegistry();
+    });
+  }
+
+  // ─── Сверка оплат ───────────────────────────────────────────
+
+  statementFileInput.addEventListener('change', function () {
+    var file = statementFileInput.files[0];
+    if (!file) {
+      return;
+    }
+    reconciliationSummaryEl.textContent = '';
+    renderListMessage(reconciliationListEl, 'Сверка...');
+
+    file.arrayBuffer().then(function (buffer) {
+      var statement = parseBankStatement(decodeBankStatement(buffer), {
+        account: getHotelDetails().bankAccount
+      });
+      // Все годы: оплата в январе может прийти по декабрьскому счёту
+      sendToWorker('GET_INVOICE_REGISTRY', {}, function (error, entries) {
+        if (error) {
+          renderListMessage(reconciliationListEl, 'Ошибка загрузки реестра: ' + error);
+          return;
+        }
+        renderReconciliation(statement, reconcilePayments(statement.payments, entries || []));
+      });
+    }).catch(function (error) {
+      renderListMessage(reconciliationListEl, 'Не удалось прочитать выписку: ' + error.message);
+    });
+  });
+
+  function renderReconciliation(statement, report) {
+    var summary = report.summary;
+    reconciliationSummaryEl.textContent = 'Поступлений: ' + statement.payments.length +
+      ' на ' + formatMoney(summary.totalIncoming) + ' ₽, из них по счетам ' +
+      formatMoney(summary.totalMatched) + ' ₽ · ' +
+      ['matched', 'partial', 'overpaid', 'unmatched'].map(function (status) {
+        return RECONCILIATION_STATUS_LABELS[status].toLowerCase() + ': ' + summary[status];
+      }).join(', ') +
+      (statement.skipped ? ' · пропущено списаний и пустых строк: ' + statement.skipped : '');
+
+    reconciliationListEl.innerHTML = '';
+    if (report.rows.length === 0) {
+      renderListMessage(reconciliationListEl, 'В выписке нет поступлений');
+      return;
+    }
+
+    report.rows.forEach(function (row) {
+      var item = document.createElement('div');
+      item.className = 'popup__item' + (row.status === 'matched' ? '' : ' popup__item--error');
+
+      var head = document.createElement('div');
+      head.className = 'popup__item-head';
+      var titleEl = document.createElement('span');
+      titleEl.textContent = RECONCILIATION_STATUS_LABELS[row.status] +
+        (row.bookingNumber ? ' · ' + row.bookingNumber : '');
+      var amountEl = document.createElement('span');
+      amountEl.textContent = formatMoney(row.paid) + ' ₽';
+      head.appendChild(titleEl);
+      head.appendChild(amountEl);
+      item.appendChild(head);
+
+      if (row.status !== 'unmatched') {
+        var invoiceMeta = document.createElement('div');
+        invoiceMeta.className = 'popup__item-meta';
+        invoiceMeta.textContent = (row.guestName || '—') + ' · ' +
+          (row.invoiceNumbers.length > 0 ? 'счёт № ' + row.invoiceNumbers.join(', ') : 'действующих счетов нет') +
+          ' · выставлено ' + formatMoney(row.invoiced) + ' ₽' +
+          (row.difference ? ' · ' + (row.difference > 0 ? 'переплата ' : 'недоплата ') +
+            formatMoney(Math.abs(row.difference)) + ' ₽' : '');
+        item.appendChild(invoiceMeta);
+      }
+
+      row.payments.forEach(function (payment) {
+        var paymentMeta = document.createElement('div');
+        paymentMeta.className = 'popup__item-meta';
+        paymentMeta.textContent = 'П/п' + (payment.number ? ' № ' + payment.number : '') +
+          ' от ' + (payment.date || '—') + ' · ' + formatMoney(payment.amount) + ' ₽ · ' +
+          (payment.payer || 'плательщик не указан') +
+          (payment.matchedBy ? ' · ' + RECONCILIATION_MATCH_LABELS[payment.matchedBy] : '') +
+          (payment.matchedBy && !payment.payerIsGuest ? ' · плательщик не гость' : '');
+        paymentMeta.title = payment.purpose || '';
+        item.appendChild(paymentMeta);
+
+        if (!payment.matchedBy && payment.purpose) {
+          var purposeMeta = document.createElement('div');
+          purposeMeta.className = 'popup__item-meta';
+          purposeMeta.textContent = payment.purpose;
+          item.appendChild(purposeMeta);
+        }
+      });
+
+      reconciliationListEl.appendChild(item);
+    });
+  }
+
+  // ─── Сроки оплаты ───────────────────────────────────────────
+
+  // Истекает в течение суток — подсвечиваем и считаем на вкладке
+  var DEADLINE_SOON_MS = 24 * 60 * 60 * 1000;
+
+  // Сроки меняет service worker (оплата из Контура, автонапоминания) — вкладка обновляется сама
+  chrome.storage.onChanged.addListener(function (changes, areaName) {
+    if (areaName !== 'local' || !changes.paymentDeadlines) {
+      return;
+    }
+    renderDeadlineCount(changes.paymentDeadlines.newValue || {});
+    if (!deadlineListEl.closest('.popup__panel').hidden) {
+      loadDeadlinesTab();
+    }
+  });
+
+  chrome.storage.local.get(['paymentDeadlines'], function (data) {
+    renderDeadlineCount(data.paymentDeadlines || {});
+  });
+
+  function loadDeadlinesTab() {
+    sendToWorker('GET_PAYMENT_DEADLINES', null, function (error, entries) {
+      if (error) {
+        renderListMessage(deadlineListEl, 'Ошибка загрузки сроков оплаты: ' + error);
+        return;
+      }
+      renderDeadlines(entries || []);
+    });
+  }
+
+  /** Число просроченных и истекающих за сутки сроков на вкладке. */
+  function renderDeadlineCount(deadlines) {
+    var now = Date.now();
+    var count = Object.keys(deadlines).filter(function (bookingNumber) {
+      var entry = deadlines[bookingNumber];
+      return entry.status === 'open' && entry.deadlineAt - now < DEADLINE_SOON_MS;
+    }).length;
+    deadlineCountEl.hidden = count === 0;
+    deadlineCountEl.textContent = String(count);
+  }
+
+  function renderDeadlines(entries) {
+    deadlineListEl.innerHTML = '';
+
+    if (entries.length === 0) {
+      renderListMessage(deadlineListEl, 'Нет счетов, ожидающих оплаты');
+      return;
+    }
+
+    var now = Date.now();
+    entries.forEach(function (entry) {
+      var left = entry.deadlineAt - now;
+      var overdue = left <= 0;
+
+      var item = document.createElement('div');
+      item.className = 'popup__item' +
+        (overdue ? ' popup__item--error' : (left < DEADLINE_SOON_MS ? ' popup__item--warning' : ''));
+
+      var head = document.createElement('div');
+      head.className = 'popup__item-head';
+      var titleEl = document.createElement('span');
+      titleEl.textContent = entry.bookingNumber +
+        (entry.invoiceNumber ? ' · счёт № ' + entry.invoiceNumber : '');
+      var statusEl = document.createElement('span');
+      statusEl.textContent = overdue ? 'срок истёк' : 'осталось ' + formatDuration(left);
+      head.appendChild(titleEl);
+      head.appendChild(statusEl);
+      item.appendChild(head);
+
+      var meta = document.createElement('div');
+      meta.className = 'popup__item-meta';
+      meta.textContent = (entry.guestName || '—') + ' · внесено ' + formatMoney(entry.paidAmount) +
+        ' из ' + formatMoney(entry.prepayAmount) + ' руб. (по Контуру на ' + formatDateTime(entry.paidCheckedAt) + ')';
+      item.appendChild(meta);
+
+      var dates = document.createElement('div');
+      dates.className = 'popup__item-meta';
+      dates.textContent = 'Счёт отправлен ' + formatDateTime(entry.sentAt) +
+        ' · оплатить до ' + formatDateTime(new Date(entry.deadlineAt).toISOString()) +
+        describeReminders(entry);
+      item.appendChild(dates);
+
+      var actions = document.createElement('div');
+      actions.className = 'popup__item-actions';
+      actions.appendChild(createLinkButton('Напомнить', false, function (event) {
+        if (!confirm('Отправить напоминание об оплате на ' + entry.to + '?')) {
+          return;
+        }
+        event.currentTarget.disabled = true;
+        sendToWorker('SEND_PAYMENT_REMINDER', { bookingNumber: entry.bookingNumber }, function (error, result) {
+          if (error) {
+            showMessage('Напоминание не отправлено: ' + error, 'error');
+          } else {
+            showMessage('Напоминание отправлено на ' + result.to, 'success');
+          }
+          loadDeadlinesTab();
+        });
+      }));
+      actions.appendChild(createLinkButton('Снять с контроля', true, function () {
+        if (!confirm('Снять бронирование ' + entry.bookingNumber + ' с контроля оплаты? ' +
+            'Напоминаний по нему больше не будет.')) {
+          return;
+        }
+        sendToWorker('DISMISS_PAYMENT_DEADLINE', { bookingNumber: entry.bookingNumber }, function (error) {
+          if (error) {
+            showMessage(error, 'error');
+          }
+          loadDeadlinesTab();
+        });
+      }));
+      item.appendChild(actions);
+
+      deadlineListEl.appendChild(item);
+    });
+  }
+
+  /** « · напоминание 17.06.2026 14:30 (авто)» — последнее напоминание или запланированное. */
+  function describeReminders(entry) {
+    var last = entry.reminders.length > 0 ? entry.reminders[entry.reminders.length - 1] : null;
+    if (last) {
+      return ' · напоминание ' + formatDateTime(last.at) + (last.auto ? ' (авто)' : '') +
+        (last.status === 'failed' ? ' — не отправлено: ' + (last.error || 'ошибка') : '');
+    }
+    if (entry.autoReminderAt && paymentReminderModeSelect.value === 'auto') {
+      return ' · напоминание ' + formatDateTime(new Date(entry.autoReminderAt).toISOString());
+    }
+    return '';
+  }
+
+  /** «2 д 5 ч», «3 ч», «40 мин». */
+  function formatDuration(ms) {
+    var minutes = Math.floor(ms / 60000);
+    var days = Math.floor(minutes / (24 * 60));
+    var hours = Math.floor(minutes / 60) % 24;
+    if (days > 0) {
+      return days + ' д' + (hours > 0 ? ' ' + hours + ' ч' : '');
+    }
+    return hours > 0 ? hours + ' ч' : Math.max(minutes, 1) + ' мин';
+  }
+
+  // ─── История документов ─────────────────────────────────────
+
+  var historySearchTimer = null;
+
+  historySearchInput.addEventListener('input', function () {
+    clearTimeout(historySearchTimer);
+    historySearchTimer = setTimeout(loadHistoryTab, 300);
+  });
+  historyTypeSelect.addEventListener('change', loadHistoryTab);
+
+  /** Загружает историю с учётом фильтров. */
+  function loadHistoryTab() {
+    var filter = {
+      bookingNumber: historySearchInput.value.trim(),
+      type: historyTypeSelect.value
+    };
+    loadDocumentHistory(filter, function (records) {
+      renderHistory(records);
+      refreshHistoryDelivery(filter);
+    }, function (error) {
+      renderListMessage(historyListEl, 'Ошибка загрузки истории: ' + error);
+    });
+  }
+
+  /** Статусы доставки спрашиваем у сервера после показа списка — он не ждёт ответа. */
+  function refreshHistoryDelivery(filter) {
+    refreshDeliveryStatus(function (updated) {
+      if (updated > 0) {
+        loadDocumentHistory(filter, renderHistory, function () {});
+      }
+    });
+  }
+
+  function renderHistory(records) {
+    historyListEl.innerHTML = '';
+
+    if (records.length === 0) {
+      renderListMessage(historyListEl, 'Документов не найдено');
+      return;
+    }
+
+    records.forEach(function (record) {
+      var info = describeHistoryRecord(record);
+
+      var item = document.createElement('div');
+      item.className = 'popup__item' + (info.bounced ? ' popup__item--error' : '');
+
+      var head = document.createElement('div');
+      head.className = 'popup__item-head';
+      head.textContent = info.title;
+      item.appendChild(head);
+
+      var meta = document.createElement('div');
+      meta.className = 'popup__item-meta';
+      meta.textContent = info.meta;
+      item.appendChild(meta);
+
+      var status = document.createElement('div');
+      status.className = 'popup__item-meta';
+      status.textContent = info.sendStatus;
+      item.appendChild(status);
+
+      var actions = document.createElement('div');
+      actions.className = 'popup__item-actions';
+      actions.appendChild(createLinkButton('Скачать', false, function () {
+        downloadHistoryDocument(record);
+      }));
+      actions.appendChild(createLinkButton('Отправить повторно', false, function (event) {
+        event.currentTarget.disabled = true;
+        resendHistoryDocument(
+          record,
+          function (to, queued) {
+            showMessage(queued ? 'Сервер недоступен — документ в очереди' : 'Документ отправлен на ' + to,
+              queued ? 'error' : 'success');
+            loadHistoryTab();
+          },
+          function (error) {
+            showMessage('Ошибка отправки: ' + error, 'error');
+            loadHistoryTab();
+          }
+        );
+      }));
+      item.appendChild(actions);
+
+      historyListEl.appendChild(item);
+    });
+  }
+
+  function downloadHistoryDocument(record) {
+    try {
+      var pdfResult = regenerateDocument(record);
+      var url = URL.createObjectURL(pdfResult.blob);
+      var link = document.createElement('a');
+      link.href = url;
+      link.download = pdfResult.filename;
+      link.click();
+      setTimeout(function () {
+        URL.revokeObjectURL(url);
+      }, 1000);
+    } catch (error) {
+      showMessage('Ошибка: ' + error.message, 'error');
+    }
+  }
+
+  // ─── Очередь отправки ───────────────────────────────────────
+
+  // Очередь меняет service worker — список и счётчик на вкладке обновляются сами
+  chrome.storage.onChanged.addListener(function (changes, areaName) {
+    if (areaName !== 'local' || !changes.outbox) {
+      return;
+    }
+    renderOutboxCount((changes.outbox.newValue || []).length);
+    if (!outboxListEl.closest('.popup__panel').hidden) {
+      loadOutboxTab();
+    }
+  });
+
+  chrome.storage.local.get(['outbox'], function (data) {
+    renderOutboxCount((data.outbox || []).length);
+  });
+
+  function loadOutboxTab() {
+    sendToWorker('GET_OUTBOX', null, function (error, items) {
+      if (error) {
+        renderListMessage(outboxListEl, 'Ошибка загрузки очереди: ' + error);
+        return;
+      }
+      renderOutbox(items || []);
+    });
+  }
+
+  function renderOutboxCount(count) {
+    outboxCountEl.hidden = count === 0;
+    outboxCountEl.textContent = String(count);
+  }
+
+  function renderOutbox(items) {
+    outboxListEl.innerHTML = '';
+    renderOutboxCount(items.length);
+
+    if (items.length === 0) {
+      renderListMessage(outboxListEl, 'Все письма отправлены');
+      return;
+    }
+
+    items.forEach(function (entry) {
+      var failed = entry.status === 'failed';
+
+      var item = document.createElement('div');
+      item.className = 'popup__item' + (failed ? ' popup__item--error' : '');
+
+      var head = document.createElement('div');
+      head.className = 'popup__item-head';
+      var titleEl = document.createElement('span');
+      titleEl.textContent = entry.pdfFilename || entry.bookingNumber || '—';
+      var statusEl = document.createElement('span');
+      statusEl.textContent = failed ? 'не отправлено' : 'ожидает';
+      head.appendChild(titleEl);
+      head.appendChild(statusEl);
+      item.appendChild(head);
+
+      var meta = document.createElement('div');
+      meta.className = 'popup__item-meta';
+      meta.textContent = (entry.guestName || '—') + ' → ' + (entry.to || '—') +
+        ' · в очереди с ' + formatDateTime(entry.createdAt);
+      item.appendChild(meta);
+
+      var attempts = document.createElement('div');
+      attempts.className = 'popup__item-meta';
+      attempts.textContent = 'Попыток: ' + entry.attempts +
+        (failed ? '' : ' · следующая ' + formatDateTime(new Date(entry.nextAttemptAt).toISOString())) +
+        (entry.lastError ? ' · ' + entry.lastError : '');
+      item.appendChild(attempts);
+
+      var actions = document.createElement('div');
+      actions.className = 'popup__item-actions';
+      actions.appendChild(createLinkButton('Отправить сейчас', false, function (event) {
+        event.currentTarget.disabled = true;
+        sendToWorker('RETRY_OUTBOX_ITEM', { id: entry.id }, function (error, result) {
+          if (error) {
+            showMessage(error, 'error');
+          } else if (result.sent) {
+            showMessage('Письмо отправлено на ' + entry.to, 'success');
+          } else {
+            showMessage('Не отправлено: ' + result.error, 'error');
+          }
+          loadOutboxTab();
+        });
+      }));
+      actions.appendChild(createLinkButton('Удалить', true, function () {
+        if (!confirm('Удалить письмо из очереди? Оно не будет отправлено.')) {
+          return;
+        }
+        sendToWorker('DELETE_OUTBOX_ITEM', { id: entry.id }, function (error) {
+          if (error) {
+            showMessage(error, 'error');
+          }
+          loadOutboxTab();
+        });
+      }));
+      item.appendChild(actions);
+
+      outboxListEl.appendChild(item);
+    });
+  }
+
+  // ─── Шаблоны писем ──────────────────────────────────────────
+
+  // Редактируемая копия шаблонов и выбранный шаблон (несохранённые правки живут здесь)
+  var templates = [];
+  var currentTemplateId = null;
+  // Поле, куда вставляется переменная: последнее активное из темы и текста
+  var templateTarget = templateBodyInput;
+
+  Object.keys(EMAIL_TEMPLATE_TYPES).forEach(function (type) {
+    var option = document.createElement('option');
+    option.value = type;
+    option.textContent = EMAIL_TEMPLATE_TYPES[type];
+    templateTypeSelect.appendChild(option);
+  });
+
+  Object.keys(EMAIL_TEMPLATE_VARIABLES).forEach(function (name) {
+    var chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = 'popup__chip';
+    chip.textContent = name;
+    chip.title = EMAIL_TEMPLATE_VARIABLES[name];
+    chip.addEventListener('click', function () {
+      insertAtCursor(templateTarget, '{{' + name + '}}');
+      renderTemplatePreview();
+    });
+    templateVariablesEl.appendChild(chip);
+  });
+
+  function loadTemplatesTab() {
+    chrome.storage.local.get(['emailTemplates'], function (data) {
+      var stored = data.emailTemplates && data.emailTemplates.length > 0
+        ? data.emailTemplates
+        : DEFAULT_EMAIL_TEMPLATES;
+      // Копия: правки в форме не должны менять DEFAULT_EMAIL_TEMPLATES
+      templates = JSON.parse(JSON.stringify(stored));
+      // Типы, появившиеся после сохранения шаблонов (напоминание об оплате), — со встроенным шаблоном
+      DEFAULT_EMAIL_TEMPLATES.forEach(function (template) {
+        var hasType = templates.some(function (item) {
+          return item.type === template.type;
+        });
+        if (!hasType) {
+          templates.push(JSON.parse(JSON.stringify(template)));
+        }
+      });
+      if (!findTemplate(currentTemplateId)) {
+        currentTemplateId = templates[0].id;
+      }
+      renderTemplateSelect();
+      fillTemplateForm();
+    });
+  }
+
+  templateSelect.addEventListener('change', function () {
+    applyTemplateForm();
+    currentTemplateId = templateSelect.value;
+    fillTemplateForm();
+  });
+
+  templateAddBtn.addEventListener('click', function () {
+    applyTemplateForm();
+    var source = findTemplate(currentTemplateId);
+    var template = {
+      id: 'tpl-' + Date.now().toString(36),
+      name: 'Новый шаблон',
+      type: source ? source.type : 'invoice',
+      isDefault: false,
+      subject: source ? source.subject : '',
+      body: source ? source.body : ''
+    };
+    templates.push(template);
+    currentTemplateId = template.id;
+    renderTemplateSelect();
+    fillTemplateForm();
+    templateNameInput.select();
+  });
+
+  templateDeleteBtn.addEventListener('click', function () {
+    var template = findTemplate(currentTemplateId);
+    var sameType = templates.filter(function (item) {
+      return item.type === template.type;
+    });
+    if (sameType.length < 2) {
+      showMessage('Нельзя удалить единственный шаблон для этого типа писем', 'error');
+      return;
+    }
+    if (!confirm('Удалить шаблон «' + template.name + '»?')) {
+      return;
+    }
+    templates.splice(templates.indexOf(template), 1);
+    saveTemplates('Шаблон удалён');
+  });
+
+  templateForm.addEventListener('input', renderTemplatePreview);
+  templateTypeSelect.addEventListener('change', renderTemplatePreview);
+  templateSubjectInput.addEventListener('focus', function () {
+    templateTarget = templateSubjectInput;
+  });
+  templateBodyInput.addEventListener('focus', function () {
+    templateTarget = templateBodyInput;
+  });
+
+  templateForm.addEventListener('submit', function (event) {
+    event.preventDefault();
+    applyTemplateForm();
+
+    for (var i = 0; i < templates.length; i++) {
+      var error = validateEmailTemplate(templates[i]);
+      if (error) {
+        currentTemplateId = templates[i].id;
+        renderTemplateSelect();
+        fillTemplateForm();
+        showMessage('Шаблон «' + (templates[i].name || i + 1) + '»: ' + error, 'error');
+        return;
+      }
+    }
+    saveTemplates('Шаблоны сохранены');
+  });
+
+  /** Сохраняет шаблоны; у каждого типа ровно один шаблон по умолчанию. */
+  function saveTemplates(successText) {
+    var current = findTemplate(currentTemplateId);
+    Object.keys(EMAIL_TEMPLATE_TYPES).forEach(function (type) {
+      var ofType = templates.filter(function (item) {
+        return item.type === type;
+      });
+      var preferred = current && current.type === type && current.isDefault ? current : null;
+      var byDefault = preferred || ofType.filter(function (item) {
+        return item.isDefault;
+      })[0] || ofType[0];
+      ofType.forEach(function (item) {
+        item.isDefault = item === byDefault;
+      });
+    });
+
+    chrome.storage.local.set({ emailTemplates: templates }, function () {
+      if (chrome.runtime.lastError) {
+        showMessage('Ошибка сохранения: ' + chrome.runtime.lastError.message, 'error');
+        return;
+      }
+      showMessage(successText, 'success');
+      loadTemplatesTab();
+    });
+  }
+
+  function renderTemplateSelect() {
+    templateSelect.innerHTML = '';
+    Object.keys(EMAIL_TEMPLATE_TYPES).forEach(function (type) {
+      var group = document.createElement('optgroup');
+      group.label = EMAIL_TEMPLATE_TYPES[type];
+      templates.forEach(function (template) {
+        if (template.type !== type) {
+          return;
+        }
+        var option = document.createElement('option');
+        option.value = template.id;
+        option.textContent = template.name + (template.isDefault ? ' ★' : '');
+        group.appendChild(option);
+      });
+      if (group.children.length > 0) {
+        templateSelect.appendChild(group);
+      }
+    });
+    templateSelect.value = currentTemplateId;
+  }
+
+  function fillTemplateForm() {
+    var template = findTemplate(currentTemplateId);
+    templateNameInput.value = template.name || '';
+    templateTypeSelect.value = template.type;
+    templateDefaultInput.checked = !!template.isDefault;
+    templateSubjectInput.value = template.subject || '';
+    templateBodyInput.value = template.body || '';
+    renderTemplatePreview();
+  }
+
+  /** Переносит значения формы в редактируемую копию шаблона. */
+  function applyTemplateForm() {
+    var template = findTemplate(currentTemplateId);
+    if (!template) {
+      return;
+    }
+    template.name = templateNameInput.value.trim();
+    template.type = templateTypeSelect.value;
+    template.isDefault = templateDefaultInput.checked;
+    template.subject = templateSubjectInput.value;
+    template.body = templateBodyInput.value;
+  }
+
+  /** Предпросмотр на EMAIL_TEMPLATE_SAMPLE с текстами отеля из настроек. */
+  function renderTemplatePreview() {
+    var texts = getHotelTexts();
+    texts.hotelName = getHotelDetails().name;
+    var vars = buildTemplateVariables(EMAIL_TEMPLATE_SAMPLE, texts);
+    try {
+      var email = renderEmailTemplate({
+        subject: templateSubjectInput.value,
+        body: templateBodyInput.value
+      }, vars);
+      templatePreviewSubjectEl.textContent = email.subject;
+      templatePreviewBodyEl.textContent = email.body;
+      templatePreviewBodyEl.classList.remove('popup__preview-body--error');
+    } catch (error) {
+      templatePreviewSubjectEl.textContent = '';
+      templatePreviewBodyEl.textContent = 'Ошибка в шаблоне: ' + error.message;
+      templatePreviewBodyEl.classList.add('popup__preview-body--error');
+    }
+  }
+
+  function findTemplate(id) {
+    return templates.filter(function (template) {
+      return template.id === id;
+    })[0] || null;
+  }
+
+  function insertAtCursor(input, text) {
+    var start = input.selectionStart;
+    var end = input.selectionEnd;
+    input.value = input.value.slice(0, start) + text + input.value.slice(end);
+    input.focus();
+    input.selectionStart = input.selectionEnd = start + text.length;
+  }
+
   // ─── Вспомогательные функции ────────────────────────────────
 
+  /**
+   * Отправляет сообщение в service worker.
+   * callback(error, data) — error равен null при успехе.
+   */
+  function sendToWorker(action, data, callback) {
+    chrome.runtime.sendMessage({ action: action, data: data }, function (response) {
+      if (chrome.runtime.lastError) {
+        callback(chrome.runtime.lastError.message);
+      } else if (response && response.success) {
+        callback(null, response.data);
+      } else {
+        callback((response && response.error) || 'Неизвестная ошибка');
+      }
+    });
+  }
+
+  function createLinkButton(text, isDanger, onClick) {
+    var btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'popup__link-btn' + (isDanger ? ' popup__link-btn--danger' : '');
+    btn.textContent = text;
+    btn.addEventListener('click', onClick);
+    return btn;
+  }
+
+  function renderListMessage(listEl, text) {
+    listEl.innerHTML = '';
+    var hint = document.createElement('p');
+    hint.className = 'popup__hint';
+    hint.textContent = text;
+    listEl.appendChild(hint);
+  }
+
+  function formatMoney(amount) {
+    return String(Math.round(amount || 0)).replace(/\B(?=(\d{3})+(?!\d))/g, ' ');
+  }
+
+  /** «05.05.2026 14:30» из ISO-строки. */
+  function formatDateTime(iso) {
+    if (!iso) {
+      return '—';
+    }
+    var d = new Date(iso);
+    var pad = function (n) {
+      return n < 10 ? '0' + n : String(n);
+    };
+    return pad(d.getDate()) + '.' + pad(d.getMonth() + 1) + '.' + d.getFullYear() +
+      ' ' + pad(d.getHours()) + ':' + pad(d.getMinutes());
+  }
+
   /** Обновляет индикатор статуса. */
   function updateStatus(settings) {
     var hasAll = settings.backendUrl && settings.apiKey;
@@ -0,0 +1,273 @@
+/**
+ * Разбор банковской выписки: формат обмена с 1С (1CClientBankExchange) и CSV.
+ *
+ * Результат — входящие платежи:
+ *   { number, date: 'ДД.ММ.ГГГГ', amount, payer, payerInn, purpose }
+ *
+ * 1CClientBankExchange — текст «Ключ=Значение» по строке, документы между
+ * «СекцияДокумент=…» и «КонецДокумента». Входящий платёж — тот, у которого
+ * ПолучательСчет — один из счетов выписки (РасчСчет в заголовке). Если счета
+ * в файле не указаны, сравниваем с расчётным счётом отеля (bankAccount).
+ *
+ * CSV — выгрузка из интернет-банка с заголовком. Колонки ищутся по названию:
+ * дата, сумма (или «Кредит»/«Поступление» — приход), плательщик / контрагент,
+ * ИНН, назначение платежа. Разделитель — «;», «,» или табуляция. Расход (колонка
+ * «Дебет» или отрицательная сумма) пропускается.
+ *
+ * Кодировка: UTF-8, Windows-1251 (обычная для 1С) или DOS (CP866) — определяется
+ * автоматически (decodeBankStatement).
+ *
+ * Зависимости: invoice-generator.js (padZero).
+ */
+
+var BANK_STATEMENT_MARKER = '1CClientBankExchange';
+
+// Названия колонок CSV (в нижнем регистре, по подстроке)
+var CSV_COLUMN_NAMES = {
+  date: ['дата'],
+  credit: ['кредит', 'поступлен', 'приход'],
+  debit: ['дебет', 'списан', 'расход'],
+  amount: ['сумма'],
+  payer: ['плательщик', 'контрагент', 'наименование', 'отправитель'],
+  payerInn: ['инн'],
+  purpose: ['назначение'],
+  number: ['номер', '№']
+};
+
+/**
+ * Декодирует файл выписки.
+ * @param {ArrayBuffer} buffer
+ * @returns {string}
+ */
+function decodeBankStatement(buffer) {
+  var bytes = new Uint8Array(buffer);
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes).replace(/^\uFEFF/, '');
+  } catch (error) {
+    // Не UTF-8 — одна из однобайтовых кириллических кодировок
+  }
+  var text = new TextDecoder('windows-1251').decode(bytes);
+  if (text.indexOf(BANK_STATEMENT_MARKER) !== -1 && text.indexOf('СекцияДокумент') === -1) {
+    var dosText = new TextDecoder('ibm866').decode(bytes);
+    if (dosText.indexOf('СекцияДокумент') !== -1) {
+      return dosText;
+    }
+  }
+  return text;
+}
+
+/**
+ * Разбирает выписку.
+ * @param {string} text — декодированный текст файла
+ * @param {Object} [options]
+ * @param {string} [options.account] — расчётный счёт отеля, если в файле счетов нет
+ * @returns {{ format: '1c' | 'csv', payments: Array, skipped: number }}
+ *   skipped — пропущено документов (расход, без суммы)
+ * @throws {Error} если формат не распознан
+ */
+function parseBankStatement(text, options) {
+  options = options || {};
+  if (text.indexOf(BANK_STATEMENT_MARKER) !== -1) {
+    return parse1CStatement(text, options.account);
+  }
+  return parseCsvStatement(text);
+}
+
+// ─── 1CClientBankExchange ───────────────────────────────────────
+
+function parse1CStatement(text, hotelAccount) {
+  var accounts = [];
+  var documents = [];
+  var current = null;
+
+  text.split(/\r?\n/).forEach(function (line) {
+    var separator = line.indexOf('=');
+    var key = (separator === -1 ? line : line.slice(0, separator)).trim();
+    var value = separator === -1 ? '' : line.slice(separator + 1).trim();
+
+    if (key === 'СекцияДокумент') {
+      current = {};
+    } else if (key === 'КонецДокумента') {
+      if (current) {
+        documents.push(current);
+      }
+      current = null;
+    } else if (current) {
+      // Многострочные поля (Плательщик1, Плательщик2…) — первое непустое значение
+      if (!(key in current) || !current[key]) {
+        current[key] = value;
+      }
+    } else if (key === 'РасчСчет' && value && accounts.indexOf(value) === -1) {
+      accounts.push(value);
+    }
+  });
+
+  if (accounts.length === 0 && hotelAccount) {
+    accounts.push(String(hotelAccount).replace(/\s+/g, ''));
+  }
+
+  var payments = [];
+  var skipped = 0;
+  documents.forEach(function (doc) {
+    var amount = parseStatementAmount(doc['Сумма']);
+    var incoming = accounts.length === 0 || accounts.indexOf(doc['ПолучательСчет']) !== -1;
+    if (!incoming || !(amount > 0)) {
+      skipped++;
+      return;
+    }
+    payments.push({
+      number: doc['Номер'] || '',
+      date: doc['ДатаПоступило'] || doc['Дата'] || '',
+      amount: amount,
+      payer: doc['Плательщик1'] || doc['Плательщик'] || '',
+      payerInn: doc['ПлательщикИНН'] || '',
+      purpose: doc['НазначениеПлатежа'] || ''
+    });
+  });
+
+  return { format: '1c', payments: payments, skipped: skipped };
+}
+
+// ─── CSV ────────────────────────────────────────────────────────
+
+function parseCsvStatement(text) {
+  var lines = text.split(/\r?\n/).filter(function (line) {
+    return line.trim() !== '';
+  });
+
+  // Заголовок — первая строка с колонками даты и суммы (выше бывает шапка банка)
+  var headerIndex = -1;
+  var delimiter = ';';
+  var columns = null;
+  for (var i = 0; i < lines.length && i < 20; i++) {
+    delimiter = detectCsvDelimiter(lines[i]);
+    columns = findCsvColumns(splitCsvLine(lines[i], delimiter));
+    if (columns.date !== -1 && (columns.amount !== -1 || columns.credit !== -1)) {
+      headerIndex = i;
+      break;
+    }
+  }
+  if (headerIndex === -1) {
+    throw new Error('Формат выписки не распознан: нужен файл 1CClientBankExchange ' +
+      'или CSV с колонками «Дата» и «Сумма»');
+  }
+
+  var payments = [];
+  var skipped = 0;
+  lines.slice(headerIndex + 1).forEach(function (line) {
+    var cells = splitCsvLine(line, delimiter);
+    var amount = columns.credit !== -1 ?
+      parseStatementAmount(cells[columns.credit]) :
+      parseStatementAmount(cells[columns.amount]);
+    if (columns.credit === -1 && columns.debit !== -1 && parseStatementAmount(cells[columns.debit]) > 0) {
+      amount = 0;
+    }
+    if (!(amount > 0)) {
+      skipped++;
+      return;
+    }
+    payments.push({
+      number: cellAt(cells, columns.number),
+      date: normalizeStatementDate(cellAt(cells, columns.date)),
+      amount: amount,
+      payer: cellAt(cells, columns.payer),
+      payerInn: cellAt(cells, columns.payerInn),
+      purpose: cellAt(cells, columns.purpose)
+    });
+  });
+
+  return { format: 'csv', payments: payments, skipped: skipped };
+}
+
+function detectCsvDelimiter(line) {
+  var best = ';';
+  var bestCount = 0;
+  [';', '\t', ','].forEach(function (candidate) {
+    var count = line.split(candidate).length - 1;
+    if (count > bestCount) {
+      best = candidate;
+      bestCount = count;
+    }
+  });
+  return best;
+}
+
+/** Индексы колонок по названиям (-1 — колонки нет). */
+function findCsvColumns(header) {
+  var columns = {};
+  var used = [];
+  // «ИНН плательщика» — это ИНН, а не плательщик: сначала ищем более узкие колонки.
+  // Из подходящих берём самое короткое название: «Плательщик», а не «Счёт плательщика»
+  ['payerInn', 'purpose', 'date', 'credit', 'debit', 'amount', 'payer', 'number'].forEach(function (name) {
+    columns[name] = -1;
+    for (var i = 0; i < header.length; i++) {
+      var title = header[i].toLowerCase();
+      var matches = used.indexOf(i) === -1 && CSV_COLUMN_NAMES[name].some(function (needle) {
+        return title.indexOf(needle) !== -1;
+      });
+      if (matches && (columns[name] === -1 || title.length < header[columns[name]].length)) {
+        columns[name] = i;
+      }
+    }
+    if (columns[name] !== -1) {
+      used.push(columns[name]);
+    }
+  });
+  return columns;
+}
+
+/** Разбивает строку CSV с учётом кавычек («""» внутри — кавычка). */
+function splitCsvLine(line, delimiter) {
+  var cells = [];
+  var cell = '';
+  var quoted = false;
+  for (var i = 0; i < line.length; i++) {
+    var ch = line.charAt(i);
+    if (quoted) {
+      if (ch === '"' && line.charAt(i + 1) === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+function cellAt(cells, index) {
+  return index === -1 ? '' : (cells[index] || '');
+}
+
+// ─── Значения ───────────────────────────────────────────────────
+
+/** «12 345,67», «12345.67», «-500» → число; пусто — 0. */
+function parseStatementAmount(value) {
+  var normalized = String(value || '').replace(/[\s ]/g, '').replace(',', '.').replace(/[^\d.\-]/g, '');
+  var amount = parseFloat(normalized);
+  return isNaN(amount) ? 0 : amount;
+}
+
+/** «2026-05-14» и «14.05.2026 10:30» → «14.05.2026». */
+function normalizeStatementDate(value) {
+  var iso = String(value || '').match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (iso) {
+    return iso[3] + '.' + iso[2] + '.' + iso[1];
+  }
+  var ru = String(value || '').match(/(\d{1,2})\.(\d{1,2})\.(\d{2,4})/);
+  if (ru) {
+    var year = ru[3].length === 2 ? '20' + ru[3] : ru[3];
+    return padZero(parseInt(ru[1], 10)) + '.' + padZero(parseInt(ru[2], 10)) + '.' + year;
+  }
+  return String(value || '');
+}
@@ -4,21 +4,23 @@
  * Использует jsPDF для формирования PDF-документа.
  * Переиспользует вспомогательные функции из invoice-generator.js:
  *  - registerCyrillicFont, drawLabelValueCompact, formatMoney,
- *    formatCurrentDate, numberToWordsRu
+ *    formatCurrentDate, numberToWordsRu, getBookingRooms, drawDetailsTable
  *
  * Зависимости (загружены ранее):
  *  - jspdf.umd.min.js   → глобальная переменная jspdf
  *  - roboto-regular.js   → глобальная переменная ROBOTO_FONT_BASE64
- *  - stamp-signature.js  → STAMP_IMAGE_BASE64, SIGNATURE_IMAGE_BASE64
- *  - hotel-details.js    → глобальная переменная HOTEL_DETAILS
  *  - invoice-generator.js → вспомогательные функции (registerCyrillicFont и т.д.)
+ *
+ * Реквизиты, подписант, печать и подпись передаются в hotelDetails
+ * (getHotelDetails из hotel-requisites.js), условия проживания и отмены —
+ * getHotelTexts оттуда же.
  */
 
 /**
  * Измеряет высоту контента ваучера (симуляция без отрисовки).
  * Нужна для расчёта адаптивного заполнения страницы.
  */
-function measureConfirmationHeight(doc, bookingData, hotelDetails, contentWidth) {
+function measureConfirmationHeight(doc, bookingData, hotelDetails, contentWidth, texts) {
   var marginLeft = 15;
   var labelH = 4;
 
@@ -31,7 +33,14 @@ function measureConfirmationHeight(doc, bookingData, hotelDetails, contentWidth)
   if (bookingData.guestPhone) y += labelH;
   y += 5;
   y += 5;
-  y += labelH * 4;
+  var roomsCount = getBookingRooms(bookingData).length;
+  if (roomsCount > 1) {
+    // Таблица номеров: шапка, строки, «Итого» (drawDetailsTable) + время заезда/выезда
+    y += 21 + roomsCount * 7;
+    if (bookingData.checkInTime || bookingData.checkOutTime) y += labelH;
+  } else {
+    y += labelH * 4;
+  }
   if (bookingData.guestCount && bookingData.guestCount.total > 0) y += labelH;
   y += 5;
   y += 5;
@@ -44,24 +53,17 @@ function measureConfirmationHeight(doc, bookingData, hotelDetails, contentWidth)
 
   doc.setFontSize(8);
   var bulletTextWidth = contentWidth - 4;
-  var policies = [
-    'Заезд с 15:00, выезд до 12:00.',
-    'При заезде необходимо предъявить паспорта граждан РФ на всех проживающих, свидетельства о рождении на детей, ваучер и квитанцию об оплате.',
-    'Оплата оставшейся суммы производится при заселении.',
-    'Дети до 4-х лет включительно размещаются и питаются бесплатно (без предоставления доп. места).'
-  ];
+  var policies = texts.voucherPolicies;
   for (var p = 0; p < policies.length; p++) {
     var lines = doc.splitTextToSize('\u2022 ' + policies[p], bulletTextWidth);
     y += lines.length * 3.8;
   }
   y += 2 + 4;
-  y += 7 * 3.8;
+  y += texts.voucherInclusions.length * 3.8;
   y += 4;
   y += 4;
 
-  var cancelPolicy =
-    'При отмене бронирования за 15 (пятнадцать) и более календарных дней до даты заезда возвращается полная сумма оплаты. ' +
-    'В случае отмены бронирования менее, чем за 15 (пятнадцать) календарных дней до заявленной даты заезда, с Заказчика удерживается плата в размере полной стоимости (без учета скидок, если таковые применялись при оплате) 1 (одних) суток проживания за каждый забронированный номер.';
+  var cancelPolicy = texts.voucherCancelPolicy;
   var splitCancel = doc.splitTextToSize(cancelPolicy, contentWidth - 4);
   y += splitCancel.length * 3.2 + 4;
   y += 5;
@@ -81,7 +83,7 @@ function measureConfirmationHeight(doc, bookingData, hotelDetails, contentWidth)
  * Адаптивно распределяет контент по высоте листа А4 (минимальные отступы, без пустого места снизу).
  *
  * @param {Object} bookingData — данные бронирования (из parseBookingData)
- * @param {Object} hotelDetails — реквизиты отеля (HOTEL_DETAILS)
+ * @param {Object} hotelDetails — реквизиты отеля (getHotelDetails)
  * @returns {{ blob: Blob, base64: string, filename: string }}
  */
 function generateConfirmationPDF(bookingData, hotelDetails) {
@@ -104,7 +106,10 @@ function generateConfirmationPDF(bookingData, hotelDetails) {
   var bottomMargin = 18;
   var targetEndY = pageHeight - bottomMargin;
 
-  var contentEndY = measureConfirmationHeight(doc, bookingData, hotelDetails, contentWidth);
+  // Условия проживания и отмены — из настроек отеля (или профиля)
+  var texts = getHotelTexts();
+
+  var contentEndY = measureConfirmationHeight(doc, bookingData, hotelDetails, contentWidth, texts);
   var extraSpace = Math.max(0, targetEndY - contentEndY);
   var numGaps = 12;
   var gapExtra = extraSpace / numGaps;
@@ -128,11 +133,14 @@ function generateConfirmationPDF(bookingData, hotelDetails) {
     y
   );
   y += 3.5 + gapExtra;
-  doc.text(
-    'Номер объекта в едином реестре объектов классификации в сфере туристской индустрии: С232025009727',
-    marginLeft,
-    y
-  );
+  if (hotelDetails.classificationNumber) {
+    doc.text(
+      'Номер объекта в едином реестре объектов классификации в сфере туристской индустрии: ' +
+        hotelDetails.classificationNumber,
+      marginLeft,
+      y
+    );
+  }
   y += 2.5 + gapExtra;
 
   doc.setDrawColor(200, 200, 200);
@@ -188,29 +196,61 @@ function generateConfirmationPDF(bookingData, hotelDetails) {
   doc.text('Детали бронирования', marginLeft, y);
   y += 5 + gapExtra;
 
-  doc.setFontSize(9);
-  // Получаем площадь номера
-  var roomArea = getRoomArea(bookingData.roomType);
-  var areaText = roomArea ? ' (' + roomArea + ' м²)' : '';
-  y = drawLabelValueCompact(doc, marginLeft, y, 'Категория номера:', bookingData.roomType + areaText || '—');
-
-  var checkInStr = bookingData.checkIn || '—';
-  if (bookingData.checkInTime) {
-    checkInStr += ', заезд с ' + bookingData.checkInTime;
-  }
-  y = drawLabelValueCompact(doc, marginLeft, y, 'Дата заезда:', checkInStr);
+  var rooms = getBookingRooms(bookingData);
+  if (rooms.length > 1) {
+    // Групповое бронирование — таблица номеров со своими датами и гостями
+    var roomRows = rooms.map(function (room) {
+      var roomArea = getRoomArea(room.roomType);
+      return [
+        (room.roomType || '—') + (roomArea ? ' (' + roomArea + ' м²)' : ''),
+        room.roomNumber || '—',
+        room.checkIn + ' - ' + room.checkOut,
+        room.guestCount && room.guestCount.total > 0 ? String(room.guestCount.total) : '—',
+        String(room.nightsCount || '—'),
+        formatMoney(room.totalPrice)
+      ];
+    });
+    var totalRow = ['Итого, номеров: ' + rooms.length, '', '', '', '', formatMoney(bookingData.totalPrice)];
+    y = drawDetailsTable(doc, marginLeft, y - 3, contentWidth,
+      ['Категория номера', '№', 'Даты', 'Гостей', 'Ночей', 'Стоимость'], roomRows, totalRow,
+      [25, 8, 22, 10, 10, 18]) + 3;
+
+    doc.setFontSize(9);
+    var times = [];
+    if (bookingData.checkInTime) {
+      times.push('заезд с ' + bookingData.checkInTime);
+    }
+    if (bookingData.checkOutTime) {
+      times.push('выезд до ' + bookingData.checkOutTime);
+    }
+    if (times.length > 0) {
+      y = drawLabelValueCompact(doc, marginLeft, y, 'Время:', times.join(', '));
+    }
+  } else {
+    doc.setFontSize(9);
+    // Получаем площадь номера
+    var roomArea = getRoomArea(bookingData.roomType);
+    var areaText = roomArea ? ' (' + roomArea + ' м²)' : '';
+    y = drawLabelValueCompact(doc, marginLeft, y, 'Категория номера:', bookingData.roomType + areaText || '—');
+
+    var checkInStr = bookingData.checkIn || '—';
+    if (bookingData.checkInTime) {
+      checkInStr += ', заезд с ' + bookingData.checkInTime;
+    }
+    y = drawLabelValueCompact(doc, marginLeft, y, 'Дата заезда:', checkInStr);
+
+    var checkOutStr = bookingData.checkOut || '—';
+    if (bookingData.checkOutTime) {
+      checkOutStr += ', выезд до ' + bookingData.checkOutTime;
+    }
+    y = drawLabelValueCompact(doc, marginLeft, y, 'Дата выезда:', checkOutStr);
 
-  var checkOutStr = bookingData.checkOut || '—';
-  if (bookingData.checkOutTime) {
-    checkOutStr += ', выезд до ' + bookingData.checkOutTime;
+    y = drawLabelValueCompact(
+      doc, marginLeft, y,
+      'Количество ночей:',
+      String(bookingData.nightsCount || '—')
+    );
   }
-  y = drawLabelValueCompact(doc, marginLeft, y, 'Дата выезда:', checkOutStr);
-
-  y = drawLabelValueCompact(
-    doc, marginLeft, y,
-    'Количество ночей:',
-    String(bookingData.nightsCount || '—')
-  );
 
   if (bookingData.guestCount && bookingData.guestCount.total > 0) {
     y = drawLabelValueCompact(
@@ -303,12 +343,7 @@ function generateConfirmationPDF(bookingData, hotelDetails) {
   var bulletIndent = marginLeft + 2;
   var bulletTextWidth = contentWidth - 4;
 
-  var policies = [
-    'Заезд с 15:00, выезд до 12:00.',
-    'При заезде необходимо предъявить паспорта граждан РФ на всех проживающих, свидетельства о рождении на детей, ваучер и квитанцию об оплате.',
-    'Оплата оставшейся суммы производится при заселении.',
-    'Дети до 4-х лет включительно размещаются и питаются бесплатно (без предоставления доп. места).'
-  ];
+  var policies = texts.voucherPolicies;
 
   for (var p = 0; p < policies.length; p++) {
     var policyLines = doc.splitTextToSize('\u2022 ' + policies[p], bulletTextWidth);
@@ -323,15 +358,7 @@ function generateConfirmationPDF(bookingData, hotelDetails) {
   doc.text('\u2022 В стоимость номера включено:', bulletIndent, y);
   y += 4;
 
-  var inclusions = [
-    'Проживание в номере выбранного типа',
-    'Трехразовое питание по системе «шведский стол»',
-    'Комплекс бассейнов (при благоприятных погодных условиях)',
-    'Детские центры «Альби» и «Островок»',
-    'Развлекательные программы',
-    'Охраняемая парковка',
-    'Спа-комплекс'
-  ];
+  var inclusions = texts.voucherInclusions;
 
   for (var inc = 0; inc < inclusions.length; inc++) {
     doc.text('    – ' + inclusions[inc], marginLeft + 4, y);
@@ -349,9 +376,7 @@ function generateConfirmationPDF(bookingData, hotelDetails) {
   doc.setFontSize(7);
   doc.setTextColor(80, 80, 80);
 
-  var cancelPolicy =
-    'При отмене бронирования за 15 (пятнадцать) и более календарных дней до даты заезда возвращается полная сумма оплаты. ' +
-    'В случае отмены бронирования менее, чем за 15 (пятнадцать) календарных дней до заявленной даты заезда, с Заказчика удерживается плата в размере полной стоимости (без учета скидок, если таковые применялись при оплате) 1 (одних) суток проживания за каждый забронированный номер.';
+  var cancelPolicy = texts.voucherCancelPolicy;
   var splitCancel = doc.splitTextToSize(cancelPolicy, contentWidth - 4);
   doc.text(splitCancel, marginLeft + 2, y);
   y += splitCancel.length * 3.2 + 4 + gapExtra;
@@ -391,31 +416,34 @@ function generateConfirmationPDF(bookingData, hotelDetails) {
   doc.setFontSize(9);
   doc.setTextColor(0, 0, 0);
 
-  var directorPrefix = 'Директор ' + hotelDetails.name;
-  var directorSuffix = '/ Иванчей Е.А. /';
+  var directorPrefix = (hotelDetails.directorTitle || 'Директор') + ' ' + hotelDetails.name;
+  var directorSuffix = '/ ' + (hotelDetails.directorName || '') + ' /';
   var prefixWidth = doc.getTextWidth(directorPrefix);
   var signLineX = marginLeft + prefixWidth + 4;
   var suffixX = signLineX + 40;
 
   // Печать и подпись по центру линии подписи (___________)
-  if (typeof STAMP_IMAGE_BASE64 !== 'undefined' && STAMP_IMAGE_BASE64) {
+  // (из настроек или встроенные — см. getHotelDetails)
+  var stampImage = hotelDetails.stampImage;
+  if (stampImage) {
     var stampW = 56;
-    var stampH = 56 * (1600 / 747);
+    var stampH = 56 * (stampImage.height / stampImage.width);
     doc.saveGraphicsState();
     doc.setGState(new doc.GState({ opacity: 0.75 }));
     doc.addImage(
-      'data:image/png;base64,' + STAMP_IMAGE_BASE64,
+      stampImage.dataUrl,
       'PNG',
       signLineX + 10, signatureLineY - stampH * 0.55,
       stampW, stampH
     );
     doc.restoreGraphicsState();
   }
-  if (typeof SIGNATURE_IMAGE_BASE64 !== 'undefined' && SIGNATURE_IMAGE_BASE64) {
+  var signatureImage = hotelDetails.signatureImage;
+  if (signatureImage) {
     var sigW = 30;
-    var sigH = 30 * (1280 / 597);
+    var sigH = 30 * (signatureImage.height / signatureImage.width);
     doc.addImage(
-      'data:image/png;base64,' + SIGNATURE_IMAGE_BASE64,
+      signatureImage.dataUrl,
       'PNG',
       signLineX - 2, signatureLineY - sigH * 0.55,
       sigW, sigH
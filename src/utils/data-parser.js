@@ -1,5 +1,9 @@
 /**
- * Модуль парсинга данных бронирования из DOM hotel.kontur.ru
+ * Модуль парсинга данных бронирования hotel.kontur.ru
+ *
+ * Основной источник — JSON-ответы, которые страница Контура загружает сама
+ * (network-booking.js). Этот модуль разбирает DOM, когда в ответах бронирование
+ * не нашлось, и считает предоплату и скидку для обоих источников.
  *
  * Контур Отель использует хешированные CSS-классы (меняются при обновлениях),
  * поэтому парсер опирается на:
@@ -9,11 +13,19 @@
  *  4. Структурные отношения элементов (соседние div-ы, родители)
  *
  * Расчёт:
- *  - Предоплата = сумма первых 3 суток (из тултипа/модального окна с ценами по дням)
- *  - Фоллбэк: (общая сумма / кол. ночей) × 3 (если посуточные цены недоступны)
- *  - Скидка: 4–5 ночей → 5%, 6+ ночей → 8%
+ *  - Предоплата — по правилам из настроек (prepay-rules.js, calculatePrepay);
+ *    по умолчанию сумма первых 3 суток (из тултипа/модального окна с ценами по дням)
+ *  - Скидка за длительность — по ступеням из настроек (discount-tiers.js, calculateStayDiscount);
+ *    по умолчанию 4–5 ночей → 5%, 6+ ночей → 8%
+ *
+ * Групповое бронирование (несколько номеров) — bookingData.rooms, по строке на номер
+ * со своими датами, ночами, ценой и гостями (parseBookingRooms). У обычного
+ * бронирования rooms — одна строка из общих полей.
  */
 
+// Корпуса в названиях категорий: «Стандарт (Остров-1)»
+var ROOM_CATEGORY_PATTERN = /\(Остров-[12]\)|\(Главный корпус\)|\(Коттедж\)/;
+
 // ─── Селекторы и маркеры ──────────────────────────────────────
 //
 // Конфигурация: текстовые маркеры разделов и паттерны данных.
@@ -31,6 +43,13 @@ var BOOKING_SELECTORS = {
     '[data-oid="MainPageTab"]'
   ],
 
+  // Список бронирований: ссылка на бронирование в строке и сама строка (пакетный режим)
+  listRowLink: 'a[href*="/bookings/"][href*="/id/"]',
+  listRow: 'tr, [role="row"], [data-tid*="Row"]',
+
+  // Заголовок категории номера (в групповом бронировании — у каждой строки номера)
+  roomTitle: '.a6zV6A',
+
   // Текстовые маркеры разделов (для поиска по textContent)
   sectionLabels: {
     payment: 'Оплата',
@@ -45,21 +64,140 @@ var BOOKING_SELECTORS = {
 /**
  * Извлекает данные бронирования из текущей страницы.
  *
- * @returns {Object|null}
+ * Поля берутся из JSON-ответов Контура (network-booking.js), а если там бронирование
+ * не нашлось или в нём не хватает обязательных полей — из DOM (parseDomBookingFields).
+ * Расчёт ночей, предоплаты и скидки — общий для обоих источников.
+ *
+ * @param {Document} [doc] — документ страницы бронирования (по умолчанию текущий;
+ *   пакетный режим передаёт документ скрытого iframe)
+ * @returns {Object|null} bookingData; dataSource — 'network' | 'dom'
  */
-function parseBookingData() {
+function parseBookingData(doc) {
+  doc = doc || document;
   // Проверяем что мы на странице бронирования
-  if (!isBookingPage()) {
+  if (!isBookingPage(doc)) {
     console.warn('[KonturPrepay] Текущая страница не является бронированием');
     return null;
   }
 
-  var container = document.getElementById('MainPageTopBar');
-  if (!container) {
-    console.warn('[KonturPrepay] Контейнер #MainPageTopBar не найден');
-    return null;
+  // Ответы перехватываются только в окне вкладки — у скрытого iframe их нет
+  var fields = null;
+  if (doc === document && typeof findNetworkBookingFields === 'function') {
+    fields = findNetworkBookingFields(getBookingIdFromUrl(doc));
   }
+  var dataSource = fields ? 'network' : 'dom';
+
+  if (!fields) {
+    var container = doc.getElementById('MainPageTopBar');
+    if (!container) {
+      console.warn('[KonturPrepay] Контейнер #MainPageTopBar не найден');
+      return null;
+    }
+    fields = parseDomBookingFields(container);
+  }
+
+  var totalPrice = fields.totalPrice;
+  var roomType = fields.roomType;
+  var ratePlan = fields.ratePlan;
+
+  // Рассчитываем ночи
+  var nightsCount = fields.nightsCount ||
+    (fields.checkIn && fields.checkOut ? calculateNights(fields.checkIn, fields.checkOut) : 0);
+
+  // Стоимость за сутки
+  var nightlyRate = nightsCount > 0 ? Math.round(totalPrice / nightsCount) : 0;
+
+  // Строки номеров (в групповом бронировании — несколько)
+  var rooms = fields.rooms && fields.rooms.length > 1 ? fields.rooms : [{
+    roomType: roomType || '',
+    roomNumber: fields.roomNumber || '',
+    checkIn: fields.checkIn || '',
+    checkOut: fields.checkOut || '',
+    nightsCount: nightsCount,
+    nightlyRate: nightlyRate,
+    totalPrice: totalPrice,
+    guestCount: fields.guestCount
+  }];
+  if (rooms.length > 1) {
+    // Категория для правил скидок и шаблонов писем — все категории брони
+    roomType = uniqueValues(rooms.map(function (room) {
+      return room.roomType;
+    })).join(', ');
+  }
+
+  // Предоплата — по правилам (посуточные цены из ответа Контура или из тултипа, если доступен)
+  // content.js пересчитает её при наличии кешированных посуточных цен
+  var dailyRates = fields.dailyRates && fields.dailyRates.length > 0 ? fields.dailyRates : null;
+  if (!dailyRates) {
+    var dailyRatesData = parseDailyRatesFromTooltip(doc);
+    dailyRates = dailyRatesData.rates || dailyRatesData; // поддержка старого формата
+  }
+  var prepay = rooms.length > 1 ?
+    calculateGroupPrepay(rooms, { ratePlan: ratePlan }) :
+    calculatePrepay({
+      totalPrice: totalPrice,
+      nightsCount: nightsCount,
+      dailyRates: dailyRates,
+      checkIn: fields.checkIn,
+      roomType: roomType,
+      ratePlan: ratePlan
+    });
+
+  // Скидка за длительность — по ступеням из настроек (discount-tiers.js)
+  var stayDiscount = calculateStayDiscount({
+    nightsCount: nightsCount,
+    checkIn: fields.checkIn,
+    roomType: roomType
+  });
+  var discountPercent = stayDiscount.percent;
+  var discountAmount = Math.round(totalPrice * discountPercent / 100);
+  var fullPaymentWithDiscount = totalPrice - discountAmount;
+
+  // Описание комнаты — только категория, без номера
+  var roomDesc = roomType || '';
+
+  var result = {
+    guestName: fields.guestName || '',
+    guestEmail: fields.guestEmail || '',
+    contactEmails: fields.contactEmails,
+    guestPhone: fields.guestPhone || '',
+    checkIn: fields.checkIn || '',
+    checkOut: fields.checkOut || '',
+    checkInTime: fields.checkInTime || '',
+    checkOutTime: fields.checkOutTime || '',
+    roomType: roomDesc,
+    rooms: rooms,
+    ratePlan: ratePlan,
+    totalPrice: totalPrice,
+    paidAmount: fields.paidAmount,
+    debtAmount: fields.debtAmount,
+    guestCount: fields.guestCount,
+    bookingNumber: fields.bookingNumber || '',
+    nightsCount: nightsCount,
+    nightlyRate: nightlyRate,
+    prepayAmount: prepay.amount,
+    prepayNights: prepay.nights,
+    prepayDescription: prepay.description,
+    dailyRates: dailyRates,
+    discountPercent: discountPercent,
+    discountTierName: stayDiscount.tierName,
+    discountMode: stayDiscount.mode,
+    discountAmount: discountAmount,
+    fullPaymentWithDiscount: fullPaymentWithDiscount,
+    dataSource: dataSource
+  };
+
+  console.log('[KonturPrepay] Данные бронирования (' + dataSource + '):', result);
+  return result;
+}
 
+/**
+ * Поля бронирования из DOM страницы — запасной путь, когда в ответах Контура
+ * бронирование не нашлось.
+ * @param {Element} container — #MainPageTopBar
+ * @returns {Object} поля в формате findNetworkBookingFields
+ */
+function parseDomBookingFields(container) {
   var pageText = container.textContent || '';
 
   // 1. Номер бронирования — из заголовка (формат "OTL-0000000015: даты")
@@ -83,17 +221,16 @@ function parseBookingData() {
   // 7. Email гостя — из секции «Информация»
   var guestEmail = parseGuestEmail(container, pageText);
 
+  // 7a. Все адреса из секций заказчика, плательщика и гостей — получатели письма со счётом
+  var contactEmails = parseContactEmails(container, guestEmail);
+
   // 8. Телефон гостя — ищем в секции «Информация», чтобы не спутать с номером бронирования
   var guestPhone = parseGuestPhone(container, pageText);
 
-  // 9. Оплаченная сумма и долг
-  var paidAmount = parsePaidAmount(container, pageText);
-  var debtAmount = parseDebtAmount(container, pageText);
-
-  // 10. Количество гостей
+  // 9. Количество гостей
   var guestCount = parseGuestCount(container);
 
-  // 11. Время заезда и выезда
+  // 10. Время заезда и выезда
   var checkTimes = parseCheckTimes(pageText);
 
   // Рассчитываем ночи
@@ -106,69 +243,112 @@ function parseBookingData() {
     nightsCount = parseNightsFromText(pageText);
   }
 
-  // Стоимость за сутки
-  var nightlyRate = nightsCount > 0 ? Math.round(totalPrice / nightsCount) : 0;
-
-  // Предоплата = сумма первых 3 суток (из тултипа, если доступен)
-  // Фоллбэк: (общая сумма / кол. ночей) × 3
-  // content.js переопределит prepayAmount при наличии кешированных посуточных цен
-  var dailyRatesData = parseDailyRatesFromTooltip();
-  var dailyRates = dailyRatesData.rates || dailyRatesData; // поддержка старого формата
-  var prepayAmount = 0;
-  if (dailyRates.length > 0) {
-    var daysForPrepay = Math.min(3, dailyRates.length);
-    for (var dp = 0; dp < daysForPrepay; dp++) {
-      prepayAmount += dailyRates[dp];
-    }
-  } else {
-    prepayAmount = nightsCount > 0
-      ? Math.round((totalPrice / nightsCount) * 3)
-      : 0;
-  }
-  if (prepayAmount > totalPrice) {
-    prepayAmount = totalPrice;
-  }
-
-  // Скидка
-  var discountPercent = calculateDiscount(nightsCount);
-  var discountAmount = Math.round(totalPrice * discountPercent / 100);
-  var fullPaymentWithDiscount = totalPrice - discountAmount;
-
-  // Описание комнаты — только категория, без номера
-  var roomDesc = roomType || '';
-
-  var result = {
-    guestName: guestName || '',
-    guestEmail: guestEmail || '',
-    guestPhone: guestPhone || '',
+  // 11. Строки номеров (в групповом бронировании — несколько)
+  var rooms = parseBookingRooms(container, {
+    roomType: roomType || '',
+    roomNumber: roomNumber || '',
     checkIn: dates.checkIn || '',
     checkOut: dates.checkOut || '',
-    checkInTime: checkTimes.checkInTime || '',
-    checkOutTime: checkTimes.checkOutTime || '',
-    roomType: roomDesc,
+    nightsCount: nightsCount,
+    nightlyRate: nightsCount > 0 ? Math.round(totalPrice / nightsCount) : 0,
     totalPrice: totalPrice,
-    paidAmount: paidAmount,
-    debtAmount: debtAmount,
+    guestCount: guestCount
+  });
+
+  return {
+    bookingNumber: bookingNumber,
+    checkIn: dates.checkIn,
+    checkOut: dates.checkOut,
+    checkInTime: checkTimes.checkInTime,
+    checkOutTime: checkTimes.checkOutTime,
+    roomType: roomType,
+    roomNumber: roomNumber,
+    totalPrice: totalPrice,
+    guestName: guestName,
+    guestEmail: guestEmail,
+    contactEmails: contactEmails,
+    guestPhone: guestPhone,
+    // 12. Оплаченная сумма и долг
+    paidAmount: parsePaidAmount(container, pageText),
+    debtAmount: parseDebtAmount(container, pageText),
     guestCount: guestCount,
-    bookingNumber: bookingNumber || '',
+    // 13. Тариф (для правил предоплаты)
+    ratePlan: parseRatePlan(container),
     nightsCount: nightsCount,
-    nightlyRate: nightlyRate,
-    prepayAmount: prepayAmount,
-    dailyRates: dailyRates,
-    discountPercent: discountPercent,
-    discountAmount: discountAmount,
-    fullPaymentWithDiscount: fullPaymentWithDiscount
+    rooms: rooms,
+    dailyRates: null
   };
-
-  console.log('[KonturPrepay] Данные бронирования:', result);
-  return result;
 }
 
 // ─── Проверка страницы ────────────────────────────────────────
 
-/** Проверяет, что текущий URL — страница бронирования. */
-function isBookingPage() {
-  return /\/bookings\/.*\/id\//.test(window.location.pathname);
+/**
+ * Проверяет, что текущий URL — страница бронирования.
+ * @param {Document} [doc] — по умолчанию текущий документ
+ */
+function isBookingPage(doc) {
+  return /\/bookings\/.*\/id\//.test((doc || document).location.pathname);
+}
+
+/** id бронирования из адреса страницы: /bookings/daily/id/<id> → '<id>' ('' — нет). */
+function getBookingIdFromUrl(doc) {
+  var match = (doc || document).location.pathname.match(/\/id\/([^/?#]+)/);
+  return match ? decodeURIComponent(match[1]) : '';
+}
+
+/** Проверяет, что открыт список бронирований (раздел /bookings без конкретного бронирования). */
+function isBookingsListPage() {
+  return /\/bookings(\/|$)/.test(window.location.pathname) && !isBookingPage();
+}
+
+/**
+ * Строки списка бронирований со ссылками на бронирования.
+ * Строка — ближайший к ссылке элемент-строка таблицы; без неё — родитель ссылки.
+ * @returns {Array} [{ row: Element, url: string, bookingNumber: string }] без повторов url
+ */
+function findBookingListRows() {
+  var links = document.querySelectorAll(BOOKING_SELECTORS.listRowLink);
+  var rows = [];
+  var seen = {};
+  for (var i = 0; i < links.length; i++) {
+    var url = links[i].href;
+    if (seen[url]) {
+      continue;
+    }
+    seen[url] = true;
+    var row = links[i].closest(BOOKING_SELECTORS.listRow) || links[i].parentElement;
+    rows.push({
+      row: row,
+      url: url,
+      bookingNumber: parseBookingNumber(row.textContent || '') ||
+        parseBookingNumber((links[i].textContent || '') + ':') || ''
+    });
+  }
+  return rows;
+}
+
+// Элементы шапки Контура с названием организации / объекта размещения
+var HOTEL_CONTEXT_SELECTORS = [
+  '[data-tid*="Organization"]',
+  '[data-tid*="HotelName"]',
+  '[data-tid*="HotelSelect"]',
+  'header'
+];
+
+/**
+ * Текст для автоопределения профиля отеля (settings-store.js, matchHotelProfile):
+ * адрес страницы, заголовок вкладки и название объекта из шапки Контура.
+ * @returns {string}
+ */
+function parseKonturHotelContext() {
+  var parts = [window.location.href, document.title];
+  for (var i = 0; i < HOTEL_CONTEXT_SELECTORS.length; i++) {
+    var el = document.querySelector(HOTEL_CONTEXT_SELECTORS[i]);
+    if (el && el.textContent) {
+      parts.push(el.textContent.trim().slice(0, 300));
+    }
+  }
+  return parts.join('\n');
 }
 
 // ─── Парсеры отдельных полей ──────────────────────────────────
@@ -552,6 +732,29 @@ function parseGuestEmail(container, text) {
   return emailMatch ? emailMatch[0] : null;
 }
 
+/**
+ * Адреса из секций «Информация», «Плательщик» и «Гости» без повторов;
+ * первым — email заказчика (guestEmail).
+ * @returns {string[]}
+ */
+function parseContactEmails(container, guestEmail) {
+  var emails = guestEmail ? [guestEmail] : [];
+  var labels = BOOKING_SELECTORS.sectionLabels;
+  [labels.info, labels.payer, labels.guests].forEach(function (label) {
+    var section = findSectionByLabel(container, label);
+    var found = section ? (section.textContent || '').match(/[\w.+-]+@[\w-]+\.[\w.]+/g) : null;
+    (found || []).forEach(function (email) {
+      var known = emails.some(function (existing) {
+        return existing.toLowerCase() === email.toLowerCase();
+      });
+      if (!known) {
+        emails.push(email);
+      }
+    });
+  });
+  return emails;
+}
+
 /** Извлекает телефон гостя. */
 function parseGuestPhone(container, text) {
   // Ищем в секции «Информация» (рядом с ФИО и email), чтобы не спутать
@@ -659,44 +862,10 @@ function parseGuestCount(container) {
   var guestsSection = findSectionByLabel(container, 'Гости');
   if (!guestsSection) return result;
 
-  // Извлекаем возрасты детей из data-tid="Age_N"
-  var ageElements = guestsSection.querySelectorAll('[data-tid^="Age_"]');
-  for (var i = 0; i < ageElements.length; i++) {
-    var ageText = (ageElements[i].textContent || '').trim();
-    var age = parseInt(ageText, 10);
-    if (!isNaN(age) && age >= 0 && age < 18) {
-      result.childrenAges.push(age);
-    }
-  }
+  result.childrenAges = parseChildrenAges(guestsSection);
 
   // Способ 1 (приоритетный): извлекаем из сводки «2 [adult-icon] 1 [child-icon]»
-  // Ищем div-ы: span(число) + span(svg-иконка)
-  var summaryDivs = guestsSection.querySelectorAll('div');
-  for (var s = 0; s < summaryDivs.length; s++) {
-    var div = summaryDivs[s];
-    if (div.children.length === 2 &&
-        div.children[0].tagName === 'SPAN' &&
-        div.children[1].tagName === 'SPAN' &&
-        div.children[1].querySelector &&
-        div.children[1].querySelector('svg')) {
-      var numText = (div.children[0].textContent || '').trim();
-      var num = parseInt(numText, 10);
-      if (!isNaN(num) && num > 0 && num < 100) {
-        // Определяем тип по SVG-иконке: ребёнок имеет характерные path-фрагменты
-        var svgHtml = div.children[1].innerHTML || '';
-        // Иконка ребёнка 16×16: "1.854 3.646" (фигура с руками), "M8 1.25a2.75" (маленькая голова)
-        // Иконка ребёнка 20×20: "1.325 3.24", "M10 .5a3.563" (спортивная фигура)
-        if (svgHtml.indexOf('1.854 3.646') !== -1 ||
-            svgHtml.indexOf('M8 1.25a2.75') !== -1 ||
-            svgHtml.indexOf('1.325 3.24') !== -1 ||
-            svgHtml.indexOf('M10 .5a3.563') !== -1) {
-          result.children += num;
-        } else {
-          result.adults += num;
-        }
-      }
-    }
-  }
+  countGuestsByIcons(guestsSection, result);
 
   if (result.adults > 0 || result.children > 0) {
     result.total = result.adults + result.children;
@@ -731,27 +900,77 @@ function parseGuestCount(container) {
     result.adults = Math.max(0, result.total - result.children);
   }
 
-  // Формируем читаемый текст
+  result.text = describeGuestCount(result);
+  return result;
+}
+
+/** Возрасты детей из элементов data-tid="Age_N". */
+function parseChildrenAges(root) {
+  var ages = [];
+  var ageElements = root.querySelectorAll('[data-tid^="Age_"]');
+  for (var i = 0; i < ageElements.length; i++) {
+    var ageText = (ageElements[i].textContent || '').trim();
+    var age = parseInt(ageText, 10);
+    if (!isNaN(age) && age >= 0 && age < 18) {
+      ages.push(age);
+    }
+  }
+  return ages;
+}
+
+/**
+ * Считает гостей по сводке «2 [adult-icon] 1 [child-icon]» и добавляет в result.adults / result.children.
+ */
+function countGuestsByIcons(root, result) {
+  // Ищем div-ы: span(число) + span(svg-иконка)
+  var summaryDivs = root.querySelectorAll('div');
+  for (var s = 0; s < summaryDivs.length; s++) {
+    var div = summaryDivs[s];
+    if (div.children.length === 2 &&
+        div.children[0].tagName === 'SPAN' &&
+        div.children[1].tagName === 'SPAN' &&
+        div.children[1].querySelector &&
+        div.children[1].querySelector('svg')) {
+      var numText = (div.children[0].textContent || '').trim();
+      var num = parseInt(numText, 10);
+      if (!isNaN(num) && num > 0 && num < 100) {
+        // Определяем тип по SVG-иконке: ребёнок имеет характерные path-фрагменты
+        var svgHtml = div.children[1].innerHTML || '';
+        // Иконка ребёнка 16×16: "1.854 3.646" (фигура с руками), "M8 1.25a2.75" (маленькая голова)
+        // Иконка ребёнка 20×20: "1.325 3.24", "M10 .5a3.563" (спортивная фигура)
+        if (svgHtml.indexOf('1.854 3.646') !== -1 ||
+            svgHtml.indexOf('M8 1.25a2.75') !== -1 ||
+            svgHtml.indexOf('1.325 3.24') !== -1 ||
+            svgHtml.indexOf('M10 .5a3.563') !== -1) {
+          result.children += num;
+        } else {
+          result.adults += num;
+        }
+      }
+    }
+  }
+}
+
+/** «2 взрослых, 1 ребёнок (5 лет)». */
+function describeGuestCount(count) {
   var parts = [];
-  if (result.adults > 0) {
-    parts.push(result.adults + ' ' + pluralize(result.adults, 'взрослый', 'взрослых', 'взрослых'));
+  if (count.adults > 0) {
+    parts.push(count.adults + ' ' + pluralize(count.adults, 'взрослый', 'взрослых', 'взрослых'));
   }
-  if (result.children > 0) {
-    var childStr = result.children + ' ' +
-      pluralize(result.children, 'ребёнок', 'ребёнка', 'детей');
-    if (result.childrenAges.length > 0) {
+  if (count.children > 0) {
+    var childStr = count.children + ' ' +
+      pluralize(count.children, 'ребёнок', 'ребёнка', 'детей');
+    if (count.childrenAges.length > 0) {
       var ageStrs = [];
-      for (var a = 0; a < result.childrenAges.length; a++) {
-        var ag = result.childrenAges[a];
+      for (var a = 0; a < count.childrenAges.length; a++) {
+        var ag = count.childrenAges[a];
         ageStrs.push(ag + ' ' + pluralize(ag, 'год', 'года', 'лет'));
       }
       childStr += ' (' + ageStrs.join(', ') + ')';
     }
     parts.push(childStr);
   }
-  result.text = parts.join(', ');
-
-  return result;
+  return parts.join(', ');
 }
 
 /** Склонение существительных: 1 гость, 2 гостя, 5 гостей */
@@ -777,6 +996,161 @@ function parseCheckTimes(text) {
   return { checkInTime: null, checkOutTime: null };
 }
 
+/**
+ * Ищет тариф бронирования (для правил предоплаты).
+ * Best-effort: значение рядом с подписью «Тариф» / «Тарифный план»;
+ * если подпись не найдена — пустая строка (условия по тарифу не сработают).
+ */
+function parseRatePlan(container) {
+  var labels = ['Тариф', 'Тарифный план'];
+  var allElements = container.querySelectorAll('div, span');
+
+  for (var i = 0; i < allElements.length; i++) {
+    var el = allElements[i];
+    var directText = getDirectTextContent(el).trim().replace(/:$/, '');
+    if (labels.indexOf(directText) === -1) {
+      continue;
+    }
+
+    // Значение — в соседнем элементе или в тексте родителя после подписи
+    var value = el.nextElementSibling ? (el.nextElementSibling.textContent || '').trim() : '';
+    if (!value && el.parentElement) {
+      value = (el.parentElement.textContent || '').replace(getDirectTextContent(el), '').trim();
+    }
+    if (value && value.length < 100) {
+      return value;
+    }
+  }
+
+  return '';
+}
+
+// ─── Номера группового бронирования ───────────────────────────
+
+/**
+ * Строки номеров бронирования. В групповом бронировании у каждого номера свой блок
+ * с заголовком категории, датами, ценой и гостями; блок — наибольший предок
+ * заголовка, в котором нет заголовков других номеров.
+ *
+ * Если блоков меньше двух или у какого-то номера не нашлась цена (или сумма по номерам
+ * больше общей стоимости — значит, цены прочитаны неверно) — одна строка из общих полей.
+ *
+ * @param {Element} container — #MainPageTopBar
+ * @param {Object} booking — общие поля: { roomType, roomNumber, checkIn, checkOut,
+ *   nightsCount, nightlyRate, totalPrice, guestCount }
+ * @returns {Array} [{ roomType, roomNumber, checkIn, checkOut, nightsCount, nightlyRate,
+ *   totalPrice, guestCount }]
+ */
+function parseBookingRooms(container, booking) {
+  var single = [booking];
+  var blocks = findRoomBlocks(container);
+  if (blocks.length < 2) {
+    return single;
+  }
+
+  var rooms = blocks.map(function (block) {
+    var text = block.element.textContent || '';
+    var dates = parseDates(text);
+    var checkIn = dates.checkIn || booking.checkIn;
+    var checkOut = dates.checkOut || booking.checkOut;
+    var nightsCount = checkIn && checkOut ? calculateNights(checkIn, checkOut) : booking.nightsCount;
+
+    // Сумма за номер — наибольшая цена блока (рядом бывает цена за сутки)
+    var totalPrice = 0;
+    (text.match(/([\d\s\u00a0]+)\s*₽/g) || []).forEach(function (price) {
+      totalPrice = Math.max(totalPrice, parsePrice(price));
+    });
+
+    var guestCount = { adults: 0, children: 0, childrenAges: parseChildrenAges(block.element), total: 0, text: '' };
+    countGuestsByIcons(block.element, guestCount);
+    guestCount.total = guestCount.adults + guestCount.children;
+    guestCount.text = describeGuestCount(guestCount);
+
+    return {
+      roomType: block.title,
+      roomNumber: parseRoomNumber(block.element) || '',
+      checkIn: checkIn,
+      checkOut: checkOut,
+      nightsCount: nightsCount,
+      nightlyRate: nightsCount > 0 ? Math.round(totalPrice / nightsCount) : 0,
+      totalPrice: totalPrice,
+      guestCount: guestCount
+    };
+  });
+
+  var roomsTotal = 0;
+  for (var i = 0; i < rooms.length; i++) {
+    if (!(rooms[i].totalPrice > 0)) {
+      console.warn('[KonturPrepay] Не найдена цена номера', rooms[i].roomType, '— бронирование считается одним номером');
+      return single;
+    }
+    roomsTotal += rooms[i].totalPrice;
+  }
+  if (booking.totalPrice > 0 && roomsTotal > booking.totalPrice) {
+    console.warn('[KonturPrepay] Сумма по номерам больше общей стоимости — бронирование считается одним номером');
+    return single;
+  }
+
+  console.log('[KonturPrepay] Групповое бронирование, номеров:', rooms.length);
+  return rooms;
+}
+
+/**
+ * Блоки номеров: [{ element, title }] в порядке на странице.
+ * Заголовки — элементы BOOKING_SELECTORS.roomTitle, без них — самые вложенные
+ * элементы с названием категории и корпусом (ROOM_CATEGORY_PATTERN).
+ */
+function findRoomBlocks(container) {
+  var titles = Array.prototype.slice.call(container.querySelectorAll(BOOKING_SELECTORS.roomTitle));
+  if (titles.length < 2) {
+    titles = Array.prototype.filter.call(container.querySelectorAll('div, span'), function (el) {
+      var text = (el.textContent || '').trim();
+      if (text.length > 150 || !ROOM_CATEGORY_PATTERN.test(text)) {
+        return false;
+      }
+      // Самый вложенный: ни у одного дочернего элемента нет того же названия
+      for (var c = 0; c < el.children.length; c++) {
+        if (ROOM_CATEGORY_PATTERN.test(el.children[c].textContent || '')) {
+          return false;
+        }
+      }
+      return true;
+    });
+  }
+  if (titles.length < 2) {
+    return [];
+  }
+
+  return titles.map(function (title) {
+    var block = title;
+    while (block.parentElement && block.parentElement !== container &&
+           countContained(block.parentElement, titles) === 1) {
+      block = block.parentElement;
+    }
+    var name = (title.getAttribute('title') || title.textContent || '').trim();
+    return { element: block, title: name };
+  }).filter(function (block) {
+    return /₽/.test(block.element.textContent || '');
+  });
+}
+
+/** Сколько элементов из списка лежит внутри root. */
+function countContained(root, elements) {
+  var count = 0;
+  for (var i = 0; i < elements.length; i++) {
+    if (root.contains(elements[i])) {
+      count++;
+    }
+  }
+  return count;
+}
+
+function uniqueValues(values) {
+  return values.filter(function (value, index) {
+    return value && values.indexOf(value) === index;
+  });
+}
+
 // ─── Поиск секций по тексту заголовка ─────────────────────────
 
 /**
@@ -840,6 +1214,30 @@ function findBookingContainer() {
   return document.getElementById('MainPageTopBar') || null;
 }
 
+/**
+ * Находит иконку «i» (info) рядом со стоимостью проживания.
+ * При наведении на неё появляется тултип с посуточными ценами.
+ * @param {Document} [doc] — по умолчанию текущий документ
+ */
+function findPriceInfoIcon(doc) {
+  var container = (doc || document).getElementById('MainPageTopBar');
+  if (!container) return null;
+
+  var svgs = container.querySelectorAll('svg[data-tid="Icon__root"]');
+  for (var i = 0; i < svgs.length; i++) {
+    var paths = svgs[i].querySelectorAll('path');
+    for (var j = 0; j < paths.length; j++) {
+      var d = paths[j].getAttribute('d') || '';
+      // Характерный path точки буквы «i» в круге
+      if (d.indexOf('M7.25 5.5') !== -1) {
+        var trigger = svgs[i].closest('[tabindex]');
+        return trigger || svgs[i].parentElement;
+      }
+    }
+  }
+  return null;
+}
+
 /**
  * Находит точку вставки кнопки.
  * Вставляем рядом с «Другие действия» в шапке бронирования.
@@ -913,33 +1311,14 @@ function parseDate(str) {
   return isNaN(d.getTime()) ? null : d;
 }
 
-// ─── Расчёт скидки ────────────────────────────────────────────
-
-/**
- * Определяет процент скидки по количеству ночей:
- *  - до 3 ночей  → 0%
- *  - 4–5 ночей   → 5%
- *  - 6+ ночей    → 8%
- */
-function calculateDiscount(nightsCount) {
-  if (nightsCount >= 6) {
-    return 8;
-  }
-  if (nightsCount >= 4) {
-    return 5;
-  }
-  return 0;
-}
-
 // ─── Парсинг модального окна бронирования ──────────────────────
 
 /**
  * Парсит данные из модального окна создания/редактирования бронирования.
- * Предоплата = сумма первых 3 суток (из посуточных цен модального окна).
- * Фоллбэк: (общая сумма / кол. ночей) × 3.
+ * Предоплата — по правилам (calculatePrepay) от посуточных цен модального окна.
  *
  * @param {Element} modalRoot — корневой элемент модального окна (или document для поиска)
- * @returns {{ totalPrice: number, nightsCount: number, prepayAmount: number, dailyRates: number[] }|null}
+ * @returns {{ totalPrice: number, nightsCount: number, prepayAmount: number, prepayNights: number, prepayDescription: string, dailyRates: number[] }|null}
  */
 function parseBookingModalData(modalRoot) {
   var root = modalRoot || document;
@@ -1013,20 +1392,19 @@ function parseBookingModalData(modalRoot) {
     }
   }
 
-  // 3. Если ночей не нашли — считаем по датам
-  if (nightsCount <= 0) {
-    var hiddenInputs = root.querySelectorAll('input[type="hidden"][data-tid="InputLikeText__nativeInput"]');
-    var dateValues = [];
-    for (var k = 0; k < hiddenInputs.length; k++) {
-      var v = (hiddenInputs[k].value || '').trim();
-      if (/^\d{1,2}\.\d{1,2}\.\d{4}$/.test(v)) {
-        dateValues.push(v);
-      }
-    }
-    if (dateValues.length >= 2) {
-      nightsCount = calculateNights(dateValues[0], dateValues[1]);
+  // 3. Даты заезда/выезда (скрытые инпуты) — для правил предоплаты
+  //    и для подсчёта ночей, если их не нашли
+  var hiddenInputs = root.querySelectorAll('input[type="hidden"][data-tid="InputLikeText__nativeInput"]');
+  var dateValues = [];
+  for (var k = 0; k < hiddenInputs.length; k++) {
+    var v = (hiddenInputs[k].value || '').trim();
+    if (/^\d{1,2}\.\d{1,2}\.\d{4}$/.test(v)) {
+      dateValues.push(v);
     }
   }
+  if (nightsCount <= 0 && dateValues.length >= 2) {
+    nightsCount = calculateNights(dateValues[0], dateValues[1]);
+  }
 
   if (totalPrice <= 0 || nightsCount <= 0) {
     return null;
@@ -1034,29 +1412,24 @@ function parseBookingModalData(modalRoot) {
 
   var nightlyRate = nightsCount > 0 ? Math.round(totalPrice / nightsCount) : 0;
 
-  // Предоплата = сумма первых 3 суток (из модального окна)
+  // Предоплата — по правилам (посуточные цены из модального окна)
   var dailyRatesData = parseDailyRatesFromElement(root);
   var dailyRates = dailyRatesData.rates || dailyRatesData; // поддержка старого формата
-  var prepayAmount = 0;
-  if (dailyRates.length > 0) {
-    var daysForPrepay = Math.min(3, dailyRates.length);
-    for (var dp = 0; dp < daysForPrepay; dp++) {
-      prepayAmount += dailyRates[dp];
-    }
-  } else {
-    // Фоллбэк: (общая сумма / кол. ночей) × 3
-    prepayAmount = nightsCount > 0
-      ? Math.round((totalPrice / nightsCount) * 3)
-      : 0;
-  }
-  if (prepayAmount > totalPrice) {
-    prepayAmount = totalPrice;
-  }
+  var prepay = calculatePrepay({
+    totalPrice: totalPrice,
+    nightsCount: nightsCount,
+    dailyRates: dailyRates,
+    checkIn: dateValues[0] || '',
+    roomType: parseRoomType(root),
+    ratePlan: parseRatePlan(root)
+  });
 
   return {
     totalPrice: totalPrice,
     nightsCount: nightsCount,
-    prepayAmount: prepayAmount,
+    prepayAmount: prepay.amount,
+    prepayNights: prepay.nights,
+    prepayDescription: prepay.description,
     dailyRates: dailyRates
   };
 }
@@ -1178,10 +1551,11 @@ function parseDailyRatesFromElement(root) {
 /**
  * Находит видимый тултип «Стоимость проживания» и извлекает из него посуточные цены.
  *
+ * @param {Document} [doc] — по умолчанию текущий документ
  * @returns {{ rates: number[], ratesWithDiscount: number[], totalPrice: number, totalPriceWithDiscount: number, discountPercent: number }} — данные о ценах и скидке
  */
-function parseDailyRatesFromTooltip() {
-  var tooltips = document.querySelectorAll('[data-tid="Tooltip__content"]');
+function parseDailyRatesFromTooltip(doc) {
+  var tooltips = (doc || document).querySelectorAll('[data-tid="Tooltip__content"]');
   for (var i = 0; i < tooltips.length; i++) {
     var tooltip = tooltips[i];
     var text = tooltip.textContent || '';
@@ -0,0 +1,162 @@
+/**
+ * Скидки за длительное проживание (скидка на QR полной оплаты).
+ *
+ * Настройки (страница настроек, ключ storage «discountSettings»):
+ *   {
+ *     mode: 'stack' | 'max',   — суммировать со скидкой Контура или брать наибольшую
+ *     tiers: [
+ *       {
+ *         id, name, enabled,
+ *         minNights: number,                           — от скольких ночей действует
+ *         percent: number,
+ *         seasons: [ { from: 'ДД.ММ', to: 'ДД.ММ' } ], — по дате заезда; пусто — круглый год
+ *         excludedRoomCategories: [ 'Коттедж', ... ]   — подстрока категории, без учёта регистра
+ *       }
+ *     ]
+ *   }
+ *
+ * Из подходящих ступеней берётся ступень с наибольшим порогом ночей.
+ * Без настроек действуют прежние ступени: 4–5 ночей → 5%, 6+ ночей → 8%, суммирование.
+ *
+ * Зависимости: settings-store.js (getSetting), data-parser.js (parseDate),
+ * prepay-rules.js (isDateInSeason, parseSeasonDay, containsAnyIgnoreCase).
+ */
+
+var DISCOUNT_MODES = {
+  stack: 'Суммировать со скидкой Контура',
+  max: 'Применять наибольшую из скидок'
+};
+
+var DEFAULT_DISCOUNT_SETTINGS = {
+  mode: 'stack',
+  tiers: [
+    { id: 'nights-4', name: '4+ ночей', enabled: true, minNights: 4, percent: 5, seasons: [], excludedRoomCategories: [] },
+    { id: 'nights-6', name: '6+ ночей', enabled: true, minNights: 6, percent: 8, seasons: [], excludedRoomCategories: [] }
+  ]
+};
+
+/** Настройки скидок (или значения по умолчанию). */
+function getDiscountSettings() {
+  var settings = getSetting('discountSettings');
+  if (!settings || !settings.tiers) {
+    return DEFAULT_DISCOUNT_SETTINGS;
+  }
+  return {
+    mode: settings.mode === 'max' ? 'max' : 'stack',
+    tiers: settings.tiers
+  };
+}
+
+/**
+ * Скидка за длительность для бронирования.
+ *
+ * @param {Object} context — { nightsCount, checkIn: 'ДД.ММ.ГГГГ', roomType }
+ * @param {Object} [settings] — настройки скидок (по умолчанию — из настроек расширения)
+ * @returns {{ percent: number, tierName: string, mode: string }}
+ */
+function calculateStayDiscount(context, settings) {
+  settings = settings || getDiscountSettings();
+  var best = null;
+
+  settings.tiers.forEach(function (tier) {
+    if (tier.enabled === false || !discountTierMatches(tier, context)) {
+      return;
+    }
+    if (!best || tier.minNights > best.minNights ||
+        (tier.minNights === best.minNights && tier.percent > best.percent)) {
+      best = tier;
+    }
+  });
+
+  return {
+    percent: best ? best.percent : 0,
+    tierName: best ? best.name : '',
+    mode: settings.mode
+  };
+}
+
+function discountTierMatches(tier, context) {
+  if ((context.nightsCount || 0) < tier.minNights) {
+    return false;
+  }
+
+  if (tier.seasons && tier.seasons.length > 0) {
+    var checkIn = parseDate(context.checkIn);
+    if (!checkIn || !tier.seasons.some(function (season) {
+      return isDateInSeason(checkIn, season);
+    })) {
+      return false;
+    }
+  }
+
+  if (tier.excludedRoomCategories && tier.excludedRoomCategories.length > 0 &&
+      containsAnyIgnoreCase(context.roomType, tier.excludedRoomCategories)) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Итоговая скидка на полную оплату и её расшифровка.
+ *
+ * @param {number} stayPercent — скидка за длительность (calculateStayDiscount)
+ * @param {string} tierName — название сработавшей ступени
+ * @param {number} konturPercent — скидка, уже заложенная в цену Контура (из тултипа)
+ * @param {string} mode — 'stack' | 'max'
+ * @returns {{ percent: number, text: string }} text — «6+ ночей 8% + скидка Контура 5% = 13%»
+ */
+function combineDiscounts(stayPercent, tierName, konturPercent, mode) {
+  var parts = [];
+  if (stayPercent > 0) {
+    parts.push({ label: tierName ? '«' + tierName + '»' : 'за длительность', percent: stayPercent });
+  }
+  if (konturPercent > 0) {
+    parts.push({ label: 'скидка Контура', percent: konturPercent });
+  }
+
+  if (parts.length === 0) {
+    return { percent: 0, text: '' };
+  }
+
+  var labels = parts.map(function (part) {
+    return part.label + ' ' + part.percent + '%';
+  });
+
+  if (parts.length === 1) {
+    return { percent: parts[0].percent, text: labels[0] };
+  }
+
+  if (mode === 'max') {
+    var percent = Math.max(stayPercent, konturPercent);
+    return {
+      percent: percent,
+      text: 'наибольшая из: ' + labels.join(', ') + ' → ' + percent + '%'
+    };
+  }
+
+  return {
+    percent: stayPercent + konturPercent,
+    text: labels.join(' + ') + ' = ' + (stayPercent + konturPercent) + '%'
+  };
+}
+
+/**
+ * Проверяет ступень скидки перед сохранением.
+ * @returns {string} текст ошибки или ''
+ */
+function validateDiscountTier(tier) {
+  if (!(isFiniteNumber(tier.minNights) && tier.minNights >= 1 && tier.minNights === Math.floor(tier.minNights))) {
+    return 'порог ночей должен быть целым числом от 1';
+  }
+  if (!(isFiniteNumber(tier.percent) && tier.percent > 0 && tier.percent < 100)) {
+    return 'процент скидки должен быть от 0 до 100';
+  }
+  var seasons = tier.seasons || [];
+  for (var i = 0; i < seasons.length; i++) {
+    if (parseSeasonDay(seasons[i].from) === null || parseSeasonDay(seasons[i].to) === null) {
+      return 'сезон должен быть в формате ДД.ММ–ДД.ММ';
+    }
+  }
+  return '';
+}
@@ -0,0 +1,322 @@
+/**
+ * Клиент истории выданных документов (content script и popup).
+ *
+ * Записи хранит service worker (background/document-history.js).
+ * Здесь — отправка записей, загрузка списка и повторное формирование PDF
+ * по сохранённому снимку данных бронирования.
+ *
+ * Зависимости (загружены ранее): invoice-generator.js, confirmation-generator.js,
+ * email-sender.js, email-templates.js, hotel-requisites.js.
+ *
+ * В снимок записи попадают и реквизиты отеля на момент выдачи: повторно
+ * сформированный документ совпадает с выданным, даже если реквизиты потом поменяли.
+ */
+
+var HISTORY_TYPE_LABELS = {
+  invoice: 'Счёт',
+  voucher: 'Ваучер'
+};
+
+var SEND_STATUS_LABELS = {
+  sent: 'отправлен на ',
+  queued: 'в очереди на отправку на ',
+  failed: 'ошибка отправки на '
+};
+
+// Статус доставки отправленного письма (backend/lib/delivery-status.js)
+var DELIVERY_STATUS_LABELS = {
+  delivered: 'доставлено',
+  bounced: 'не доставлено',
+  delayed: 'доставка задерживается',
+  sent: 'доставка не подтверждена',
+  unknown: 'статус доставки неизвестен'
+};
+
+/** Отправляет сообщение в service worker, callback(error, data). */
+function sendHistoryMessage(action, data, callback) {
+  chrome.runtime.sendMessage({ action: action, data: data }, function (response) {
+    if (chrome.runtime.lastError) {
+      callback(chrome.runtime.lastError.message);
+    } else if (response && response.success) {
+      callback(null, response.data);
+    } else {
+      callback((response && response.error) || 'Неизвестная ошибка');
+    }
+  });
+}
+
+/**
+ * Сохраняет запись о сформированном документе.
+ * Ошибка сохранения истории не должна мешать скачиванию/отправке,
+ * поэтому callback вызывается всегда: с записью или с null.
+ *
+ * @param {string} type — 'invoice' | 'voucher'
+ * @param {Object} bookingData — данные, по которым сформирован PDF
+ * @param {Object} pdfResult — результат генератора ({ filename, ... })
+ * @param {Object} options — параметры генератора (для повторного формирования)
+ * @param {Function} [callback] — (record | null)
+ */
+function recordDocument(type, bookingData, pdfResult, options, callback) {
+  var record = {
+    type: type,
+    bookingNumber: bookingData.bookingNumber || '',
+    guestName: bookingData.guestName || '',
+    guestEmail: bookingData.guestEmail || '',
+    amount: type === 'invoice' ? bookingData.prepayAmount : (bookingData.paidAmount || 0),
+    totalPrice: bookingData.totalPrice || 0,
+    invoiceNumber: (options && options.invoiceNumber) || '',
+    filename: pdfResult.filename,
+    snapshot: {
+      bookingData: bookingData,
+      options: options || {},
+      hotelDetails: getHotelRequisitesSnapshot(),
+      profileId: getActiveHotelProfileId()
+    }
+  };
+
+  sendHistoryMessage('ADD_HISTORY_RECORD', record, function (error, saved) {
+    if (error) {
+      console.error('[KonturPrepay] Не удалось сохранить документ в историю:', error);
+    }
+    if (callback) {
+      callback(error ? null : saved);
+    }
+  });
+}
+
+/**
+ * Сохраняет результат отправки документа.
+ * @param {Object|null} record — запись истории (null — история недоступна)
+ * @param {Object} result — { to, status: 'sent' | 'failed' | 'queued', messageId, imapSaved, error }
+ * @param {Object} [email] — { to, cc, bcc, subject, body }
+ */
+function recordSendResult(record, result, email) {
+  if (!record) {
+    return;
+  }
+  sendHistoryMessage('ADD_HISTORY_SEND_RESULT', { id: record.id, result: result, email: email }, function (error) {
+    if (error) {
+      console.error('[KonturPrepay] Не удалось сохранить результат отправки в историю:', error);
+    }
+  });
+}
+
+/**
+ * Результат отправки для истории по ответу service worker: { messageId, imapSaved }
+ * или { queued: true, error } — письмо в очереди (outbox.js), итог допишется позже.
+ */
+function buildSendResult(to, data) {
+  if (data && data.queued) {
+    return { to: to, status: 'queued', error: data.error };
+  }
+  return {
+    to: to,
+    status: 'sent',
+    messageId: data && data.messageId,
+    imapSaved: data && data.imapSaved
+  };
+}
+
+/**
+ * Загружает историю документов.
+ * @param {Object} filter — { bookingNumber, type }
+ * @param {Function} onSuccess — (records)
+ * @param {Function} onError — (errorMessage)
+ */
+function loadDocumentHistory(filter, onSuccess, onError) {
+  sendHistoryMessage('GET_HISTORY', filter || {}, function (error, records) {
+    if (error) {
+      onError(error);
+    } else {
+      onSuccess(records || []);
+    }
+  });
+}
+
+/**
+ * Резервирует автоотправку ваучера по оплате (service worker, claimAutoVoucher):
+ * по одной оплате ваучер уходит не больше одного раза.
+ * @param {Function} callback — (claimed) — false и при ошибке: лучше не отправить, чем отправить дважды
+ */
+function requestAutoVoucherClaim(bookingNumber, paidAmount, callback) {
+  sendHistoryMessage('CLAIM_AUTO_VOUCHER', { bookingNumber: bookingNumber, paidAmount: paidAmount },
+    function (error, claimed) {
+      if (error) {
+        console.error('[KonturPrepay] Не удалось проверить автоотправку ваучера:', error);
+      }
+      callback(!error && claimed === true);
+    });
+}
+
+/**
+ * Сообщает внесённую по бронированию сумму для контроля сроков оплаты
+ * (service worker, payment-deadlines.js). Бронирования без отправленного счёта не отслеживаются.
+ * Ошибки только в консоль.
+ */
+function reportDeadlinePayment(bookingNumber, paidAmount) {
+  sendHistoryMessage('UPDATE_DEADLINE_PAYMENT', { bookingNumber: bookingNumber, paidAmount: paidAmount },
+    function (error) {
+      if (error) {
+        console.warn('[KonturPrepay] Не удалось обновить оплату по сроку счёта:', error);
+      }
+    });
+}
+
+/**
+ * Обновляет статусы доставки отправленных писем (service worker спрашивает backend
+ * не чаще раза в минуту). Ошибки только в консоль — история показывается и без статусов.
+ * @param {Function} callback — (updated) — сколько отправок изменило статус
+ */
+function refreshDeliveryStatus(callback) {
+  sendHistoryMessage('REFRESH_DELIVERY_STATUS', {}, function (error, result) {
+    if (error) {
+      console.warn('[KonturPrepay] Не удалось обновить статусы доставки:', error);
+    }
+    callback(error ? 0 : (result && result.updated) || 0);
+  });
+}
+
+/**
+ * Повторно формирует PDF по снимку из истории.
+ * @returns {{ blob: Blob, base64: string, filename: string }}
+ */
+function regenerateDocument(record) {
+  var snapshot = record.snapshot || {};
+  if (!snapshot.bookingData) {
+    throw new Error('В записи истории нет данных для повторного формирования');
+  }
+  // Печать, подпись и тексты — того профиля отеля, для которого документ выдан
+  return withHotelProfile(getRecordProfileId(record), function () {
+    // Записи до появления снимка реквизитов формируются по текущим
+    var hotelDetails = Object.assign(getHotelDetails(), snapshot.hotelDetails);
+    if (record.type === 'invoice') {
+      return generateInvoicePDF(snapshot.bookingData, hotelDetails, snapshot.options || {});
+    }
+    return generateConfirmationPDF(snapshot.bookingData, hotelDetails);
+  });
+}
+
+/** Профиль отеля записи: null — записи до появления профилей (обычный выбор профиля). */
+function getRecordProfileId(record) {
+  var profileId = (record.snapshot || {}).profileId;
+  return profileId === undefined ? null : profileId;
+}
+
+/**
+ * Повторно отправляет документ из истории тому же получателю
+ * с тем же текстом письма (если письмо уже отправлялось).
+ *
+ * @param {Object} record — запись истории
+ * @param {Function} onSuccess — (to, queued) — queued: сервер недоступен, письмо в очереди
+ * @param {Function} onError — (errorMessage)
+ */
+function resendHistoryDocument(record, onSuccess, onError) {
+  // Текст письма и отправитель (читаются до передачи в service worker) — профиля записи
+  withHotelProfile(getRecordProfileId(record), function () {
+    resendWithRecordProfile(record, onSuccess, onError);
+  });
+}
+
+function resendWithRecordProfile(record, onSuccess, onError) {
+  var pdfResult;
+  try {
+    pdfResult = regenerateDocument(record);
+  } catch (error) {
+    onError(error.message);
+    return;
+  }
+
+  var email = record.email || {};
+  var to = email.to || record.guestEmail;
+  var emailData = {
+    to: to,
+    cc: email.cc,
+    bcc: email.bcc,
+    guestName: record.guestName,
+    bookingNumber: record.bookingNumber,
+    pdfBase64: pdfResult.base64,
+    pdfFilename: pdfResult.filename,
+    emailSubject: email.subject,
+    emailBody: email.body,
+    historyId: record.id,
+    // Повторная отправка — новое письмо, а не повтор прежнего запроса (ключ идемпотентности)
+    sendAttempt: (record.sends || []).length
+  };
+
+  var handleSuccess = function (data) {
+    recordSendResult(record, buildSendResult(to, data));
+    onSuccess(to, !!(data && data.queued));
+  };
+  var handleError = function (errorMessage) {
+    recordSendResult(record, { to: to, status: 'failed', error: errorMessage });
+    onError(errorMessage);
+  };
+
+  // Письмо ещё не отправлялось — текст по текущему шаблону (email-templates.js)
+  var bookingData = (record.snapshot || {}).bookingData;
+  if (record.type === 'voucher') {
+    emailData.bookingData = bookingData;
+    sendConfirmationEmail(emailData, handleSuccess, handleError);
+  } else {
+    if (!email.body) {
+      try {
+        var built = buildTemplateEmail('invoice', bookingData);
+        emailData.emailSubject = built.subject;
+        emailData.emailBody = built.body;
+      } catch (error) {
+        handleError('Ошибка в шаблоне письма: ' + error.message);
+        return;
+      }
+    }
+    sendInvoiceEmail(emailData, handleSuccess, handleError);
+  }
+}
+
+/**
+ * Краткое текстовое описание записи для списков истории.
+ * @returns {{ title: string, meta: string, sendStatus: string, bounced: boolean }}
+ *   bounced — последнее письмо вернулось недоставленным
+ */
+function describeHistoryRecord(record) {
+  var title = (HISTORY_TYPE_LABELS[record.type] || record.type) +
+    (record.invoiceNumber ? ' № ' + record.invoiceNumber : '') +
+    ' · ' + (record.bookingNumber || '—');
+
+  var meta = (record.guestName || '—') + ' · ' +
+    formatMoney(record.amount) + ' из ' + formatMoney(record.totalPrice) + ' руб. · ' +
+    formatHistoryDate(record.createdAt);
+
+  var sendStatus = 'не отправлялся';
+  var lastSend = record.sends && record.sends.length > 0 ? record.sends[record.sends.length - 1] : null;
+  if (lastSend) {
+    sendStatus = (SEND_STATUS_LABELS[lastSend.status] || SEND_STATUS_LABELS.failed) +
+      (lastSend.to || '—') + ' ' + formatHistoryDate(lastSend.at) +
+      (lastSend.error ? ' (' + lastSend.error + ')' : '');
+    if (lastSend.status === 'sent' && lastSend.delivery) {
+      sendStatus += ' · ' + describeDelivery(lastSend.delivery);
+    }
+  }
+
+  var bounced = !!(lastSend && lastSend.status === 'sent' && lastSend.delivery &&
+    lastSend.delivery.status === 'bounced');
+  return { title: title, meta: meta, sendStatus: sendStatus, bounced: bounced };
+}
+
+/** «не доставлено (5.1.1 User unknown)», «доставлено (нет возврата за 48 ч)». */
+function describeDelivery(delivery) {
+  var label = DELIVERY_STATUS_LABELS[delivery.status] || DELIVERY_STATUS_LABELS.unknown;
+  if (delivery.reason) {
+    return label + ' (' + delivery.reason + ')';
+  }
+  return delivery.assumed ? label + ' (возврата не было)' : label;
+}
+
+/** «05.05.2026 14:30» из ISO-строки. */
+function formatHistoryDate(iso) {
+  if (!iso) {
+    return '—';
+  }
+  var d = new Date(iso);
+  return padZero(d.getDate()) + '.' + padZero(d.getMonth() + 1) + '.' + d.getFullYear() +
+    ' ' + padZero(d.getHours()) + ':' + padZero(d.getMinutes());
+}
@@ -7,65 +7,95 @@
  * Поток:
  *  content.js → sendInvoiceEmail() → chrome.runtime.sendMessage →
  *  → service-worker.js → backend API → Yandex SMTP → email гостя
- */
-
-/**
- * Отправляет счёт на email гостя через service worker и backend.
  *
- * @param {Object} emailData
- * @param {string} emailData.to — email получателя
- * @param {string} emailData.guestName — имя гостя (для темы письма)
- * @param {string} emailData.bookingNumber — номер бронирования
- * @param {string} emailData.pdfBase64 — PDF в формате base64
- * @param {string} emailData.pdfFilename — имя файла PDF
- * @param {Function} onSuccess — callback при успехе
- * @param {Function} onError — callback при ошибке (принимает строку с ошибкой)
+ * Текст письма — по шаблонам (email-templates.js), отправитель (senderProfile,
+ * senderName) — из настроек активного профиля отеля (hotel-requisites.js: getEmailSender).
+ * Вместе с текстом уходит HTML-версия того же текста и логотип отеля
+ * (см. buildEmailHtmlParts): backend собирает письмо multipart/alternative.
+ *
+ * Если сервер недоступен, service worker ставит письмо в очередь (outbox.js) и отвечает
+ * успехом с { queued: true, outboxId, error } — письмо уйдёт позже само, а результат
+ * допишется в историю документов по historyId.
+ *
+ * Тип документа (documentType: 'invoice' | 'voucher') и номер бронирования уходят на backend:
+ * по типу проверяется роль API-ключа сотрудника, номер попадает в журнал отправок.
+ *
+ * Со счётом в service worker уходят и тексты отеля (templateTexts): по ним он сам
+ * соберёт напоминание об оплате (background/payment-deadlines.js), когда вкладки уже не будет.
+ *
+ * Получатели (to, cc, bcc) — строка «a@x.ru, b@y.ru» или массив адресов. Если bcc
+ * не передан, подставляется скрытая копия из настроек («emailBcc», может быть своей
+ * у профиля отеля).
  */
+
+/** Не больше адресов в одном письме (to + cc + bcc), как и на backend. */
+var EMAIL_RECIPIENTS_LIMIT = 10;
+
+var EMAIL_ADDRESS_PATTERN = /^[\w.+-]+@[\w-]+(\.[\w-]+)+$/;
+
 /**
  * Отправляет подтверждение бронирования на email гостя через service worker и backend.
  *
  * @param {Object} emailData
- * @param {string} emailData.to — email получателя
+ * @param {string|Array} emailData.to — получатели
+ * @param {string|Array} [emailData.cc] — копия
+ * @param {string|Array} [emailData.bcc] — скрытая копия (по умолчанию — из настроек)
  * @param {string} emailData.guestName — имя гостя
  * @param {string} emailData.bookingNumber — номер бронирования
  * @param {string} emailData.pdfBase64 — PDF в формате base64
  * @param {string} emailData.pdfFilename — имя файла PDF
- * @param {Function} onSuccess — callback при успехе
+ * @param {Object} [emailData.bookingData] — данные бронирования для переменных шаблона
+ * @param {string} [emailData.emailSubject] — готовая тема (иначе — по шаблону ваучера)
+ * @param {string} [emailData.emailBody] — готовый текст
+ * @param {string} [emailData.historyId] — запись истории (для результата отправки из очереди)
+ * @param {number} [emailData.sendAttempt] — номер отправки документа (для ключа идемпотентности)
+ * @param {Function} onSuccess — callback при успехе (ответ backend { messageId, imapSaved }
+ *   или { queued: true, outboxId, error }, если письмо поставлено в очередь)
  * @param {Function} onError — callback при ошибке
  */
 function sendConfirmationEmail(emailData, onSuccess, onError) {
-  if (!emailData.to || emailData.to.indexOf('@') === -1) {
-    onError('Email гостя не указан или некорректен');
+  var recipients = prepareEmailRecipients(emailData);
+  var recipientsError = validateEmailRecipients(recipients);
+  if (recipientsError) {
+    onError(recipientsError);
     return;
   }
 
-  var subject = 'Подтверждение бронирования №' + emailData.bookingNumber;
-  var body =
-    'Здравствуйте!\n\n' +
-    'Предоплата за ваш номер получена, ваше бронирование подтверждено.\n' +
-    'Спасибо, что выбрали ГРК «Альбатрос»!\n' +
-    'К письму прилагается подтверждение бронирования — ваучер.\n\n' +
-    'При заезде при себе необходимо иметь паспорта граждан РФ на всех проживающих\n' +
-    '(на детей — свидетельства о рождении), ваучер (во вложении) и квитанцию об оплате.\n\n' +
-    'Мы будем очень рады видеть Вас!\n' +
-    '__\n' +
-    'С уважением, отдел бронирования ГРК «Альбатрос»\n' +
-    'Официальный сайт: https://albatrosmore.ru/\n' +
-    ' 8 (800) 101-47-17\n' +
-    ' 8 (861) 213-21-17\n\n' +
-    'Альбатрос — место, куда возвращаются за счастьем';
+  var email;
+  try {
+    email = buildTemplateEmail('voucher', emailData.bookingData || {
+      guestName: emailData.guestName,
+      bookingNumber: emailData.bookingNumber
+    });
+  } catch (error) {
+    onError('Ошибка в шаблоне письма: ' + error.message);
+    return;
+  }
+  var subject = emailData.emailSubject || email.subject;
+  var body = emailData.emailBody || email.body;
+  var sender = getEmailSender();
+  var htmlParts = buildEmailHtmlParts(body);
 
   chrome.runtime.sendMessage(
     {
       action: 'SEND_INVOICE_EMAIL',
       data: {
-        to: emailData.to,
+        to: recipients.to.join(', '),
+        cc: recipients.cc.join(', '),
+        bcc: recipients.bcc.join(', '),
+        documentType: 'voucher',
         guestName: emailData.guestName,
         bookingNumber: emailData.bookingNumber,
         pdfBase64: emailData.pdfBase64,
         pdfFilename: emailData.pdfFilename,
         emailSubject: subject,
-        emailBody: body
+        emailBody: body,
+        emailHtml: htmlParts.emailHtml,
+        logoDataUrl: htmlParts.logoDataUrl,
+        senderProfile: sender.senderProfile,
+        senderName: sender.senderName,
+        historyId: emailData.historyId,
+        sendAttempt: emailData.sendAttempt
       }
     },
     function (response) {
@@ -76,8 +106,9 @@ function sendConfirmationEmail(emailData, onSuccess, onError) {
       }
 
       if (response && response.success) {
-        console.log('[KonturPrepay] Подтверждение успешно отправлено:', response.data);
-        onSuccess();
+        console.log('[KonturPrepay] Подтверждение ' +
+          (response.data && response.data.queued ? 'поставлено в очередь:' : 'успешно отправлено:'), response.data);
+        onSuccess(response.data);
       } else {
         var errorMsg = (response && response.error) || 'Неизвестная ошибка при отправке';
         console.error('[KonturPrepay] Ошибка отправки подтверждения:', errorMsg);
@@ -87,18 +118,45 @@ function sendConfirmationEmail(emailData, onSuccess, onError) {
   );
 }
 
+/**
+ * Отправляет счёт на email гостя через service worker и backend.
+ *
+ * @param {Object} emailData
+ * @param {string|Array} emailData.to — получатели
+ * @param {string|Array} [emailData.cc] — копия
+ * @param {string|Array} [emailData.bcc] — скрытая копия (по умолчанию — из настроек)
+ * @param {string} emailData.guestName — имя гостя (для темы письма)
+ * @param {string} emailData.bookingNumber — номер бронирования
+ * @param {string} emailData.pdfBase64 — PDF в формате base64
+ * @param {string} emailData.pdfFilename — имя файла PDF
+ * @param {string} emailData.emailSubject — тема (buildTemplateEmail или окно проверки)
+ * @param {string} emailData.emailBody — текст письма (HTML-версия строится из него же)
+ * @param {string} [emailData.historyId] — запись истории (для результата отправки из очереди)
+ * @param {number} [emailData.sendAttempt] — номер отправки документа (для ключа идемпотентности)
+ * @param {Function} onSuccess — callback при успехе (ответ backend { messageId, imapSaved }
+ *   или { queued: true, outboxId, error }, если письмо поставлено в очередь)
+ * @param {Function} onError — callback при ошибке (принимает строку с ошибкой)
+ */
 function sendInvoiceEmail(emailData, onSuccess, onError) {
-  // Проверяем наличие email получателя
-  if (!emailData.to || emailData.to.indexOf('@') === -1) {
-    onError('Email гостя не указан или некорректен');
+  // Проверяем адреса получателей
+  var recipients = prepareEmailRecipients(emailData);
+  var recipientsError = validateEmailRecipients(recipients);
+  if (recipientsError) {
+    onError(recipientsError);
     return;
   }
 
-  // Отправляем сообщение в service worker
+  // Отправляем сообщение в service worker (с отправителем активного профиля отеля)
   chrome.runtime.sendMessage(
     {
       action: 'SEND_INVOICE_EMAIL',
-      data: emailData
+      data: Object.assign(getEmailSender(), buildEmailHtmlParts(emailData.emailBody), emailData, {
+        documentType: 'invoice',
+        templateTexts: getEmailTemplateTexts(),
+        to: recipients.to.join(', '),
+        cc: recipients.cc.join(', '),
+        bcc: recipients.bcc.join(', ')
+      })
     },
     function (response) {
       if (chrome.runtime.lastError) {
@@ -108,8 +166,9 @@ function sendInvoiceEmail(emailData, onSuccess, onError) {
       }
 
       if (response && response.success) {
-        console.log('[KonturPrepay] Email успешно отправлен:', response.data);
-        onSuccess();
+        console.log('[KonturPrepay] Email ' +
+          (response.data && response.data.queued ? 'поставлен в очередь:' : 'успешно отправлен:'), response.data);
+        onSuccess(response.data);
       } else {
         var errorMsg = (response && response.error) || 'Неизвестная ошибка при отправке email';
         console.error('[KonturPrepay] Ошибка отправки email:', errorMsg);
@@ -118,3 +177,89 @@ function sendInvoiceEmail(emailData, onSuccess, onError) {
     }
   );
 }
+
+/**
+ * HTML-версия текста письма и логотип отеля для неё.
+ * @param {string} body — итоговый текст письма
+ * @returns {{ emailHtml: string, logoDataUrl: string }} logoDataUrl — '' без логотипа
+ */
+function buildEmailHtmlParts(body) {
+  var details = getHotelDetails();
+  var logo = details.logoImage;
+  return {
+    emailHtml: renderEmailHtml(body, { logo: logo, hotelName: details.name || '' }),
+    logoDataUrl: logo ? logo.dataUrl : ''
+  };
+}
+
+// ─── Получатели ───────────────────────────────────────────────
+
+/**
+ * Список адресов из строки («a@x.ru, b@y.ru; c@z.ru») или массива — без пустых и повторов.
+ * Некорректные адреса остаются в списке (их показывает validateEmailRecipients).
+ * @returns {string[]}
+ */
+function parseEmailList(value) {
+  var items = Array.isArray(value) ? value : String(value || '').split(/[,;\s]+/);
+  var result = [];
+  items.forEach(function (item) {
+    var email = String(item || '').trim();
+    var duplicate = result.some(function (existing) {
+      return existing.toLowerCase() === email.toLowerCase();
+    });
+    if (email && !duplicate) {
+      result.push(email);
+    }
+  });
+  return result;
+}
+
+function isValidEmailAddress(email) {
+  return EMAIL_ADDRESS_PATTERN.test(email);
+}
+
+/**
+ * Получатели письма: to, cc и bcc (bcc по умолчанию — из настроек «emailBcc»).
+ * Адрес, уже указанный в to, не повторяется в cc, а указанный в to или cc — в bcc.
+ * @returns {{ to: string[], cc: string[], bcc: string[] }}
+ */
+function prepareEmailRecipients(emailData) {
+  var to = parseEmailList(emailData.to);
+  var bcc = emailData.bcc !== undefined ? emailData.bcc : getSetting('emailBcc');
+  var seen = to.map(function (email) {
+    return email.toLowerCase();
+  });
+  var exclude = function (list) {
+    return parseEmailList(list).filter(function (email) {
+      if (seen.indexOf(email.toLowerCase()) !== -1) {
+        return false;
+      }
+      seen.push(email.toLowerCase());
+      return true;
+    });
+  };
+  var cc = exclude(emailData.cc);
+  return { to: to, cc: cc, bcc: exclude(bcc) };
+}
+
+/**
+ * Проверяет получателей перед отправкой.
+ * @param {{ to: string[], cc: string[], bcc: string[] }} recipients
+ * @returns {string} текст ошибки или ''
+ */
+function validateEmailRecipients(recipients) {
+  if (recipients.to.length === 0) {
+    return 'Email получателя не указан';
+  }
+  var all = recipients.to.concat(recipients.cc, recipients.bcc);
+  var invalid = all.filter(function (email) {
+    return !isValidEmailAddress(email);
+  });
+  if (invalid.length > 0) {
+    return 'Некорректный email: ' + invalid.join(', ');
+  }
+  if (all.length > EMAIL_RECIPIENTS_LIMIT) {
+    return 'Слишком много получателей: ' + all.length + ' (не больше ' + EMAIL_RECIPIENTS_LIMIT + ')';
+  }
+  return '';
+}
@@ -0,0 +1,480 @@
+/**
+ * Шаблоны писем: тема и текст письма со счётом, с ваучером и письма по умолчанию.
+ *
+ * Шаблоны (редактор во вкладке «Шаблоны» попапа, ключ storage «emailTemplates»):
+ *   [
+ *     {
+ *       id, name,
+ *       type: 'invoice' | 'voucher' | 'reminder' | 'document',  — см. EMAIL_TEMPLATE_TYPES
+ *       isDefault: boolean,                          — шаблон типа по умолчанию
+ *       subject, body
+ *     }
+ *   ]
+ * Пока шаблоны не сохранены, действуют DEFAULT_EMAIL_TEMPLATES.
+ *
+ * Синтаксис:
+ *   {{guestName}}                          — переменная (EMAIL_TEMPLATE_VARIABLES)
+ *   {{#if roomType}}…{{else}}…{{/if}}      — блок, если значение не пустое и не «0»
+ *   {{#unless paidAmount}}…{{/unless}}     — блок, если значение пустое
+ *
+ * Подписи и тексты отеля подставляются как переменные ({{emailSignature}} и др.),
+ * поэтому шаблоны общие, а тексты — свои у каждого профиля отеля.
+ *
+ * HTML-версия письма строится из того же итогового текста (renderEmailHtml):
+ * абзацы, ссылки, подпись после строки «__» и логотип отеля как вложение
+ * с Content-ID EMAIL_LOGO_CID. Так HTML и текст не расходятся, даже если текст
+ * исправили вручную в окне проверки.
+ *
+ * Модуль подключается и в service worker (importScripts), поэтому функции
+ * рендеринга не зависят от DOM и settings-store.js; getSetting и getHotelTexts
+ * используются только в buildTemplateEmail и getEmailTemplateTexts, если они загружены.
+ * Напоминание об оплате service worker собирает сам (payment-deadlines.js) — тексты
+ * отеля для него сохраняются при отправке счёта (getEmailTemplateTexts).
+ */
+
+var EMAIL_TEMPLATE_TYPES = {
+  invoice: 'Счёт на предоплату',
+  voucher: 'Подтверждение (ваучер)',
+  reminder: 'Напоминание об оплате',
+  document: 'Прочие документы'
+};
+
+/** Переменные шаблонов: имя → описание (для подсказки в редакторе). */
+var EMAIL_TEMPLATE_VARIABLES = {
+  guestName: 'ФИО гостя',
+  bookingNumber: 'Номер бронирования',
+  roomType: 'Категория номера',
+  ratePlan: 'Тариф',
+  checkIn: 'Дата заезда',
+  checkOut: 'Дата выезда',
+  checkInTime: 'Время заезда',
+  checkOutTime: 'Время выезда',
+  nightsCount: 'Ночей',
+  guestCount: 'Гостей',
+  totalPrice: 'Стоимость проживания, руб.',
+  prepayAmount: 'Предоплата, руб.',
+  prepayNights: 'Оплачиваемых суток',
+  surchargeAtHotel: 'Доплата в отеле, руб.',
+  paidAmount: 'Внесено, руб.',
+  debtAmount: 'Долг, руб.',
+  discountPercent: 'Скидка за длительность, %',
+  fullPaymentWithDiscount: 'Полная оплата со скидкой, руб.',
+  prepayDue: 'Осталось внести предоплаты, руб. (напоминание)',
+  paymentDeadline: 'Срок оплаты счёта (напоминание)',
+  hotelName: 'Название организации',
+  senderName: 'Имя отправителя',
+  invoiceEmailClosing: 'Последняя строка письма со счётом',
+  voucherEmailThanks: 'Благодарность в письме с ваучером',
+  emailSignature: 'Подпись писем'
+};
+
+/** Переменные-суммы: выводятся с разделителем тысяч. */
+var EMAIL_TEMPLATE_MONEY_VARIABLES = [
+  'totalPrice', 'prepayAmount', 'surchargeAtHotel', 'paidAmount', 'debtAmount', 'fullPaymentWithDiscount',
+  'prepayDue'
+];
+
+var DEFAULT_EMAIL_TEMPLATES = [
+  {
+    id: 'default-invoice',
+    name: 'Счёт — стандартный',
+    type: 'invoice',
+    isDefault: true,
+    subject: 'Счёт на предоплату — бронирование №{{bookingNumber}}',
+    body:
+      'Здравствуйте!\n\n' +
+      'Для вас забронирован номер: {{roomType}}\n\n' +
+      'Всего к оплате: {{totalPrice}} руб.\n' +
+      'Предоплата по бронированию: {{prepayAmount}} руб.\n' +
+      'К оплате в отеле: {{surchargeAtHotel}} руб.\n\n' +
+      'Вы можете произвести предоплату следующими способами:\n' +
+      '• используя счет на предоплату (во вложении);\n' +
+      '• просканировав QR-код счета через банковское приложение с телефона.\n' +
+      'Оплатить необходимо в течение 3 (трех) суток с момента бронирования*.\n' +
+      'После того, как денежные средства поступят на наш расчетный счет, ' +
+      'бронирование будет подтверждено, и мы направим вам ваучер.\n' +
+      '* Если оплата по счету не будет произведена в течение 3 суток, бронь аннулируется.\n\n' +
+      '{{invoiceEmailClosing}}\n' +
+      '__\n' +
+      '{{emailSignature}}'
+  },
+  {
+    id: 'default-voucher',
+    name: 'Ваучер — стандартный',
+    type: 'voucher',
+    isDefault: true,
+    subject: 'Подтверждение бронирования №{{bookingNumber}}',
+    body:
+      'Здравствуйте!\n\n' +
+      'Предоплата за ваш номер получена, ваше бронирование подтверждено.\n' +
+      '{{voucherEmailThanks}}\n' +
+      'К письму прилагается подтверждение бронирования — ваучер.\n\n' +
+      'При заезде при себе необходимо иметь паспорта граждан РФ на всех проживающих\n' +
+      '(на детей — свидетельства о рождении), ваучер (во вложении) и квитанцию об оплате.\n\n' +
+      'Мы будем очень рады видеть Вас!\n' +
+      '__\n' +
+      '{{emailSignature}}'
+  },
+  {
+    id: 'default-reminder',
+    name: 'Напоминание — стандартное',
+    type: 'reminder',
+    isDefault: true,
+    subject: 'Напоминание об оплате — бронирование №{{bookingNumber}}',
+    body:
+      'Здравствуйте!\n\n' +
+      'Напоминаем, что по бронированию №{{bookingNumber}}{{#if checkIn}} (заезд {{checkIn}}){{/if}} ' +
+      'ожидается предоплата.\n' +
+      '{{#if paidAmount}}Получено: {{paidAmount}} руб., осталось внести: {{prepayDue}} руб.' +
+      '{{else}}Сумма предоплаты: {{prepayDue}} руб.{{/if}}\n\n' +
+      'Оплатить необходимо до {{paymentDeadline}} — счёт на предоплату повторно прилагаем к письму.\n' +
+      'Если оплата не поступит в срок, бронь аннулируется.\n\n' +
+      'Если вы уже оплатили счёт, пожалуйста, не обращайте внимания на это письмо.\n' +
+      '__\n' +
+      '{{emailSignature}}'
+  },
+  {
+    id: 'default-document',
+    name: 'Документ — по умолчанию',
+    type: 'document',
+    isDefault: true,
+    subject: 'Документ по бронированию №{{bookingNumber}}',
+    body:
+      'Здравствуйте!\n\n' +
+      'К письму прилагается документ по бронированию №{{bookingNumber}}.' +
+      '{{#if emailSignature}}\n__\n{{emailSignature}}{{/if}}'
+  }
+];
+
+/** Данные бронирования для предпросмотра в редакторе. */
+var EMAIL_TEMPLATE_SAMPLE = {
+  guestName: 'Иванов Иван Иванович',
+  bookingNumber: '12345678',
+  roomType: 'Двухместный номер с доп. местом (Остров-1)',
+  ratePlan: 'Стандартный',
+  checkIn: '15.07.2026',
+  checkOut: '22.07.2026',
+  checkInTime: '15:00',
+  checkOutTime: '12:00',
+  nightsCount: 7,
+  guestCount: 3,
+  totalPrice: 84000,
+  prepayAmount: 36000,
+  prepayNights: 3,
+  paidAmount: 0,
+  debtAmount: 84000,
+  discountPercent: 8,
+  fullPaymentWithDiscount: 77280,
+  prepayDue: 36000,
+  paymentDeadline: '18.06.2026 14:30'
+};
+
+/**
+ * Шаблон для отправки: по id, иначе шаблон типа по умолчанию, иначе встроенный.
+ * @param {string} type — ключ EMAIL_TEMPLATE_TYPES
+ * @param {Array} [templates] — сохранённые шаблоны
+ * @param {string} [templateId]
+ */
+function selectEmailTemplate(type, templates, templateId) {
+  var ofType = (templates && templates.length > 0 ? templates : DEFAULT_EMAIL_TEMPLATES)
+    .filter(function (template) {
+      return template.type === type;
+    });
+  var byId = ofType.filter(function (template) {
+    return template.id === templateId;
+  })[0];
+  var byDefault = ofType.filter(function (template) {
+    return template.isDefault;
+  })[0];
+  return byId || byDefault || ofType[0] || DEFAULT_EMAIL_TEMPLATES.filter(function (template) {
+    return template.type === type;
+  })[0];
+}
+
+/** Шаблоны указанного типа (для выбора в окне отправки). */
+function listEmailTemplates(type, templates) {
+  return (templates && templates.length > 0 ? templates : DEFAULT_EMAIL_TEMPLATES)
+    .filter(function (template) {
+      return template.type === type;
+    });
+}
+
+/**
+ * Значения переменных из данных бронирования и текстов отеля.
+ * @param {Object} bookingData
+ * @param {Object} [texts] — тексты отеля (getHotelTexts) и hotelName
+ * @returns {Object} имя переменной → строка
+ */
+function buildTemplateVariables(bookingData, texts) {
+  var data = Object.assign({}, texts || {}, bookingData || {});
+  if (data.surchargeAtHotel === undefined && data.totalPrice !== undefined) {
+    data.surchargeAtHotel = Math.max((data.totalPrice || 0) - (data.prepayAmount || 0), 0);
+  }
+
+  var vars = {};
+  Object.keys(EMAIL_TEMPLATE_VARIABLES).forEach(function (name) {
+    var value = data[name];
+    if (value === undefined || value === null) {
+      vars[name] = '';
+    } else if (EMAIL_TEMPLATE_MONEY_VARIABLES.indexOf(name) !== -1) {
+      vars[name] = formatTemplateMoney(value);
+    } else {
+      vars[name] = String(value);
+    }
+  });
+  return vars;
+}
+
+/**
+ * Тема и текст письма по шаблону.
+ * @returns {{ subject: string, body: string }}
+ * @throws {Error} при ошибке синтаксиса шаблона
+ */
+function renderEmailTemplate(template, vars) {
+  return {
+    subject: renderTemplateString(template.subject, vars).replace(/\s+/g, ' ').trim(),
+    body: renderTemplateString(template.body, vars).replace(/\n{3,}/g, '\n\n')
+  };
+}
+
+/**
+ * Письмо по шаблону для content script и попапа: шаблоны из настроек,
+ * тексты и название организации — активного профиля отеля.
+ * @param {string} type — ключ EMAIL_TEMPLATE_TYPES
+ * @param {Object} bookingData
+ * @param {string} [templateId] — по умолчанию шаблон типа по умолчанию
+ * @returns {{ subject: string, body: string, templateId: string }}
+ */
+function buildTemplateEmail(type, bookingData, templateId) {
+  var templates = typeof getSetting === 'function' ? getSetting('emailTemplates') : null;
+  var template = selectEmailTemplate(type, templates, templateId);
+  var email = renderEmailTemplate(template, buildTemplateVariables(bookingData, getEmailTemplateTexts()));
+  email.templateId = template.id;
+  return email;
+}
+
+/** Тексты активного профиля отеля и название организации — переменные шаблонов. */
+function getEmailTemplateTexts() {
+  var texts = typeof getHotelTexts === 'function' ? getHotelTexts() : {};
+  if (typeof getHotelDetails === 'function') {
+    texts.hotelName = getHotelDetails().name;
+  }
+  return texts;
+}
+
+// ─── HTML-версия письма ───────────────────────────────────────
+
+/** Content-ID логотипа во вложениях (backend прикрепляет файл «logo» с этим cid). */
+var EMAIL_LOGO_CID = 'hotel-logo';
+
+var EMAIL_LOGO_MAX_WIDTH = 180;
+
+/**
+ * HTML-версия текста письма.
+ * @param {string} text — итоговый текст письма (после шаблона и ручных правок)
+ * @param {Object} [options]
+ * @param {Object} [options.logo] — { width, height }: логотип есть во вложениях с cid EMAIL_LOGO_CID
+ * @param {string} [options.hotelName] — alt логотипа
+ * @returns {string}
+ */
+function renderEmailHtml(text, options) {
+  options = options || {};
+  var lines = String(text || '').replace(/\r\n/g, '\n').split('\n');
+  var separator = lines.indexOf('__');
+  var main = separator === -1 ? lines : lines.slice(0, separator);
+  var signature = separator === -1 ? [] : lines.slice(separator + 1);
+
+  var content = textToHtmlParagraphs(main, 'margin:0 0 14px;');
+  if (signature.length > 0) {
+    content +=
+      '<hr style="border:none;border-top:1px solid #e5e5e5;margin:20px 0;">' +
+      textToHtmlParagraphs(signature, 'margin:0 0 10px;font-size:13px;color:#777777;');
+  }
+
+  var logoRow = '';
+  if (options.logo) {
+    var width = Math.min(EMAIL_LOGO_MAX_WIDTH, options.logo.width || EMAIL_LOGO_MAX_WIDTH);
+    logoRow =
+      '<tr><td align="center" style="padding:24px 24px 0;">' +
+      '<img src="cid:' + EMAIL_LOGO_CID + '" alt="' + escapeHtml(options.hotelName || '') + '" width="' + width + '"' +
+      ' style="display:block;max-width:100%;height:auto;border:0;">' +
+      '</td></tr>';
+  }
+
+  return '<!DOCTYPE html><html><head><meta charset="utf-8">' +
+    '<meta name="viewport" content="width=device-width, initial-scale=1.0"></head>' +
+    '<body style="margin:0;padding:0;background:#f5f5f5;">' +
+    '<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:#f5f5f5;">' +
+    '<tr><td align="center" style="padding:24px 12px;">' +
+    '<table role="presentation" width="600" cellpadding="0" cellspacing="0"' +
+    ' style="width:100%;max-width:600px;background:#ffffff;border-radius:8px;">' +
+    logoRow +
+    '<tr><td style="padding:24px;font-family:Arial,Helvetica,sans-serif;font-size:14px;line-height:1.5;color:#333333;">' +
+    content +
+    '</td></tr></table></td></tr></table></body></html>';
+}
+
+/** Строки текста → абзацы <p> (пустая строка — граница абзаца, перенос — <br>). */
+function textToHtmlParagraphs(lines, style) {
+  var paragraphs = [];
+  var current = [];
+  lines.concat(['']).forEach(function (line) {
+    if (line.trim() === '') {
+      if (current.length > 0) {
+        paragraphs.push('<p style="' + style + '">' + current.join('<br>') + '</p>');
+        current = [];
+      }
+      return;
+    }
+    current.push(linkifyHtml(escapeHtml(line)));
+  });
+  return paragraphs.join('');
+}
+
+/** Ссылки http(s) в уже экранированном тексте. */
+function linkifyHtml(html) {
+  return html.replace(/https?:\/\/[^\s<]+[^\s<.,;:!?)»]/g, function (url) {
+    return '<a href="' + url + '" style="color:#1a73e8;">' + url + '</a>';
+  });
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// ─── Разбор шаблона ───────────────────────────────────────────
+
+/** Подставляет переменные и блоки в строку шаблона. */
+function renderTemplateString(text, vars) {
+  return renderTemplateNodes(parseTemplate(text || ''), vars || {});
+}
+
+/**
+ * Проверяет шаблон перед сохранением.
+ * @returns {string} текст ошибки или ''
+ */
+function validateEmailTemplate(template) {
+  if (!String(template.name || '').trim()) {
+    return 'укажите название шаблона';
+  }
+  if (!EMAIL_TEMPLATE_TYPES.hasOwnProperty(template.type)) {
+    return 'неизвестный тип шаблона';
+  }
+  if (!String(template.subject || '').trim()) {
+    return 'укажите тему письма';
+  }
+  var parts = [['тема', template.subject], ['текст', template.body]];
+  for (var i = 0; i < parts.length; i++) {
+    try {
+      var unknown = collectTemplateVariables(parseTemplate(parts[i][1] || '')).filter(function (name) {
+        return !EMAIL_TEMPLATE_VARIABLES.hasOwnProperty(name);
+      });
+      if (unknown.length > 0) {
+        return parts[i][0] + ': неизвестная переменная {{' + unknown[0] + '}}';
+      }
+    } catch (error) {
+      return parts[i][0] + ': ' + error.message;
+    }
+  }
+  return '';
+}
+
+var TEMPLATE_TAG_PATTERN = /\{\{\s*(#if|#unless|else|\/if|\/unless)?\s*([A-Za-z_][\w]*)?\s*\}\}/g;
+
+/**
+ * Разбирает шаблон в дерево: { type: 'text', value } | { type: 'var', name } |
+ * { type: 'if', name, negate, then: [], otherwise: [] }.
+ * @throws {Error} при незакрытом или лишнем блоке
+ */
+function parseTemplate(text) {
+  var root = { then: [] };
+  var stack = [];
+  var current = root;
+  var target = root.then;
+  var lastIndex = 0;
+  var match;
+
+  TEMPLATE_TAG_PATTERN.lastIndex = 0;
+  while ((match = TEMPLATE_TAG_PATTERN.exec(text)) !== null) {
+    if (match.index > lastIndex) {
+      target.push({ type: 'text', value: text.slice(lastIndex, match.index) });
+    }
+    lastIndex = TEMPLATE_TAG_PATTERN.lastIndex;
+
+    var tag = match[1];
+    var name = match[2];
+    if (!tag) {
+      if (!name) {
+        throw new Error('пустая переменная {{}}');
+      }
+      target.push({ type: 'var', name: name });
+    } else if (tag === '#if' || tag === '#unless') {
+      if (!name) {
+        throw new Error('в {{' + tag + '}} не указана переменная');
+      }
+      var block = { type: 'if', name: name, negate: tag === '#unless', then: [], otherwise: [] };
+      target.push(block);
+      stack.push(current);
+      current = block;
+      target = block.then;
+    } else if (tag === 'else') {
+      if (current === root) {
+        throw new Error('{{else}} вне блока {{#if}}');
+      }
+      if (target === current.otherwise) {
+        throw new Error('повторный {{else}} в блоке {{#if ' + current.name + '}}');
+      }
+      target = current.otherwise;
+    } else {
+      var opening = tag === '/if' ? '#if' : '#unless';
+      if (current === root || (current.negate ? '#unless' : '#if') !== opening) {
+        throw new Error('лишний {{' + tag + '}}');
+      }
+      current = stack.pop();
+      target = current === root ? root.then : (current.otherwise.length > 0 ? current.otherwise : current.then);
+    }
+  }
+
+  if (current !== root) {
+    throw new Error('не закрыт блок {{' + (current.negate ? '#unless ' : '#if ') + current.name + '}}');
+  }
+  if (lastIndex < text.length) {
+    target.push({ type: 'text', value: text.slice(lastIndex) });
+  }
+  return root.then;
+}
+
+function renderTemplateNodes(nodes, vars) {
+  return nodes.map(function (node) {
+    if (node.type === 'text') {
+      return node.value;
+    }
+    if (node.type === 'var') {
+      return vars[node.name] === undefined ? '' : vars[node.name];
+    }
+    var value = vars[node.name];
+    var isSet = value !== undefined && value !== null && value !== '' && value !== '0';
+    return renderTemplateNodes(isSet !== node.negate ? node.then : node.otherwise, vars);
+  }).join('');
+}
+
+function collectTemplateVariables(nodes) {
+  var names = [];
+  nodes.forEach(function (node) {
+    if (node.type === 'var' || node.type === 'if') {
+      names.push(node.name);
+    }
+    if (node.type === 'if') {
+      names = names.concat(collectTemplateVariables(node.then), collectTemplateVariables(node.otherwise));
+    }
+  });
+  return names;
+}
+
+function formatTemplateMoney(amount) {
+  return String(Math.round(Number(amount) || 0)).replace(/\B(?=(\d{3})+(?!\d))/g, ' ');
+}
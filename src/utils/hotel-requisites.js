@@ -0,0 +1,188 @@
+/**
+ * Реквизиты отеля, подпись директора, печать и подпись для PDF,
+ * тексты писем и ваучера.
+ *
+ * Реквизиты редактируются на странице настроек и хранятся в chrome.storage.local:
+ *   «hotelRequisites» — текстовые поля (ключи как в HOTEL_DETAILS);
+ *   «hotelImages»     — { stamp, signature, logo }: { dataUrl: 'data:image/png;base64,…', width, height };
+ *   «hotelTexts»      — подписи писем и условия ваучера (ключи как в HOTEL_TEXTS).
+ * Пока настройки не сохранены, действуют hotel-details.js / stamp-signature.js /
+ * hotel-texts.js, так что расширение работает и без настройки. Все значения
+ * могут быть своими у профиля отеля (settings-store.js).
+ *
+ * Зависимости: settings-store.js (getSetting), hotel-details.js (HOTEL_DETAILS),
+ * hotel-texts.js (HOTEL_TEXTS), stamp-signature.js (STAMP_IMAGE_BASE64,
+ * SIGNATURE_IMAGE_BASE64) — необязательно.
+ */
+
+/** Размеры встроенных изображений (пропорции для вывода в PDF). */
+var DEFAULT_STAMP_SIZE = { width: 747, height: 1600 };
+var DEFAULT_SIGNATURE_SIZE = { width: 597, height: 1280 };
+
+/**
+ * Реквизиты отеля для генераторов PDF: HOTEL_DETAILS + сохранённые в настройках
+ * + изображения печати и подписи (stampImage, signatureImage — или null)
+ * + логотип для HTML-писем (logoImage — или null, встроенного логотипа нет).
+ * @returns {Object}
+ */
+function getHotelDetails() {
+  var details = Object.assign({}, HOTEL_DETAILS);
+  var stored = getSetting('hotelRequisites') || {};
+  Object.keys(stored).forEach(function (key) {
+    if (stored[key] !== undefined && stored[key] !== null) {
+      details[key] = stored[key];
+    }
+  });
+
+  var images = getSetting('hotelImages') || {};
+  details.stampImage = images.stamp || getBuiltInImage(
+    typeof STAMP_IMAGE_BASE64 !== 'undefined' ? STAMP_IMAGE_BASE64 : '', DEFAULT_STAMP_SIZE);
+  details.signatureImage = images.signature || getBuiltInImage(
+    typeof SIGNATURE_IMAGE_BASE64 !== 'undefined' ? SIGNATURE_IMAGE_BASE64 : '', DEFAULT_SIGNATURE_SIZE);
+  details.logoImage = images.logo || null;
+  return details;
+}
+
+/** Реквизиты без изображений — для снимка в истории документов. */
+function getHotelRequisitesSnapshot() {
+  var details = getHotelDetails();
+  delete details.stampImage;
+  delete details.signatureImage;
+  delete details.logoImage;
+  return details;
+}
+
+/** Тексты писем и ваучера: HOTEL_TEXTS + сохранённые в настройках. */
+function getHotelTexts() {
+  return Object.assign({}, HOTEL_TEXTS, getSetting('hotelTexts') || {});
+}
+
+/**
+ * Параметры отправки для backend: SMTP-отправитель профиля и имя в поле «От».
+ * @returns {{ senderProfile: string, senderName: string }}
+ */
+function getEmailSender() {
+  var profile = getActiveHotelProfile();
+  return {
+    senderProfile: (profile && profile.senderProfile) || '',
+    senderName: getHotelTexts().senderName || ''
+  };
+}
+
+function getBuiltInImage(base64, size) {
+  if (!base64) {
+    return null;
+  }
+  return { dataUrl: 'data:image/png;base64,' + base64, width: size.width, height: size.height };
+}
+
+// ─── Проверка реквизитов ──────────────────────────────────────
+
+/**
+ * Проверяет реквизиты перед сохранением.
+ * @param {Object} details — поля HOTEL_DETAILS
+ * @returns {{ field: string, message: string }|null} первая ошибка или null
+ */
+function validateHotelRequisites(details) {
+  var required = {
+    name: 'Укажите название организации',
+    inn: 'Укажите ИНН',
+    bankAccount: 'Укажите расчётный счёт',
+    bankName: 'Укажите банк',
+    bik: 'Укажите БИК',
+    address: 'Укажите адрес',
+    directorName: 'Укажите ФИО подписанта'
+  };
+  var keys = Object.keys(required);
+  for (var i = 0; i < keys.length; i++) {
+    if (!String(details[keys[i]] || '').trim()) {
+      return { field: keys[i], message: required[keys[i]] };
+    }
+  }
+
+  var checks = [
+    ['inn', isValidInn(details.inn), 'ИНН: неверная контрольная сумма или длина (10 или 12 цифр)'],
+    ['kpp', !details.kpp || isValidKpp(details.kpp), 'КПП должен состоять из 9 символов (ННННППXXX)'],
+    ['ogrn', !details.ogrn || isValidOgrn(details.ogrn), 'ОГРН: неверная контрольная сумма или длина (13 или 15 цифр)'],
+    ['bik', isValidBik(details.bik), 'БИК должен состоять из 9 цифр'],
+    ['bankAccount', isValidBankAccount(details.bankAccount, details.bik),
+      'Расчётный счёт: 20 цифр, контрольный ключ должен сходиться с БИК'],
+    ['corrAccount', !details.corrAccount || isValidCorrAccount(details.corrAccount, details.bik),
+      'Корр. счёт: 20 цифр, контрольный ключ должен сходиться с БИК'],
+    ['email', !details.email || /^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(details.email), 'Некорректный email']
+  ];
+  for (var c = 0; c < checks.length; c++) {
+    if (!checks[c][1]) {
+      return { field: checks[c][0], message: checks[c][2] };
+    }
+  }
+  return null;
+}
+
+/** ИНН юрлица (10 цифр) или ИП/физлица (12 цифр) с контрольными цифрами. */
+function isValidInn(inn) {
+  inn = String(inn || '');
+  if (/^\d{10}$/.test(inn)) {
+    return innChecksum(inn, [2, 4, 10, 3, 5, 9, 4, 6, 8]) === Number(inn[9]);
+  }
+  if (/^\d{12}$/.test(inn)) {
+    return innChecksum(inn, [7, 2, 4, 10, 3, 5, 9, 4, 6, 8]) === Number(inn[10]) &&
+      innChecksum(inn, [3, 7, 2, 4, 10, 3, 5, 9, 4, 6, 8]) === Number(inn[11]);
+  }
+  return false;
+}
+
+function innChecksum(inn, weights) {
+  var sum = 0;
+  for (var i = 0; i < weights.length; i++) {
+    sum += Number(inn[i]) * weights[i];
+  }
+  return (sum % 11) % 10;
+}
+
+/** КПП: код налогового органа (4 цифры), причина постановки (2 символа), номер (3 цифры). */
+function isValidKpp(kpp) {
+  return /^\d{4}[\dA-Z]{2}\d{3}$/.test(String(kpp || ''));
+}
+
+/** ОГРН (13 цифр) или ОГРНИП (15 цифр) с контрольной цифрой. */
+function isValidOgrn(ogrn) {
+  ogrn = String(ogrn || '');
+  if (/^\d{13}$/.test(ogrn)) {
+    return (Number(ogrn.slice(0, 12)) % 11) % 10 === Number(ogrn[12]);
+  }
+  if (/^\d{15}$/.test(ogrn)) {
+    return (Number(ogrn.slice(0, 14)) % 13) % 10 === Number(ogrn[14]);
+  }
+  return false;
+}
+
+function isValidBik(bik) {
+  return /^\d{9}$/.test(String(bik || ''));
+}
+
+/** Расчётный счёт: ключевание по трём последним цифрам БИК. */
+function isValidBankAccount(account, bik) {
+  if (!isValidBik(bik) || !/^\d{20}$/.test(String(account || ''))) {
+    return false;
+  }
+  return accountKeyIsValid(String(bik).slice(-3) + account);
+}
+
+/** Корреспондентский счёт: ключевание по «0» + 5–6 цифрам БИК. */
+function isValidCorrAccount(account, bik) {
+  if (!isValidBik(bik) || !/^\d{20}$/.test(String(account || ''))) {
+    return false;
+  }
+  return accountKeyIsValid('0' + String(bik).slice(4, 6) + account);
+}
+
+/** Контрольный ключ счёта: веса 7-1-3 по 23 цифрам, сумма младших разрядов кратна 10. */
+function accountKeyIsValid(digits) {
+  var weights = [7, 1, 3];
+  var sum = 0;
+  for (var i = 0; i < digits.length; i++) {
+    sum += (Number(digits[i]) * weights[i % 3]) % 10;
+  }
+  return sum % 10 === 0;
+}
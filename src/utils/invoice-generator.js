@@ -8,18 +8,26 @@
  *  - jspdf.umd.min.js   → глобальная переменная jspdf
  *  - qrcode.js           → глобальная функция qrcode()
  *  - roboto-regular.js   → глобальная переменная ROBOTO_FONT_BASE64
- *  - stamp-signature.js  → STAMP_IMAGE_BASE64, SIGNATURE_IMAGE_BASE64
- *  - hotel-details.js    → глобальная переменная HOTEL_DETAILS
+ *  - discount-tiers.js   → combineDiscounts
+ *
+ * Реквизиты, подписант, печать и подпись передаются в hotelDetails
+ * (getHotelDetails из hotel-requisites.js).
  */
 
 /**
  * Генерирует PDF-счёт на предоплату.
  *
  * @param {Object} bookingData — данные бронирования (из parseBookingData)
- * @param {Object} hotelDetails — реквизиты отеля (HOTEL_DETAILS)
+ * @param {Object} hotelDetails — реквизиты отеля (getHotelDetails)
  * @param {Object} options — дополнительные опции
  * @param {boolean} options.discountedQREnabled — включена ли галочка «Скидочный QR на полную оплату»
  * @param {number} options.tooltipDiscountPercent — процент скидки из тултипа (0 если нет)
+ * @param {string} [options.invoiceNumber] — номер из реестра счетов (иначе — дата + номер бронирования)
+ * @param {string} [options.invoiceDate] — дата выдачи номера (ISO), по умолчанию — сегодня
+ *
+ * Необязательные поля bookingData, заполняемые в окне проверки перед отправкой:
+ * customerInn, customerAddress, prepayNights, prepayDescription, paymentPurpose.
+ * Скидка за длительность: discountPercent, discountTierName, discountMode (из calculateStayDiscount).
  * @returns {{ blob: Blob, base64: string, filename: string }}
  */
 function generateInvoicePDF(bookingData, hotelDetails, options) {
@@ -41,10 +49,12 @@ function generateInvoicePDF(bookingData, hotelDetails, options) {
   var marginRight = 14;
   var contentWidth = pageWidth - marginLeft - marginRight;
 
-  var invoiceNumber = generateInvoiceNumber(bookingData.bookingNumber);
-  var invoiceDate = formatCurrentDate();
+  var invoiceNumber = options.invoiceNumber || generateInvoiceNumber(bookingData.bookingNumber);
+  var invoiceDate = options.invoiceDate
+    ? formatDateLong(new Date(options.invoiceDate))
+    : formatCurrentDate();
 
-  // Базовая скидка за длительность (5% или 8%)
+  // Скидка за длительность — ступень из настроек (discount-tiers.js)
   var baseDiscountPercent = bookingData.discountPercent || 0;
 
   // Сумма до скидки из тултипа (если есть)
@@ -55,11 +65,14 @@ function generateInvoicePDF(bookingData, hotelDetails, options) {
 
   // Логика расчёта суммы для второго QR:
   // 1. Если галочка выключена → полная сумма БЕЗ скидки (как в Контуре)
-  // 2. Если галочка включена И есть скидка из тултипа → суммируем скидки (base + tooltip) от суммы ДО скидки
-  // 3. Если галочка включена И нет скидки из тултипа → сумма с базовой скидкой (5/8%)
+  // 2. Если галочка включена И есть скидка из тултипа → скидки суммируются (base + tooltip) или берётся
+  //    наибольшая (режим из настроек скидок), процент считается от суммы ДО скидки
+  // 3. Если галочка включена И нет скидки из тултипа → сумма со скидкой за длительность
   var needsSecondQR = bookingData.prepayAmount < totalPriceWithTooltipDiscount;
   var fullPayment = totalPriceWithTooltipDiscount; // по умолчанию сумма со скидкой из тултипа (как в Контуре)
   var appliedDiscountPercent = 0; // скидка которая применяется ко второму QR
+  var discount = combineDiscounts(baseDiscountPercent, bookingData.discountTierName,
+    tooltipDiscountPercent, bookingData.discountMode);
 
   if (needsSecondQR) {
     if (!discountedQREnabled) {
@@ -67,10 +80,12 @@ function generateInvoicePDF(bookingData, hotelDetails, options) {
       fullPayment = totalPriceWithTooltipDiscount;
       appliedDiscountPercent = 0;
     } else if (tooltipDiscountPercent > 0) {
-      // Галочка включена И есть скидка из тултипа → суммируем скидки от суммы ДО скидки
-      // Сумма скидок: baseDiscountPercent + tooltipDiscountPercent
-      appliedDiscountPercent = baseDiscountPercent + tooltipDiscountPercent;
-      fullPayment = Math.round(totalPriceBeforeTooltipDiscount * (100 - appliedDiscountPercent) / 100);
+      // Галочка включена И есть скидка из тултипа → итоговая скидка от суммы ДО скидки
+      // Если сверх скидки Контура ничего не добавилось (режим «наибольшая») — платим как в Контуре
+      if (discount.percent > tooltipDiscountPercent) {
+        appliedDiscountPercent = discount.percent;
+        fullPayment = Math.round(totalPriceBeforeTooltipDiscount * (100 - appliedDiscountPercent) / 100);
+      }
     } else if (baseDiscountPercent > 0) {
       // Галочка включена И нет скидки из тултипа → базовая скидка
       appliedDiscountPercent = baseDiscountPercent;
@@ -107,11 +122,14 @@ function generateInvoicePDF(bookingData, hotelDetails, options) {
     y
   );
   y += 4;
-  doc.text(
-    'Номер объекта в едином реестре объектов классификации в сфере туристской индустрии: С232025009727',
-    marginLeft,
-    y
-  );
+  if (hotelDetails.classificationNumber) {
+    doc.text(
+      'Номер объекта в едином реестре объектов классификации в сфере туристской индустрии: ' +
+        hotelDetails.classificationNumber,
+      marginLeft,
+      y
+    );
+  }
   y += 3;
 
   doc.setDrawColor(200, 200, 200);
@@ -143,6 +161,12 @@ function generateInvoicePDF(bookingData, hotelDetails, options) {
   // Для заказчика используем перенос строки если текст не влезает
   var maxLineValueWidth = contentWidth - 4; // максимальная ширина для значения
   y = drawLabelValue(doc, marginLeft, y, 'Заказчик:', bookingData.guestName, maxLineValueWidth);
+  if (bookingData.customerInn) {
+    y = drawLabelValue(doc, marginLeft, y, 'ИНН заказчика:', bookingData.customerInn);
+  }
+  if (bookingData.customerAddress) {
+    y = drawLabelValue(doc, marginLeft, y, 'Адрес заказчика:', bookingData.customerAddress, maxLineValueWidth);
+  }
   y = drawLabelValue(doc, marginLeft, y, 'Email:', bookingData.guestEmail);
   y = drawLabelValue(doc, marginLeft, y, 'Бронирование №:', bookingData.bookingNumber);
   if (bookingData.guestCount && bookingData.guestCount.total > 0) {
@@ -152,72 +176,44 @@ function generateInvoicePDF(bookingData, hotelDetails, options) {
 
   // ─── Таблица с деталями проживания ───────────────────────
 
-  doc.setFontSize(8);
-  var tableHeaders = ['Категория номера', 'Площадь', 'Даты', 'Ночей', 'Цена/сут.', 'Сумма'];
-  var cellPadding = 4;
-  var datesStr = bookingData.checkIn + ' - ' + bookingData.checkOut;
-  var roomLabelRaw = bookingData.roomType || 'Проживание';
-  var nightsStr = String(bookingData.nightsCount);
-  var rateStr = formatMoney(bookingData.nightlyRate);
-  // Сумма в таблице — со скидкой из тултипа (как в Контуре)
-  var totalStr = formatMoney(totalPriceWithTooltipDiscount);
-
-  // Получаем площадь номера
-  var roomArea = getRoomArea(bookingData.roomType);
-  var areaStr = roomArea ? roomArea + ' м²' : '—';
-
-  var colWidths = calcTableColumnWidths(doc, contentWidth, tableHeaders, [
-    roomLabelRaw,
-    areaStr,
-    datesStr,
-    nightsStr,
-    rateStr,
-    totalStr
-  ], [25, 12, 22, 12, 18, 22]);
-
-  var roomLabel = truncateToWidth(doc, roomLabelRaw, colWidths[0] - cellPadding);
-
-  var tableX = marginLeft;
-
-  doc.setFillColor(240, 240, 240);
-  doc.rect(tableX, y, contentWidth, 8, 'F');
-  doc.setTextColor(50, 50, 50);
-
-  var headerX = tableX + 2;
-  for (var h = 0; h < tableHeaders.length; h++) {
-    doc.text(tableHeaders[h], headerX, y + 5.5);
-    headerX += colWidths[h];
+  // Строка на каждый номер; у группового бронирования — ещё строка «Итого»
+  var rooms = getBookingRooms(bookingData);
+  var isGroup = rooms.length > 1;
+  var tableHeaders = isGroup ?
+    ['Категория номера', 'Площадь', 'Даты', 'Гостей', 'Ночей', 'Цена/сут.', 'Сумма'] :
+    ['Категория номера', 'Площадь', 'Даты', 'Ночей', 'Цена/сут.', 'Сумма'];
+  var tableRows = rooms.map(function (room) {
+    var roomArea = getRoomArea(room.roomType);
+    var row = [
+      (room.roomType || 'Проживание') + (isGroup && room.roomNumber ? ', № ' + room.roomNumber : ''),
+      roomArea ? roomArea + ' м²' : '—',
+      room.checkIn + ' - ' + room.checkOut
+    ];
+    if (isGroup) {
+      row.push(room.guestCount && room.guestCount.total > 0 ? String(room.guestCount.total) : '—');
+    }
+    // Сумма одного номера — со скидкой из тултипа (как в Контуре)
+    return row.concat([
+      String(room.nightsCount),
+      formatMoney(room.nightlyRate),
+      formatMoney(isGroup ? room.totalPrice : totalPriceWithTooltipDiscount)
+    ]);
+  });
+  var totalRow = null;
+  if (isGroup) {
+    totalRow = tableHeaders.map(function () {
+      return '';
+    });
+    totalRow[0] = 'Итого, номеров: ' + rooms.length;
+    totalRow[totalRow.length - 1] = formatMoney(totalPriceWithTooltipDiscount);
   }
-  y += 8;
 
-  doc.setDrawColor(200, 200, 200);
-  doc.line(tableX, y, tableX + contentWidth, y);
-
-  y += 1;
-  doc.setTextColor(0, 0, 0);
-
-  var rowX = tableX + 2;
-  doc.text(roomLabel, rowX, y + 5);
-  rowX += colWidths[0];
-  doc.text(areaStr, rowX, y + 5);
-  rowX += colWidths[1];
-  doc.text(datesStr, rowX, y + 5);
-  rowX += colWidths[2];
-  doc.text(nightsStr, rowX, y + 5);
-  rowX += colWidths[3];
-  doc.text(rateStr, rowX, y + 5);
-  rowX += colWidths[4];
-  doc.text(totalStr, rowX, y + 5);
-  y += 8;
-
-  doc.line(tableX, y, tableX + contentWidth, y);
-  y += 2;
+  y = drawDetailsTable(doc, marginLeft, y, contentWidth, tableHeaders, tableRows, totalRow,
+    isGroup ? [25, 12, 22, 10, 10, 16, 20] : [25, 12, 22, 12, 18, 22]);
 
   // ─── Блок предоплаты ──────────────────────────────────────
 
-  var prepayDesc = bookingData.nightsCount > 3
-    ? 'первые 3 суток'
-    : 'полная сумма';
+  var prepayDesc = describePrepay(bookingData);
 
   y += 2;
   doc.setFontSize(9);
@@ -297,9 +293,18 @@ function generateInvoicePDF(bookingData, hotelDetails, options) {
 
   // Динамический размер QR: считаем сколько места осталось до конца страницы
   // Фиксированный контент после QR: подписи QR + назначение + примечание + директор ≈ 52мм
+  // Расшифровка скидки под QR-кодами (какая ступень и скидка Контура её дали)
+  var discountBreakdown = needsSecondQR && appliedDiscountPercent > 0 ? discount.text : '';
+
   var pageBottom = 292; // низ страницы A4 (297мм - 5мм отступ)
-  var fixedAfterQR = 52; // место после QR-кодов
+  var fixedAfterQR = discountBreakdown ? 57 : 52; // место после QR-кодов
   var availableForQR = pageBottom - y - fixedAfterQR;
+  // Длинная таблица номеров группового бронирования: QR и подпись — на следующей странице
+  if (availableForQR - 12 < 26) {
+    doc.addPage();
+    y = 20;
+    availableForQR = pageBottom - y - fixedAfterQR;
+  }
   
   // Размер QR: от 26 до 38мм, в зависимости от доступного места
   var qrSize = Math.min(38, Math.max(26, availableForQR - 12));
@@ -315,8 +320,9 @@ function generateInvoicePDF(bookingData, hotelDetails, options) {
   y += 5;
 
   // QR 1: Предоплата
-  var prepayPurpose = 'Предоплата за проживание по бронированию ' +
-    bookingData.bookingNumber + ', ' + (bookingData.guestName || '');
+  var prepayPurpose = bookingData.paymentPurpose ||
+    ('Предоплата за проживание по бронированию ' +
+    bookingData.bookingNumber + ', ' + (bookingData.guestName || ''));
   var prepayQrData = buildPaymentQR(hotelDetails, bookingData.prepayAmount, prepayPurpose);
   var prepayQrImg = generateQRDataUrl(prepayQrData);
 
@@ -339,8 +345,7 @@ function generateInvoicePDF(bookingData, hotelDetails, options) {
 
   // QR 2: Полная оплата (только если отличается от предоплаты)
   if (needsSecondQR) {
-    var fullPurpose = 'Оплата за проживание по бронированию ' +
-      bookingData.bookingNumber + ', ' + (bookingData.guestName || '');
+    var fullPurpose = buildPaymentPurpose(bookingData);
     var fullQrData = buildPaymentQR(hotelDetails, fullPayment, fullPurpose);
     var fullQrImg = generateQRDataUrl(fullQrData);
 
@@ -362,7 +367,7 @@ function generateInvoicePDF(bookingData, hotelDetails, options) {
         y + qrSize + 4,
         { align: 'center' }
       );
-      // Показываем только базовую скидку (5/8%), а не суммарную
+      // Показываем только скидку за длительность, а не суммарную (скидка Контура уже в цене «вместо»)
       var displayDiscountPercent = tooltipDiscountPercent > 0 ? baseDiscountPercent : appliedDiscountPercent;
       if (displayDiscountPercent > 0) {
         doc.text(
@@ -404,14 +409,18 @@ function generateInvoicePDF(bookingData, hotelDetails, options) {
     y += qrSize + 14;
   }
 
+  if (discountBreakdown) {
+    doc.setFontSize(7.5);
+    doc.setTextColor(100, 100, 100);
+    doc.text('Скидка при полной оплате: ' + discountBreakdown, marginLeft, y);
+    y += 5;
+  }
+
   // ─── Назначение платежа (выделенный блок) ───────────────
 
   doc.setDrawColor(26, 115, 232);
   doc.setLineWidth(0.5);
-  var purposeText =
-    'Оплата за проживание по бронированию ' +
-    bookingData.bookingNumber +
-    ', ' + (bookingData.guestName || '');
+  var purposeText = buildPaymentPurpose(bookingData);
   doc.setFontSize(8);
   var splitPurpose = doc.splitTextToSize(purposeText, contentWidth - 10);
   var purposeBlockH = 7 + splitPurpose.length * 4 + 4; // +4 нижний паддинг
@@ -451,31 +460,34 @@ function generateInvoicePDF(bookingData, hotelDetails, options) {
   doc.setFontSize(9);
   doc.setTextColor(0, 0, 0);
 
-  var directorPrefix = 'Директор ' + hotelDetails.name;
-  var directorSuffix = '/ Иванчей Е.А. /';
+  var directorPrefix = (hotelDetails.directorTitle || 'Директор') + ' ' + hotelDetails.name;
+  var directorSuffix = '/ ' + (hotelDetails.directorName || '') + ' /';
   var prefixWidth = doc.getTextWidth(directorPrefix);
   var signLineX = marginLeft + prefixWidth + 4;
   var suffixX = signLineX + 40;
 
   // Печать и подпись по центру линии подписи (___________)
-  if (typeof STAMP_IMAGE_BASE64 !== 'undefined' && STAMP_IMAGE_BASE64) {
+  // (из настроек или встроенные — см. getHotelDetails)
+  var stampImage = hotelDetails.stampImage;
+  if (stampImage) {
     var stampW = 56;
-    var stampH = 56 * (1600 / 747);
+    var stampH = 56 * (stampImage.height / stampImage.width);
     doc.saveGraphicsState();
     doc.setGState(new doc.GState({ opacity: 0.75 }));
     doc.addImage(
-      'data:image/png;base64,' + STAMP_IMAGE_BASE64,
+      stampImage.dataUrl,
       'PNG',
       signLineX + 10, signatureLineY - stampH * 0.50,
       stampW, stampH
     );
     doc.restoreGraphicsState();
   }
-  if (typeof SIGNATURE_IMAGE_BASE64 !== 'undefined' && SIGNATURE_IMAGE_BASE64) {
+  var signatureImage = hotelDetails.signatureImage;
+  if (signatureImage) {
     var sigW = 30;
-    var sigH = 30 * (1280 / 597);
+    var sigH = 30 * (signatureImage.height / signatureImage.width);
     doc.addImage(
-      'data:image/png;base64,' + SIGNATURE_IMAGE_BASE64,
+      signatureImage.dataUrl,
       'PNG',
       signLineX - 2, signatureLineY - sigH * 0.55,
       sigW, sigH
@@ -506,6 +518,97 @@ function generateInvoicePDF(bookingData, hotelDetails, options) {
 
 // ─── Вспомогательные функции для PDF ──────────────────────────
 
+/**
+ * Строки номеров для таблиц счёта и ваучера. Данные без rooms (записи истории
+ * до групповых бронирований) — одна строка из общих полей.
+ * @returns {Array} [{ roomType, roomNumber, checkIn, checkOut, nightsCount, nightlyRate, totalPrice, guestCount }]
+ */
+function getBookingRooms(bookingData) {
+  if (bookingData.rooms && bookingData.rooms.length > 0) {
+    return bookingData.rooms;
+  }
+  return [{
+    roomType: bookingData.roomType,
+    roomNumber: bookingData.roomNumber || '',
+    checkIn: bookingData.checkIn,
+    checkOut: bookingData.checkOut,
+    nightsCount: bookingData.nightsCount,
+    nightlyRate: bookingData.nightlyRate,
+    totalPrice: bookingData.totalPrice,
+    guestCount: bookingData.guestCount
+  }];
+}
+
+/**
+ * Рисует таблицу: серая шапка, строки, необязательная строка итога.
+ * Ширины колонок — по самому широкому тексту колонки, первая колонка
+ * занимает остаток (длинный текст в ней обрезается).
+ * Шрифт таблицы — 8 pt.
+ *
+ * @param {string[]} headers
+ * @param {string[][]} rows
+ * @param {string[]|null} totalRow — строка «Итого» (null — без неё)
+ * @param {number[]} minWidths — минимальные ширины колонок (mm)
+ * @returns {number} y после таблицы
+ */
+function drawDetailsTable(doc, x, y, width, headers, rows, totalRow, minWidths) {
+  var cellPadding = 4;
+  doc.setFontSize(8);
+
+  var allRows = totalRow ? rows.concat([totalRow]) : rows;
+  var widest = headers.map(function (header, column) {
+    var text = '';
+    allRows.forEach(function (row) {
+      if (doc.getTextWidth(row[column] || '') > doc.getTextWidth(text)) {
+        text = row[column];
+      }
+    });
+    return text;
+  });
+  var colWidths = calcTableColumnWidths(doc, width, headers, widest, minWidths);
+
+  doc.setFillColor(240, 240, 240);
+  doc.rect(x, y, width, 8, 'F');
+  doc.setTextColor(50, 50, 50);
+
+  var headerX = x + 2;
+  for (var h = 0; h < headers.length; h++) {
+    doc.text(headers[h], headerX, y + 5.5);
+    headerX += colWidths[h];
+  }
+  y += 8;
+
+  doc.setDrawColor(200, 200, 200);
+  doc.line(x, y, x + width, y);
+
+  y += 1;
+  doc.setTextColor(0, 0, 0);
+
+  var drawRow = function (row) {
+    var rowX = x + 2;
+    for (var c = 0; c < row.length; c++) {
+      var text = c === 0 ? truncateToWidth(doc, row[c], colWidths[0] - cellPadding) : row[c];
+      doc.text(text || '', rowX, y + 5);
+      rowX += colWidths[c];
+    }
+    y += 7;
+  };
+
+  rows.forEach(drawRow);
+  y += 1;
+  doc.line(x, y, x + width, y);
+
+  if (totalRow) {
+    y += 1;
+    drawRow(totalRow);
+    y += 1;
+    doc.line(x, y, x + width, y);
+  }
+  y += 2;
+
+  return y;
+}
+
 function registerCyrillicFont(doc) {
   if (typeof ROBOTO_FONT_BASE64 !== 'undefined' && ROBOTO_FONT_BASE64) {
     doc.addFileToVFS('Roboto-Regular.ttf', ROBOTO_FONT_BASE64);
@@ -537,6 +640,41 @@ function drawLabelValue(doc, x, y, label, value, maxLineWidth) {
   }
 }
 
+/**
+ * Назначение платежа: заданное вручную (bookingData.paymentPurpose)
+ * или стандартное «Оплата за проживание по бронированию …».
+ */
+function buildPaymentPurpose(bookingData) {
+  if (bookingData.paymentPurpose) {
+    return bookingData.paymentPurpose;
+  }
+  return 'Оплата за проживание по бронированию ' +
+    bookingData.bookingNumber + ', ' + (bookingData.guestName || '');
+}
+
+/**
+ * Описание предоплаты: «первые 3 суток», «полная сумма» и т.д.
+ * bookingData.prepayDescription — описание от правила предоплаты (prepay-rules.js);
+ * иначе по bookingData.prepayNights — числу оплачиваемых суток (0 — сумма задана вручную);
+ * для старых данных без этих полей — первые 3 суток, как раньше.
+ */
+function describePrepay(bookingData) {
+  if (bookingData.prepayAmount >= bookingData.totalPrice) {
+    return 'полная сумма';
+  }
+  if (bookingData.prepayDescription) {
+    return bookingData.prepayDescription;
+  }
+  var nights = bookingData.prepayNights;
+  if (nights === undefined) {
+    nights = Math.min(3, bookingData.nightsCount);
+  }
+  if (!nights) {
+    return 'фиксированная сумма';
+  }
+  return nights === 1 ? 'первые сутки' : 'первые ' + nights + ' суток';
+}
+
 function drawLabelValueCompact(doc, x, y, label, value, maxLineWidth) {
   var labelWidth = doc.getTextWidth(label) + 2;
   doc.setTextColor(100, 100, 100);
@@ -632,13 +770,17 @@ function generateInvoiceNumber(bookingNumber) {
 }
 
 function formatCurrentDate() {
+  return formatDateLong(new Date());
+}
+
+/** Форматирует дату как «5 мая 2026 г.». */
+function formatDateLong(date) {
   var months = [
     'января', 'февраля', 'марта', 'апреля',
     'мая', 'июня', 'июля', 'августа',
     'сентября', 'октября', 'ноября', 'декабря'
   ];
-  var now = new Date();
-  return now.getDate() + ' ' + months[now.getMonth()] + ' ' + now.getFullYear() + ' г.';
+  return date.getDate() + ' ' + months[date.getMonth()] + ' ' + date.getFullYear() + ' г.';
 }
 
 function padZero(num) {
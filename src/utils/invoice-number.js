@@ -0,0 +1,47 @@
+/**
+ * Клиент реестра счетов для content script.
+ *
+ * Номера счетов выдаёт service worker (invoice-registry.js) — единая точка,
+ * которая ведёт последовательную нумерацию по финансовому году
+ * и зеркалирует реестр на backend.
+ *
+ * Поток:
+ *  content.js → requestInvoiceNumber() → chrome.runtime.sendMessage →
+ *  → service-worker.js → invoice-registry.js → chrome.storage + backend
+ */
+
+/**
+ * Запрашивает номер счёта для бронирования.
+ *
+ * @param {Object} invoiceData
+ * @param {string} invoiceData.bookingNumber — номер бронирования
+ * @param {string} invoiceData.guestName — заказчик
+ * @param {number} invoiceData.amount — сумма счёта (предоплата)
+ * @param {number} invoiceData.totalPrice — полная стоимость
+ * @param {Function} onSuccess — callback с записью реестра ({ number, issuedAt, ... })
+ * @param {Function} onError — callback при ошибке (принимает строку с ошибкой)
+ */
+function requestInvoiceNumber(invoiceData, onSuccess, onError) {
+  chrome.runtime.sendMessage(
+    {
+      action: 'ISSUE_INVOICE_NUMBER',
+      data: invoiceData
+    },
+    function (response) {
+      if (chrome.runtime.lastError) {
+        console.error('[KonturPrepay] Ошибка связи с service worker:', chrome.runtime.lastError);
+        onError('Ошибка связи с расширением: ' + chrome.runtime.lastError.message);
+        return;
+      }
+
+      if (response && response.success) {
+        console.log('[KonturPrepay] Номер счёта получен:', response.data.number);
+        onSuccess(response.data);
+      } else {
+        var errorMsg = (response && response.error) || 'Не удалось получить номер счёта';
+        console.error('[KonturPrepay] Ошибка реестра счетов:', errorMsg);
+        onError(errorMsg);
+      }
+    }
+  );
+}
@@ -0,0 +1,351 @@
+/**
+ * Данные бронирования из JSON-ответов Контура — основной источник для parseBookingData.
+ *
+ * Страница Контур Отель сама загружает бронирование JSON-запросами; page-hook.js
+ * (мир страницы) пересылает эти ответы сюда через window.postMessage. Здесь хранятся
+ * последние ответы и по ним собираются поля бронирования в том же виде,
+ * что даёт разбор DOM. Структура API Контура не документирована, поэтому поля
+ * ищутся по синонимам ключей (NETWORK_FIELD_KEYS): если Контур переименует поле —
+ * дописать имя сюда. Не нашлись обязательные поля — parseBookingData
+ * разбирает DOM, как раньше.
+ *
+ * Подключается отдельно, на document_start: ответы, пришедшие до загрузки
+ * остальных скриптов, не теряются.
+ *
+ * Зависимости (вызываются позже, загружены к моменту разбора): data-parser.js
+ * (parsePrice, calculateNights, describeGuestCount).
+ */
+
+var NETWORK_MESSAGE_SOURCE = 'kontur-prepay-page-hook';
+
+// Сколько последних ответов хранить: бронирование, гости, оплаты и справочники страницы
+var NETWORK_RESPONSES_LIMIT = 40;
+
+// Обход JSON: ограничения на случай огромных ответов
+var NETWORK_MAX_DEPTH = 8;
+var NETWORK_MAX_NODES = 5000;
+
+// ─── Синонимы ключей ──────────────────────────────────────────
+//
+// Ключи сравниваются без учёта регистра.
+
+var NETWORK_FIELD_KEYS = {
+  id: ['id', 'bookingId', 'reservationId', 'uid', 'guid'],
+  bookingNumber: ['number', 'bookingNumber', 'reservationNumber', 'code', 'displayNumber'],
+  checkIn: ['checkIn', 'checkInDate', 'arrival', 'arrivalDate', 'dateFrom', 'from', 'startDate'],
+  checkOut: ['checkOut', 'checkOutDate', 'departure', 'departureDate', 'dateTo', 'to', 'endDate'],
+  totalPrice: ['totalPrice', 'totalAmount', 'totalCost', 'total', 'price', 'cost', 'amount'],
+  paidAmount: ['paidAmount', 'paid', 'paymentsAmount', 'paidSum'],
+  debtAmount: ['debtAmount', 'debt', 'balance', 'toPay', 'remainingAmount'],
+  customer: ['customer', 'payer', 'client', 'contact', 'mainGuest', 'guest'],
+  guests: ['guests', 'guestList', 'persons'],
+  name: ['fullName', 'displayName', 'name'],
+  lastName: ['lastName', 'surname'],
+  firstName: ['firstName', 'givenName'],
+  middleName: ['middleName', 'patronymic'],
+  email: ['email', 'eMail', 'mail'],
+  phone: ['phone', 'phoneNumber', 'mobilePhone', 'tel'],
+  adults: ['adults', 'adultsCount', 'adultCount'],
+  children: ['children', 'childrenCount', 'childCount'],
+  childrenAges: ['childrenAges', 'childAges'],
+  rooms: ['rooms', 'roomStays', 'bookedRooms', 'accommodations', 'items'],
+  roomType: ['roomType', 'roomTypeName', 'category', 'categoryName', 'roomCategory'],
+  roomNumber: ['roomNumber', 'room', 'roomName'],
+  ratePlan: ['ratePlan', 'ratePlanName', 'tariff', 'tariffName', 'rate'],
+  dailyRates: ['dailyRates', 'dailyPrices', 'prices', 'nights', 'days'],
+  value: ['amount', 'value', 'sum', 'price', 'total']
+};
+
+var networkResponses = []; // [{ url, body }] — от старых к новым
+
+window.addEventListener('message', function (event) {
+  var message = event.data;
+  if (event.source !== window || !message || message.source !== NETWORK_MESSAGE_SOURCE) {
+    return;
+  }
+  networkResponses.push({ url: String(message.url || ''), body: message.body });
+  if (networkResponses.length > NETWORK_RESPONSES_LIMIT) {
+    networkResponses.shift();
+  }
+});
+
+// ─── Поиск бронирования ───────────────────────────────────────
+
+/**
+ * Поля бронирования из перехваченных ответов.
+ * Берётся самый свежий ответ, где нашлось бронирование со всеми обязательными полями
+ * (номер, даты, стоимость, гость) — после сохранения брони Контур загружает её заново.
+ *
+ * @param {string} bookingId — id бронирования из адреса страницы (/bookings/.../id/<id>)
+ * @returns {Object|null} { bookingNumber, checkIn, checkOut, checkInTime, checkOutTime,
+ *   roomType, roomNumber, totalPrice, guestName, guestEmail, contactEmails, guestPhone,
+ *   paidAmount, debtAmount, guestCount, ratePlan, nightsCount, rooms, dailyRates }
+ */
+function findNetworkBookingFields(bookingId) {
+  if (!bookingId) {
+    return null;
+  }
+  for (var i = networkResponses.length - 1; i >= 0; i--) {
+    var response = networkResponses[i];
+    var urlMatches = response.url.indexOf(bookingId) !== -1;
+    var candidate = findBookingObject(response.body, bookingId, urlMatches);
+    if (!candidate) {
+      continue;
+    }
+    var fields = mapNetworkBooking(candidate);
+    if (fields.bookingNumber && fields.checkIn && fields.checkOut && fields.totalPrice > 0 && fields.guestName) {
+      return fields;
+    }
+  }
+  return null;
+}
+
+/**
+ * Объект бронирования в ответе: с датами заезда и выезда и с id бронирования
+ * (или любой такой объект, если id есть в адресе запроса). Из нескольких — с большим
+ * числом знакомых полей.
+ */
+function findBookingObject(body, bookingId, urlMatches) {
+  var best = null;
+  var bestScore = 0;
+  var visited = 0;
+
+  (function walk(node, depth) {
+    if (!node || typeof node !== 'object' || depth > NETWORK_MAX_DEPTH || ++visited > NETWORK_MAX_NODES) {
+      return;
+    }
+    if (Array.isArray(node)) {
+      node.forEach(function (item) {
+        walk(item, depth + 1);
+      });
+      return;
+    }
+
+    if (pickValue(node, 'checkIn') !== undefined && pickValue(node, 'checkOut') !== undefined) {
+      var ownId = String(pickValue(node, 'id') || '');
+      if (ownId === bookingId || urlMatches) {
+        var score = (ownId === bookingId ? 10 : 0) + Object.keys(NETWORK_FIELD_KEYS).filter(function (field) {
+          return pickValue(node, field) !== undefined;
+        }).length;
+        if (score > bestScore) {
+          best = node;
+          bestScore = score;
+        }
+      }
+    }
+
+    Object.keys(node).forEach(function (key) {
+      walk(node[key], depth + 1);
+    });
+  })(body, 0);
+
+  return best;
+}
+
+// ─── Сопоставление полей ──────────────────────────────────────
+
+/** Переводит объект бронирования из API в поля parseBookingData. */
+function mapNetworkBooking(booking) {
+  var checkIn = toNetworkDate(pickValue(booking, 'checkIn'));
+  var checkOut = toNetworkDate(pickValue(booking, 'checkOut'));
+  var customer = pickObject(booking, 'customer') || {};
+  var guestList = pickArray(booking, 'guests');
+  var nightsCount = checkIn.date && checkOut.date ? calculateNights(checkIn.date, checkOut.date) : 0;
+
+  var guestEmail = toNetworkText(pickValue(customer, 'email'));
+  var fields = {
+    bookingNumber: toNetworkText(pickValue(booking, 'bookingNumber')),
+    checkIn: checkIn.date,
+    checkOut: checkOut.date,
+    checkInTime: checkIn.time,
+    checkOutTime: checkOut.time,
+    roomType: toNetworkText(pickValue(booking, 'roomType')),
+    roomNumber: toNetworkText(pickValue(booking, 'roomNumber')),
+    totalPrice: toNetworkAmount(pickValue(booking, 'totalPrice')),
+    guestName: toPersonName(customer) || (guestList.length > 0 ? toPersonName(guestList[0]) : ''),
+    guestEmail: guestEmail,
+    contactEmails: collectNetworkEmails(booking, guestEmail),
+    guestPhone: toNetworkText(pickValue(customer, 'phone')),
+    paidAmount: toNetworkAmount(pickValue(booking, 'paidAmount')),
+    debtAmount: toNetworkAmount(pickValue(booking, 'debtAmount')),
+    guestCount: toNetworkGuestCount(booking, guestList),
+    ratePlan: toNetworkText(pickValue(booking, 'ratePlan')),
+    nightsCount: nightsCount,
+    rooms: null,
+    dailyRates: toNetworkDailyRates(pickArray(booking, 'dailyRates'), nightsCount)
+  };
+
+  if (!fields.guestEmail && fields.contactEmails.length > 0) {
+    fields.guestEmail = fields.contactEmails[0];
+  }
+  if (!fields.debtAmount && fields.totalPrice > fields.paidAmount) {
+    fields.debtAmount = fields.totalPrice - fields.paidAmount;
+  }
+
+  var rooms = pickArray(booking, 'rooms').filter(function (room) {
+    return room && typeof room === 'object' && pickValue(room, 'roomType') !== undefined;
+  }).map(function (room) {
+    return mapNetworkRoom(room, fields);
+  });
+  if (rooms.length === 1) {
+    fields.roomType = fields.roomType || rooms[0].roomType;
+    fields.roomNumber = fields.roomNumber || rooms[0].roomNumber;
+  } else if (rooms.length > 1 && rooms.every(function (room) { return room.totalPrice > 0; })) {
+    fields.rooms = rooms;
+  }
+  return fields;
+}
+
+/** Строка номера группового бронирования — в формате parseBookingRooms. */
+function mapNetworkRoom(room, booking) {
+  var checkIn = toNetworkDate(pickValue(room, 'checkIn')).date || booking.checkIn;
+  var checkOut = toNetworkDate(pickValue(room, 'checkOut')).date || booking.checkOut;
+  var nightsCount = checkIn && checkOut ? calculateNights(checkIn, checkOut) : booking.nightsCount;
+  var totalPrice = toNetworkAmount(pickValue(room, 'totalPrice'));
+  return {
+    roomType: toNetworkText(pickValue(room, 'roomType')),
+    roomNumber: toNetworkText(pickValue(room, 'roomNumber')),
+    checkIn: checkIn,
+    checkOut: checkOut,
+    nightsCount: nightsCount,
+    nightlyRate: nightsCount > 0 ? Math.round(totalPrice / nightsCount) : 0,
+    totalPrice: totalPrice,
+    guestCount: toNetworkGuestCount(room, pickArray(room, 'guests'))
+  };
+}
+
+/** Гости — из счётчиков взрослых/детей, без них — по списку гостей. */
+function toNetworkGuestCount(source, guestList) {
+  var adults = pickValue(source, 'adults');
+  var children = pickValue(source, 'children');
+  var ages = pickArray(source, 'childrenAges').map(Number).filter(function (age) {
+    return !isNaN(age);
+  });
+  var count = {
+    adults: typeof adults === 'number' ? adults : guestList.length,
+    children: typeof children === 'number' ? children : (Array.isArray(children) ? children.length : ages.length),
+    childrenAges: ages,
+    total: 0,
+    text: ''
+  };
+  count.total = count.adults + count.children;
+  count.text = describeGuestCount(count);
+  return count;
+}
+
+/** Цены по суткам — только если их ровно по числу ночей (иначе это не посуточный список). */
+function toNetworkDailyRates(items, nightsCount) {
+  var rates = items.map(function (item) {
+    return toNetworkAmount(item);
+  });
+  var complete = rates.length > 0 && rates.length === nightsCount && rates.every(function (rate) {
+    return rate > 0;
+  });
+  return complete ? rates : [];
+}
+
+/** Все адреса в бронировании (заказчик, плательщик, гости); адрес гостя — первым. */
+function collectNetworkEmails(booking, guestEmail) {
+  var emails = guestEmail ? [guestEmail.toLowerCase()] : [];
+  var visited = 0;
+  (function walk(node, depth) {
+    if (depth > NETWORK_MAX_DEPTH || ++visited > NETWORK_MAX_NODES) {
+      return;
+    }
+    if (typeof node === 'string') {
+      var email = node.trim().toLowerCase();
+      if (/^[^\s@]+@[^\s@]+\.[a-z]{2,}$/.test(email) && emails.indexOf(email) === -1) {
+        emails.push(email);
+      }
+    } else if (node && typeof node === 'object') {
+      Object.keys(node).forEach(function (key) {
+        walk(node[key], depth + 1);
+      });
+    }
+  })(booking, 0);
+  return emails;
+}
+
+// ─── Значения ─────────────────────────────────────────────────
+
+/** Значение первого из синонимов поля, найденного в объекте (undefined — нет). */
+function pickValue(object, field) {
+  var keys = NETWORK_FIELD_KEYS[field];
+  var ownKeys = Object.keys(object);
+  for (var i = 0; i < keys.length; i++) {
+    for (var j = 0; j < ownKeys.length; j++) {
+      if (ownKeys[j].toLowerCase() === keys[i].toLowerCase() &&
+          object[ownKeys[j]] !== null && object[ownKeys[j]] !== undefined) {
+        return object[ownKeys[j]];
+      }
+    }
+  }
+  return undefined;
+}
+
+function pickObject(object, field) {
+  var value = pickValue(object, field);
+  return value && typeof value === 'object' && !Array.isArray(value) ? value : null;
+}
+
+function pickArray(object, field) {
+  var value = pickValue(object, field);
+  return Array.isArray(value) ? value : [];
+}
+
+/** Текст из строки, числа или справочного объекта ({ name: 'Стандарт' }). */
+function toNetworkText(value) {
+  if (typeof value === 'string' || typeof value === 'number') {
+    return String(value).trim();
+  }
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    return toNetworkText(pickValue(value, 'name'));
+  }
+  return '';
+}
+
+/** Сумма из числа, строки («12 500,00») или объекта ({ amount: 12500, currency: 'RUB' }). */
+function toNetworkAmount(value) {
+  if (typeof value === 'number') {
+    return Math.round(value);
+  }
+  if (typeof value === 'string') {
+    return parsePrice(value);
+  }
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    return toNetworkAmount(pickValue(value, 'value'));
+  }
+  return 0;
+}
+
+/**
+ * Дата и время из ISO («2026-05-12», «2026-05-12T14:00:00+05:00») или «12.05.2026».
+ * Время берётся, только если оно указано и не полночь (полночь — дата без времени).
+ * @returns {{ date: string, time: string }} date — 'DD.MM.YYYY'
+ */
+function toNetworkDate(value) {
+  var text = typeof value === 'string' ? value : '';
+  var iso = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2}))?/);
+  if (iso) {
+    var time = iso[4] && iso[4] + ':' + iso[5] !== '00:00' ? iso[4] + ':' + iso[5] : '';
+    return { date: iso[3] + '.' + iso[2] + '.' + iso[1], time: time };
+  }
+  var ru = text.match(/^(\d{2}\.\d{2}\.\d{4})(?:\s+(\d{2}:\d{2}))?/);
+  if (ru) {
+    return { date: ru[1], time: ru[2] && ru[2] !== '00:00' ? ru[2] : '' };
+  }
+  return { date: '', time: '' };
+}
+
+/** ФИО: полное имя или «Фамилия Имя Отчество» из частей. */
+function toPersonName(person) {
+  if (!person || typeof person !== 'object') {
+    return '';
+  }
+  var parts = [
+    toNetworkText(pickValue(person, 'lastName')),
+    toNetworkText(pickValue(person, 'firstName')),
+    toNetworkText(pickValue(person, 'middleName'))
+  ].filter(Boolean);
+  return parts.length > 0 ? parts.join(' ') : toNetworkText(pickValue(person, 'name'));
+}
@@ -0,0 +1,268 @@
+/**
+ * Сверка поступлений из банковской выписки (bank-statement.js) с выданными
+ * счетами на предоплату (реестр счетов, background/invoice-registry.js).
+ *
+ * Платёж относится к бронированию:
+ *   1. по номеру бронирования в назначении платежа — «…по бронированию OTL-0000000015»
+ *      (гости пишут и «OTL-15», и «ОТЛ 15» кириллицей — сравниваем без ведущих нулей
+ *      и с заменой похожих букв);
+ *   2. по номеру счёта в назначении — «счёт № 2026-00012»;
+ *   3. без ссылок в назначении — если фамилия гостя есть в имени плательщика и сумма
+ *      равна неоплаченному остатку ровно одного бронирования.
+ * Платёж за несколько бронирований распределяется по ним в пределах выставленных
+ * сумм, остаток — на последнее.
+ *
+ * Строки отчёта — по бронированиям, по которым пришли деньги, и по нераспознанным
+ * платежам:
+ *   matched   — оплачено ровно по счетам;
+ *   partial   — оплачено меньше выставленного;
+ *   overpaid  — оплачено больше (или счёт по бронированию аннулирован);
+ *   unmatched — платёж не удалось отнести к бронированию.
+ *
+ * Зависимости: нет (чистые функции).
+ */
+
+var RECONCILIATION_STATUS_LABELS = {
+  matched: 'Оплачено',
+  partial: 'Частичная оплата',
+  overpaid: 'Переплата',
+  unmatched: 'Не распознан'
+};
+
+var RECONCILIATION_MATCH_LABELS = {
+  booking: 'по номеру бронирования',
+  invoice: 'по номеру счёта',
+  payer: 'по плательщику и сумме'
+};
+
+// Проблемные строки — первыми
+var RECONCILIATION_STATUS_ORDER = ['unmatched', 'partial', 'overpaid', 'matched'];
+
+// Кириллические буквы, которые в назначении платежа пишут вместо латинских
+// (Л — из префикса Контура «OTL», который гости пишут как «ОТЛ»)
+var LOOKALIKE_LETTERS = {
+  'А': 'A', 'В': 'B', 'Е': 'E', 'К': 'K', 'Л': 'L', 'М': 'M', 'Н': 'H', 'О': 'O',
+  'Р': 'P', 'С': 'C', 'Т': 'T', 'У': 'Y', 'Х': 'X'
+};
+
+/**
+ * Сверяет платежи со счетами.
+ * @param {Array} payments — входящие платежи parseBankStatement()
+ * @param {Array} invoices — записи реестра счетов ({ number, bookingNumber, guestName, amount, status })
+ * @returns {{ rows: Array, summary: Object }}
+ *   rows: [ { status, bookingNumber, guestName, invoiceNumbers, invoiced, paid, difference,
+ *             payments: [ { number, date, amount, payer, purpose, matchedBy, payerIsGuest } ] } ]
+ *   summary: { matched, partial, overpaid, unmatched, totalIncoming, totalMatched }
+ */
+function reconcilePayments(payments, invoices) {
+  var bookings = {};
+  var bookingByKey = {};
+  var bookingByInvoice = {};
+  var textBookings = [];
+
+  invoices.forEach(function (invoice) {
+    if (!invoice.bookingNumber) {
+      return;
+    }
+    var booking = bookings[invoice.bookingNumber];
+    if (!booking) {
+      booking = bookings[invoice.bookingNumber] = {
+        bookingNumber: invoice.bookingNumber,
+        guestName: invoice.guestName || '',
+        invoiceNumbers: [],
+        invoiced: 0,
+        paid: 0,
+        payments: []
+      };
+      var key = bookingReferenceKey(invoice.bookingNumber);
+      if (key) {
+        bookingByKey[key] = booking;
+      } else {
+        textBookings.push(booking);
+      }
+    }
+    bookingByInvoice[invoice.number] = booking;
+    // Аннулированный счёт находит бронирование по номеру, но в сумму к оплате не входит
+    if (invoice.status === 'issued') {
+      booking.invoiceNumbers.push(invoice.number);
+      booking.invoiced += invoice.amount || 0;
+    }
+  });
+
+  var unmatched = [];
+  var withoutReference = [];
+
+  payments.forEach(function (payment) {
+    var found = findReferencedBookings(payment.purpose, bookingByKey, bookingByInvoice, textBookings);
+    if (found.bookings.length === 0) {
+      withoutReference.push(payment);
+    } else {
+      allocatePayment(payment, found.bookings, found.matchedBy);
+    }
+  });
+
+  // Платежи без ссылок — после остальных, чтобы остатки к оплате были уже известны
+  withoutReference.forEach(function (payment) {
+    var candidates = Object.keys(bookings).map(function (bookingNumber) {
+      return bookings[bookingNumber];
+    }).filter(function (booking) {
+      return isPayerGuest(payment.payer, booking.guestName) &&
+        toKopecks(booking.invoiced - booking.paid) === toKopecks(payment.amount);
+    });
+    if (candidates.length === 1) {
+      allocatePayment(payment, candidates, 'payer');
+    } else {
+      unmatched.push(payment);
+    }
+  });
+
+  var rows = [];
+  Object.keys(bookings).forEach(function (bookingNumber) {
+    var booking = bookings[bookingNumber];
+    if (booking.payments.length === 0) {
+      return;
+    }
+    var difference = toKopecks(booking.paid) - toKopecks(booking.invoiced);
+    rows.push({
+      status: difference === 0 ? 'matched' : (difference < 0 ? 'partial' : 'overpaid'),
+      bookingNumber: booking.bookingNumber,
+      guestName: booking.guestName,
+      invoiceNumbers: booking.invoiceNumbers,
+      invoiced: booking.invoiced,
+      paid: booking.paid,
+      difference: difference / 100,
+      payments: booking.payments
+    });
+  });
+  unmatched.forEach(function (payment) {
+    rows.push({
+      status: 'unmatched',
+      bookingNumber: '',
+      guestName: '',
+      invoiceNumbers: [],
+      invoiced: 0,
+      paid: payment.amount,
+      difference: payment.amount,
+      payments: [Object.assign({}, payment, { matchedBy: null, payerIsGuest: false })]
+    });
+  });
+
+  rows.sort(function (a, b) {
+    return RECONCILIATION_STATUS_ORDER.indexOf(a.status) - RECONCILIATION_STATUS_ORDER.indexOf(b.status) ||
+      compareStatementDates(a.payments[0].date, b.payments[0].date);
+  });
+
+  var summary = { matched: 0, partial: 0, overpaid: 0, unmatched: 0, totalIncoming: 0, totalMatched: 0 };
+  rows.forEach(function (row) {
+    summary[row.status]++;
+    summary.totalIncoming += row.paid;
+    if (row.status !== 'unmatched') {
+      summary.totalMatched += row.paid;
+    }
+  });
+
+  return { rows: rows, summary: summary };
+}
+
+// ─── Поиск бронирования ─────────────────────────────────────────
+
+/**
+ * Бронирования, упомянутые в назначении платежа.
+ * @returns {{ bookings: Array, matchedBy: string }}
+ */
+function findReferencedBookings(purpose, bookingByKey, bookingByInvoice, textBookings) {
+  var text = normalizeReferenceText(purpose);
+  var bookings = [];
+  var add = function (booking) {
+    if (booking && bookings.indexOf(booking) === -1) {
+      bookings.push(booking);
+    }
+  };
+
+  var tokenPattern = /([A-Z]{2,5})[\s\-–—№#]*(\d{1,12})(?!\d)/g;
+  var match;
+  while ((match = tokenPattern.exec(text)) !== null) {
+    add(bookingByKey[match[1] + '-' + parseInt(match[2], 10)]);
+  }
+  // Номера вида IMP-BLBLA120226 — по вхождению без разделителей
+  var compactText = text.replace(/[\s\-–—]/g, '');
+  textBookings.forEach(function (booking) {
+    if (compactText.indexOf(normalizeReferenceText(booking.bookingNumber).replace(/[\s\-–—]/g, '')) !== -1) {
+      add(booking);
+    }
+  });
+  if (bookings.length > 0) {
+    return { bookings: bookings, matchedBy: 'booking' };
+  }
+
+  var invoicePattern = /(20\d{2})\s*[-–—]\s*(\d{5})(?!\d)/g;
+  while ((match = invoicePattern.exec(text)) !== null) {
+    add(bookingByInvoice[match[1] + '-' + match[2]]);
+  }
+  return { bookings: bookings, matchedBy: 'invoice' };
+}
+
+/**
+ * Ключ номера бронирования для сравнения: «OTL-0000000015» → «OTL-15».
+ * null — номер не вида «БУКВЫ-ЦИФРЫ», сравнивается по вхождению.
+ */
+function bookingReferenceKey(bookingNumber) {
+  var match = normalizeReferenceText(bookingNumber).match(/^([A-Z]{2,5})[\s\-–—]*(\d{1,12})$/);
+  return match ? match[1] + '-' + parseInt(match[2], 10) : null;
+}
+
+function normalizeReferenceText(text) {
+  return String(text || '').toUpperCase().replace(/[АВЕКЛМНОРСТУХ]/g, function (letter) {
+    return LOOKALIKE_LETTERS[letter];
+  });
+}
+
+/**
+ * Распределяет платёж по бронированиям: каждому — до выставленной суммы,
+ * остаток — последнему.
+ */
+function allocatePayment(payment, bookings, matchedBy) {
+  var rest = toKopecks(payment.amount);
+  bookings.forEach(function (booking, index) {
+    var isLast = index === bookings.length - 1;
+    var share = isLast ? rest : Math.min(rest, Math.max(0, toKopecks(booking.invoiced - booking.paid)));
+    if (share <= 0 && !isLast) {
+      return;
+    }
+    rest -= share;
+    booking.paid += share / 100;
+    booking.payments.push(Object.assign({}, payment, {
+      amount: share / 100,
+      matchedBy: matchedBy,
+      payerIsGuest: isPayerGuest(payment.payer, booking.guestName)
+    }));
+  });
+}
+
+// ─── Вспомогательные ────────────────────────────────────────────
+
+/** Есть ли фамилия гостя (первое слово имени) в имени плательщика. */
+function isPayerGuest(payer, guestName) {
+  var surname = normalizePersonName(guestName).split(' ')[0];
+  return surname.length >= 2 && normalizePersonName(payer).split(' ').indexOf(surname) !== -1;
+}
+
+function normalizePersonName(name) {
+  return String(name || '').toLowerCase().replace(/ё/g, 'е').replace(/[^a-zа-я\s]/g, ' ')
+    .replace(/\s+/g, ' ').trim();
+}
+
+function toKopecks(amount) {
+  return Math.round((amount || 0) * 100);
+}
+
+/** Сравнение дат «ДД.ММ.ГГГГ» для сортировки. */
+function compareStatementDates(a, b) {
+  var toSortable = function (date) {
+    var parts = String(date || '').split('.');
+    return parts.length === 3 ? parts[2] + parts[1] + parts[0] : String(date || '');
+  };
+  var left = toSortable(a);
+  var right = toSortable(b);
+  return left < right ? -1 : (left > right ? 1 : 0);
+}
@@ -0,0 +1,310 @@
+/**
+ * Правила расчёта предоплаты.
+ *
+ * Единый расчёт для тултипа «Стоимость проживания», счёта (content.js)
+ * и парсеров страницы / модального окна (data-parser.js). Групповое бронирование —
+ * calculateGroupPrepay, по правилу на каждый номер.
+ *
+ * Правило (настраивается на странице настроек, ключ storage «prepayRules»):
+ *   {
+ *     id, name, enabled,
+ *     type: 'nights' | 'percent' | 'fixed' | 'full',
+ *     value: number,             — суток / процентов / рублей (для 'full' не используется)
+ *     conditions: {
+ *       seasons: [ { from: 'ДД.ММ', to: 'ДД.ММ' } ],  — по дате заезда, ежегодно (01.12–28.02 тоже допустимо)
+ *       roomCategories: [ 'Люкс', ... ],              — подстрока категории номера, без учёта регистра
+ *       ratePlans: [ 'Невозвратный', ... ],           — подстрока тарифа, без учёта регистра
+ *       leadTimeMin: number | null,                   — дней от сегодня до заезда, не меньше
+ *       leadTimeMax: number | null                    — и не больше
+ *     }
+ *   }
+ *
+ * Правила проверяются по порядку, применяется первое подходящее.
+ * Если не подошло ни одно — DEFAULT_PREPAY_RULE (первые 3 суток, как раньше).
+ *
+ * Зависимости: settings-store.js (getSetting), data-parser.js (parseDate).
+ */
+
+var PREPAY_RULE_TYPES = {
+  nights: 'Первые N суток',
+  percent: 'Процент от стоимости',
+  fixed: 'Фиксированная сумма',
+  full: 'Полная оплата'
+};
+
+var DEFAULT_PREPAY_RULE = {
+  id: 'default',
+  name: 'Первые 3 суток',
+  enabled: true,
+  type: 'nights',
+  value: 3,
+  conditions: {}
+};
+
+/** Правила из настроек (без выключенных). */
+function getPrepayRules() {
+  var rules = getSetting('prepayRules') || [];
+  return rules.filter(function (rule) {
+    return rule.enabled !== false;
+  });
+}
+
+/**
+ * Рассчитывает предоплату по правилам.
+ *
+ * @param {Object} context
+ * @param {number} context.totalPrice — стоимость проживания
+ * @param {number} context.nightsCount — количество ночей
+ * @param {number[]} [context.dailyRates] — посуточные цены (без скидки)
+ * @param {string} [context.checkIn] — дата заезда 'ДД.ММ.ГГГГ'
+ * @param {string} [context.roomType] — категория номера
+ * @param {string} [context.ratePlan] — тариф
+ * @param {Date} [context.today] — дата расчёта (для срока до заезда), по умолчанию — сейчас
+ * @param {Object[]} [rules] — правила (по умолчанию — из настроек)
+ * @returns {{ amount: number, nights: number, description: string, rule: Object }}
+ *   nights — число оплачиваемых суток (0, если правило не «по суткам»)
+ */
+function calculatePrepay(context, rules) {
+  var rule = selectPrepayRule(context, rules || getPrepayRules());
+  var totalPrice = context.totalPrice || 0;
+  var nightsCount = context.nightsCount || 0;
+  var amount = 0;
+  var nights = 0;
+
+  if (rule.type === 'nights') {
+    var dailyRates = context.dailyRates || [];
+    nights = Math.min(rule.value, dailyRates.length || nightsCount);
+    if (dailyRates.length > 0) {
+      for (var d = 0; d < nights; d++) {
+        amount += dailyRates[d];
+      }
+    } else {
+      // Фоллбэк без посуточных цен: средняя цена за сутки × N
+      amount = nightsCount > 0 ? Math.round((totalPrice / nightsCount) * nights) : 0;
+    }
+  } else if (rule.type === 'percent') {
+    amount = Math.round(totalPrice * rule.value / 100);
+  } else if (rule.type === 'fixed') {
+    amount = rule.value;
+  } else {
+    amount = totalPrice;
+  }
+
+  if (amount > totalPrice) {
+    amount = totalPrice;
+  }
+
+  return {
+    amount: amount,
+    nights: nights,
+    description: describePrepayRule(rule, amount >= totalPrice, nights),
+    rule: rule
+  };
+}
+
+/**
+ * Предоплата за групповое бронирование: правило подбирается для каждого номера
+ * (категория, дата заезда, сумма), суммы складываются — один счёт на всю бронь.
+ *
+ * @param {Object[]} rooms — строки номеров (bookingData.rooms): { totalPrice, nightsCount,
+ *   dailyRates?, checkIn, roomType }
+ * @param {Object} context — общее для брони: { ratePlan, today }
+ * @param {Object[]} [rules] — правила (по умолчанию — из настроек)
+ * @returns {{ amount: number, nights: number, description: string, rooms: number[] }}
+ *   nights — общее число суток, если у всех номеров предоплата «первые N суток» с одним N, иначе 0;
+ *   rooms — предоплата по каждому номеру
+ */
+function calculateGroupPrepay(rooms, context, rules) {
+  var results = rooms.map(function (room) {
+    return calculatePrepay({
+      totalPrice: room.totalPrice,
+      nightsCount: room.nightsCount,
+      dailyRates: room.dailyRates,
+      checkIn: room.checkIn,
+      roomType: room.roomType,
+      ratePlan: context.ratePlan,
+      today: context.today
+    }, rules);
+  });
+
+  var amount = 0;
+  results.forEach(function (result) {
+    amount += result.amount;
+  });
+  var sameRule = results.every(function (result) {
+    return result.description === results[0].description;
+  });
+  var sameNights = results.every(function (result) {
+    return result.nights > 0 && result.nights === results[0].nights;
+  });
+
+  return {
+    amount: amount,
+    nights: sameNights ? results[0].nights : 0,
+    description: sameRule ? results[0].description : 'по правилам для каждого номера',
+    rooms: results.map(function (result) {
+      return result.amount;
+    })
+  };
+}
+
+/**
+ * Выбирает первое подходящее правило.
+ * @returns {Object} правило (DEFAULT_PREPAY_RULE, если не подошло ни одно)
+ */
+function selectPrepayRule(context, rules) {
+  for (var i = 0; i < rules.length; i++) {
+    if (prepayRuleMatches(rules[i], context)) {
+      return rules[i];
+    }
+  }
+  return DEFAULT_PREPAY_RULE;
+}
+
+/** Проверяет условия правила. Незаполненное условие считается выполненным. */
+function prepayRuleMatches(rule, context) {
+  var conditions = rule.conditions || {};
+
+  if (conditions.seasons && conditions.seasons.length > 0) {
+    var checkIn = parseDate(context.checkIn);
+    if (!checkIn || !conditions.seasons.some(function (season) {
+      return isDateInSeason(checkIn, season);
+    })) {
+      return false;
+    }
+  }
+
+  if (conditions.roomCategories && conditions.roomCategories.length > 0 &&
+      !containsAnyIgnoreCase(context.roomType, conditions.roomCategories)) {
+    return false;
+  }
+
+  if (conditions.ratePlans && conditions.ratePlans.length > 0 &&
+      !containsAnyIgnoreCase(context.ratePlan, conditions.ratePlans)) {
+    return false;
+  }
+
+  var hasLeadTime = isFiniteNumber(conditions.leadTimeMin) || isFiniteNumber(conditions.leadTimeMax);
+  if (hasLeadTime) {
+    var leadTime = calculateLeadTime(context.checkIn, context.today || new Date());
+    if (leadTime === null) {
+      return false;
+    }
+    if (isFiniteNumber(conditions.leadTimeMin) && leadTime < conditions.leadTimeMin) {
+      return false;
+    }
+    if (isFiniteNumber(conditions.leadTimeMax) && leadTime > conditions.leadTimeMax) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Входит ли дата в сезон «ДД.ММ–ДД.ММ» (без года, повторяется ежегодно).
+ * Сезон может переходить через Новый год: 15.12–15.01.
+ */
+function isDateInSeason(date, season) {
+  var from = parseSeasonDay(season.from);
+  var to = parseSeasonDay(season.to);
+  if (from === null || to === null) {
+    return false;
+  }
+  var day = (date.getMonth() + 1) * 100 + date.getDate();
+  if (from <= to) {
+    return day >= from && day <= to;
+  }
+  return day >= from || day <= to;
+}
+
+/** 'ДД.ММ' → ММДД (число для сравнения), null при ошибке. */
+function parseSeasonDay(str) {
+  var m = String(str || '').trim().match(/^(\d{1,2})\.(\d{1,2})$/);
+  if (!m) {
+    return null;
+  }
+  var dayNum = parseInt(m[1], 10);
+  var month = parseInt(m[2], 10);
+  if (month < 1 || month > 12 || dayNum < 1 || dayNum > 31) {
+    return null;
+  }
+  return month * 100 + dayNum;
+}
+
+/** Количество дней от today до заезда (null, если дата заезда неизвестна). */
+function calculateLeadTime(checkInStr, today) {
+  var checkIn = parseDate(checkInStr);
+  if (!checkIn) {
+    return null;
+  }
+  var start = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+  return Math.round((checkIn.getTime() - start.getTime()) / (1000 * 60 * 60 * 24));
+}
+
+function containsAnyIgnoreCase(value, needles) {
+  var haystack = String(value || '').toLowerCase();
+  if (!haystack) {
+    return false;
+  }
+  return needles.some(function (needle) {
+    return needle && haystack.indexOf(String(needle).toLowerCase()) !== -1;
+  });
+}
+
+function isFiniteNumber(value) {
+  return typeof value === 'number' && isFinite(value);
+}
+
+function isEmptyOrNumber(value) {
+  return value === undefined || value === null || isFiniteNumber(value);
+}
+
+/** Описание предоплаты для тултипа и счёта: «первые 3 суток», «30% стоимости»… */
+function describePrepayRule(rule, isFullAmount, nights) {
+  if (isFullAmount || rule.type === 'full') {
+    return 'полная сумма';
+  }
+  if (rule.type === 'nights') {
+    return nights === 1 ? 'первые сутки' : 'первые ' + nights + ' суток';
+  }
+  if (rule.type === 'percent') {
+    return rule.value + '% стоимости';
+  }
+  return 'фиксированная сумма';
+}
+
+/**
+ * Проверяет правило перед сохранением.
+ * @returns {string} текст ошибки или '' если правило корректно
+ */
+function validatePrepayRule(rule) {
+  if (!PREPAY_RULE_TYPES.hasOwnProperty(rule.type)) {
+    return 'неизвестный тип предоплаты';
+  }
+  if (rule.type !== 'full' && !(isFiniteNumber(rule.value) && rule.value > 0)) {
+    return 'значение должно быть больше нуля';
+  }
+  if (rule.type === 'nights' && rule.value !== Math.floor(rule.value)) {
+    return 'количество суток должно быть целым';
+  }
+  if (rule.type === 'percent' && rule.value > 100) {
+    return 'процент не может быть больше 100';
+  }
+
+  var conditions = rule.conditions || {};
+  var seasons = conditions.seasons || [];
+  for (var i = 0; i < seasons.length; i++) {
+    if (parseSeasonDay(seasons[i].from) === null || parseSeasonDay(seasons[i].to) === null) {
+      return 'сезон должен быть в формате ДД.ММ–ДД.ММ';
+    }
+  }
+  if (!isEmptyOrNumber(conditions.leadTimeMin) || !isEmptyOrNumber(conditions.leadTimeMax)) {
+    return 'срок до заезда должен быть числом';
+  }
+  if (isFiniteNumber(conditions.leadTimeMin) && isFiniteNumber(conditions.leadTimeMax) &&
+      conditions.leadTimeMin > conditions.leadTimeMax) {
+    return 'минимальный срок до заезда больше максимального';
+  }
+  return '';
+}
@@ -0,0 +1,324 @@
+/**
+ * Каталог номеров: категории с площадью и описанием, сопоставление
+ * названия категории из Контура с каталогом.
+ *
+ * Каталог (страница настроек, ключ storage «roomCatalog», может быть своим у профиля отеля):
+ *   [
+ *     {
+ *       id, name,            — название категории как в Контуре
+ *       area: number,        — площадь, м² (печатается в счёте и ваучере)
+ *       maxGuests, extraBeds — вместимость и доп. места (необязательно)
+ *       building,            — корпус (необязательно)
+ *       description,
+ *       photosUrl            — ссылка на фотографии категории
+ *     }
+ *   ]
+ * Пока каталог не сохранён, он строится из площадей «roomAreas» / ROOM_AREAS.
+ *
+ * Сопоставление: точное совпадение после нормализации, иначе — сходство по словам
+ * (коэффициент Дайса по основам слов: «местом» и «местами» совпадают, порядок слов
+ * не важен). Совпадение ниже ROOM_MATCH_THRESHOLD не засчитывается, а название
+ * попадает в отчёт «unmatchedRoomTypes» для раздела «Каталог номеров».
+ *
+ * Зависимости: settings-store.js (getSetting), room-areas.js (ROOM_AREAS).
+ */
+
+/** Минимальное сходство названий (0–1), при котором категория считается найденной. */
+var ROOM_MATCH_THRESHOLD = 0.75;
+
+/** Поля категории в порядке колонок CSV. */
+var ROOM_CATALOG_FIELDS = ['name', 'area', 'maxGuests', 'extraBeds', 'building', 'description', 'photosUrl'];
+
+// Названия, сохранённые в отчёт за время жизни страницы (чтобы не писать в storage на каждый вызов)
+var reportedRoomTypes = {};
+
+var UNMATCHED_ROOMS_LIMIT = 50;
+
+var ROOM_NAME_STOP_WORDS = ['с', 'и', 'в', 'на', 'к', 'для', 'без'];
+
+/** Каталог номеров активного профиля или общий. */
+function getRoomCatalog() {
+  var catalog = getSetting('roomCatalog');
+  if (catalog && catalog.length > 0) {
+    return catalog;
+  }
+  return roomCatalogFromAreas(getSetting('roomAreas') || ROOM_AREAS);
+}
+
+/** { 'Название (Корпус)': 31 } → каталог; корпус берётся из скобок в конце названия. */
+function roomCatalogFromAreas(areas) {
+  return Object.keys(areas).map(function (name, index) {
+    var building = name.match(/\(([^)]+)\)\s*$/);
+    return {
+      id: 'area-' + index,
+      name: name,
+      area: areas[name],
+      maxGuests: null,
+      extraBeds: null,
+      building: building ? building[1] : '',
+      description: '',
+      photosUrl: ''
+    };
+  });
+}
+
+/**
+ * Находит категорию каталога по названию из Контура.
+ * @param {string} roomType
+ * @param {Array} [catalog] — по умолчанию getRoomCatalog()
+ * @returns {{ entry: Object, score: number }|null} лучшее совпадение не ниже порога
+ */
+function matchRoomCategory(roomType, catalog) {
+  var best = findClosestRoomCategory(roomType, catalog);
+  return best && best.score >= ROOM_MATCH_THRESHOLD ? best : null;
+}
+
+/** Самая похожая категория каталога — без учёта порога (для подсказок в настройках). */
+function findClosestRoomCategory(roomType, catalog) {
+  catalog = catalog || getRoomCatalog();
+  var best = null;
+  for (var i = 0; i < catalog.length; i++) {
+    var score = roomNameSimilarity(roomType, catalog[i].name);
+    if (!best || score > best.score) {
+      best = { entry: catalog[i], score: score };
+    }
+    if (score === 1) {
+      break;
+    }
+  }
+  return best;
+}
+
+/** Сходство двух названий категорий, 0–1. */
+function roomNameSimilarity(a, b) {
+  if (normalizeRoomName(a) === normalizeRoomName(b)) {
+    return normalizeRoomName(a) ? 1 : 0;
+  }
+  var tokensA = tokenizeRoomName(a);
+  var tokensB = tokenizeRoomName(b);
+  if (tokensA.length === 0 || tokensB.length === 0) {
+    return 0;
+  }
+  var common = tokensA.filter(function (token) {
+    return tokensB.indexOf(token) !== -1;
+  }).length;
+  return 2 * common / (tokensA.length + tokensB.length);
+}
+
+/** Регистр, «ё», кавычки и пробелы после точек в сокращениях («доп. местом» → «доп.местом»). */
+function normalizeRoomName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/ё/g, 'е')
+    .replace(/["«»„“]/g, '')
+    .replace(/\.\s+/g, '.')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/** Уникальные основы слов без служебных: первые 5 букв длинных слов. */
+function tokenizeRoomName(name) {
+  var tokens = [];
+  normalizeRoomName(name).split(/[^a-zа-я0-9]+/).forEach(function (word) {
+    if (!word || ROOM_NAME_STOP_WORDS.indexOf(word) !== -1) {
+      return;
+    }
+    var stem = word.length > 5 ? word.slice(0, 5) : word;
+    if (tokens.indexOf(stem) === -1) {
+      tokens.push(stem);
+    }
+  });
+  return tokens;
+}
+
+// ─── Отчёт о ненайденных категориях ───────────────────────────
+
+/**
+ * Запоминает название категории, которой нет в каталоге
+ * («unmatchedRoomTypes»: [{ name, count, lastSeen }], свежие сверху).
+ */
+function recordUnmatchedRoom(roomType) {
+  if (!roomType || reportedRoomTypes[roomType] || typeof chrome === 'undefined' || !chrome.storage) {
+    return;
+  }
+  reportedRoomTypes[roomType] = true;
+
+  chrome.storage.local.get(['unmatchedRoomTypes'], function (data) {
+    var list = data.unmatchedRoomTypes || [];
+    var existing = null;
+    list = list.filter(function (item) {
+      if (item.name === roomType) {
+        existing = item;
+        return false;
+      }
+      return true;
+    });
+    list.unshift({
+      name: roomType,
+      count: (existing ? existing.count : 0) + 1,
+      lastSeen: new Date().toISOString()
+    });
+    chrome.storage.local.set({ unmatchedRoomTypes: list.slice(0, UNMATCHED_ROOMS_LIMIT) });
+  });
+}
+
+// ─── Проверка, импорт и экспорт ───────────────────────────────
+
+/**
+ * Проверяет категорию перед сохранением.
+ * @returns {string} текст ошибки или ''
+ */
+function validateRoomCatalogEntry(entry) {
+  if (!String(entry.name || '').trim()) {
+    return 'укажите название категории';
+  }
+  if (!(isCatalogNumber(entry.area) && entry.area > 0)) {
+    return 'площадь должна быть больше нуля';
+  }
+  if (!isOptionalCount(entry.maxGuests) || !isOptionalCount(entry.extraBeds)) {
+    return 'вместимость и доп. места — целые числа';
+  }
+  if (entry.photosUrl && !/^https?:\/\//.test(entry.photosUrl)) {
+    return 'ссылка на фотографии должна начинаться с http:// или https://';
+  }
+  return '';
+}
+
+function isCatalogNumber(value) {
+  return typeof value === 'number' && isFinite(value);
+}
+
+function isOptionalCount(value) {
+  return value === null || value === undefined || (isCatalogNumber(value) && value >= 0 && value === Math.floor(value));
+}
+
+/** Каталог в CSV (разделитель «;» — открывается в Excel без мастера импорта). */
+function roomCatalogToCsv(catalog) {
+  var rows = [ROOM_CATALOG_FIELDS.join(';')];
+  catalog.forEach(function (entry) {
+    rows.push(ROOM_CATALOG_FIELDS.map(function (field) {
+      var value = entry[field] === null || entry[field] === undefined ? '' : String(entry[field]);
+      return /[;"\n\r]/.test(value) ? '"' + value.replace(/"/g, '""') + '"' : value;
+    }).join(';'));
+  });
+  return rows.join('\r\n');
+}
+
+/**
+ * Разбирает файл каталога (JSON — массив категорий, CSV — с заголовком из ROOM_CATALOG_FIELDS).
+ * @param {string} text
+ * @param {string} fileName — формат определяется по расширению
+ * @returns {{ catalog: Array }|{ error: string }}
+ */
+function parseRoomCatalogFile(text, fileName) {
+  var items;
+  if (/\.json$/i.test(fileName)) {
+    try {
+      items = JSON.parse(text);
+    } catch (err) {
+      return { error: 'Файл не является корректным JSON' };
+    }
+    if (!Array.isArray(items)) {
+      return { error: 'В JSON ожидается массив категорий' };
+    }
+  } else {
+    var rows = parseCsvRows(text.replace(/^﻿/, ''));
+    if (rows.length === 0 || rows[0].indexOf('name') === -1) {
+      return { error: 'В первой строке CSV нужен заголовок: ' + ROOM_CATALOG_FIELDS.join(';') };
+    }
+    var header = rows[0];
+    items = rows.slice(1).map(function (row) {
+      var item = {};
+      header.forEach(function (field, index) {
+        item[field] = row[index];
+      });
+      return item;
+    });
+  }
+
+  var catalog = [];
+  for (var i = 0; i < items.length; i++) {
+    var entry = normalizeCatalogEntry(items[i], i);
+    if (!entry.name) {
+      continue;
+    }
+    var error = validateRoomCatalogEntry(entry);
+    if (error) {
+      return { error: 'Категория «' + entry.name + '»: ' + error };
+    }
+    catalog.push(entry);
+  }
+  return { catalog: catalog };
+}
+
+function normalizeCatalogEntry(item, index) {
+  var number = function (value) {
+    if (value === null || value === undefined || String(value).trim() === '') {
+      return null;
+    }
+    return Number(String(value).replace(',', '.'));
+  };
+  var text = function (value) {
+    return value === null || value === undefined ? '' : String(value).trim();
+  };
+  return {
+    id: text(item.id) || 'import-' + Date.now().toString(36) + '-' + index,
+    name: text(item.name),
+    area: number(item.area),
+    maxGuests: number(item.maxGuests),
+    extraBeds: number(item.extraBeds),
+    building: text(item.building),
+    description: text(item.description),
+    photosUrl: text(item.photosUrl)
+  };
+}
+
+/** Строки CSV с кавычками; разделитель — «;» или «,» (по первой строке). */
+function parseCsvRows(text) {
+  var firstLine = text.split(/\r?\n/)[0];
+  var delimiter = firstLine.indexOf(';') !== -1 ? ';' : ',';
+  var rows = [];
+  var row = [];
+  var value = '';
+  var quoted = false;
+
+  for (var i = 0; i < text.length; i++) {
+    var ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        value += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(value);
+      value = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(value);
+      rows.push(row);
+      row = [];
+      value = '';
+    } else {
+      value += ch;
+    }
+  }
+  if (value || row.length > 0) {
+    row.push(value);
+    rows.push(row);
+  }
+  return rows.filter(function (cells) {
+    return cells.join('').trim() !== '';
+  }).map(function (cells) {
+    return cells.map(function (cell) {
+      return cell.trim();
+    });
+  });
+}
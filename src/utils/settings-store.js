@@ -0,0 +1,174 @@
+/**
+ * Кеш настроек расширения для content script и страниц расширения.
+ *
+ * Настройки хранятся в chrome.storage.local, но генераторы и парсер
+ * работают синхронно, поэтому значения читаются один раз при запуске
+ * (initSettingsStore) и обновляются по chrome.storage.onChanged —
+ * изменения на странице настроек применяются без перезагрузки вкладки.
+ *
+ * Новые настройки добавляются в SETTINGS_DEFAULTS: ключ в storage → значение по умолчанию.
+ *
+ * Профили отелей («hotelProfiles») — для группы объектов в одном Контур Отеле:
+ *   {
+ *     id, name,
+ *     match: [ 'Альбатрос', 'org/12345' ],  — подстроки адреса страницы, заголовка вкладки
+ *                                            или названия объекта в шапке Контура
+ *     senderProfile: 'albatros',              — SMTP-отправитель на backend (SMTP_PROFILES)
+ *     settings: { hotelRequisites, hotelImages, hotelTexts, emailBcc, roomCatalog, prepayRules, discountSettings }
+ *   }
+ * getSetting() сначала смотрит в settings активного профиля, затем в общие настройки.
+ * Активный профиль: ручной выбор в попапе («hotelProfileOverride»), иначе первый
+ * профиль, чьё условие match найдено в тексте страницы (setHotelProfileContext).
+ */
+
+var SETTINGS_DEFAULTS = {
+  // Правила расчёта предоплаты (prepay-rules.js); пустой список — встроенное правило «первые 3 суток»
+  prepayRules: [],
+  // Ступени скидок за длительность (discount-tiers.js); null — DEFAULT_DISCOUNT_SETTINGS
+  discountSettings: null,
+  // Реквизиты отеля и подписант (hotel-requisites.js); null — HOTEL_DETAILS
+  hotelRequisites: null,
+  // Печать, подпись и логотип { stamp, signature, logo } (hotel-requisites.js); null — встроенные изображения
+  hotelImages: null,
+  // Подписи писем и условия ваучера (hotel-requisites.js, getHotelTexts); null — HOTEL_TEXTS
+  hotelTexts: null,
+  // Скрытая копия всех писем гостям, например ящик отдела бронирования (email-sender.js)
+  emailBcc: [],
+  // Каталог номеров (room-catalog.js); null — строится из roomAreas / ROOM_AREAS
+  roomCatalog: null,
+  // Площади номеров { 'Название': м² } — прежний формат, до сохранения каталога
+  roomAreas: null,
+  // Шаблоны писем (email-templates.js); null — DEFAULT_EMAIL_TEMPLATES. Общие для всех профилей
+  emailTemplates: null,
+  // Ваучер при поступлении предоплаты (content.js): 'off' | 'prompt' — предложить | 'auto' — отправить сразу
+  autoVoucherMode: 'off',
+  // Напоминание об оплате счёта (background/payment-deadlines.js, читает service worker):
+  // 'manual' — кнопкой во вкладке «Оплата» | 'auto' — само, за сутки до срока
+  paymentReminderMode: 'manual',
+  // Профили отелей (см. выше) и ручной выбор профиля ('' — автоопределение)
+  hotelProfiles: [],
+  hotelProfileOverride: ''
+};
+
+/** Настройки, которые профиль отеля может переопределить. */
+var PROFILE_SETTING_KEYS = [
+  'hotelRequisites', 'hotelImages', 'hotelTexts', 'emailBcc', 'roomCatalog', 'roomAreas', 'prepayRules', 'discountSettings'
+];
+
+var settingsCache = {};
+
+// Текст страницы для автоопределения профиля и явно выбранный профиль (история документов)
+var hotelProfileContext = '';
+var forcedHotelProfileId = null;
+
+/**
+ * Загружает настройки в кеш и подписывается на их изменения.
+ * @param {Function} [callback] — вызывается после первой загрузки
+ */
+function initSettingsStore(callback) {
+  chrome.storage.local.get(Object.keys(SETTINGS_DEFAULTS), function (data) {
+    Object.keys(SETTINGS_DEFAULTS).forEach(function (key) {
+      settingsCache[key] = data[key];
+    });
+    if (callback) {
+      callback();
+    }
+  });
+
+  chrome.storage.onChanged.addListener(function (changes, areaName) {
+    if (areaName !== 'local') {
+      return;
+    }
+    Object.keys(changes).forEach(function (key) {
+      if (SETTINGS_DEFAULTS.hasOwnProperty(key)) {
+        settingsCache[key] = changes[key].newValue;
+      }
+    });
+  });
+}
+
+/**
+ * Возвращает значение настройки: из активного профиля отеля, общее или по умолчанию.
+ * @param {string} key — ключ из SETTINGS_DEFAULTS
+ */
+function getSetting(key) {
+  var profile = PROFILE_SETTING_KEYS.indexOf(key) !== -1 ? getActiveHotelProfile() : null;
+  if (profile && profile.settings && profile.settings[key] !== undefined && profile.settings[key] !== null) {
+    return profile.settings[key];
+  }
+  var value = settingsCache[key];
+  return value === undefined || value === null ? SETTINGS_DEFAULTS[key] : value;
+}
+
+// ─── Профили отелей ───────────────────────────────────────────
+
+/**
+ * Текст страницы для автоопределения профиля
+ * (адрес, заголовок вкладки, название объекта — parseKonturHotelContext).
+ */
+function setHotelProfileContext(text) {
+  hotelProfileContext = text || '';
+}
+
+/**
+ * Выполняет fn с профилем, выбранным независимо от страницы и ручного выбора, —
+ * для повторного формирования документа из истории. После fn (и при исключении)
+ * выбор профиля возвращается прежним.
+ * @param {string|null} profileId — '' — общие настройки, null — обычный выбор профиля
+ * @param {Function} fn
+ * @returns {*} результат fn
+ */
+function withHotelProfile(profileId, fn) {
+  var previous = forcedHotelProfileId;
+  forcedHotelProfileId = profileId;
+  try {
+    return fn();
+  } finally {
+    forcedHotelProfileId = previous;
+  }
+}
+
+/** Активный профиль отеля или null (общие настройки). */
+function getActiveHotelProfile() {
+  var profiles = getSetting('hotelProfiles') || [];
+  if (forcedHotelProfileId !== null) {
+    return findHotelProfile(profiles, forcedHotelProfileId);
+  }
+  var override = getSetting('hotelProfileOverride');
+  if (override) {
+    return findHotelProfile(profiles, override);
+  }
+  return matchHotelProfile(profiles, hotelProfileContext);
+}
+
+/** id активного профиля ('' — общие настройки). */
+function getActiveHotelProfileId() {
+  var profile = getActiveHotelProfile();
+  return profile ? profile.id : '';
+}
+
+function findHotelProfile(profiles, id) {
+  for (var i = 0; i < profiles.length; i++) {
+    if (profiles[i].id === id) {
+      return profiles[i];
+    }
+  }
+  return null;
+}
+
+/** Первый профиль, одно из условий match которого есть в тексте (без учёта регистра). */
+function matchHotelProfile(profiles, text) {
+  var haystack = String(text || '').toLowerCase();
+  if (!haystack) {
+    return null;
+  }
+  for (var i = 0; i < profiles.length; i++) {
+    var match = profiles[i].match || [];
+    for (var m = 0; m < match.length; m++) {
+      if (match[m] && haystack.indexOf(String(match[m]).toLowerCase()) !== -1) {
+        return profiles[i];
+      }
+    }
+  }
+  return null;
+}
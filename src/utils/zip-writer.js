@@ -0,0 +1,122 @@
+/**
+ * ZIP-архив из готовых файлов — для скачивания пачки PDF одним файлом (bulk-mode.js).
+ *
+ * Файлы сохраняются без сжатия (метод «stored»): PDF из jsPDF уже сжат, а архив
+ * нужен только чтобы не скачивать десятки файлов по одному. Имена — в UTF-8
+ * (флаг 0x0800), их понимают Проводник Windows 10+, macOS и 7-Zip.
+ *
+ * Ограничения формата без ZIP64: до 65 535 файлов и 4 ГБ — для счетов с запасом.
+ *
+ * Зависимости: нет (чистые функции).
+ */
+
+var ZIP_UTF8_FLAG = 0x0800;
+var ZIP_VERSION = 20;
+
+var zipCrcTable = null;
+
+/**
+ * Собирает ZIP-архив.
+ * @param {Array} files — [{ name: string, data: Uint8Array, date?: Date }]
+ * @returns {Blob} application/zip
+ */
+function createZipArchive(files) {
+  var encoder = new TextEncoder();
+  var parts = [];
+  var central = [];
+  var offset = 0;
+
+  files.forEach(function (file) {
+    var name = encoder.encode(file.name);
+    var crc = crc32(file.data);
+    var stamp = toDosDateTime(file.date || new Date());
+
+    var local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, ZIP_VERSION, true);
+    local.setUint16(6, ZIP_UTF8_FLAG, true);
+    local.setUint16(8, 0, true);
+    local.setUint16(10, stamp.time, true);
+    local.setUint16(12, stamp.date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, file.data.length, true);
+    local.setUint32(22, file.data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+    parts.push(local, name, file.data);
+
+    var entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014b50, true);
+    entry.setUint16(4, ZIP_VERSION, true);
+    entry.setUint16(6, ZIP_VERSION, true);
+    entry.setUint16(8, ZIP_UTF8_FLAG, true);
+    entry.setUint16(10, 0, true);
+    entry.setUint16(12, stamp.time, true);
+    entry.setUint16(14, stamp.date, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, file.data.length, true);
+    entry.setUint32(24, file.data.length, true);
+    entry.setUint16(28, name.length, true);
+    // Доп. поле, комментарий, диск, атрибуты — нули
+    entry.setUint32(42, offset, true);
+    central.push(entry, name);
+
+    offset += 30 + name.length + file.data.length;
+  });
+
+  var centralSize = central.reduce(function (sum, part) {
+    return sum + part.byteLength;
+  }, 0);
+
+  var end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob(parts.concat(central, [end]), { type: 'application/zip' });
+}
+
+/**
+ * Имя файла, которого ещё нет в архиве: «Счёт.pdf» → «Счёт (2).pdf».
+ * @param {string} name
+ * @param {Object} usedNames — уже занятые имена (в нижнем регистре), дополняется
+ */
+function uniqueZipName(name, usedNames) {
+  var dot = name.lastIndexOf('.');
+  var base = dot > 0 ? name.slice(0, dot) : name;
+  var extension = dot > 0 ? name.slice(dot) : '';
+  var candidate = name;
+  for (var n = 2; usedNames[candidate.toLowerCase()]; n++) {
+    candidate = base + ' (' + n + ')' + extension;
+  }
+  usedNames[candidate.toLowerCase()] = true;
+  return candidate;
+}
+
+function crc32(bytes) {
+  if (!zipCrcTable) {
+    zipCrcTable = new Uint32Array(256);
+    for (var n = 0; n < 256; n++) {
+      var c = n;
+      for (var k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      zipCrcTable[n] = c >>> 0;
+    }
+  }
+  var crc = 0xffffffff;
+  for (var i = 0; i < bytes.length; i++) {
+    crc = zipCrcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/** Дата и время в формате MS-DOS (точность — 2 секунды). */
+function toDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}